@@ -1,4 +1,4 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
 const { logger } = require('../utils/logger');
 
 const isProduction = process.env.NODE_ENV === 'production';
@@ -26,6 +26,12 @@ const poolConfig = {
     application_name: 'credit-repair-pro',
 };
 
+// ─── Type Parsers ───────────────────────────────────────────────────────────
+// DATE columns come back as the YYYY-MM-DD string stored. The default parser
+// builds a local-midnight Date, which utils/dates reads in UTC as the day
+// before on a server east of UTC.
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
 const pool = new Pool(poolConfig);
 
 // ─── Pool Event Handlers ────────────────────────────────────────────────────
@@ -5,6 +5,7 @@
  * @module middleware/zodValidation
  */
 const { z } = require('zod');
+const { AGENCY_STRATEGIES } = require('../utils/disputeStrategy');
 
 // ============================================
 // Helper: Zod → Express middleware
@@ -70,15 +71,32 @@ const zpassword = z.string().min(6, 'Mínimo 6 caracteres').max(128, 'Máximo 12
 const zname = z.string().trim().min(1, 'Requerido').max(100, 'Máximo 100 caracteres');
 const zphone = z.string().trim().regex(/^[\d\s\-+()]{10,20}$/, 'Teléfono no válido').optional().nullable();
 const zstate = z.string().trim().toUpperCase().regex(/^[A-Z]{2}$/, 'Debe ser código de 2 letras').optional().nullable();
+const zdate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Formato YYYY-MM-DD');
 const zzipCode = z.string().trim().regex(/^\d{5}(-\d{4})?$/, 'Código postal no válido').optional().nullable();
 
 const CREDIT_BUREAUS = ['experian', 'equifax', 'transunion'];
 const CREDIT_BUREAUS_ALL = [...CREDIT_BUREAUS, 'all'];
+// Nationwide bureaus plus the specialty agencies in SPECIALTY_AGENCY_STRATEGIES
+const REPORTING_AGENCIES = Object.keys(AGENCY_STRATEGIES);
+const REPORTING_AGENCIES_ALL = [...REPORTING_AGENCIES, 'all'];
 const CREDIT_ITEM_TYPES = ['late_payment', 'collection', 'charge_off', 'bankruptcy', 'foreclosure', 'repossession', 'inquiry', 'other'];
 const CREDIT_ITEM_STATUSES = ['identified', 'disputing', 'deleted', 'verified', 'updated'];
+const BANKRUPTCY_CHAPTERS = [7, 11, 12, 13];
+const DEBT_CATEGORIES = ['written', 'open', 'promissory'];
+const PERSONAL_INFO_RESPONSES = ['recognized', 'unknown'];
+const INQUIRY_RESPONSES = ['authorized', 'unauthorized'];
+const GOODWILL_OUTCOMES = ['granted', 'denied', 'no_reply'];
+const OFFER_PARTIES = ['client', 'creditor'];
+const zbankruptcyChapter = z.coerce.number().int()
+  .refine((n) => BANKRUPTCY_CHAPTERS.includes(n), 'Capítulo de bancarrota inválido');
 const DISPUTE_TYPES = ['not_mine', 'paid', 'inaccurate_info', 'outdated', 'duplicate', 'other'];
 const DISPUTE_STATUSES = ['draft', 'sent', 'received', 'investigating', 'resolved', 'rejected'];
-const DOCUMENT_CATEGORIES = ['id', 'proof_of_address', 'credit_report', 'dispute_letter', 'response', 'other'];
+const DISPUTE_TARGET_TYPES = ['bureau', 'furnisher'];
+const FURNISHER_TYPES = ['original_creditor', 'collection_agency', 'debt_buyer', 'servicer'];
+const DOCUMENT_CATEGORIES = [
+  'id', 'proof_of_address', 'credit_report', 'dispute_letter', 'response',
+  'ftc_identity_theft_report', 'police_report', 'other',
+];
 const PAYMENT_STATUSES = ['pending', 'completed', 'failed', 'refunded'];
 
 // ============================================
@@ -157,10 +175,14 @@ const addCreditItemSchema = z.object({
   itemType: z.enum(CREDIT_ITEM_TYPES, { errorMap: () => ({ message: `Tipo inválido` }) }),
   creditorName: z.string().trim().min(1, 'Nombre del acreedor requerido').max(255),
   accountNumber: z.string().trim().max(100).optional().nullable(),
-  bureau: z.enum(CREDIT_BUREAUS_ALL, { errorMap: () => ({ message: 'Bureau inválido' }) }),
+  bureau: z.enum(REPORTING_AGENCIES_ALL, { errorMap: () => ({ message: 'Bureau inválido' }) }),
   balance: z.coerce.number().min(0).optional().nullable(),
   dateOpened: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().nullable(),
   dateReported: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().nullable(),
+  dateOfFirstDelinquency: zdate.optional().nullable(),
+  bankruptcyChapter: zbankruptcyChapter.optional().nullable(),
+  lastPaymentDate: zdate.optional().nullable(),
+  debtCategory: z.enum(DEBT_CATEGORIES).optional().nullable(),
   description: z.string().trim().max(2000).optional().nullable(),
   status: z.enum(CREDIT_ITEM_STATUSES).optional(),
 });
@@ -169,7 +191,7 @@ const updateCreditItemSchema = z.object({
   status: z.enum(CREDIT_ITEM_STATUSES).optional(),
   creditorName: z.string().trim().max(255).optional(),
   accountNumber: z.string().trim().max(100).optional().nullable(),
-  bureau: z.enum(CREDIT_BUREAUS_ALL).optional(),
+  bureau: z.enum(REPORTING_AGENCIES_ALL).optional(),
   balance: z.coerce.number().min(0).optional().nullable(),
   description: z.string().trim().max(2000).optional().nullable(),
 }).passthrough();
@@ -182,8 +204,91 @@ const createDisputeSchema = z.object({
   clientId: zuuid,
   creditItemId: zuuid.optional().nullable(),
   disputeType: z.enum(DISPUTE_TYPES, { errorMap: () => ({ message: 'Tipo de disputa inválido' }) }),
-  bureau: z.enum(CREDIT_BUREAUS, { errorMap: () => ({ message: 'Bureau inválido' }) }),
+  targetType: z.enum(DISPUTE_TARGET_TYPES).default('bureau'),
+  bureau: z.enum(REPORTING_AGENCIES, { errorMap: () => ({ message: 'Bureau inválido' }) }).optional().nullable(),
+  furnisherId: zuuid.optional().nullable(),
   customContent: z.string().trim().max(10000).optional().nullable(),
+  // Client documents sent with the letter; lets a repeat dispute through as new evidence
+  evidenceDocumentIds: z.array(zuuid).max(20).optional(),
+}).refine((d) => (d.targetType === 'furnisher' ? !!d.furnisherId : !!d.bureau), {
+  message: 'Bureau es requerido, o furnisherId para disputas directas',
+  path: ['bureau'],
+});
+
+// ============================================
+// Furnisher schemas
+// ============================================
+
+const furnisherFields = {
+  name: z.string().trim().min(1, 'Requerido').max(255),
+  furnisherType: z.enum(FURNISHER_TYPES, { errorMap: () => ({ message: 'Tipo de furnisher inválido' }) }),
+  addressLine1: z.string().trim().max(255).optional().nullable(),
+  addressLine2: z.string().trim().max(255).optional().nullable(),
+  city: z.string().trim().max(100).optional().nullable(),
+  state: zstate,
+  zipCode: zzipCode,
+  phone: zphone,
+  email: zemail.optional().nullable(),
+  notes: z.string().trim().max(2000).optional().nullable(),
+  // Where the creditor takes goodwill requests, when it differs
+  goodwillAddressLine1: z.string().trim().max(255).optional().nullable(),
+  goodwillAddressLine2: z.string().trim().max(255).optional().nullable(),
+  goodwillCity: z.string().trim().max(100).optional().nullable(),
+  goodwillState: zstate,
+  goodwillZipCode: zzipCode,
+};
+
+const createFurnisherSchema = z.object({
+  ...furnisherFields,
+  furnisherType: furnisherFields.furnisherType.default('original_creditor'),
+});
+
+const updateFurnisherSchema = z.object(furnisherFields).partial();
+
+// ============================================
+// Debt validation schemas (FDCPA §809)
+// ============================================
+
+const VALIDATION_DOCUMENT_TYPES = ['itemization', 'original_agreement', 'chain_of_title', 'account_statements', 'collector_license', 'other'];
+
+const createDebtValidationSchema = z.object({
+  clientId: zuuid,
+  creditItemId: zuuid,
+  furnisherId: zuuid,
+});
+
+const markDebtValidationSentSchema = z.object({
+  sentDate: zdate,
+});
+
+const recordDebtValidationResponseSchema = z.object({
+  responseDate: zdate,
+  documentsReceived: z.array(z.enum(VALIDATION_DOCUMENT_TYPES)).max(10).default([]),
+  notes: z.string().trim().max(5000).optional().nullable(),
+  outcome: z.enum(['validated', 'unvalidated']).optional(),
+});
+
+const debtValidationFollowUpSchema = z.object({
+  bureaus: z.array(z.enum(CREDIT_BUREAUS)).max(3).optional(),
+});
+
+// ============================================
+// Bureau response schemas
+// ============================================
+
+const BUREAU_RESPONSE_OUTCOMES = ['deleted', 'verified', 'updated', 'investigating'];
+
+const ingestBureauResponseSchema = z.object({
+  documentId: zuuid,
+  bureau: z.enum(CREDIT_BUREAUS, { errorMap: () => ({ message: 'Bureau inválido' }) }),
+});
+
+const confirmBureauResponseSchema = z.object({
+  responseDate: zdate,
+  outcomes: z.array(z.object({
+    disputeId: zuuid,
+    outcome: z.enum(BUREAU_RESPONSE_OUTCOMES, { errorMap: () => ({ message: 'Resultado inválido' }) }),
+  })).min(1, 'Debe confirmar al menos un resultado').max(100),
 });
 
 const updateDisputeStatusSchema = z.object({
@@ -192,6 +297,288 @@ const updateDisputeStatusSchema = z.object({
   trackingNumber: z.string().trim().max(100).optional().nullable(),
 });
 
+// ============================================
+// Dispute campaign schemas
+// ============================================
+
+const dueCampaignsQuery = z.object({
+  asOf: zdate.optional(),
+});
+
+const recordRoundOutcomeSchema = z.object({
+  disputeId: zuuid,
+  outcome: z.enum(['deleted', 'updated', 'verified', 'no_response'], { errorMap: () => ({ message: 'Resultado inválido' }) }),
+  outcomeDate: zdate,
+});
+
+// ============================================
+// Mail run schemas
+// ============================================
+
+const createMailRunSchema = z.object({
+  // Defaults to every dispute that is ready to mail
+  disputeIds: z.array(zuuid).min(1).max(500).optional(),
+});
+
+// ============================================
+// Mail tracking schemas
+// ============================================
+
+const TRACKING_EVENT_TYPES = ['accepted', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'];
+
+const setTrackingSchema = z.object({
+  carrier: z.string().trim().min(1).max(30).optional(),
+  trackingNumber: z.string().trim().min(1, 'Requerido').max(100),
+});
+
+const trackingEventSchema = z.object({
+  eventType: z.enum(TRACKING_EVENT_TYPES, { errorMap: () => ({ message: 'Tipo de evento inválido' }) }),
+  eventTime: z.string().datetime({ offset: true, message: 'Fecha y hora ISO 8601 inválida' }),
+  location: z.string().trim().max(255).optional().nullable(),
+  description: z.string().trim().max(1000).optional().nullable(),
+});
+
+// ============================================
+// Method of verification schemas
+// ============================================
+
+const VERIFICATION_METHODS = ['automated', 'furnisher_contact', 'document_review', 'not_described', 'other'];
+
+const verificationResponseSchema = z.object({
+  receivedDate: zdate,
+  method: z.enum(VERIFICATION_METHODS, { errorMap: () => ({ message: 'Método de verificación inválido' }) }),
+  furnisherName: z.string().trim().max(255).optional().nullable(),
+  furnisherAddress: z.string().trim().max(1000).optional().nullable(),
+  furnisherPhone: z.string().trim().max(50).optional().nullable(),
+  documentsProvided: z.string().trim().max(5000).optional().nullable(),
+  procedureDescription: z.string().trim().max(10000).optional().nullable(),
+});
+
+// ============================================
+// Regulatory complaint schemas
+// ============================================
+
+const COMPLAINT_AGENCIES = ['cfpb', 'state_ag'];
+const COMPANY_RESPONSE_TYPES = [
+  'closed_with_explanation', 'closed_with_monetary_relief', 'closed_with_non_monetary_relief',
+  'in_progress', 'administrative_response',
+];
+
+const complaintPackageQuery = z.object({
+  creditItemId: zuuid,
+  bureau: z.enum(CREDIT_BUREAUS, { errorMap: () => ({ message: 'Buró inválido' }) }),
+});
+
+const createComplaintSchema = complaintPackageQuery.extend({
+  agency: z.enum(COMPLAINT_AGENCIES, { errorMap: () => ({ message: 'Agencia inválida' }) }),
+});
+
+const fileComplaintSchema = z.object({
+  filedDate: zdate,
+  confirmationNumber: z.string().trim().max(100).optional().nullable(),
+});
+
+const complaintResponseSchema = z.object({
+  responseDate: zdate,
+  responseType: z.enum(COMPANY_RESPONSE_TYPES, { errorMap: () => ({ message: 'Tipo de respuesta inválido' }) }),
+  responseText: z.string().trim().max(10000).optional().nullable(),
+});
+
+// ============================================
+// Identity theft schemas
+// ============================================
+
+const PROTECTION_TYPES = ['initial_fraud_alert', 'extended_fraud_alert', 'active_duty_alert', 'security_freeze'];
+
+const createIdentityTheftCaseSchema = z.object({
+  clientId: zuuid,
+  ftcReportDocumentId: zuuid,
+  ftcReportNumber: z.string().trim().max(50).optional().nullable(),
+  policeReportDocumentId: zuuid.optional().nullable(),
+  policeReportNumber: z.string().trim().max(100).optional().nullable(),
+  policeDepartment: z.string().trim().max(255).optional().nullable(),
+});
+
+const selectTheftItemsSchema = z.object({
+  items: z.array(z.object({
+    creditItemId: zuuid,
+    bureaus: z.array(z.enum(CREDIT_BUREAUS)).min(1).optional(),
+  })).min(1, 'Seleccione al menos un item').max(100),
+});
+
+const theftItemParams = z.object({ id: zuuid, itemId: zuuid });
+
+const blockResultSchema = z.object({
+  status: z.enum(['blocked', 'declined'], { errorMap: () => ({ message: 'Resultado inválido' }) }),
+  resultDate: zdate.optional(),
+});
+
+const bureauProtectionSchema = z.object({
+  bureau: z.enum(CREDIT_BUREAUS, { errorMap: () => ({ message: 'Buró inválido' }) }),
+  protectionType: z.enum(PROTECTION_TYPES, { errorMap: () => ({ message: 'Tipo de protección inválido' }) }),
+  placedDate: zdate,
+  expiresDate: zdate.optional().nullable(),
+  confirmationNumber: z.string().trim().max(100).optional().nullable(),
+  notes: z.string().trim().max(2000).optional().nullable(),
+  caseId: zuuid.optional().nullable(),
+});
+
+const liftProtectionSchema = z.object({
+  liftedDate: zdate,
+});
+
+// ============================================
+// Obsolescence schemas
+// ============================================
+
+const obsolescenceDatesSchema = z.object({
+  dateOfFirstDelinquency: zdate.nullable().optional(),
+  dateOpened: zdate.nullable().optional(),
+  bankruptcyChapter: zbankruptcyChapter.nullable().optional(),
+}).refine((body) => Object.keys(body).length > 0, 'Indique al menos una fecha');
+
+const fallingOffQuery = z.object({
+  days: z.coerce.number().int().min(1).max(730).optional(),
+});
+
+// ============================================
+// Statute of limitations schemas
+// ============================================
+
+const solDatesSchema = z.object({
+  lastPaymentDate: zdate.nullable().optional(),
+  debtCategory: z.enum(DEBT_CATEGORIES, { errorMap: () => ({ message: 'Tipo de deuda inválido' }) }).nullable().optional(),
+}).refine((body) => Object.keys(body).length > 0, 'Indique la fecha de último pago o el tipo de deuda');
+
+// ============================================
+// Duplicate debt schemas
+// ============================================
+
+const duplicateDisputesSchema = z.object({
+  itemIds: z.array(zuuid).min(1).max(100).optional(),
+});
+
+// ============================================
+// Medical debt schemas
+// ============================================
+
+const medicalDisputesSchema = z.object({
+  itemIds: z.array(zuuid).min(1).max(100).optional(),
+});
+
+// ============================================
+// Personal information schemas
+// ============================================
+
+const personalInfoResponseSchema = z.object({
+  response: z.enum(PERSONAL_INFO_RESPONSES, { errorMap: () => ({ message: 'Respuesta debe ser recognized o unknown' }) }),
+});
+
+const personalInfoDisputesSchema = z.object({
+  bureaus: z.array(z.enum(CREDIT_BUREAUS, { errorMap: () => ({ message: 'Bureau inválido' }) })).min(1).optional(),
+});
+
+// ============================================
+// Inquiry schemas
+// ============================================
+
+const inquiryResponseSchema = z.object({
+  response: z.enum(INQUIRY_RESPONSES, { errorMap: () => ({ message: 'Respuesta debe ser authorized o unauthorized' }) }),
+});
+
+const inquiryDisputesSchema = z.object({
+  furnisherId: zuuid,
+});
+
+// ============================================
+// Goodwill letter schemas
+// ============================================
+
+const createGoodwillLetterSchema = z.object({
+  clientId: zuuid,
+  creditItemId: zuuid,
+  furnisherId: zuuid,
+  hardshipStory: z.string().trim().min(20, 'Describa la situación con al menos 20 caracteres').max(5000),
+  acknowledgeSolRisk: z.boolean().optional(),
+});
+
+const goodwillSentSchema = z.object({
+  sentDate: zdate.optional(),
+});
+
+const goodwillOutcomeSchema = z.object({
+  outcome: z.enum(GOODWILL_OUTCOMES, { errorMap: () => ({ message: 'Resultado debe ser granted, denied o no_reply' }) }),
+  outcomeDate: zdate.optional(),
+  notes: z.string().trim().max(2000).optional().nullable(),
+});
+
+// ============================================
+// Settlement schemas
+// ============================================
+
+const zamount = z.coerce.number().positive('Monto debe ser mayor a 0').max(10000000);
+
+const createSettlementSchema = z.object({
+  clientId: zuuid,
+  creditItemId: zuuid,
+  furnisherId: zuuid,
+  notes: z.string().trim().max(2000).optional().nullable(),
+});
+
+const settlementOfferSchema = z.object({
+  amount: zamount,
+  offeredBy: z.enum(OFFER_PARTIES, { errorMap: () => ({ message: 'Debe ser client o creditor' }) }),
+  offerDate: zdate.optional(),
+  notes: z.string().trim().max(2000).optional().nullable(),
+});
+
+const settlementAgreementSchema = z.object({
+  amount: zamount,
+  paymentDeadline: zdate.optional(),
+  acknowledgeSolRisk: z.boolean().optional(),
+});
+
+const settlementPaymentSchema = z.object({
+  paymentDate: zdate.optional(),
+});
+
+// ============================================
+// Reporting agency schemas
+// ============================================
+
+const reportingAgencyParam = z.object({
+  agency: z.enum(REPORTING_AGENCIES, { errorMap: () => ({ message: 'Agencia inválida' }) }),
+});
+
+const agencyFileRequestSchema = z.object({
+  clientId: zuuid,
+});
+
+// ============================================
+// Letter template schemas
+// ============================================
+
+const templateKeyParam = z.object({
+  key: z.string().trim().regex(/^[a-z0-9_.]{1,100}$/, 'Clave de plantilla inválida'),
+});
+
+const createTemplateVersionSchema = z.object({
+  body: z.string().min(1, 'Requerido').max(50000),
+  effectiveDate: zdate.optional().nullable(),
+  notes: z.string().trim().max(2000).optional().nullable(),
+});
+
+const previewTemplateSchema = z.object({
+  clientId: zuuid,
+  creditItemId: zuuid.optional().nullable(),
+  bureau: z.enum(REPORTING_AGENCIES).optional().nullable(),
+  disputeType: z.enum(DISPUTE_TYPES).optional().nullable(),
+  round: z.coerce.number().int().min(1).max(4).optional(),
+  // Unsaved draft text; the version in effect is used when omitted
+  body: z.string().min(1).max(50000).optional(),
+  asOf: zdate.optional(),
+});
+
 // ============================================
 // Payment schemas
 // ============================================
@@ -210,16 +597,24 @@ const createPaymentSchema = z.object({
 const generateAIDisputeSchema = z.object({
   creditItemId: zuuid,
   disputeType: z.enum(DISPUTE_TYPES),
-  bureau: z.enum(CREDIT_BUREAUS),
+  bureau: z.enum(REPORTING_AGENCIES),
   additionalDetails: z.string().trim().max(5000).optional().nullable(),
 });
 
 const saveAIDisputeSchema = z.object({
   creditItemId: zuuid,
-  bureau: z.enum(CREDIT_BUREAUS),
+  bureau: z.enum(REPORTING_AGENCIES),
   disputeType: z.enum(DISPUTE_TYPES),
   content: z.string().trim().min(1).max(50000),
   strategy: z.string().trim().max(5000).optional().nullable(),
+  templateVersionId: zuuid.optional().nullable(),
+  evidenceDocumentIds: z.array(zuuid).max(20).optional(),
+});
+
+const outcomeAnalyticsQuery = z.object({
+  itemType: z.enum(CREDIT_ITEM_TYPES).optional(),
+  bureau: z.enum(REPORTING_AGENCIES).optional(),
+  since: zdate.optional(),
 });
 
 // ============================================
@@ -291,6 +686,7 @@ module.exports = {
   zemail,
   zpassword,
   zname,
+  zdate,
   // Param schemas
   idParam,
   clientIdParam,
@@ -310,11 +706,76 @@ module.exports = {
   // Disputes
   createDisputeSchema,
   updateDisputeStatusSchema,
+  // Furnishers
+  createFurnisherSchema,
+  updateFurnisherSchema,
+  // Debt validation
+  createDebtValidationSchema,
+  markDebtValidationSentSchema,
+  recordDebtValidationResponseSchema,
+  debtValidationFollowUpSchema,
+  // Bureau responses
+  ingestBureauResponseSchema,
+  confirmBureauResponseSchema,
+  // Dispute campaigns
+  dueCampaignsQuery,
+  recordRoundOutcomeSchema,
+  // Mail runs
+  createMailRunSchema,
+  // Mail tracking
+  setTrackingSchema,
+  trackingEventSchema,
+  // Method of verification
+  verificationResponseSchema,
+  // Regulatory complaints
+  complaintPackageQuery,
+  createComplaintSchema,
+  fileComplaintSchema,
+  complaintResponseSchema,
+  // Identity theft
+  createIdentityTheftCaseSchema,
+  selectTheftItemsSchema,
+  theftItemParams,
+  blockResultSchema,
+  bureauProtectionSchema,
+  liftProtectionSchema,
+  // Obsolescence
+  obsolescenceDatesSchema,
+  fallingOffQuery,
+  // Statute of limitations
+  solDatesSchema,
+  // Duplicate debt
+  duplicateDisputesSchema,
+  // Medical debt
+  medicalDisputesSchema,
+  // Personal information
+  personalInfoResponseSchema,
+  personalInfoDisputesSchema,
+  // Inquiries
+  inquiryResponseSchema,
+  inquiryDisputesSchema,
+  // Goodwill letters
+  createGoodwillLetterSchema,
+  goodwillSentSchema,
+  goodwillOutcomeSchema,
+  // Settlements
+  createSettlementSchema,
+  settlementOfferSchema,
+  settlementAgreementSchema,
+  settlementPaymentSchema,
+  // Reporting agencies
+  reportingAgencyParam,
+  agencyFileRequestSchema,
+  // Letter templates
+  templateKeyParam,
+  createTemplateVersionSchema,
+  previewTemplateSchema,
   // Payments
   createPaymentSchema,
   // AI Disputes
   generateAIDisputeSchema,
   saveAIDisputeSchema,
+  outcomeAnalyticsQuery,
   // Onboarding
   saveProgressSchema,
   // Documents
@@ -0,0 +1,50 @@
+-- ============================================================================
+-- Migration 008: Furnisher-Direct Disputes (FCRA §623(a)(8))
+-- Adds: furnishers directory, dispute target type, furnisher reference on disputes
+-- ============================================================================
+
+-- Data furnishers (original creditors, collection agencies, debt buyers)
+CREATE TABLE IF NOT EXISTS furnishers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    furnisher_type VARCHAR(30) NOT NULL DEFAULT 'original_creditor'
+        CHECK (furnisher_type IN ('original_creditor', 'collection_agency', 'debt_buyer', 'servicer')),
+    address_line1 VARCHAR(255),
+    address_line2 VARCHAR(255),
+    city VARCHAR(100),
+    state VARCHAR(2),
+    zip_code VARCHAR(10),
+    phone VARCHAR(30),
+    email VARCHAR(255),
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP DEFAULT NULL
+);
+
+-- A dispute now targets either a bureau or a furnisher
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS target_type VARCHAR(20) NOT NULL DEFAULT 'bureau';
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS furnisher_id UUID REFERENCES furnishers(id) ON DELETE RESTRICT;
+
+-- Furnisher disputes may omit the bureau (it is kept when known, for reference)
+ALTER TABLE disputes ALTER COLUMN bureau DROP NOT NULL;
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_target_type_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_target_type_check
+    CHECK (target_type IN ('bureau', 'furnisher'));
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_target_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_target_check
+    CHECK (
+        (target_type = 'bureau' AND bureau IS NOT NULL)
+        OR (target_type = 'furnisher' AND furnisher_id IS NOT NULL)
+    );
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_furnishers_name ON furnishers(LOWER(name)) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_disputes_target_type ON disputes(client_id, target_type) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_disputes_furnisher_id ON disputes(furnisher_id) WHERE furnisher_id IS NOT NULL;
@@ -0,0 +1,35 @@
+-- ============================================================================
+-- Migration 009: FDCPA Debt Validation (§809)
+-- Adds: debt_validation_requests for collection items sent to collectors
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS debt_validation_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credit_item_id UUID NOT NULL REFERENCES credit_items(id) ON DELETE CASCADE,
+    furnisher_id UUID NOT NULL REFERENCES furnishers(id) ON DELETE RESTRICT,
+    letter_content TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'validated', 'unvalidated', 'withdrawn')),
+    sent_date DATE,
+    -- 30 days from sent_date; collection activity must pause until validated
+    validation_deadline DATE,
+    response_date DATE,
+    -- Document kinds the collector produced (itemization, original_agreement, ...)
+    documents_received JSONB NOT NULL DEFAULT '[]',
+    response_notes TEXT,
+    -- Follow-up bureau disputes generated while the debt is unvalidated
+    follow_up_dispute_ids UUID[] NOT NULL DEFAULT '{}',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP DEFAULT NULL
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_debt_validation_client ON debt_validation_requests(client_id, created_at DESC) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_debt_validation_item ON debt_validation_requests(credit_item_id);
+CREATE INDEX IF NOT EXISTS idx_debt_validation_deadline ON debt_validation_requests(validation_deadline) WHERE status = 'sent';
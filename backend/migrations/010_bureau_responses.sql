@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Migration 010: Bureau Response Ingestion
+-- Adds: bureau_responses — parsed results letters awaiting staff confirmation
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS bureau_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    bureau VARCHAR(20) NOT NULL CHECK (bureau IN ('experian', 'equifax', 'transunion')),
+    extracted_text TEXT,
+    -- [{ disputeId, creditItemId, creditorName, outcome, confidence, excerpt }]
+    proposed_outcomes JSONB NOT NULL DEFAULT '[]',
+    -- Outcomes as confirmed (and possibly corrected) by staff
+    confirmed_outcomes JSONB,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'confirmed', 'discarded')),
+    response_date DATE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_bureau_responses_client ON bureau_responses(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_bureau_responses_pending ON bureau_responses(status) WHERE status = 'pending';
@@ -0,0 +1,19 @@
+-- ============================================================================
+-- Migration 011: FCRA Investigation Deadlines
+-- Adds: 45-day extension marker and escalation tracking on disputes
+-- ============================================================================
+
+-- FCRA §611(a)(1)(B): the 30-day period extends to 45 days when the consumer
+-- supplies additional relevant information during the investigation
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS additional_info_date DATE;
+
+-- Set when a "failure to investigate" demand letter has been generated
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS escalation_dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_disputes_awaiting_response ON disputes(sent_date)
+    WHERE response_date IS NULL AND status IN ('sent', 'received', 'investigating') AND deleted_at IS NULL;
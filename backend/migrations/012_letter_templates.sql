@@ -0,0 +1,45 @@
+-- ============================================================================
+-- Migration 012: Letter Templates
+-- Adds: letter_templates, letter_template_versions — admin-edited letter and
+--       AI prompt text, versioned with an effective date
+-- Alters: disputes.template_version_id — the version that produced the letter
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS letter_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- Registry key, e.g. 'dispute.not_mine', 'ai.system', 'ai.user.paid'
+    template_key VARCHAR(100) NOT NULL UNIQUE,
+    category VARCHAR(30) NOT NULL CHECK (category IN ('dispute_letter', 'ai_prompt')),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS letter_template_versions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    template_id UUID NOT NULL REFERENCES letter_templates(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    -- Template text with {{group.field}} merge variables
+    body TEXT NOT NULL,
+    -- Merge variables referenced by the body, e.g. ["client.first_name", "item.balance"]
+    variables JSONB NOT NULL DEFAULT '[]',
+    effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (template_id, version)
+);
+
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS template_version_id UUID
+    REFERENCES letter_template_versions(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_letter_template_versions_effective
+    ON letter_template_versions(template_id, effective_date DESC, version DESC);
+CREATE INDEX IF NOT EXISTS idx_disputes_template_version ON disputes(template_version_id)
+    WHERE template_version_id IS NOT NULL;
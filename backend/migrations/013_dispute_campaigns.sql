@@ -0,0 +1,95 @@
+-- ============================================================================
+-- Migration 013: Dispute Campaigns
+-- Adds: dispute_campaigns — one per credit item and bureau
+--       dispute_rounds    — each dispute sent in a campaign, numbered, with
+--                           its outcome and the date the next round is due
+-- Backfills both from bureau disputes that were already sent.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS dispute_campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credit_item_id UUID NOT NULL REFERENCES credit_items(id) ON DELETE CASCADE,
+    bureau VARCHAR(20) NOT NULL CHECK (bureau IN ('experian', 'equifax', 'transunion')),
+    -- won: the item was deleted; exhausted: the final round ended without deletion
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'won', 'exhausted')),
+    next_round_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (credit_item_id, bureau)
+);
+
+CREATE TABLE IF NOT EXISTS dispute_rounds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID NOT NULL REFERENCES dispute_campaigns(id) ON DELETE CASCADE,
+    round_number INTEGER NOT NULL CHECK (round_number >= 1),
+    dispute_id UUID NOT NULL UNIQUE REFERENCES disputes(id) ON DELETE CASCADE,
+    sent_date DATE NOT NULL,
+    outcome VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (outcome IN ('pending', 'deleted', 'updated', 'verified', 'no_response')),
+    outcome_date DATE,
+    -- sent_date + STRATEGY_ROUNDS[round_number].waitDays
+    next_round_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (campaign_id, round_number)
+);
+
+-- ============================================================================
+-- Backfill
+-- ============================================================================
+
+INSERT INTO dispute_campaigns (client_id, credit_item_id, bureau)
+SELECT DISTINCT ON (credit_item_id, bureau) client_id, credit_item_id, bureau
+FROM disputes
+WHERE target_type = 'bureau' AND credit_item_id IS NOT NULL AND bureau IS NOT NULL
+  AND sent_date IS NOT NULL AND deleted_at IS NULL
+ON CONFLICT (credit_item_id, bureau) DO NOTHING;
+
+-- Wait days mirror STRATEGY_ROUNDS in utils/disputeStrategy.js
+INSERT INTO dispute_rounds (campaign_id, round_number, dispute_id, sent_date, outcome, outcome_date, next_round_date)
+SELECT campaign_id, round_number, dispute_id, sent_date, outcome, outcome_date,
+       sent_date + CASE LEAST(round_number, 4) WHEN 3 THEN 30 WHEN 4 THEN 60 ELSE 35 END
+FROM (
+    SELECT c.id AS campaign_id,
+           ROW_NUMBER() OVER (PARTITION BY c.id ORDER BY d.sent_date, d.created_at) AS round_number,
+           d.id AS dispute_id,
+           d.sent_date::date AS sent_date,
+           CASE
+               WHEN d.status = 'rejected' THEN 'verified'
+               WHEN d.status = 'resolved' AND ci.status = 'deleted' THEN 'deleted'
+               WHEN d.status = 'resolved' THEN 'updated'
+               ELSE 'pending'
+           END AS outcome,
+           CASE WHEN d.status IN ('resolved', 'rejected') THEN d.response_date::date END AS outcome_date
+    FROM disputes d
+    JOIN dispute_campaigns c ON c.credit_item_id = d.credit_item_id AND c.bureau = d.bureau
+    JOIN credit_items ci ON ci.id = d.credit_item_id
+    WHERE d.target_type = 'bureau' AND d.sent_date IS NOT NULL AND d.deleted_at IS NULL
+) sent
+ON CONFLICT DO NOTHING;
+
+UPDATE dispute_campaigns c
+SET status = CASE
+        WHEN EXISTS (SELECT 1 FROM dispute_rounds r WHERE r.campaign_id = c.id AND r.outcome = 'deleted') THEN 'won'
+        WHEN latest.round_number >= 4 AND latest.outcome <> 'pending' THEN 'exhausted'
+        ELSE 'active'
+    END,
+    next_round_date = latest.next_round_date
+FROM (
+    SELECT DISTINCT ON (campaign_id) campaign_id, round_number, outcome, next_round_date
+    FROM dispute_rounds
+    ORDER BY campaign_id, round_number DESC
+) latest
+WHERE latest.campaign_id = c.id;
+
+UPDATE dispute_campaigns SET next_round_date = NULL WHERE status <> 'active';
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_dispute_campaigns_client ON dispute_campaigns(client_id);
+CREATE INDEX IF NOT EXISTS idx_dispute_campaigns_due ON dispute_campaigns(next_round_date)
+    WHERE status = 'active';
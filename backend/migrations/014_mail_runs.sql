@@ -0,0 +1,40 @@
+-- ============================================================================
+-- Migration 014: Mail Runs
+-- Adds: mail_runs      — a batch of draft disputes printed together
+--       mail_run_items — the disputes in a run, in print order
+-- Disputes in a run stay drafts until staff confirm the run was mailed.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS mail_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'confirmed', 'cancelled')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    confirmed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    confirmed_at TIMESTAMP,
+    -- sent_date written to the run's disputes on confirmation
+    sent_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS mail_run_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mail_run_id UUID NOT NULL REFERENCES mail_runs(id) ON DELETE CASCADE,
+    dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    -- Bureau key, or 'furnisher' for direct disputes
+    group_key VARCHAR(20) NOT NULL,
+    position INTEGER NOT NULL,
+    -- false when the dispute was no longer a draft at confirmation
+    mailed BOOLEAN,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (mail_run_id, dispute_id)
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_mail_runs_created ON mail_runs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_mail_run_items_run ON mail_run_items(mail_run_id, position);
+CREATE INDEX IF NOT EXISTS idx_mail_run_items_dispute ON mail_run_items(dispute_id);
@@ -0,0 +1,37 @@
+-- ============================================================================
+-- Migration 015: Certified Mail Tracking
+-- Adds: carrier on disputes (which adapter tracks tracking_number)
+--       clock_start_date on disputes — the confirmed delivery date; the
+--       FCRA investigation period runs from it instead of sent_date
+--       mail_tracking_events — carrier scan events per dispute
+-- ============================================================================
+
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS carrier VARCHAR(30);
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS clock_start_date DATE;
+
+CREATE TABLE IF NOT EXISTS mail_tracking_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+    carrier VARCHAR(30) NOT NULL,
+    tracking_number VARCHAR(100) NOT NULL,
+    event_type VARCHAR(20) NOT NULL
+        CHECK (event_type IN ('accepted', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned')),
+    event_time TIMESTAMPTZ NOT NULL,
+    location VARCHAR(255),
+    description TEXT,
+    -- 'carrier' when polled through an adapter, 'manual' when entered by staff
+    source VARCHAR(20) NOT NULL DEFAULT 'carrier' CHECK (source IN ('carrier', 'manual')),
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    raw JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Re-polling a carrier returns the same scans; keep one row per scan
+    UNIQUE (dispute_id, tracking_number, event_type, event_time)
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_mail_tracking_events_dispute ON mail_tracking_events(dispute_id, event_time);
+CREATE INDEX IF NOT EXISTS idx_disputes_in_transit ON disputes(sent_date)
+    WHERE tracking_number IS NOT NULL AND clock_start_date IS NULL AND deleted_at IS NULL;
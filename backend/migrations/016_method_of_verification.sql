@@ -0,0 +1,41 @@
+-- ============================================================================
+-- Migration 016: Method of Verification Requests
+-- Adds: 'method_of_verification' dispute type — a §611(a)(7) request sent
+--       after a bureau reports an item as verified; the bureau has 15 days
+--       to describe how it verified the item
+--       original_dispute_id on disputes — the verified dispute a MOV request
+--       follows up on
+--       verification_responses — what the bureau said about how it verified
+-- ============================================================================
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_dispute_type_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_dispute_type_check
+    CHECK (dispute_type IN ('not_mine', 'paid', 'inaccurate_info', 'outdated', 'duplicate', 'other', 'method_of_verification'));
+
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS original_dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS verification_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- The MOV request this answers; one response per request
+    dispute_id UUID NOT NULL UNIQUE REFERENCES disputes(id) ON DELETE CASCADE,
+    original_dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL,
+    received_date DATE NOT NULL,
+    method VARCHAR(30) NOT NULL
+        CHECK (method IN ('automated', 'furnisher_contact', 'document_review', 'not_described', 'other')),
+    -- Furnisher the bureau says it contacted (§611(a)(7) requires name, address and phone)
+    furnisher_name VARCHAR(255),
+    furnisher_address TEXT,
+    furnisher_phone VARCHAR(50),
+    documents_provided TEXT,
+    procedure_description TEXT,
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_disputes_original_dispute ON disputes(original_dispute_id)
+    WHERE original_dispute_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_verification_responses_original ON verification_responses(original_dispute_id);
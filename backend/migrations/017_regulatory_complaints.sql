@@ -0,0 +1,43 @@
+-- ============================================================================
+-- Migration 017: Regulatory Complaints (Round 4)
+-- Adds: regulatory_complaints — CFPB and state Attorney General complaints
+--       built from an item's dispute history, when they were filed, and the
+--       company's reply
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS regulatory_complaints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credit_item_id UUID REFERENCES credit_items(id) ON DELETE SET NULL,
+    bureau VARCHAR(20) NOT NULL CHECK (bureau IN ('experian', 'equifax', 'transunion')),
+    agency VARCHAR(20) NOT NULL CHECK (agency IN ('cfpb', 'state_ag')),
+    -- State whose Attorney General receives a state_ag complaint
+    state VARCHAR(2),
+    company_name VARCHAR(255) NOT NULL,
+    narrative TEXT NOT NULL,
+    -- Portal fields as generated, including the disputes and attachments cited
+    package JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'filed', 'responded')),
+    filed_date DATE,
+    confirmation_number VARCHAR(100),
+    response_due_date DATE,
+    company_response_date DATE,
+    company_response_type VARCHAR(40)
+        CHECK (company_response_type IN (
+            'closed_with_explanation', 'closed_with_monetary_relief', 'closed_with_non_monetary_relief',
+            'in_progress', 'administrative_response'
+        )),
+    company_response_text TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_regulatory_complaints_client ON regulatory_complaints(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_regulatory_complaints_awaiting ON regulatory_complaints(response_due_date)
+    WHERE status = 'filed';
@@ -0,0 +1,87 @@
+-- ============================================================================
+-- Migration 018: Identity Theft Blocks (FCRA §605B)
+-- Adds: 'ftc_identity_theft_report' and 'police_report' document categories
+--       'identity_theft_block' dispute type — one block request per bureau,
+--       listing every fraudulent item; the bureau must block within 4
+--       business days of receiving it
+--       identity_theft_cases — a client's identity theft report(s)
+--       identity_theft_items — tradelines and inquiries picked for blocking,
+--       per bureau, with the block request that covers them and its result
+--       bureau_protections — fraud alerts and security freezes per bureau
+-- ============================================================================
+
+ALTER TABLE documents DROP CONSTRAINT IF EXISTS documents_document_category_check;
+ALTER TABLE documents ADD CONSTRAINT documents_document_category_check
+    CHECK (document_category IN (
+        'id', 'drivers_license', 'passport', 'state_id', 'military_id', 'ssn_card',
+        'proof_of_address', 'credit_report', 'dispute_letter', 'response', 'contract',
+        'poa', 'authorization', 'ftc_identity_theft_report', 'police_report', 'other'
+    ));
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_dispute_type_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_dispute_type_check
+    CHECK (dispute_type IN ('not_mine', 'paid', 'inaccurate_info', 'outdated', 'duplicate', 'other',
+                            'method_of_verification', 'identity_theft_block'));
+
+CREATE TABLE IF NOT EXISTS identity_theft_cases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- The FTC Identity Theft Report is the "identity theft report" §605B requires
+    ftc_report_document_id UUID NOT NULL REFERENCES documents(id) ON DELETE RESTRICT,
+    ftc_report_number VARCHAR(50),
+    police_report_document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+    police_report_number VARCHAR(100),
+    police_department VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS identity_theft_case_id UUID
+    REFERENCES identity_theft_cases(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS identity_theft_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    case_id UUID NOT NULL REFERENCES identity_theft_cases(id) ON DELETE CASCADE,
+    credit_item_id UUID NOT NULL REFERENCES credit_items(id) ON DELETE CASCADE,
+    bureau VARCHAR(20) NOT NULL CHECK (bureau IN ('experian', 'equifax', 'transunion')),
+    -- Block request that lists this item; NULL until one is generated
+    dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'requested', 'blocked', 'declined')),
+    result_date DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (case_id, credit_item_id, bureau)
+);
+
+CREATE TABLE IF NOT EXISTS bureau_protections (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    case_id UUID REFERENCES identity_theft_cases(id) ON DELETE SET NULL,
+    bureau VARCHAR(20) NOT NULL CHECK (bureau IN ('experian', 'equifax', 'transunion')),
+    protection_type VARCHAR(30) NOT NULL
+        CHECK (protection_type IN ('initial_fraud_alert', 'extended_fraud_alert', 'active_duty_alert', 'security_freeze')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'lifted')),
+    placed_date DATE NOT NULL,
+    -- NULL for freezes, which stay until lifted
+    expires_date DATE,
+    lifted_date DATE,
+    -- Never store a freeze PIN here
+    confirmation_number VARCHAR(100),
+    notes TEXT,
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_identity_theft_cases_client ON identity_theft_cases(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_identity_theft_items_case ON identity_theft_items(case_id, bureau);
+CREATE INDEX IF NOT EXISTS idx_disputes_identity_theft_case ON disputes(identity_theft_case_id)
+    WHERE identity_theft_case_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_bureau_protections_client ON bureau_protections(client_id, bureau);
@@ -0,0 +1,24 @@
+-- ============================================================================
+-- Migration 019: Obsolescence (FCRA §605)
+-- Adds: credit_items.date_of_first_delinquency — starts the 7-year reporting
+--       period for collections, charge-offs and late payments
+--       credit_items.bankruptcy_chapter — 10 years for Chapter 7, 7 for 13
+--       Suggested-dispute flag on credit_items, set automatically when an
+--       item is past its purge date
+-- ============================================================================
+
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS date_of_first_delinquency DATE;
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS bankruptcy_chapter SMALLINT
+    CHECK (bankruptcy_chapter IN (7, 11, 12, 13));
+
+-- Dispute type the item should be disputed with, and why
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS suggested_dispute_type VARCHAR(50);
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS flag_reason TEXT;
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP;
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_credit_items_suggested ON credit_items(client_id, suggested_dispute_type)
+    WHERE suggested_dispute_type IS NOT NULL AND deleted_at IS NULL;
@@ -0,0 +1,10 @@
+-- ============================================================================
+-- Migration 020: Statute of Limitations
+-- Adds: credit_items.last_payment_date — starts the state limitations period
+--       credit_items.debt_category — which period applies: written contract,
+--       open account or promissory note; NULL uses the longest of the three
+-- ============================================================================
+
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS last_payment_date DATE;
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS debt_category VARCHAR(20)
+    CHECK (debt_category IN ('written', 'open', 'promissory'));
@@ -0,0 +1,7 @@
+-- ============================================================================
+-- Migration 021: Metro 2 Consistency Rules
+-- Adds: credit_items.flag_rule_id — the Metro 2 rule (e.g. M2-003) that set
+--       the suggested dispute, so staff can see which check fired
+-- ============================================================================
+
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS flag_rule_id VARCHAR(20);
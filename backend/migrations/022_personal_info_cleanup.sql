@@ -0,0 +1,44 @@
+-- ============================================================================
+-- Migration 022: Personal Information Cleanup
+-- Adds: 'personal_info' dispute type — one letter per bureau asking it to
+--       remove names, addresses, employers and phone numbers the client does
+--       not recognize (FCRA §611)
+--       personal_info_entries — each name, address, employer and phone a
+--       bureau reports, whether it matches the client's verified profile,
+--       the client's answer, and when it stopped being reported
+-- ============================================================================
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_dispute_type_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_dispute_type_check
+    CHECK (dispute_type IN ('not_mine', 'paid', 'inaccurate_info', 'outdated', 'duplicate', 'other',
+                            'method_of_verification', 'identity_theft_block', 'personal_info'));
+
+CREATE TABLE IF NOT EXISTS personal_info_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    bureau VARCHAR(20) NOT NULL CHECK (bureau IN ('experian', 'equifax', 'transunion')),
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('name', 'address', 'employer', 'phone')),
+    -- As reported, and normalized for matching across reports
+    value TEXT NOT NULL,
+    match_key VARCHAR(255) NOT NULL,
+    -- Matches client_profiles / client_addresses
+    verified BOOLEAN NOT NULL DEFAULT false,
+    client_response VARCHAR(20) CHECK (client_response IN ('recognized', 'unknown')),
+    status VARCHAR(20) NOT NULL DEFAULT 'reported' CHECK (status IN ('reported', 'disputed', 'removed')),
+    -- Cleanup letter that lists this entry; NULL until one is generated
+    dispute_id UUID REFERENCES disputes(id) ON DELETE SET NULL,
+    first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    removed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (client_id, bureau, entry_type, match_key)
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_personal_info_entries_client ON personal_info_entries(client_id, bureau);
+CREATE INDEX IF NOT EXISTS idx_personal_info_entries_dispute ON personal_info_entries(dispute_id)
+    WHERE dispute_id IS NOT NULL;
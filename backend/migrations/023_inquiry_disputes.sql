@@ -0,0 +1,29 @@
+-- ============================================================================
+-- Migration 023: Unauthorized Hard Inquiries
+-- Adds: 'unauthorized_inquiry' dispute type — a §604 permissible-purpose
+--       demand to the inquiring creditor plus a letter to the bureau
+--       credit_items.inquiry_response — whether the client authorized a hard
+--       inquiry, and when they answered
+--       credit_items.removed_at — when a later report stopped listing the item
+-- ============================================================================
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_dispute_type_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_dispute_type_check
+    CHECK (dispute_type IN ('not_mine', 'paid', 'inaccurate_info', 'outdated', 'duplicate', 'other',
+                            'method_of_verification', 'identity_theft_block', 'personal_info',
+                            'unauthorized_inquiry'));
+
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS inquiry_response VARCHAR(20);
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS inquiry_reviewed_at TIMESTAMP;
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS removed_at TIMESTAMP;
+
+ALTER TABLE credit_items DROP CONSTRAINT IF EXISTS credit_items_inquiry_response_check;
+ALTER TABLE credit_items ADD CONSTRAINT credit_items_inquiry_response_check
+    CHECK (inquiry_response IN ('authorized', 'unauthorized'));
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_credit_items_inquiries ON credit_items(client_id, bureau)
+    WHERE item_type = 'inquiry' AND deleted_at IS NULL;
@@ -0,0 +1,22 @@
+-- ============================================================================
+-- Migration 024: Medical Debt Policy
+-- Adds: credit_items.is_medical — set from the analyzer's medical account
+--       type or a medical creditor name
+--       'medical_debt' dispute type — a bureau letter citing the bureaus'
+--       medical debt reporting policy (paid, under $500, or under a year old)
+-- ============================================================================
+
+ALTER TABLE credit_items ADD COLUMN IF NOT EXISTS is_medical BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_dispute_type_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_dispute_type_check
+    CHECK (dispute_type IN ('not_mine', 'paid', 'inaccurate_info', 'outdated', 'duplicate', 'other',
+                            'method_of_verification', 'identity_theft_block', 'personal_info',
+                            'unauthorized_inquiry', 'medical_debt'));
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_credit_items_medical ON credit_items(client_id)
+    WHERE is_medical AND deleted_at IS NULL;
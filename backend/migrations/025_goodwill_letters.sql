@@ -0,0 +1,49 @@
+-- ============================================================================
+-- Migration 025: Goodwill Letters
+-- Adds: furnishers goodwill address — where a creditor takes goodwill
+--       requests, when it differs from its dispute address
+--       goodwill_letters — letters asking an original creditor to remove late
+--       payments as a courtesy, with the payment history and hardship story
+--       they were built from and the creditor's answer. Goodwill letters are
+--       not disputes and are kept apart from dispute rounds.
+--       'creditor_letter' letter template category
+-- ============================================================================
+
+ALTER TABLE furnishers ADD COLUMN IF NOT EXISTS goodwill_address_line1 VARCHAR(255);
+ALTER TABLE furnishers ADD COLUMN IF NOT EXISTS goodwill_address_line2 VARCHAR(255);
+ALTER TABLE furnishers ADD COLUMN IF NOT EXISTS goodwill_city VARCHAR(100);
+ALTER TABLE furnishers ADD COLUMN IF NOT EXISTS goodwill_state VARCHAR(2);
+ALTER TABLE furnishers ADD COLUMN IF NOT EXISTS goodwill_zip_code VARCHAR(10);
+
+ALTER TABLE letter_templates DROP CONSTRAINT IF EXISTS letter_templates_category_check;
+ALTER TABLE letter_templates ADD CONSTRAINT letter_templates_category_check
+    CHECK (category IN ('dispute_letter', 'ai_prompt', 'creditor_letter'));
+
+CREATE TABLE IF NOT EXISTS goodwill_letters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credit_item_id UUID NOT NULL REFERENCES credit_items(id) ON DELETE CASCADE,
+    furnisher_id UUID NOT NULL REFERENCES furnishers(id) ON DELETE RESTRICT,
+    hardship_story TEXT NOT NULL,
+    -- Payment History Profile from the latest snapshot, most recent month first
+    payment_history VARCHAR(100),
+    snapshot_id UUID REFERENCES credit_report_snapshots(id) ON DELETE SET NULL,
+    letter_content TEXT NOT NULL,
+    template_version_id UUID REFERENCES letter_template_versions(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'sent', 'granted', 'denied', 'no_reply')),
+    sent_date DATE,
+    outcome_date DATE,
+    outcome_notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_goodwill_letters_client ON goodwill_letters(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_goodwill_letters_item ON goodwill_letters(credit_item_id);
+CREATE INDEX IF NOT EXISTS idx_goodwill_letters_open ON goodwill_letters(sent_date) WHERE status = 'sent';
@@ -0,0 +1,54 @@
+-- ============================================================================
+-- Migration 026: Settlement Negotiations
+-- Adds: settlement_negotiations — one negotiation with a collector per
+--       collection or charge-off, from the first offer through the
+--       pay-for-delete agreement, payment, and the check that a later bureau
+--       report no longer lists the account
+--       settlement_offers — each offer and counteroffer, and who made it
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS settlement_negotiations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    credit_item_id UUID NOT NULL REFERENCES credit_items(id) ON DELETE CASCADE,
+    furnisher_id UUID NOT NULL REFERENCES furnishers(id) ON DELETE RESTRICT,
+    -- Balance on the item when the negotiation was opened
+    reported_balance DECIMAL(12,2),
+    status VARCHAR(20) NOT NULL DEFAULT 'negotiating'
+        CHECK (status IN ('negotiating', 'agreed', 'paid', 'deleted', 'not_deleted', 'abandoned')),
+    agreed_amount DECIMAL(12,2) CHECK (agreed_amount > 0),
+    payment_deadline DATE,
+    agreement_date DATE,
+    letter_content TEXT,
+    template_version_id UUID REFERENCES letter_template_versions(id) ON DELETE SET NULL,
+    payment_date DATE,
+    -- Per-bureau result of the last deletion check
+    verification_details JSONB,
+    verification_checked_at TIMESTAMP,
+    deletion_confirmed_at TIMESTAMP,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS settlement_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    negotiation_id UUID NOT NULL REFERENCES settlement_negotiations(id) ON DELETE CASCADE,
+    amount DECIMAL(12,2) NOT NULL CHECK (amount > 0),
+    offered_by VARCHAR(20) NOT NULL CHECK (offered_by IN ('client', 'creditor')),
+    offer_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    notes TEXT,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ============================================================================
+-- Indexes
+-- ============================================================================
+
+CREATE INDEX IF NOT EXISTS idx_settlement_negotiations_client ON settlement_negotiations(client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_settlement_negotiations_item ON settlement_negotiations(credit_item_id);
+CREATE INDEX IF NOT EXISTS idx_settlement_negotiations_unverified ON settlement_negotiations(client_id)
+    WHERE status IN ('paid', 'not_deleted');
+CREATE INDEX IF NOT EXISTS idx_settlement_offers_negotiation ON settlement_offers(negotiation_id, offer_date);
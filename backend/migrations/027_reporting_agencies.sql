@@ -0,0 +1,30 @@
+-- ============================================================================
+-- Migration 027: Specialty Reporting Agencies
+-- Adds: credit items, disputes and dispute campaigns may target the specialty
+--       reporting agencies in SPECIALTY_AGENCY_STRATEGIES (ChexSystems, Early
+--       Warning, LexisNexis, Innovis, SageStream and the tenant-screening
+--       agencies) as well as the three nationwide bureaus. Report snapshots,
+--       pulls and scores stay limited to the nationwide bureaus.
+--       'agency_letter' letter template category
+-- ============================================================================
+
+-- The bureau lists below are the keys of AGENCY_STRATEGIES in
+-- utils/disputeStrategy.js; tests/unit/validators.test.js checks they match.
+ALTER TABLE credit_items DROP CONSTRAINT IF EXISTS credit_items_bureau_check;
+ALTER TABLE credit_items ADD CONSTRAINT credit_items_bureau_check
+    CHECK (bureau IN ('experian', 'equifax', 'transunion', 'chexsystems', 'early_warning', 'lexisnexis',
+                      'innovis', 'sagestream', 'saferent', 'realpage', 'all'));
+
+ALTER TABLE disputes DROP CONSTRAINT IF EXISTS disputes_bureau_check;
+ALTER TABLE disputes ADD CONSTRAINT disputes_bureau_check
+    CHECK (bureau IN ('experian', 'equifax', 'transunion', 'chexsystems', 'early_warning', 'lexisnexis',
+                      'innovis', 'sagestream', 'saferent', 'realpage'));
+
+ALTER TABLE dispute_campaigns DROP CONSTRAINT IF EXISTS dispute_campaigns_bureau_check;
+ALTER TABLE dispute_campaigns ADD CONSTRAINT dispute_campaigns_bureau_check
+    CHECK (bureau IN ('experian', 'equifax', 'transunion', 'chexsystems', 'early_warning', 'lexisnexis',
+                      'innovis', 'sagestream', 'saferent', 'realpage'));
+
+ALTER TABLE letter_templates DROP CONSTRAINT IF EXISTS letter_templates_category_check;
+ALTER TABLE letter_templates ADD CONSTRAINT letter_templates_category_check
+    CHECK (category IN ('dispute_letter', 'ai_prompt', 'creditor_letter', 'agency_letter'));
@@ -0,0 +1,8 @@
+-- ============================================================================
+-- Migration 028: Debt Validation Letter Templates
+-- Alters: debt_validation_requests.template_version_id — the letter template
+--         version that produced the validation request letter
+-- ============================================================================
+
+ALTER TABLE debt_validation_requests ADD COLUMN IF NOT EXISTS template_version_id UUID
+    REFERENCES letter_template_versions(id) ON DELETE SET NULL;
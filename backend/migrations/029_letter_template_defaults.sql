@@ -0,0 +1,1667 @@
+-- ============================================================================
+-- Migration 029: Built-in Letter Template Versions
+-- Adds: every built-in letter template and AI prompt (utils/letterTemplateDefaults)
+--       as a saved version, so each generated letter records the version that
+--       produced it. Templates never edited become version 1; templates an
+--       admin already edited get the built-in text as version 0, the text in
+--       effect before their first saved version. Both take effect on
+--       1970-01-01 so letters dated before any edit also resolve to a version.
+-- ============================================================================
+
+INSERT INTO letter_templates (template_key, category, name, description) VALUES
+    ('dispute.not_mine', 'dispute_letter', 'Bureau dispute — Not Mine', 'Letter sent to a credit bureau for a "not_mine" dispute'),
+    ('dispute.paid', 'dispute_letter', 'Bureau dispute — Already Paid', 'Letter sent to a credit bureau for a "paid" dispute'),
+    ('dispute.inaccurate_info', 'dispute_letter', 'Bureau dispute — Inaccurate Information', 'Letter sent to a credit bureau for a "inaccurate_info" dispute'),
+    ('dispute.outdated', 'dispute_letter', 'Bureau dispute — Outdated', 'Letter sent to a credit bureau for a "outdated" dispute'),
+    ('dispute.duplicate', 'dispute_letter', 'Bureau dispute — Duplicate', 'Letter sent to a credit bureau for a "duplicate" dispute'),
+    ('dispute.other', 'dispute_letter', 'Bureau dispute — Other', 'Letter sent to a credit bureau for a "other" dispute'),
+    ('dispute.medical_debt', 'dispute_letter', 'Bureau dispute — Medical Debt Policy', 'Letter sent to a credit bureau for a "medical_debt" dispute'),
+    ('dispute.method_of_verification', 'dispute_letter', 'Bureau dispute — Method of Verification', 'Letter sent to a credit bureau for a "method_of_verification" dispute'),
+    ('dispute.identity_theft_block', 'dispute_letter', 'Bureau dispute — Identity Theft Block (§605B)', 'Letter sent to a credit bureau for a "identity_theft_block" dispute'),
+    ('dispute.personal_info', 'dispute_letter', 'Bureau dispute — Personal Information', 'Letter sent to a credit bureau for a "personal_info" dispute'),
+    ('dispute.unauthorized_inquiry', 'dispute_letter', 'Bureau dispute — Unauthorized Inquiry', 'Letter sent to a credit bureau for a "unauthorized_inquiry" dispute'),
+    ('dispute.agency.not_mine', 'dispute_letter', 'Specialty agency dispute — Not Mine', 'Letter sent to a specialty reporting agency for a "not_mine" dispute'),
+    ('dispute.agency.paid', 'dispute_letter', 'Specialty agency dispute — Already Paid', 'Letter sent to a specialty reporting agency for a "paid" dispute'),
+    ('dispute.agency.inaccurate_info', 'dispute_letter', 'Specialty agency dispute — Inaccurate Information', 'Letter sent to a specialty reporting agency for a "inaccurate_info" dispute'),
+    ('dispute.agency.outdated', 'dispute_letter', 'Specialty agency dispute — Outdated', 'Letter sent to a specialty reporting agency for a "outdated" dispute'),
+    ('dispute.agency.duplicate', 'dispute_letter', 'Specialty agency dispute — Duplicate', 'Letter sent to a specialty reporting agency for a "duplicate" dispute'),
+    ('dispute.agency.other', 'dispute_letter', 'Specialty agency dispute — Other', 'Letter sent to a specialty reporting agency for a "other" dispute'),
+    ('dispute.agency.method_of_verification', 'dispute_letter', 'Specialty agency dispute — Method of Verification', 'Letter sent to a specialty reporting agency for a "method_of_verification" dispute'),
+    ('dispute.agency.identity_theft_block', 'dispute_letter', 'Specialty agency dispute — Identity Theft Block (§605B)', 'Letter sent to a specialty reporting agency for a "identity_theft_block" dispute'),
+    ('dispute.agency.personal_info', 'dispute_letter', 'Specialty agency dispute — Personal Information', 'Letter sent to a specialty reporting agency for a "personal_info" dispute'),
+    ('dispute.agency.unauthorized_inquiry', 'dispute_letter', 'Specialty agency dispute — Unauthorized Inquiry', 'Letter sent to a specialty reporting agency for a "unauthorized_inquiry" dispute'),
+    ('furnisher.not_mine', 'creditor_letter', 'Furnisher dispute — Not Mine', 'Direct dispute sent to the furnisher for a "not_mine" dispute (FCRA §623(a)(8))'),
+    ('furnisher.paid', 'creditor_letter', 'Furnisher dispute — Already Paid', 'Direct dispute sent to the furnisher for a "paid" dispute (FCRA §623(a)(8))'),
+    ('furnisher.inaccurate_info', 'creditor_letter', 'Furnisher dispute — Inaccurate Information', 'Direct dispute sent to the furnisher for a "inaccurate_info" dispute (FCRA §623(a)(8))'),
+    ('furnisher.outdated', 'creditor_letter', 'Furnisher dispute — Outdated', 'Direct dispute sent to the furnisher for a "outdated" dispute (FCRA §623(a)(8))'),
+    ('furnisher.duplicate', 'creditor_letter', 'Furnisher dispute — Duplicate', 'Direct dispute sent to the furnisher for a "duplicate" dispute (FCRA §623(a)(8))'),
+    ('furnisher.unauthorized_inquiry', 'creditor_letter', 'Furnisher dispute — Unauthorized Inquiry', 'Direct dispute sent to the furnisher for a "unauthorized_inquiry" dispute (FCRA §623(a)(8))'),
+    ('furnisher.other', 'creditor_letter', 'Furnisher dispute — Other', 'Direct dispute sent to the furnisher for a "other" dispute (FCRA §623(a)(8))'),
+    ('debt_validation.request', 'creditor_letter', 'Debt validation request', 'Request to a collector to validate a debt under FDCPA §809(b)'),
+    ('debt_validation.follow_up', 'dispute_letter', 'Bureau dispute — Unvalidated collection', 'Bureau dispute of a collection the collector did not validate'),
+    ('escalation.bureau', 'dispute_letter', 'Failure to investigate — bureau dispute', 'Demand sent when the statutory period for a dispute passed without an answer'),
+    ('escalation.method_of_verification', 'dispute_letter', 'Failure to investigate — method of verification request', 'Demand sent when the statutory period for a dispute passed without an answer'),
+    ('escalation.identity_theft_block', 'dispute_letter', 'Failure to investigate — identity theft block', 'Demand sent when the statutory period for a dispute passed without an answer'),
+    ('escalation.furnisher', 'creditor_letter', 'Failure to investigate — furnisher direct dispute', 'Demand sent when the statutory period for a dispute passed without an answer'),
+    ('goodwill.letter', 'creditor_letter', 'Goodwill letter', 'Letter asking an original creditor to remove accurate late payments as a courtesy'),
+    ('settlement.pay_for_delete', 'creditor_letter', 'Pay-for-delete agreement', 'Agreement sent to a collector to delete an account in exchange for payment'),
+    ('agency.file_request', 'agency_letter', 'Reporting agency file request', 'Request to a reporting agency for a copy of the consumer file, sent before disputing there'),
+    ('ai.system', 'ai_prompt', 'AI dispute letter — system prompt', 'Instructions given to the model for every AI-generated dispute letter'),
+    ('ai.user.not_mine', 'ai_prompt', 'AI dispute letter — Not Mine prompt', 'Client, account and dispute details sent to the model for a "not_mine" dispute'),
+    ('ai.user.paid', 'ai_prompt', 'AI dispute letter — Already Paid prompt', 'Client, account and dispute details sent to the model for a "paid" dispute'),
+    ('ai.user.inaccurate_info', 'ai_prompt', 'AI dispute letter — Inaccurate Information prompt', 'Client, account and dispute details sent to the model for a "inaccurate_info" dispute'),
+    ('ai.user.outdated', 'ai_prompt', 'AI dispute letter — Outdated prompt', 'Client, account and dispute details sent to the model for a "outdated" dispute'),
+    ('ai.user.duplicate', 'ai_prompt', 'AI dispute letter — Duplicate prompt', 'Client, account and dispute details sent to the model for a "duplicate" dispute'),
+    ('ai.user.other', 'ai_prompt', 'AI dispute letter — Other prompt', 'Client, account and dispute details sent to the model for a "other" dispute')
+ON CONFLICT (template_key) DO NOTHING;
+
+INSERT INTO letter_template_versions (template_id, version, body, variables, effective_date, notes)
+SELECT t.id,
+       CASE WHEN EXISTS (SELECT 1 FROM letter_template_versions v WHERE v.template_id = t.id) THEN 0 ELSE 1 END,
+       d.body, d.variables::jsonb, DATE '1970-01-01', 'Built-in text'
+FROM (VALUES
+    ('dispute.not_mine', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Account Not Belonging to Me — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute the following information in my {{bureau.name}} credit file.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+This account does not belong to me. I have never opened an account with {{item.creditor_name}}, and I did not authorize anyone to open this account on my behalf.
+
+Please provide documentation proving that this account is mine, such as an application or agreement bearing my signature. Without such proof, the account must be deleted from my credit file under FCRA §611(a)(5)(A).
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.paid', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Paid Account Status — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute the reported status of an account on my {{bureau.name}} credit file. The account is reporting a balance or status that does not reflect that I paid it in full.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+I have paid this account and can provide documentation of payment. Please update the account to show a $0 balance and a paid status, and remove any negative notations that are not accurate.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.inaccurate_info', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request for Investigation — Inaccurate Information — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I recently reviewed my {{bureau.name}} credit report and found inaccurate information that must be corrected.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+- Issue: {{item.description|Contains inaccurate information}}
+
+The information reported for this account does not match my records. Please investigate each reported field and correct or delete the inaccurate data.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","item.description","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.outdated', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Obsolete Account Information — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute negative information on my {{bureau.name}} credit file that is beyond the reporting period allowed by law.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Not Provided}}
+- Date of First Delinquency: {{item.date_of_first_delinquency|Not Provided}}
+- Reporting Period Ended: {{item.purge_date|See date of first delinquency}}
+
+Under FCRA §605(a), most negative information may only be reported for 7 years from the date of first delinquency. Please verify the date of first delinquency and delete this obsolete account from my credit file.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","item.date_opened","item.date_of_first_delinquency","item.purge_date","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.duplicate', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Duplicate Account Listing — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute a duplicate listing on my {{bureau.name}} credit file. The same account from {{item.creditor_name}} appears more than once.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+- Also Reported As: {{letter.additional_details|Another listing of the same debt on this file}}
+
+Reporting the same debt more than once overstates my obligations and is inaccurate. Please investigate and remove the duplicate listing.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","letter.additional_details","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.other', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Formal Dispute of Credit Report Information — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute information on my {{bureau.name}} credit file that is inaccurate and must be corrected or removed.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+This account information does not reflect my actual history with this creditor. Please investigate and correct or delete it.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.medical_debt', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Medical Debt Excluded by Bureau Reporting Policy — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute the following medical collection in my {{bureau.name}} credit file.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+Equifax, Experian and TransUnion do not report medical collection debt that has been paid, that is under $500, or that became delinquent less than a year ago. This account falls within that policy:
+
+{{letter.additional_details|This medical collection is excluded by the medical debt reporting policy.}}
+
+Information your own policy excludes from credit files cannot be reported as accurate or complete. Please delete this account from my credit file and confirm its removal in writing.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","letter.additional_details","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.method_of_verification', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request for Method of Verification — FCRA §611(a)(7) — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+On {{original_dispute.sent_date}}, I disputed the following account in my {{bureau.name}} credit file. In your reply dated {{original_dispute.response_date}}, you stated that the information was verified as accurate.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+Under FCRA §611(a)(7), I request a description of the procedure used to determine the accuracy and completeness of this information, including the business name, address, and telephone number of every furnisher you contacted. You must provide this description within 15 days of receiving this request.
+
+Please tell me:
+- How the information was verified (automated e-OSCAR response, telephone call, or review of documents)
+- The name, address, and telephone number of each person or business you contacted
+- Any documents the furnisher provided to support the verification
+- The date the verification was completed
+
+If you cannot describe a reasonable procedure that confirmed this information, it was not verified and must be deleted under FCRA §611(a)(5)(A).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","original_dispute.sent_date","bureau.name","original_dispute.response_date","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.identity_theft_block', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request to Block Information Resulting from Identity Theft — FCRA §605B
+
+Dear Sir or Madam,
+
+I am a victim of identity theft. Under FCRA §605B, I request that you block the following information in my {{bureau.name}} credit file. It resulted from identity theft, and I did not open, use, authorize or benefit from any of it:
+
+{{identity_theft.blocked_items}}
+
+As §605B(a) requires, I enclose proof of my identity, a copy of my identity theft report (FTC Identity Theft Report {{identity_theft.ftc_report_number|enclosed}}; police report {{identity_theft.police_report|not filed}}), and this statement identifying the information that resulted from the theft.
+
+You must block this information within 4 business days of receiving this request and promptly notify each furnisher of the block, as required by FCRA §605B(a) and (b). Please confirm the block in writing and send me an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address, FTC Identity Theft Report, Police report (if filed)
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","bureau.name","identity_theft.blocked_items","identity_theft.ftc_report_number","identity_theft.police_report","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.personal_info', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request to Remove Inaccurate Personal Information
+
+Dear Sir or Madam,
+
+My {{bureau.name}} credit file lists personal information that does not belong to me. I do not recognize the following, and have never used or been associated with it:
+
+{{personal_info.entries}}
+
+My correct name and current address are shown below. Under FCRA §611(a), please investigate and delete the information listed above from my file. Inaccurate identifying information can cause other people's accounts and inquiries to be mixed into my file, so under §607(b) please also review the procedures that placed it there.
+
+Please send me an updated copy of my credit report once the information has been removed.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","bureau.name","personal_info.entries","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.unauthorized_inquiry', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Unauthorized Hard Inquiry
+
+Dear Sir or Madam,
+
+My {{bureau.name}} credit file lists the following hard inquiry, which I did not authorize:
+
+- Inquiring Company: {{item.creditor_name}}
+- Inquiry Date: {{item.date_reported|Unknown}}
+
+I did not apply for credit with {{item.creditor_name}}, did not initiate any transaction with them, and did not give them permission to obtain my credit report. Under FCRA §604(a), you may furnish a consumer report only to a person with a permissible purpose, and §607(a) requires you to maintain reasonable procedures to limit your reports to those purposes. I have written to {{item.creditor_name}} separately asking for proof of its permissible purpose.
+
+Please investigate this inquiry under FCRA §611(a) and delete it from my file unless {{item.creditor_name}} shows that it had a permissible purpose.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","bureau.name","item.creditor_name","item.date_reported","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.not_mine', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Record Not Belonging to Me — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute the following record in my {{bureau.name}} consumer file.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+This record does not belong to me. I have never held an account with {{item.creditor_name}}, and I did not authorize anyone to open one in my name.
+
+Please obtain from {{item.creditor_name}} the application, agreement or other document showing that this record is mine. If it cannot provide one, the record cannot be verified and must be deleted under FCRA §611(a)(5)(A).
+
+{{bureau.name}} is a consumer reporting agency, and FCRA §611(a) applies to it as it does to the nationwide bureaus: you must conduct a reasonable reinvestigation within 30 days of receiving this dispute, forward it to the company that furnished the information, and delete any information that cannot be verified. Please send me written confirmation of the results and an updated copy of my consumer file.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.paid', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Paid Balance Reported as Unpaid — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute a record in my {{bureau.name}} consumer file that still shows a balance I have paid.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+I paid {{item.creditor_name}} in full and can provide proof of payment. A record reporting an amount owed that is no longer owed is inaccurate. Please update it to show the balance as paid, or delete it if {{item.creditor_name}} no longer asks you to report it.
+
+{{bureau.name}} is a consumer reporting agency, and FCRA §611(a) applies to it as it does to the nationwide bureaus: you must conduct a reasonable reinvestigation within 30 days of receiving this dispute, forward it to the company that furnished the information, and delete any information that cannot be verified. Please send me written confirmation of the results and an updated copy of my consumer file.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.inaccurate_info', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request for Reinvestigation — Inaccurate Information — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I recently obtained my {{bureau.name}} consumer file and found a record that is inaccurate.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+- Issue: {{item.description|Contains inaccurate information}}
+
+The information reported does not match my records. Please reinvestigate each reported field with {{item.creditor_name}} and correct or delete the inaccurate data.
+
+{{bureau.name}} is a consumer reporting agency, and FCRA §611(a) applies to it as it does to the nationwide bureaus: you must conduct a reasonable reinvestigation within 30 days of receiving this dispute, forward it to the company that furnished the information, and delete any information that cannot be verified. Please send me written confirmation of the results and an updated copy of my consumer file.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","item.description","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.outdated', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Obsolete Information — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute a record in my {{bureau.name}} consumer file that is older than the law allows you to report.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Not Provided}}
+- Date of First Delinquency: {{item.date_of_first_delinquency|Not Provided}}
+- Reporting Period Ended: {{item.purge_date|See date of first delinquency}}
+
+Under FCRA §605(a), adverse information other than bankruptcies and criminal convictions may not be reported for more than 7 years, and {{bureau.name}}'s own retention period may be shorter. Please confirm the date this record arose and delete it from my consumer file.
+
+{{bureau.name}} is a consumer reporting agency, and FCRA §611(a) applies to it as it does to the nationwide bureaus: you must conduct a reasonable reinvestigation within 30 days of receiving this dispute, forward it to the company that furnished the information, and delete any information that cannot be verified. Please send me written confirmation of the results and an updated copy of my consumer file.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","item.date_opened","item.date_of_first_delinquency","item.purge_date","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.duplicate', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Duplicate Record — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute a duplicate record in my {{bureau.name}} consumer file. The same matter with {{item.creditor_name}} appears more than once.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+- Also Reported As: {{letter.additional_details|Another record of the same matter in this file}}
+
+Reporting the same matter more than once is inaccurate and makes my history look worse than it is. Please reinvestigate and remove the duplicate record.
+
+{{bureau.name}} is a consumer reporting agency, and FCRA §611(a) applies to it as it does to the nationwide bureaus: you must conduct a reasonable reinvestigation within 30 days of receiving this dispute, forward it to the company that furnished the information, and delete any information that cannot be verified. Please send me written confirmation of the results and an updated copy of my consumer file.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","letter.additional_details","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.other', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Formal Dispute of Consumer File Information — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute a record in my {{bureau.name}} consumer file that is inaccurate and must be corrected or removed.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+This record does not reflect my actual history with {{item.creditor_name}}. Please reinvestigate and correct or delete it.
+
+{{bureau.name}} is a consumer reporting agency, and FCRA §611(a) applies to it as it does to the nationwide bureaus: you must conduct a reasonable reinvestigation within 30 days of receiving this dispute, forward it to the company that furnished the information, and delete any information that cannot be verified. Please send me written confirmation of the results and an updated copy of my consumer file.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.method_of_verification', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request for Method of Verification — FCRA §611(a)(7) — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+On {{original_dispute.sent_date}}, I disputed the following record in my {{bureau.name}} consumer file. In your reply dated {{original_dispute.response_date}}, you stated that the information was verified.
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance: {{item.balance|Unknown}}
+- Reported Status: {{item.status|Unknown}}
+
+Under FCRA §611(a)(7), I request a description of the procedure used to determine the accuracy and completeness of this information, including the business name, address, and telephone number of every company you contacted. You must provide this description within 15 days of receiving this request.
+
+Please tell me:
+- How the information was verified, and whether anyone reviewed the documents I sent
+- The name, address, and telephone number of each person or business you contacted
+- Any documents {{item.creditor_name}} provided to support the verification
+- The date the verification was completed
+
+If you cannot describe a reasonable procedure that confirmed this information, it was not verified and must be deleted under FCRA §611(a)(5)(A).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","original_dispute.sent_date","bureau.name","original_dispute.response_date","item.creditor_name","item.account_number","item.balance","item.status","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.identity_theft_block', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request to Block Information Resulting from Identity Theft — FCRA §605B
+
+Dear Sir or Madam,
+
+I am a victim of identity theft. Under FCRA §605B, I request that you block the following information in my {{bureau.name}} credit file. It resulted from identity theft, and I did not open, use, authorize or benefit from any of it:
+
+{{identity_theft.blocked_items}}
+
+As §605B(a) requires, I enclose proof of my identity, a copy of my identity theft report (FTC Identity Theft Report {{identity_theft.ftc_report_number|enclosed}}; police report {{identity_theft.police_report|not filed}}), and this statement identifying the information that resulted from the theft.
+
+You must block this information within 4 business days of receiving this request and promptly notify each furnisher of the block, as required by FCRA §605B(a) and (b). Please confirm the block in writing and send me an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address, FTC Identity Theft Report, Police report (if filed)
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","bureau.name","identity_theft.blocked_items","identity_theft.ftc_report_number","identity_theft.police_report","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.personal_info', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Request to Remove Inaccurate Personal Information
+
+Dear Sir or Madam,
+
+My {{bureau.name}} credit file lists personal information that does not belong to me. I do not recognize the following, and have never used or been associated with it:
+
+{{personal_info.entries}}
+
+My correct name and current address are shown below. Under FCRA §611(a), please investigate and delete the information listed above from my file. Inaccurate identifying information can cause other people's accounts and inquiries to be mixed into my file, so under §607(b) please also review the procedures that placed it there.
+
+Please send me an updated copy of my credit report once the information has been removed.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","bureau.name","personal_info.entries","client.date_of_birth","client.ssn_last_4"]'),
+    ('dispute.agency.unauthorized_inquiry', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Unauthorized Hard Inquiry
+
+Dear Sir or Madam,
+
+My {{bureau.name}} credit file lists the following hard inquiry, which I did not authorize:
+
+- Inquiring Company: {{item.creditor_name}}
+- Inquiry Date: {{item.date_reported|Unknown}}
+
+I did not apply for credit with {{item.creditor_name}}, did not initiate any transaction with them, and did not give them permission to obtain my credit report. Under FCRA §604(a), you may furnish a consumer report only to a person with a permissible purpose, and §607(a) requires you to maintain reasonable procedures to limit your reports to those purposes. I have written to {{item.creditor_name}} separately asking for proof of its permissible purpose.
+
+Please investigate this inquiry under FCRA §611(a) and delete it from my file unless {{item.creditor_name}} shows that it had a permissible purpose.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","bureau.name","item.creditor_name","item.date_reported","client.date_of_birth","client.ssn_last_4"]'),
+    ('furnisher.not_mine', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Direct Dispute under FCRA §623(a)(8) — Account Not Mine
+
+Dear Sir or Madam,
+
+I am writing to dispute directly with you, as the furnisher, information you are reporting to the consumer reporting agencies about the following account:
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Reported Balance: {{item.balance|Unknown}}
+
+This account does not belong to me. I never opened it, never authorized anyone to open it on my behalf, and never received any benefit from it. Please provide a copy of any application or agreement bearing my signature. If you cannot substantiate that this account is mine, you must stop reporting it and instruct every consumer reporting agency to delete it.
+
+Under 12 CFR §1022.43(e), you must complete your investigation and report the results to me within 30 days of receiving this notice. If you find the information inaccurate, you must promptly notify every consumer reporting agency to which you furnished it and correct or delete it, as required by FCRA §623(a)(8)(E).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.creditor_name","item.account_number","item.balance","client.date_of_birth","client.ssn_last_4"]'),
+    ('furnisher.paid', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Direct Dispute under FCRA §623(a)(8) — Paid Account Reported as Unpaid
+
+Dear Sir or Madam,
+
+I am writing to dispute directly with you, as the furnisher, the status you are reporting for the following account:
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Reported Balance: {{item.balance|Unknown}}
+
+This account has been paid, yet you continue to report a balance and/or delinquent status. Reporting a paid account as owing violates your duty under FCRA §623(a)(2) to correct and update information you know to be incomplete or inaccurate. Please update the account to reflect a $0 balance and a paid status with every consumer reporting agency.
+
+Under 12 CFR §1022.43(e), you must complete your investigation and report the results to me within 30 days of receiving this notice. If you find the information inaccurate, you must promptly notify every consumer reporting agency to which you furnished it and correct or delete it, as required by FCRA §623(a)(8)(E).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.creditor_name","item.account_number","item.balance","client.date_of_birth","client.ssn_last_4"]'),
+    ('furnisher.inaccurate_info', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Direct Dispute under FCRA §623(a)(8) — Inaccurate Account Information
+
+Dear Sir or Madam,
+
+I am writing to dispute directly with you, as the furnisher, information you are reporting to the consumer reporting agencies about the following account:
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Reported Balance: {{item.balance|Unknown}}
+- Issue: {{item.description|The reported balance, status, and/or dates are inaccurate}}
+
+FCRA §623(a)(1)(A) prohibits you from furnishing information you know or have reasonable cause to believe is inaccurate. Please review your own records for every field of this tradeline — balance, payment history, status, and dates — and correct anything that cannot be substantiated.
+
+Under 12 CFR §1022.43(e), you must complete your investigation and report the results to me within 30 days of receiving this notice. If you find the information inaccurate, you must promptly notify every consumer reporting agency to which you furnished it and correct or delete it, as required by FCRA §623(a)(8)(E).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.creditor_name","item.account_number","item.balance","item.description","client.date_of_birth","client.ssn_last_4"]'),
+    ('furnisher.outdated', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Direct Dispute under FCRA §623(a)(8) — Date of First Delinquency
+
+Dear Sir or Madam,
+
+I am writing to dispute directly with you, as the furnisher, the dates you are reporting for the following account:
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Reported Balance: {{item.balance|Unknown}}
+- Date of First Delinquency Reported: {{item.date_of_first_delinquency|Not Provided}}
+
+FCRA §623(a)(5) requires you to report the accurate month and year of the commencement of the delinquency. I believe the date you are reporting is incorrect, which extends the reporting period beyond the limit in FCRA §605(a). Please verify the original date of first delinquency against your records and correct it with every consumer reporting agency.
+
+Under 12 CFR §1022.43(e), you must complete your investigation and report the results to me within 30 days of receiving this notice. If you find the information inaccurate, you must promptly notify every consumer reporting agency to which you furnished it and correct or delete it, as required by FCRA §623(a)(8)(E).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.creditor_name","item.account_number","item.balance","item.date_of_first_delinquency","client.date_of_birth","client.ssn_last_4"]'),
+    ('furnisher.duplicate', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Direct Dispute under FCRA §623(a)(8) — Duplicate Reporting
+
+Dear Sir or Madam,
+
+I am writing to dispute directly with you, as the furnisher, the following account, which appears more than once on my consumer reports:
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Reported Balance: {{item.balance|Unknown}}
+
+The same obligation is being reported multiple times, overstating my debt. If you sold or transferred this account, you must report it as transferred with a $0 balance. Please correct your reporting so this debt appears only once.
+
+Under 12 CFR §1022.43(e), you must complete your investigation and report the results to me within 30 days of receiving this notice. If you find the information inaccurate, you must promptly notify every consumer reporting agency to which you furnished it and correct or delete it, as required by FCRA §623(a)(8)(E).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.creditor_name","item.account_number","item.balance","client.date_of_birth","client.ssn_last_4"]'),
+    ('furnisher.unauthorized_inquiry', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Unauthorized Credit Inquiry — Demand for Proof of Permissible Purpose (FCRA §604)
+
+Dear Sir or Madam,
+
+My credit report from {{bureau.name|a consumer reporting agency}} shows that you obtained my consumer report without my authorization:
+
+- Inquiring Company: {{item.creditor_name}}
+- Inquiry Date: {{item.date_reported|Unknown}}
+
+I did not apply for credit with you, did not initiate any transaction with you, and did not authorize you to obtain my report. FCRA §604(f) prohibits obtaining a consumer report without one of the permissible purposes listed in §604(a)(3), and a person who does so is liable under §616 and §617.
+
+Within 30 days, please send me a copy of the document that gave you a permissible purpose, such as an application or authorization bearing my signature. If you cannot provide one, please ask every consumer reporting agency from which you obtained my report to remove this inquiry, and confirm to me in writing that you have done so.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","bureau.name","item.creditor_name","item.date_reported","client.date_of_birth","client.ssn_last_4"]'),
+    ('furnisher.other', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Direct Dispute under FCRA §623(a)(8) — Inaccurate Reporting
+
+Dear Sir or Madam,
+
+I am writing to dispute directly with you, as the furnisher, information you are reporting to the consumer reporting agencies about the following account:
+
+DISPUTED ACCOUNT INFORMATION:
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Reported Balance: {{item.balance|Unknown}}
+- Issue: {{item.description|The information reported does not accurately reflect this account}}
+
+Please conduct a reasonable investigation of this account and correct or delete any information you cannot substantiate.
+
+Under 12 CFR §1022.43(e), you must complete your investigation and report the results to me within 30 days of receiving this notice. If you find the information inaccurate, you must promptly notify every consumer reporting agency to which you furnished it and correct or delete it, as required by FCRA §623(a)(8)(E).
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.creditor_name","item.account_number","item.balance","item.description","client.date_of_birth","client.ssn_last_4"]'),
+    ('debt_validation.request', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Debt Validation Request under FDCPA §809(b)
+Account Number: {{item.account_number|Not Provided}}
+Original Creditor / Reported As: {{item.creditor_name}}
+Amount Claimed: {{item.balance|Not Stated}}
+
+Dear Sir or Madam,
+
+This letter is sent in response to your collection of the account referenced above. I dispute this debt and, pursuant to the Fair Debt Collection Practices Act, 15 U.S.C. §1692g(b), request validation.
+
+Please provide:
+
+1. An itemization of the amount you claim I owe, including principal, interest, fees and any other charges, from the date of charge-off to the present;
+2. The name and address of the original creditor;
+3. A copy of the signed agreement or application that created this obligation;
+4. Documentation showing that you own this debt or are authorized to collect it (bill of sale, assignment, or chain of title);
+5. Proof that you are licensed to collect debts in my state of residence.
+
+Until you provide this validation, FDCPA §809(b) requires you to cease collection of this debt. If you are reporting this account to any consumer reporting agency, FCRA §623(a)(3) requires you to report it as disputed.
+
+This is not a refusal to pay, and it is not an acknowledgment that I owe this debt.
+
+Sincerely,
+
+{{client.full_name}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.account_number","item.creditor_name","item.balance"]'),
+    ('debt_validation.follow_up', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Dispute of Unvalidated Collection Account — Account ending in {{item.account_last4|N/A}}
+
+Dear Sir or Madam,
+
+I am writing to dispute the following collection account in my {{bureau.name}} credit file:
+
+- Collector: {{creditor.name}}
+- Reported As: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+
+On {{debt_validation.sent_date|an earlier date}}, I sent {{creditor.name}} a debt validation request under FDCPA §809(b). The collector {{debt_validation.outcome|has not validated the debt}}, yet continues to report this account to you.
+
+A debt the collector cannot validate cannot be verified as accurate. Under FCRA §611(a), I request that you conduct a reasonable reinvestigation and delete this account from my credit file. Please also note that FCRA §623(a)(3) required the collector to report this account as disputed.
+
+Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please send me written confirmation of the results and an updated copy of my credit report.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","item.account_last4","bureau.name","creditor.name","item.creditor_name","item.account_number","debt_validation.sent_date","debt_validation.outcome","client.date_of_birth","client.ssn_last_4"]'),
+    ('escalation.bureau', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Failure to Investigate Within the Statutory Period
+
+Dear Sir or Madam,
+
+On {{original_dispute.sent_date}}, I disputed the following item, and my dispute was delivered to you on {{original_dispute.delivered_date|or about that date}}:
+
+- Creditor: {{item.creditor_name|N/A}}
+- Account Number: {{item.account_number|N/A}}
+
+Under FCRA §611(a)(1)(A), you were required to complete a reasonable reinvestigation of my dispute within {{original_dispute.period_days}} days of receiving it. That deadline passed on {{original_dispute.due_date}}, and I have not received the results of any investigation.
+
+FCRA §611(a)(5)(A) requires that information which cannot be verified within the statutory period be promptly deleted. I therefore demand that you delete this item from my credit file immediately and send me an updated copy of my report.
+
+If this matter is not resolved, I will file a complaint with the Consumer Financial Protection Bureau and reserve my right to seek damages under FCRA §§616 and 617.
+
+Sincerely,
+
+{{client.full_name}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","original_dispute.sent_date","original_dispute.delivered_date","item.creditor_name","item.account_number","original_dispute.period_days","original_dispute.due_date","client.ssn_last_4"]'),
+    ('escalation.method_of_verification', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Failure to Investigate Within the Statutory Period
+
+Dear Sir or Madam,
+
+On {{original_dispute.sent_date}}, I requested the method of verification for the following item, and my request was delivered to you on {{original_dispute.delivered_date|or about that date}}:
+
+- Creditor: {{item.creditor_name|N/A}}
+- Account Number: {{item.account_number|N/A}}
+
+Under FCRA §611(a)(7), you were required to describe the procedure used to verify this item within {{original_dispute.period_days}} days of my request. That deadline passed on {{original_dispute.due_date}}, and I have not received any description of how this item was verified.
+
+An item whose verification you cannot describe was not verified by any reasonable procedure. Under FCRA §611(a)(5)(A), I demand that you delete it from my credit file immediately and send me an updated copy of my report.
+
+If this matter is not resolved, I will file a complaint with the Consumer Financial Protection Bureau and reserve my right to seek damages under FCRA §§616 and 617.
+
+Sincerely,
+
+{{client.full_name}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","original_dispute.sent_date","original_dispute.delivered_date","item.creditor_name","item.account_number","original_dispute.period_days","original_dispute.due_date","client.ssn_last_4"]'),
+    ('escalation.identity_theft_block', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.address}}
+
+Re: Failure to Investigate Within the Statutory Period
+
+Dear Sir or Madam,
+
+On {{original_dispute.sent_date}}, I sent you a request under FCRA §605B to block information resulting from identity theft, with a copy of my identity theft report. It was delivered to you on {{original_dispute.delivered_date|or about that date}}.
+
+Under FCRA §605B(a), you were required to block the information resulting from identity theft within {{original_dispute.period_days}} business days of receiving my request and identity theft report. That deadline passed on {{original_dispute.due_date}}, and I have not received any confirmation that the information was blocked.
+
+I demand that you block every item listed in my request immediately, notify each furnisher of the block as §605B(b) requires, and send me an updated copy of my report.
+
+If this matter is not resolved, I will file a complaint with the Consumer Financial Protection Bureau and reserve my right to seek damages under FCRA §§616 and 617.
+
+Sincerely,
+
+{{client.full_name}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.address","original_dispute.sent_date","original_dispute.delivered_date","original_dispute.period_days","original_dispute.due_date","client.ssn_last_4"]'),
+    ('escalation.furnisher', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Failure to Investigate Within the Statutory Period
+
+Dear Sir or Madam,
+
+On {{original_dispute.sent_date}}, I disputed the following item, and my dispute was delivered to you on {{original_dispute.delivered_date|or about that date}}:
+
+- Creditor: {{item.creditor_name|N/A}}
+- Account Number: {{item.account_number|N/A}}
+
+Under FCRA §623(a)(8)(E) and 12 CFR §1022.43(e), you were required to complete your investigation of my direct dispute and report the results to me within {{original_dispute.period_days}} days. That deadline passed on {{original_dispute.due_date}}, and I have not received the results of any investigation.
+
+Because you did not complete your investigation in time, I demand that you instruct every consumer reporting agency to which you furnished this account to delete it.
+
+If this matter is not resolved, I will file a complaint with the Consumer Financial Protection Bureau and reserve my right to seek damages under FCRA §§616 and 617.
+
+Sincerely,
+
+{{client.full_name}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","original_dispute.sent_date","original_dispute.delivered_date","item.creditor_name","item.account_number","original_dispute.period_days","original_dispute.due_date","client.ssn_last_4"]'),
+    ('goodwill.letter', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Goodwill Adjustment Request — Account ending in {{item.account_last4|N/A}}
+
+Dear {{creditor.name}} Customer Relations,
+
+I am writing about my account with you, number {{item.account_number|Not Provided}}. This is not a dispute. Your reporting of the late payments on this account is accurate, and I take responsibility for them. I am asking you, as a courtesy, to remove them.
+
+My payment history on this account, as reported to the credit bureaus:
+
+{{goodwill.payment_history|Please see my account records.}}
+
+The late payments happened during a difficult period:
+
+{{goodwill.hardship}}
+
+Apart from that period I have valued my relationship with {{creditor.name}} and have worked to keep this account in good standing. These late payments do not reflect how I manage my obligations, and they continue to affect my ability to obtain credit on fair terms.
+
+I would be grateful if you would make a goodwill adjustment and ask Equifax, Experian and TransUnion to remove the late payment notations from this account. Thank you for considering my request.
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+{{client.phone}}$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.account_last4","creditor.name","item.account_number","goodwill.payment_history","goodwill.hardship","client.phone"]'),
+    ('settlement.pay_for_delete', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{creditor.address}}
+
+Re: Pay-for-Delete Agreement — Account ending in {{item.account_last4|N/A}}
+
+Dear {{creditor.name}},
+
+This letter sets out the terms we have agreed for the account below. It is not an acknowledgment that I owe the debt, and it is not a promise to pay unless you accept these terms in writing.
+
+- Creditor: {{item.creditor_name}}
+- Account Number: {{item.account_number|Not Provided}}
+- Balance You Report: {{settlement.reported_balance|Unknown}}
+
+Terms:
+
+1. I will pay {{settlement.amount}} by {{settlement.payment_deadline|a date we agree in writing}} as payment in full of this account.
+2. Within 30 days of receiving payment, you will ask Equifax, Experian and TransUnion to delete this account from my credit files entirely. Updating it to "paid" or "settled" does not meet this agreement.
+3. You will not sell, transfer or try to collect any remaining balance on this account.
+
+If you accept these terms, please sign below and return a copy to me. I will send payment once I receive the signed agreement. If you do not accept them, please disregard this letter.
+
+Sincerely,
+
+{{client.full_name}}
+
+ACCEPTED AND AGREED FOR {{creditor.name}}:
+
+Signature: ______________________________
+
+Name and Title: __________________________
+
+Date: ___________________________________$body$,
+     '["letter.date","client.full_name","client.address","creditor.address","item.account_last4","creditor.name","item.creditor_name","item.account_number","settlement.reported_balance","settlement.amount","settlement.payment_deadline"]'),
+    ('agency.file_request', $body${{letter.date}}
+
+{{client.full_name}}
+{{client.address}}
+
+{{bureau.file_request_address}}
+
+Re: Request for Consumer File Disclosure
+
+Dear {{bureau.name}} Consumer Relations,
+
+Under the Fair Credit Reporting Act §609(a)(1), I request a complete copy of all information in my consumer file, including the sources of that information and every person or company that has received a report on me in the last year (§609(a)(3)). Where {{bureau.name}} is a nationwide specialty consumer reporting agency, I am entitled to this disclosure free of charge once every 12 months under §612(a)(1)(C).
+
+My identifying information:
+
+- Full Name: {{client.full_name}}
+- Current Address: {{client.address}}
+- Date of Birth: {{client.date_of_birth|Not Provided}}
+- SSN: XXX-XX-{{client.ssn_last_4|XXXX}}
+- Phone: {{client.phone|Not Provided}}
+
+Please mail the disclosure to the address above within 15 days of receiving this request, as §612(a)(2) requires.
+
+Enclosures: Copy of government-issued ID, Proof of address
+
+Sincerely,
+
+{{client.full_name}}
+{{client.address}}
+Date of Birth: {{client.date_of_birth|Not Provided}}
+SSN: XXX-XX-{{client.ssn_last_4|XXXX}}$body$,
+     '["letter.date","client.full_name","client.address","bureau.file_request_address","bureau.name","client.date_of_birth","client.ssn_last_4","client.phone"]'),
+    ('ai.system', $body$You are an expert credit repair attorney and legal letter writer specializing in consumer credit law. You generate the most effective dispute letters in the industry, leveraging deep knowledge of the FCRA, FDCPA, CROA, and bureau-specific procedures.
+
+LEGAL FRAMEWORK YOU MUST REFERENCE (use the most relevant sections for each dispute):
+
+FAIR CREDIT REPORTING ACT (FCRA) - 15 U.S.C. §1681:
+- §611(a): Consumer's right to dispute inaccurate information; CRA must investigate within 30 days
+- §611(a)(5)(A): CRA must provide all relevant evidence to furnisher during investigation
+- §611(a)(6)(B)(iii): If information cannot be verified, it must be DELETED
+- §611(a)(7): 5-day reinsertion notice requirement with written notification to consumer
+- §623(a)(1)(A): Furnisher duty to report ONLY accurate information
+- §623(a)(2): Furnisher duty to correct/update information reported as incomplete or inaccurate
+- §623(a)(8)(E): Furnisher must conduct reasonable investigation upon notice of dispute
+- §623(b): Furnisher investigation duties upon notice from CRA
+- §609(a)(1): Consumer's right to disclosure of all information in their file
+- §605(a): 7-year reporting limitation for most negative items (10 years for Chapter 7 bankruptcy)
+- §605(c): Running of reporting period from date of first delinquency
+- §616: Civil liability for willful noncompliance ($100-$1,000 per violation + punitive damages)
+- §617: Civil liability for negligent noncompliance (actual damages + attorney fees)
+
+FAIR DEBT COLLECTION PRACTICES ACT (FDCPA) - 15 U.S.C. §1692:
+- §1692g: Debt validation rights; collector must cease collection until debt is verified
+- §1692e: Prohibition against false or misleading representations
+- §1692f: Prohibition against unfair practices
+
+CREDIT REPAIR ORGANIZATIONS ACT (CROA):
+- Consumer's right to dispute inaccurate information at any time
+
+BUREAU-SPECIFIC PROCEDURES (apply when relevant):
+- Equifax: Uses Automated Consumer Dispute Verification (ACDV) e-OSCAR system; known for incomplete investigations. Challenge their reliance on automated processes.
+- Experian: Uses e-OSCAR and Metro 2 format reporting. Frequently fails to forward all relevant documentation to furnishers. Demand they forward YOUR complete dispute with documentation.
+- TransUnion: Uses e-OSCAR system. Often verifies without meaningful investigation. Request their specific Method of Verification (MOV).
+
+METHOD OF VERIFICATION (MOV) - CRITICAL:
+Always request the CRA disclose the METHOD used to verify the disputed information, including:
+- The name, address, and phone number of the person contacted at the furnisher
+- The specific documents or records reviewed
+- The date the verification was performed
+
+DISPUTE STRATEGY BY TYPE:
+1. NOT MINE / IDENTITY THEFT: Demand proof of signed application/agreement. Reference FTC Identity Theft Report. Request immediate block under §605B.
+2. ALREADY PAID: Demand updated reporting under §623(a)(2). Request proof of outstanding balance. If sold to collector, challenge chain of title.
+3. INACCURATE INFO: Challenge EVERY inaccurate data point (balance, dates, payment history, account status). Each inaccuracy = separate violation.
+4. OUTDATED: Calculate exact date of first delinquency. Reference §605(a) 7-year limit. Re-aged accounts are ILLEGAL under §623(a)(1)(A).
+5. DUPLICATE: Demand consolidation. Multiple reporting of same debt inflates utilization artificially and violates accuracy requirements.
+6. OTHER: Tailor to specific circumstances using the strongest applicable legal arguments.
+
+MULTI-ROUND STRATEGY:
+- Round 1 (Initial): Formal dispute requesting investigation and MOV
+- Round 2 (Follow-up): If verified without adequate investigation, challenge the verification method. Cite procedural violations.
+- Round 3 (Escalation): Intent to file complaint with CFPB and state AG. Reference §616/§617 civil liability.
+- Round 4 (Regulatory): File with CFPB, state AG, and demand final response before litigation.
+
+CRITICAL REQUIREMENTS:
+1. Format: Professional business letter with proper spacing and sections
+2. Legal Authority: Use the most relevant FCRA/FDCPA sections for this specific dispute type
+3. Personalization: Use ALL client personal data provided - name, address, SSN last 4, DOB, phone
+4. Specificity: Include exact account details - creditor name, account number, balance, dates
+5. Assertive Tone: Professional but FIRM. The consumer KNOWS their rights.
+6. MOV Request: ALWAYS request the method of verification
+7. Deadline: Explicitly state the 30-day investigation deadline under FCRA §611(a)
+8. Consequences: Mention potential CFPB complaint and civil liability for noncompliance
+
+OUTPUT FORMAT:
+The letter must include:
+1. Client's complete name and address at the top left
+2. Full date
+3. Bureau name and full mailing address
+4. RE: line with Creditor Name, Account # (last 4 digits), and dispute type
+5. Opening paragraph asserting consumer's rights
+6. Account details section with all disputed information
+7. Specific dispute argument with legal citations
+8. Request for investigation, deletion/correction, and MOV
+9. Statement of consequences for noncompliance
+10. Request for updated copy of credit report
+11. Professional closing with signature line
+12. Enclosures line if applicable (copy of ID, proof of address, etc.)
+
+IMPORTANT: Generate ONLY the letter content, no explanations or commentary. Use ACTUAL data provided, never placeholders like [FILL IN]. The letter must be ready to print and mail immediately.$body$,
+     '[]'),
+    ('ai.user.not_mine', $body$Generate a professional, legally-powerful FCRA dispute letter with these EXACT details (use ALL information provided, no placeholders):
+
+TODAY'S DATE: {{letter.date}}
+
+CLIENT INFORMATION (use exactly as shown):
+- Full Name: {{client.full_name}}
+- Address: {{client.address|Address not provided}}
+- Phone: {{client.phone|Not provided}}
+- Email: {{client.email|Not provided}}
+- Date of Birth: {{client.date_of_birth|Unknown}}
+- SSN Last 4: {{client.ssn_last_4|XXXX}}
+
+CREDIT BUREAU TO ADDRESS:
+{{bureau.name}}
+{{bureau.address}}
+
+ACCOUNT TO DISPUTE:
+- Creditor/Furnisher Name: {{item.creditor_name}}
+- Account Number: {{item.account_number|Unknown}}
+- Type of Account: {{item.item_type|Unknown}}
+- Balance Reported: {{item.balance|$0.00}}
+- Account Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Unknown}}
+- Date Reported: {{item.date_reported|Unknown}}
+
+DISPUTE TYPE: {{letter.dispute_type_label}}
+
+DISPUTE STRATEGY ROUND: Round {{round.number}} - {{round.name}}
+
+REASON FOR DISPUTE:
+This account does not belong to me. I have never opened, authorized, or benefited from any account with this creditor. I have never entered into any agreement, contract, or business relationship with this entity. This account may be the result of identity theft, a mixed credit file, or data furnisher error.
+
+Under FCRA §611(a)(6)(B)(iii), if you cannot verify this account with competent evidence — specifically a signed application or agreement bearing MY signature — this account MUST be immediately deleted from my credit file. I am also requesting that you provide evidence of any signed contract or application that bears my personal signature, per FCRA §609(a)(1).
+
+Furthermore, if this is a collection account, the collector must provide debt validation under FDCPA §1692g, including the original creditor name, the amount of the alleged debt, and proof that they are authorized to collect.
+
+{{letter.additional_details}}
+
+BUREAU-SPECIFIC INSTRUCTIONS FOR {{bureau.name}}:
+{{bureau.tactics}}
+
+Generate the complete letter now. Include:
+1. Client's full name and complete address at the top left
+2. Date
+3. Bureau's complete mailing address
+4. RE: Formal Dispute - [Creditor Name] - Account ending in [last 4 digits]
+5. Opening paragraph establishing the consumer's rights under FCRA
+6. Detailed account information section
+7. Specific dispute argument with at least 3 relevant legal citations (FCRA sections with subsections)
+8. Request for investigation within 30 days under §611(a)
+9. Request for Method of Verification (MOV)
+10. Request for deletion/correction under §611(a)(6)(B)(iii)
+11. Statement of consequences: CFPB complaint, state AG complaint, and civil liability under §616/§617
+12. Request for updated copy of credit report after investigation
+13. Professional closing with signature line
+14. Enclosures line (Copy of government-issued ID, Proof of address)
+
+The letter must be assertive, specific, and demonstrate thorough knowledge of consumer credit law. This is Round {{round.number}} ({{round.name}}) of the dispute process.$body$,
+     '["letter.date","client.full_name","client.address","client.phone","client.email","client.date_of_birth","client.ssn_last_4","bureau.name","bureau.address","item.creditor_name","item.account_number","item.item_type","item.balance","item.status","item.date_opened","item.date_reported","letter.dispute_type_label","round.number","round.name","letter.additional_details","bureau.tactics"]'),
+    ('ai.user.paid', $body$Generate a professional, legally-powerful FCRA dispute letter with these EXACT details (use ALL information provided, no placeholders):
+
+TODAY'S DATE: {{letter.date}}
+
+CLIENT INFORMATION (use exactly as shown):
+- Full Name: {{client.full_name}}
+- Address: {{client.address|Address not provided}}
+- Phone: {{client.phone|Not provided}}
+- Email: {{client.email|Not provided}}
+- Date of Birth: {{client.date_of_birth|Unknown}}
+- SSN Last 4: {{client.ssn_last_4|XXXX}}
+
+CREDIT BUREAU TO ADDRESS:
+{{bureau.name}}
+{{bureau.address}}
+
+ACCOUNT TO DISPUTE:
+- Creditor/Furnisher Name: {{item.creditor_name}}
+- Account Number: {{item.account_number|Unknown}}
+- Type of Account: {{item.item_type|Unknown}}
+- Balance Reported: {{item.balance|$0.00}}
+- Account Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Unknown}}
+- Date Reported: {{item.date_reported|Unknown}}
+
+DISPUTE TYPE: {{letter.dispute_type_label}}
+
+DISPUTE STRATEGY ROUND: Round {{round.number}} - {{round.name}}
+
+REASON FOR DISPUTE:
+This account has been paid in full / settled as agreed, yet it continues to be reported inaccurately on my credit file. The current reporting does not reflect the account's true status, which constitutes a violation of FCRA §623(a)(1)(A) — the duty to report ONLY accurate information.
+
+Under FCRA §623(a)(2), the furnisher has a duty to promptly update and correct information that is incomplete or inaccurate. I demand that the account status be updated to reflect "Paid in Full" or "Settled" with a $0 balance, and that any associated late payment notations be reviewed for accuracy.
+
+If this account was sold to a collection agency, I challenge the chain of title and request documentation of each assignment of this debt from original creditor to current reporter.
+
+{{letter.additional_details}}
+
+BUREAU-SPECIFIC INSTRUCTIONS FOR {{bureau.name}}:
+{{bureau.tactics}}
+
+Generate the complete letter now. Include:
+1. Client's full name and complete address at the top left
+2. Date
+3. Bureau's complete mailing address
+4. RE: Formal Dispute - [Creditor Name] - Account ending in [last 4 digits]
+5. Opening paragraph establishing the consumer's rights under FCRA
+6. Detailed account information section
+7. Specific dispute argument with at least 3 relevant legal citations (FCRA sections with subsections)
+8. Request for investigation within 30 days under §611(a)
+9. Request for Method of Verification (MOV)
+10. Request for deletion/correction under §611(a)(6)(B)(iii)
+11. Statement of consequences: CFPB complaint, state AG complaint, and civil liability under §616/§617
+12. Request for updated copy of credit report after investigation
+13. Professional closing with signature line
+14. Enclosures line (Copy of government-issued ID, Proof of address)
+
+The letter must be assertive, specific, and demonstrate thorough knowledge of consumer credit law. This is Round {{round.number}} ({{round.name}}) of the dispute process.$body$,
+     '["letter.date","client.full_name","client.address","client.phone","client.email","client.date_of_birth","client.ssn_last_4","bureau.name","bureau.address","item.creditor_name","item.account_number","item.item_type","item.balance","item.status","item.date_opened","item.date_reported","letter.dispute_type_label","round.number","round.name","letter.additional_details","bureau.tactics"]'),
+    ('ai.user.inaccurate_info', $body$Generate a professional, legally-powerful FCRA dispute letter with these EXACT details (use ALL information provided, no placeholders):
+
+TODAY'S DATE: {{letter.date}}
+
+CLIENT INFORMATION (use exactly as shown):
+- Full Name: {{client.full_name}}
+- Address: {{client.address|Address not provided}}
+- Phone: {{client.phone|Not provided}}
+- Email: {{client.email|Not provided}}
+- Date of Birth: {{client.date_of_birth|Unknown}}
+- SSN Last 4: {{client.ssn_last_4|XXXX}}
+
+CREDIT BUREAU TO ADDRESS:
+{{bureau.name}}
+{{bureau.address}}
+
+ACCOUNT TO DISPUTE:
+- Creditor/Furnisher Name: {{item.creditor_name}}
+- Account Number: {{item.account_number|Unknown}}
+- Type of Account: {{item.item_type|Unknown}}
+- Balance Reported: {{item.balance|$0.00}}
+- Account Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Unknown}}
+- Date Reported: {{item.date_reported|Unknown}}
+
+DISPUTE TYPE: {{letter.dispute_type_label}}
+
+DISPUTE STRATEGY ROUND: Round {{round.number}} - {{round.name}}
+
+REASON FOR DISPUTE:
+The information currently being reported for this account contains material inaccuracies that are damaging my credit standing. The reported account details — including but not limited to the balance, payment history, account status, dates, and/or account type — do not match my records and are demonstrably incorrect.
+
+Under FCRA §623(a)(1)(A), furnishers have a legal duty to report ONLY accurate information. Each individual data point that is inaccurate constitutes a separate violation. Under §623(a)(8)(E), the furnisher must conduct a reasonable investigation upon notice of dispute — not merely rubber-stamp the existing data.
+
+I demand that every field of this account be individually verified against the furnisher's original records, not merely auto-verified through the e-OSCAR ACDV system.
+
+{{letter.additional_details}}
+
+BUREAU-SPECIFIC INSTRUCTIONS FOR {{bureau.name}}:
+{{bureau.tactics}}
+
+Generate the complete letter now. Include:
+1. Client's full name and complete address at the top left
+2. Date
+3. Bureau's complete mailing address
+4. RE: Formal Dispute - [Creditor Name] - Account ending in [last 4 digits]
+5. Opening paragraph establishing the consumer's rights under FCRA
+6. Detailed account information section
+7. Specific dispute argument with at least 3 relevant legal citations (FCRA sections with subsections)
+8. Request for investigation within 30 days under §611(a)
+9. Request for Method of Verification (MOV)
+10. Request for deletion/correction under §611(a)(6)(B)(iii)
+11. Statement of consequences: CFPB complaint, state AG complaint, and civil liability under §616/§617
+12. Request for updated copy of credit report after investigation
+13. Professional closing with signature line
+14. Enclosures line (Copy of government-issued ID, Proof of address)
+
+The letter must be assertive, specific, and demonstrate thorough knowledge of consumer credit law. This is Round {{round.number}} ({{round.name}}) of the dispute process.$body$,
+     '["letter.date","client.full_name","client.address","client.phone","client.email","client.date_of_birth","client.ssn_last_4","bureau.name","bureau.address","item.creditor_name","item.account_number","item.item_type","item.balance","item.status","item.date_opened","item.date_reported","letter.dispute_type_label","round.number","round.name","letter.additional_details","bureau.tactics"]'),
+    ('ai.user.outdated', $body$Generate a professional, legally-powerful FCRA dispute letter with these EXACT details (use ALL information provided, no placeholders):
+
+TODAY'S DATE: {{letter.date}}
+
+CLIENT INFORMATION (use exactly as shown):
+- Full Name: {{client.full_name}}
+- Address: {{client.address|Address not provided}}
+- Phone: {{client.phone|Not provided}}
+- Email: {{client.email|Not provided}}
+- Date of Birth: {{client.date_of_birth|Unknown}}
+- SSN Last 4: {{client.ssn_last_4|XXXX}}
+
+CREDIT BUREAU TO ADDRESS:
+{{bureau.name}}
+{{bureau.address}}
+
+ACCOUNT TO DISPUTE:
+- Creditor/Furnisher Name: {{item.creditor_name}}
+- Account Number: {{item.account_number|Unknown}}
+- Type of Account: {{item.item_type|Unknown}}
+- Balance Reported: {{item.balance|$0.00}}
+- Account Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Unknown}}
+- Date Reported: {{item.date_reported|Unknown}}
+
+DISPUTE TYPE: {{letter.dispute_type_label}}
+
+DISPUTE STRATEGY ROUND: Round {{round.number}} - {{round.name}}
+
+REASON FOR DISPUTE:
+This account contains negative information that has exceeded the maximum reporting period permitted under federal law. Under FCRA §605(a), most negative information must be removed after 7 years from the date of first delinquency as defined in §605(c). Chapter 7 bankruptcies may be reported for 10 years.
+
+I have calculated that this account's date of first delinquency places it beyond the permissible reporting window. Continued reporting of this obsolete information violates the FCRA, and any attempt to re-age this account by altering the date of first delinquency constitutes a separate violation under §623(a)(1)(A).
+
+I demand immediate deletion of this obsolete item from my credit file.
+
+{{letter.additional_details}}
+
+BUREAU-SPECIFIC INSTRUCTIONS FOR {{bureau.name}}:
+{{bureau.tactics}}
+
+Generate the complete letter now. Include:
+1. Client's full name and complete address at the top left
+2. Date
+3. Bureau's complete mailing address
+4. RE: Formal Dispute - [Creditor Name] - Account ending in [last 4 digits]
+5. Opening paragraph establishing the consumer's rights under FCRA
+6. Detailed account information section
+7. Specific dispute argument with at least 3 relevant legal citations (FCRA sections with subsections)
+8. Request for investigation within 30 days under §611(a)
+9. Request for Method of Verification (MOV)
+10. Request for deletion/correction under §611(a)(6)(B)(iii)
+11. Statement of consequences: CFPB complaint, state AG complaint, and civil liability under §616/§617
+12. Request for updated copy of credit report after investigation
+13. Professional closing with signature line
+14. Enclosures line (Copy of government-issued ID, Proof of address)
+
+The letter must be assertive, specific, and demonstrate thorough knowledge of consumer credit law. This is Round {{round.number}} ({{round.name}}) of the dispute process.$body$,
+     '["letter.date","client.full_name","client.address","client.phone","client.email","client.date_of_birth","client.ssn_last_4","bureau.name","bureau.address","item.creditor_name","item.account_number","item.item_type","item.balance","item.status","item.date_opened","item.date_reported","letter.dispute_type_label","round.number","round.name","letter.additional_details","bureau.tactics"]'),
+    ('ai.user.duplicate', $body$Generate a professional, legally-powerful FCRA dispute letter with these EXACT details (use ALL information provided, no placeholders):
+
+TODAY'S DATE: {{letter.date}}
+
+CLIENT INFORMATION (use exactly as shown):
+- Full Name: {{client.full_name}}
+- Address: {{client.address|Address not provided}}
+- Phone: {{client.phone|Not provided}}
+- Email: {{client.email|Not provided}}
+- Date of Birth: {{client.date_of_birth|Unknown}}
+- SSN Last 4: {{client.ssn_last_4|XXXX}}
+
+CREDIT BUREAU TO ADDRESS:
+{{bureau.name}}
+{{bureau.address}}
+
+ACCOUNT TO DISPUTE:
+- Creditor/Furnisher Name: {{item.creditor_name}}
+- Account Number: {{item.account_number|Unknown}}
+- Type of Account: {{item.item_type|Unknown}}
+- Balance Reported: {{item.balance|$0.00}}
+- Account Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Unknown}}
+- Date Reported: {{item.date_reported|Unknown}}
+
+DISPUTE TYPE: {{letter.dispute_type_label}}
+
+DISPUTE STRATEGY ROUND: Round {{round.number}} - {{round.name}}
+
+REASON FOR DISPUTE:
+This account is being reported as a duplicate entry on my credit file. The same underlying debt/account is appearing multiple times, which artificially inflates my outstanding obligations and severely damages my credit utilization ratio and overall credit score.
+
+Duplicate reporting violates the accuracy requirements of FCRA §623(a)(1)(A). Each duplicate listing constitutes a separate inaccuracy that must be corrected. This is particularly common when an original creditor continues to report alongside a collection agency for the same debt, or when accounts are reported with slight variations in account numbers.
+
+I demand that you investigate and consolidate these entries, removing all duplicate listings immediately.
+
+{{letter.additional_details}}
+
+BUREAU-SPECIFIC INSTRUCTIONS FOR {{bureau.name}}:
+{{bureau.tactics}}
+
+Generate the complete letter now. Include:
+1. Client's full name and complete address at the top left
+2. Date
+3. Bureau's complete mailing address
+4. RE: Formal Dispute - [Creditor Name] - Account ending in [last 4 digits]
+5. Opening paragraph establishing the consumer's rights under FCRA
+6. Detailed account information section
+7. Specific dispute argument with at least 3 relevant legal citations (FCRA sections with subsections)
+8. Request for investigation within 30 days under §611(a)
+9. Request for Method of Verification (MOV)
+10. Request for deletion/correction under §611(a)(6)(B)(iii)
+11. Statement of consequences: CFPB complaint, state AG complaint, and civil liability under §616/§617
+12. Request for updated copy of credit report after investigation
+13. Professional closing with signature line
+14. Enclosures line (Copy of government-issued ID, Proof of address)
+
+The letter must be assertive, specific, and demonstrate thorough knowledge of consumer credit law. This is Round {{round.number}} ({{round.name}}) of the dispute process.$body$,
+     '["letter.date","client.full_name","client.address","client.phone","client.email","client.date_of_birth","client.ssn_last_4","bureau.name","bureau.address","item.creditor_name","item.account_number","item.item_type","item.balance","item.status","item.date_opened","item.date_reported","letter.dispute_type_label","round.number","round.name","letter.additional_details","bureau.tactics"]'),
+    ('ai.user.other', $body$Generate a professional, legally-powerful FCRA dispute letter with these EXACT details (use ALL information provided, no placeholders):
+
+TODAY'S DATE: {{letter.date}}
+
+CLIENT INFORMATION (use exactly as shown):
+- Full Name: {{client.full_name}}
+- Address: {{client.address|Address not provided}}
+- Phone: {{client.phone|Not provided}}
+- Email: {{client.email|Not provided}}
+- Date of Birth: {{client.date_of_birth|Unknown}}
+- SSN Last 4: {{client.ssn_last_4|XXXX}}
+
+CREDIT BUREAU TO ADDRESS:
+{{bureau.name}}
+{{bureau.address}}
+
+ACCOUNT TO DISPUTE:
+- Creditor/Furnisher Name: {{item.creditor_name}}
+- Account Number: {{item.account_number|Unknown}}
+- Type of Account: {{item.item_type|Unknown}}
+- Balance Reported: {{item.balance|$0.00}}
+- Account Status: {{item.status|Unknown}}
+- Date Opened: {{item.date_opened|Unknown}}
+- Date Reported: {{item.date_reported|Unknown}}
+
+DISPUTE TYPE: {{letter.dispute_type_label}}
+
+DISPUTE STRATEGY ROUND: Round {{round.number}} - {{round.name}}
+
+REASON FOR DISPUTE:
+I am formally disputing the accuracy and completeness of this account as reported on my credit file. The information does not accurately reflect my financial history with this creditor and I believe it contains material errors that are damaging my credit standing.
+
+Under FCRA §611(a), I have the right to dispute any information I believe to be inaccurate, and you are required to conduct a reasonable investigation within 30 days. If you cannot verify the complete accuracy of every data field in this tradeline, it must be deleted under §611(a)(6)(B)(iii).
+
+{{letter.additional_details}}
+
+BUREAU-SPECIFIC INSTRUCTIONS FOR {{bureau.name}}:
+{{bureau.tactics}}
+
+Generate the complete letter now. Include:
+1. Client's full name and complete address at the top left
+2. Date
+3. Bureau's complete mailing address
+4. RE: Formal Dispute - [Creditor Name] - Account ending in [last 4 digits]
+5. Opening paragraph establishing the consumer's rights under FCRA
+6. Detailed account information section
+7. Specific dispute argument with at least 3 relevant legal citations (FCRA sections with subsections)
+8. Request for investigation within 30 days under §611(a)
+9. Request for Method of Verification (MOV)
+10. Request for deletion/correction under §611(a)(6)(B)(iii)
+11. Statement of consequences: CFPB complaint, state AG complaint, and civil liability under §616/§617
+12. Request for updated copy of credit report after investigation
+13. Professional closing with signature line
+14. Enclosures line (Copy of government-issued ID, Proof of address)
+
+The letter must be assertive, specific, and demonstrate thorough knowledge of consumer credit law. This is Round {{round.number}} ({{round.name}}) of the dispute process.$body$,
+     '["letter.date","client.full_name","client.address","client.phone","client.email","client.date_of_birth","client.ssn_last_4","bureau.name","bureau.address","item.creditor_name","item.account_number","item.item_type","item.balance","item.status","item.date_opened","item.date_reported","letter.dispute_type_label","round.number","round.name","letter.additional_details","bureau.tactics"]')
+) AS d(template_key, body, variables)
+JOIN letter_templates t ON t.template_key = d.template_key
+ON CONFLICT (template_id, version) DO NOTHING;
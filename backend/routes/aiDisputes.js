@@ -6,7 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const { pool, query } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
 const {
   generateDispute,
   saveDispute,
@@ -17,25 +17,33 @@ const {
 } = require('../utils/aiDispute');
 const {
   getCompleteStrategy,
-  determineCurrentRound,
   estimateScoreImprovement,
   STRATEGY_ROUNDS,
   BUREAU_STRATEGIES,
+  SPECIALTY_AGENCY_STRATEGIES,
   ITEM_TYPE_STRATEGIES
 } = require('../utils/disputeStrategy');
+const { getCampaignState } = require('../utils/disputeCampaigns');
+const {
+  getOutcomeAnalytics, getDisputeTypeRanking, applyObservedRanking, candidateDisputeTypes,
+} = require('../utils/outcomeAnalytics');
 const {
   sendSuccess,
   sendCreated,
   sendError,
   asyncHandler,
 } = require('../utils/responseHelpers');
-const { validate, generateAIDisputeSchema, saveAIDisputeSchema, idParam } = require('../middleware/zodValidation');
+const {
+  validate, generateAIDisputeSchema, saveAIDisputeSchema, idParam, outcomeAnalyticsQuery,
+} = require('../middleware/zodValidation');
 const { logger } = require('../utils/logger');
 const { auditFromRequest, AUDIT_ACTIONS } = require('../utils/auditLogger');
 
 /**
  * @route   GET /api/ai-disputes/strategy/:creditItemId
- * @desc    Get recommended dispute strategy for a credit item
+ * @desc    Get recommended dispute strategy for a credit item. With
+ *          ?rankBy=observed the dispute type is the one with the best
+ *          observed deletion rate for the item type.
  * @access  Private
  */
 router.get(
@@ -44,7 +52,7 @@ router.get(
   asyncHandler(async (req, res) => {
     logger.info({ userId: req.user?.id, creditItemId: req.params.creditItemId }, 'Getting dispute strategy for credit item');
     const { creditItemId } = req.params;
-    const { bureau } = req.query;
+    const { bureau, rankBy } = req.query;
     const userId = req.user.id;
 
     try {
@@ -64,11 +72,16 @@ router.get(
       const item = itemResult.rows[0];
       const targetBureau = bureau || item.bureau || 'equifax';
 
-      // Determine which round we're on
-      const { round, previousResult } = await determineCurrentRound(pool, creditItemId, targetBureau);
+      // Round and last outcome come from the item's campaign at this bureau
+      const campaignState = await getCampaignState(creditItemId, targetBureau);
+      const { currentRound: round, previousResult } = campaignState;
 
       // Get strategy
-      const strategy = getCompleteStrategy(item.item_type, targetBureau, round, previousResult);
+      let strategy = getCompleteStrategy(item.item_type, targetBureau, round, previousResult);
+      if (rankBy === 'observed') {
+        const observed = await getDisputeTypeRanking(item.item_type, targetBureau, round, candidateDisputeTypes(strategy));
+        strategy = applyObservedRanking(strategy, observed);
+      }
 
       // Get latest score for impact estimation
       const scoreResult = await pool.query(
@@ -98,6 +111,13 @@ router.get(
         strategy,
         currentRound: round,
         previousResult,
+        campaign: {
+          id: campaignState.campaign?.id || null,
+          status: campaignState.campaign?.status || null,
+          roundInProgress: campaignState.inProgress,
+          nextRoundDate: campaignState.campaign?.next_round_date || null,
+          rounds: campaignState.rounds
+        },
         scoreImpact,
         allRounds: STRATEGY_ROUNDS
       }, 'Strategy recommendation retrieved');
@@ -110,7 +130,7 @@ router.get(
 
 /**
  * @route   GET /api/ai-disputes/strategies/overview
- * @desc    Get all available strategies, bureau info, and item type strategies
+ * @desc    Get all available strategies, bureau and specialty agency info, and item type strategies
  * @access  Private
  */
 router.get(
@@ -121,6 +141,7 @@ router.get(
     sendSuccess(res, {
       rounds: STRATEGY_ROUNDS,
       bureaus: BUREAU_STRATEGIES,
+      agencies: SPECIALTY_AGENCY_STRATEGIES,
       itemTypes: Object.entries(ITEM_TYPE_STRATEGIES).map(([key, val]) => ({
         value: key,
         name: val.name,
@@ -133,6 +154,23 @@ router.get(
   })
 );
 
+/**
+ * @route   GET /api/ai-disputes/strategies/analytics
+ * @desc    Observed deletion rates by item type, bureau, dispute type, round and creditor
+ * @access  Staff
+ */
+router.get(
+  '/strategies/analytics',
+  authenticateToken,
+  requireStaff,
+  validate({ query: outcomeAnalyticsQuery }),
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.user?.id }, 'Getting dispute outcome analytics');
+    const analytics = await getOutcomeAnalytics(req.query);
+    sendSuccess(res, analytics, 'Outcome analytics retrieved');
+  })
+);
+
 /**
  * @route   POST /api/ai-disputes/generate
  * @desc    Generate a dispute letter using OpenAI
@@ -164,7 +202,8 @@ router.post(
             status: result.creditItem.status
           },
           bureau: result.bureau,
-          disputeType: result.disputeType
+          disputeType: result.disputeType,
+          templateVersionId: result.templateVersionId
         },
         'Dispute letter generated successfully with OpenAI'
       );
@@ -183,19 +222,15 @@ router.post(
 router.post(
   '/save',
   authenticateToken,
+  validate({ body: saveAIDisputeSchema }),
   asyncHandler(async (req, res) => {
     logger.info({ userId: req.user?.id }, 'Saving AI dispute letter');
-    const { creditItemId, content, disputeType, bureau } = req.body;
+    const { creditItemId, content, disputeType, bureau, templateVersionId, evidenceDocumentIds } = req.body;
     const userId = req.user.id;
 
-    // Validate required fields
-    if (!creditItemId || !content || !disputeType || !bureau) {
-      return sendError(res, 'Missing required fields: creditItemId, content, disputeType, bureau', 400);
-    }
-
     try {
       // Save the dispute
-      const result = await saveDispute(userId, creditItemId, content, disputeType, bureau);
+      const result = await saveDispute(userId, creditItemId, content, disputeType, bureau, templateVersionId || null, evidenceDocumentIds || []);
 
       auditFromRequest(req, 'ai_dispute.saved', 'ai_dispute', result.id, 'AI dispute letter saved as draft').catch(() => {});
       sendCreated(
@@ -203,13 +238,14 @@ router.post(
         {
           id: result.id,
           status: result.status,
-          createdAt: result.created_at
+          createdAt: result.created_at,
+          warnings: result.warnings || []
         },
         'Dispute letter saved successfully as draft'
       );
     } catch (error) {
       logger.error({ err: error.message, userId: req.user?.id }, 'Error saving AI dispute letter');
-      sendError(res, error.message || 'Failed to save dispute', 500);
+      sendError(res, error.message || 'Failed to save dispute', error.status || 500, error.details);
     }
   })
 );
@@ -393,6 +393,63 @@ router.get(
   }
 );
 
+/**
+ * GET /api/bureau/tri-merge/:clientId
+ * Tradeline-level tri-merge matrix: each account side by side across
+ * bureaus, with fields the bureaus disagree on flagged as dispute candidates.
+ */
+router.get(
+  '/tri-merge/:clientId',
+  validateUUID('clientId', 'params'),
+  async (req, res) => {
+    const { clientId } = req.params;
+
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'You can only view your own data');
+    }
+
+    logger.info({ userId: req.user.id, clientId }, 'Building tri-merge matrix');
+
+    try {
+      const triMerge = await bureauService.getTriMerge(clientId);
+      if (triMerge.bureaus.length < 2) {
+        return sendError(res, 'Need at least 2 bureau reports for a tri-merge comparison');
+      }
+      sendSuccess(res, triMerge);
+    } catch (error) {
+      logger.error({ clientId, err: error.message }, 'Tri-merge failed');
+      sendError(res, 'Failed to build tri-merge matrix');
+    }
+  }
+);
+
+/**
+ * GET /api/bureau/metro2/:clientId
+ * Metro 2 consistency rule violations on the latest report from each
+ * bureau. Violations become suggested disputes when a report is pulled.
+ */
+router.get(
+  '/metro2/:clientId',
+  validateUUID('clientId', 'params'),
+  async (req, res) => {
+    const { clientId } = req.params;
+
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'You can only view your own data');
+    }
+
+    logger.info({ userId: req.user.id, clientId }, 'Checking Metro 2 consistency rules');
+
+    try {
+      const result = await bureauService.getMetro2Violations(clientId);
+      sendSuccess(res, result);
+    } catch (error) {
+      logger.error({ clientId, err: error.message }, 'Metro 2 check failed');
+      sendError(res, 'Failed to check Metro 2 consistency rules');
+    }
+  }
+);
+
 // ============================================================================
 // Pull History
 // ============================================================================
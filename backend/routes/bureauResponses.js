@@ -0,0 +1,111 @@
+/**
+ * Bureau Response Routes
+ *
+ * Ingest bureau investigation-results letters uploaded through the documents
+ * pipeline, review the proposed per-tradeline outcomes, and apply them to
+ * disputes and credit items once staff confirm.
+ *
+ * @module routes/bureauResponses
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { query } = require('../config/database');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  ingestBureauResponseSchema,
+  confirmBureauResponseSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, asyncHandler } = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const bureauResponse = require('../utils/bureauResponse');
+
+// Staff-only: results letters are reviewed before anything changes
+router.use(authenticateToken, requireRole('admin', 'staff'));
+
+/**
+ * POST /api/bureau-responses
+ * Extract outcomes from an uploaded response document. Returns a pending
+ * review; disputes and items are not changed until it is confirmed.
+ */
+router.post('/', validate({ body: ingestBureauResponseSchema }), asyncHandler(async (req, res) => {
+  const { documentId, bureau } = req.body;
+  logger.info({ userId: req.user.id, documentId, bureau }, 'Ingesting bureau response');
+
+  const docResult = await query(
+    `SELECT id, client_id, file_path, document_category
+     FROM documents WHERE id = $1 AND deleted_at IS NULL`,
+    [documentId]
+  );
+  if (docResult.rows.length === 0) return sendNotFound(res, 'Document');
+
+  const document = docResult.rows[0];
+  if (document.document_category !== 'response') {
+    return sendError(res, "Document must be uploaded with category 'response'");
+  }
+
+  const response = await bureauResponse.ingestResponse(document, bureau, req.user.id);
+
+  auditFromRequest(req, 'bureau_response.ingested', 'bureau_response', response.id, `Bureau response ingested for ${bureau}`).catch(() => {});
+
+  sendCreated(res, { response }, 'Response parsed — review and confirm the outcomes');
+}));
+
+/**
+ * GET /api/bureau-responses/client/:clientId
+ */
+router.get('/client/:clientId', validate({ params: clientIdParam }), asyncHandler(async (req, res) => {
+  const responses = await bureauResponse.listResponses(req.params.clientId);
+  sendSuccess(res, { responses });
+}));
+
+/**
+ * GET /api/bureau-responses/:id
+ */
+router.get('/:id', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const response = await bureauResponse.getResponse(req.params.id);
+  if (!response) return sendNotFound(res, 'Bureau response');
+
+  sendSuccess(res, { response });
+}));
+
+/**
+ * POST /api/bureau-responses/:id/confirm
+ * Apply the staff-confirmed outcomes to disputes and credit items.
+ */
+router.post(
+  '/:id/confirm',
+  validate({ params: idParam, body: confirmBureauResponseSchema }),
+  asyncHandler(async (req, res) => {
+    const response = await bureauResponse.getResponse(req.params.id);
+    if (!response) return sendNotFound(res, 'Bureau response');
+    if (response.status !== 'pending') {
+      return sendError(res, `Response already ${response.status}`);
+    }
+
+    const applied = await bureauResponse.confirmResponse(response, req.body, req.user.id);
+    if (!applied) return sendError(res, 'Response was already reviewed by someone else', 409);
+
+    auditFromRequest(req, 'bureau_response.confirmed', 'bureau_response', response.id, `${applied.length} outcome(s) applied`).catch(() => {});
+
+    sendSuccess(res, { applied }, 'Bureau response applied');
+  })
+);
+
+/**
+ * POST /api/bureau-responses/:id/discard
+ */
+router.post('/:id/discard', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const discarded = await bureauResponse.discardResponse(req.params.id, req.user.id);
+  if (!discarded) return sendNotFound(res, 'Pending bureau response');
+
+  auditFromRequest(req, 'bureau_response.discarded', 'bureau_response', req.params.id, 'Bureau response discarded').catch(() => {});
+
+  sendSuccess(res, {}, 'Bureau response discarded');
+}));
+
+module.exports = router;
@@ -0,0 +1,176 @@
+/**
+ * Regulatory Complaint Routes
+ *
+ * Round 4 escalation: build a CFPB or state Attorney General complaint from
+ * an item's dispute history, record when it was filed, and track the
+ * company's reply.
+ *
+ * @module routes/complaints
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  complaintPackageQuery,
+  createComplaintSchema,
+  fileComplaintSchema,
+  complaintResponseSchema,
+} = require('../middleware/zodValidation');
+const {
+  sendSuccess, sendCreated, sendError, sendNotFound, sendForbidden, asyncHandler,
+} = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const complaints = require('../utils/regulatoryComplaints');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Load an item's dispute history for a package, or send the error response
+ * and return null. A complaint needs at least one mailed dispute to cite.
+ */
+const loadHistory = async (res, creditItemId, bureau) => {
+  const history = await complaints.getDisputeHistory(creditItemId, bureau);
+  if (!history) { sendNotFound(res, 'Credit item'); return null; }
+  if (history.disputes.length === 0) {
+    sendError(res, 'No mailed disputes for this item at this bureau');
+    return null;
+  }
+  return history;
+};
+
+/**
+ * Load a complaint for the :id routes, or send 404 and return null.
+ */
+const loadComplaint = async (req, res) => {
+  const complaint = await complaints.getComplaint(req.params.id);
+  if (!complaint) { sendNotFound(res, 'Complaint'); return null; }
+  return complaint;
+};
+
+/**
+ * GET /api/complaints/package?creditItemId=&bureau=
+ * Preview the CFPB portal fields and the state AG complaint for an item (staff only).
+ */
+router.get(
+  '/package',
+  requireRole('admin', 'staff'),
+  validate({ query: complaintPackageQuery }),
+  asyncHandler(async (req, res) => {
+    const history = await loadHistory(res, req.query.creditItemId, req.query.bureau);
+    if (!history) return;
+
+    sendSuccess(res, {
+      history: { disputes: history.disputes, attachments: history.attachments, complaints: history.complaints },
+      package: complaints.buildComplaintPackage(history, req.query.bureau),
+    });
+  })
+);
+
+/**
+ * GET /api/complaints/awaiting-response
+ * Filed complaints the company has not answered yet (staff only).
+ */
+router.get('/awaiting-response', requireRole('admin', 'staff'), asyncHandler(async (req, res) => {
+  const awaiting = await complaints.listAwaitingResponse();
+  sendSuccess(res, { complaints: awaiting });
+}));
+
+/**
+ * GET /api/complaints/client/:clientId
+ */
+router.get('/client/:clientId', validate({ params: clientIdParam }), asyncHandler(async (req, res) => {
+  if (req.user.role === 'client' && req.user.id !== req.params.clientId) {
+    return sendForbidden(res, 'Access denied');
+  }
+
+  const list = await complaints.listComplaints(req.params.clientId);
+  sendSuccess(res, { complaints: list });
+}));
+
+/**
+ * POST /api/complaints
+ * Save the package for one agency as a draft complaint (staff only).
+ */
+router.post(
+  '/',
+  requireRole('admin', 'staff'),
+  validate({ body: createComplaintSchema }),
+  asyncHandler(async (req, res) => {
+    const { creditItemId, bureau, agency } = req.body;
+    logger.info({ userId: req.user.id, creditItemId, bureau, agency }, 'Creating regulatory complaint');
+
+    const history = await loadHistory(res, creditItemId, bureau);
+    if (!history) return;
+
+    const complaint = await complaints.createComplaint({ history, bureau, agency, createdBy: req.user.id });
+
+    auditFromRequest(req, 'complaint.created', 'complaint', complaint.id, `${agency} complaint drafted against ${complaint.company_name}`).catch(() => {});
+
+    sendCreated(res, { complaint }, 'Complaint created');
+  })
+);
+
+/**
+ * GET /api/complaints/:id
+ */
+router.get('/:id', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const complaint = await loadComplaint(req, res);
+  if (!complaint) return;
+  if (req.user.role === 'client' && complaint.client_id !== req.user.id) {
+    return sendForbidden(res, 'Access denied');
+  }
+
+  sendSuccess(res, { complaint });
+}));
+
+/**
+ * POST /api/complaints/:id/filed
+ * Record that the complaint was submitted to the agency (staff only).
+ */
+router.post(
+  '/:id/filed',
+  requireRole('admin', 'staff'),
+  validate({ params: idParam, body: fileComplaintSchema }),
+  asyncHandler(async (req, res) => {
+    const complaint = await loadComplaint(req, res);
+    if (!complaint) return;
+    if (complaint.status !== 'draft') return sendError(res, 'Complaint has already been filed', 409);
+
+    const filed = await complaints.markFiled(complaint, req.body);
+    if (!filed) return sendError(res, 'Complaint has already been filed', 409);
+
+    auditFromRequest(req, 'complaint.filed', 'complaint', complaint.id, `Filed ${req.body.filedDate}${req.body.confirmationNumber ? ` (#${req.body.confirmationNumber})` : ''}`).catch(() => {});
+
+    sendSuccess(res, { complaint: filed }, 'Complaint marked filed');
+  })
+);
+
+/**
+ * POST /api/complaints/:id/response
+ * Record the company's reply (staff only).
+ */
+router.post(
+  '/:id/response',
+  requireRole('admin', 'staff'),
+  validate({ params: idParam, body: complaintResponseSchema }),
+  asyncHandler(async (req, res) => {
+    const complaint = await loadComplaint(req, res);
+    if (!complaint) return;
+    if (complaint.status !== 'filed') return sendError(res, 'Complaint is not awaiting a reply', 409);
+
+    const updated = await complaints.recordCompanyResponse(complaint, req.body);
+    if (!updated) return sendError(res, 'Complaint is not awaiting a reply', 409);
+
+    auditFromRequest(req, 'complaint.response_recorded', 'complaint', complaint.id, `Company reply: ${req.body.responseType}`).catch(() => {});
+
+    sendSuccess(res, { complaint: updated }, 'Company reply recorded');
+  })
+);
+
+module.exports = router;
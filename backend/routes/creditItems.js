@@ -21,6 +21,20 @@ const {
 } = require('../utils/responseHelpers');
 const { logger } = require('../utils/logger');
 const { auditFromRequest, AUDIT_ACTIONS } = require('../utils/auditLogger');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  obsolescenceDatesSchema,
+  fallingOffQuery,
+  solDatesSchema,
+  duplicateDisputesSchema,
+  medicalDisputesSchema,
+} = require('../middleware/zodValidation');
+const obsolescence = require('../utils/obsolescence');
+const statuteOfLimitations = require('../utils/statuteOfLimitations');
+const duplicateDebt = require('../utils/duplicateDebt');
+const medicalDebt = require('../utils/medicalDebt');
 
 /**
  * Verify ownership of a credit item
@@ -46,6 +60,8 @@ router.get(
     const result = await query(
       `SELECT ci.id, ci.client_id, ci.item_type, ci.creditor_name, ci.account_number,
               ci.bureau, ci.balance, ci.status, ci.date_opened, ci.description, 
+              ci.date_of_first_delinquency, ${obsolescence.PURGE_DATE_SQL} AS purge_date,
+              ci.suggested_dispute_type, ci.flag_reason, ci.flag_rule_id, ci.is_medical,
               ci.created_at, ci.updated_at,
               COUNT(d.id) as dispute_count
        FROM credit_items ci
@@ -88,6 +104,8 @@ router.get(
     const result = await query(
       `SELECT ci.id, ci.client_id, ci.item_type, ci.creditor_name, ci.account_number,
               ci.bureau, ci.balance, ci.status, ci.date_opened, ci.description,
+              ci.date_of_first_delinquency, ${obsolescence.PURGE_DATE_SQL} AS purge_date,
+              ci.suggested_dispute_type, ci.flag_reason, ci.flag_rule_id, ci.is_medical,
               ci.created_at, ci.updated_at,
               COUNT(d.id) as dispute_count
        FROM credit_items ci
@@ -104,6 +122,119 @@ router.get(
   })
 );
 
+// Obsolete and soon-to-drop items for a client (FCRA §605). Flags newly
+// obsolete items for an outdated dispute.
+router.get(
+  '/client/:clientId/obsolescence',
+  authenticateToken,
+  validate({ params: clientIdParam, query: fallingOffQuery }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const report = await obsolescence.getClientObsolescence(clientId, req.query.days);
+    sendSuccess(res, report);
+  })
+);
+
+// Whether each of a client's collections and charge-offs is time-barred in
+// the client's state
+router.get(
+  '/client/:clientId/statute-of-limitations',
+  authenticateToken,
+  validate({ params: clientIdParam }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const report = await statuteOfLimitations.getClientSolReport(clientId);
+    sendSuccess(res, report);
+  })
+);
+
+// Listings of the same debt on one bureau file, and re-aged DOFDs. Flags
+// the listings to dispute.
+router.get(
+  '/client/:clientId/duplicates',
+  authenticateToken,
+  validate({ params: clientIdParam }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const report = await duplicateDebt.getClientDuplicateReport(clientId);
+    sendSuccess(res, report);
+  })
+);
+
+// Draft disputes for duplicate and re-aged listings (staff only)
+router.post(
+  '/client/:clientId/duplicates/disputes',
+  authenticateToken,
+  requireStaff,
+  validate({ params: clientIdParam, body: duplicateDisputesSchema }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    const disputes = await duplicateDebt.generateDisputes(clientId, { itemIds: req.body.itemIds });
+    if (disputes === null) return sendNotFound(res, 'Client profile');
+
+    auditFromRequest(req, 'dispute.created', 'client', clientId, `Generated ${disputes.length} duplicate/re-aged debt disputes`).catch(() => {});
+    sendCreated(res, { disputes }, `${disputes.length} dispute(s) created`);
+  })
+);
+
+// Medical items with the medical debt policy rules each one breaks. Tags
+// medical debt and flags the items to dispute.
+router.get(
+  '/client/:clientId/medical',
+  authenticateToken,
+  validate({ params: clientIdParam }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const report = await medicalDebt.getClientMedicalDebt(clientId);
+    sendSuccess(res, report);
+  })
+);
+
+// Draft medical debt policy disputes (staff only)
+router.post(
+  '/client/:clientId/medical/disputes',
+  authenticateToken,
+  requireStaff,
+  validate({ params: clientIdParam, body: medicalDisputesSchema }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    const disputes = await medicalDebt.generateDisputes(clientId, { itemIds: req.body.itemIds });
+    if (disputes === null) return sendNotFound(res, 'Client profile');
+
+    auditFromRequest(req, 'dispute.created', 'client', clientId, `Generated ${disputes.length} medical debt disputes`).catch(() => {});
+    sendCreated(res, { disputes }, `${disputes.length} dispute(s) created`);
+  })
+);
+
+// Items across all clients that drop off within `days` (default 180)
+router.get(
+  '/falling-off-soon',
+  authenticateToken,
+  requireStaff,
+  validate({ query: fallingOffQuery }),
+  asyncHandler(async (req, res) => {
+    const days = req.query.days || obsolescence.FALLING_OFF_WINDOW_DAYS;
+    const items = await obsolescence.listFallingOffSoon(days);
+    sendSuccess(res, { items, days });
+  })
+);
+
 // Add new credit item (with validation and ownership check)
 router.post(
   '/',
@@ -114,7 +245,10 @@ router.post(
     const errors = validationResult(req);
     if (handleValidationErrors(errors, res)) return;
 
-    const { clientId, itemType, creditorName, accountNumber, bureau, balance, dateOpened, description } = req.body;
+    const {
+      clientId, itemType, creditorName, accountNumber, bureau, balance,
+      dateOpened, dateReported, dateOfFirstDelinquency, bankruptcyChapter, lastPaymentDate, debtCategory, description,
+    } = req.body;
 
     // Clients can only add items to their own profile
     if (req.user.role === 'client' && req.user.id !== clientId) {
@@ -122,10 +256,16 @@ router.post(
     }
 
     const result = await query(
-      `INSERT INTO credit_items (client_id, item_type, creditor_name, account_number, bureau, balance, date_opened, description, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'identified')
-       RETURNING id, client_id, item_type, creditor_name, account_number, bureau, balance, status, date_opened, description, created_at`,
-      [clientId, itemType, creditorName, accountNumber, bureau, balance, dateOpened, description]
+      `INSERT INTO credit_items (client_id, item_type, creditor_name, account_number, bureau, balance, date_opened,
+                                 date_reported, date_of_first_delinquency, bankruptcy_chapter, last_payment_date,
+                                 debt_category, description, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'identified')
+       RETURNING id, client_id, item_type, creditor_name, account_number, bureau, balance, status, date_opened,
+                 date_reported, date_of_first_delinquency, bankruptcy_chapter, last_payment_date, debt_category,
+                 description, created_at`,
+      [clientId, itemType, creditorName, accountNumber, bureau, balance, dateOpened,
+        dateReported || null, dateOfFirstDelinquency || null, bankruptcyChapter ? parseInt(bankruptcyChapter, 10) : null,
+        lastPaymentDate || null, debtCategory || null, description]
     );
 
     logger.info({ userId: req.user?.id, creditItemId: result.rows[0].id }, 'Credit item created successfully');
@@ -163,6 +303,80 @@ router.put(
   })
 );
 
+// Set the dates the §605 reporting period runs from (staff), then re-check
+// whether the item is now obsolete
+router.put(
+  '/:id/obsolescence',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: obsolescenceDatesSchema }),
+  asyncHandler(async (req, res) => {
+    const fields = {
+      dateOfFirstDelinquency: 'date_of_first_delinquency',
+      dateOpened: 'date_opened',
+      bankruptcyChapter: 'bankruptcy_chapter',
+    };
+    const sets = [];
+    const values = [req.params.id];
+    for (const [key, column] of Object.entries(fields)) {
+      if (req.body[key] === undefined) continue;
+      values.push(req.body[key]);
+      sets.push(`${column} = $${values.length}`);
+    }
+
+    const result = await query(
+      `UPDATE credit_items ci SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE ci.id = $1 AND ci.deleted_at IS NULL
+       RETURNING ci.id, ci.client_id, ci.item_type, ci.creditor_name, ci.bureau, ci.status, ci.date_opened,
+                 ci.date_reported, ci.date_of_first_delinquency, ci.bankruptcy_chapter`,
+      values
+    );
+    if (result.rows.length === 0) return sendNotFound(res, 'Credit item');
+
+    const item = result.rows[0];
+    const flagged = await obsolescence.flagObsoleteItems(item.client_id);
+
+    auditFromRequest(req, 'credit_item.updated', 'credit_item', item.id, 'Updated obsolescence dates').catch(() => {});
+    sendSuccess(res, {
+      item: { ...item, ...obsolescence.getObsolescence(item) },
+      flagged: flagged.some((f) => f.id === item.id),
+    }, 'Obsolescence dates updated');
+  })
+);
+
+// Set the last payment date or kind of debt the limitations period depends on (staff)
+router.put(
+  '/:id/statute-of-limitations',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: solDatesSchema }),
+  asyncHandler(async (req, res) => {
+    const fields = { lastPaymentDate: 'last_payment_date', debtCategory: 'debt_category' };
+    const sets = [];
+    const values = [req.params.id];
+    for (const [key, column] of Object.entries(fields)) {
+      if (req.body[key] === undefined) continue;
+      values.push(req.body[key]);
+      sets.push(`${column} = $${values.length}`);
+    }
+
+    const result = await query(
+      `UPDATE credit_items SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NULL
+       RETURNING id, client_id, item_type, creditor_name, bureau, status, last_payment_date,
+                 date_of_first_delinquency, debt_category`,
+      values
+    );
+    if (result.rows.length === 0) return sendNotFound(res, 'Credit item');
+
+    const item = result.rows[0];
+    const state = await statuteOfLimitations.getClientState(item.client_id);
+
+    auditFromRequest(req, 'credit_item.updated', 'credit_item', item.id, 'Updated statute of limitations dates').catch(() => {});
+    sendSuccess(res, { item: { ...item, sol: statuteOfLimitations.getSolStatus(item, state) } }, 'Statute of limitations dates updated');
+  })
+);
+
 // Delete credit item (with ownership check)
 router.delete(
   '/:id',
@@ -372,7 +372,7 @@ router.post('/generate-disputes/:clientId', authenticateToken, async (req, res)
         };
 
         // Generate letter with AI
-        const letter = await generateDisputeLetter(
+        const { letter, templateVersionId } = await generateDisputeLetter(
           clientData,
           creditItemData,
           item.bureau,
@@ -382,10 +382,10 @@ router.post('/generate-disputes/:clientId', authenticateToken, async (req, res)
 
         // Save dispute
         const disputeResult = await query(
-          `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, letter_content, status)
-           VALUES ($1, $2, $3, $4, $5, 'pending')
+          `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, letter_content, template_version_id, status)
+           VALUES ($1, $2, $3, $4, $5, $6, 'pending')
            RETURNING *`,
-          [clientId, item.id, disputeType, item.bureau, letter]
+          [clientId, item.id, disputeType, item.bureau, letter, templateVersionId]
         );
 
         // Update credit item status
@@ -8,6 +8,7 @@ const { query } = require('../config/database');
 const { sendSuccess, sendForbidden, asyncHandler } = require('../utils/responseHelpers');
 const { logger } = require('../utils/logger');
 const { auditFromRequest, AUDIT_ACTIONS } = require('../utils/auditLogger');
+const disputeDeadlines = require('../utils/disputeDeadlines');
 
 // Get dashboard stats for client (with ownership check)
 router.get(
@@ -23,7 +24,7 @@ router.get(
     }
 
     // Run all independent queries in parallel (eliminates N+1 sequential bottleneck)
-    const [scoresResult, itemsResult, disputesResult, activityResult, improvementResult] = await Promise.all([
+    const [scoresResult, itemsResult, disputesResult, activityResult, improvementResult, overdueDisputes] = await Promise.all([
       // Latest credit scores per bureau
       query(
         `SELECT DISTINCT ON (bureau) bureau, score, score_date
@@ -80,6 +81,8 @@ router.get(
         LEFT JOIN first_scores f ON l.bureau = f.bureau`,
         [clientId]
       ),
+      // Disputes past their FCRA investigation deadline
+      disputeDeadlines.listOverdueDisputes({ clientId, limit: 20 }),
     ]);
 
     sendSuccess(res, {
@@ -88,6 +91,7 @@ router.get(
       disputesSummary: disputesResult.rows,
       recentActivity: activityResult.rows,
       scoreImprovement: improvementResult.rows,
+      alerts: disputeDeadlines.toOverdueAlerts(overdueDisputes),
     });
   })
 );
@@ -107,6 +111,8 @@ router.get(
       revenueResult,
       recentClientsResult,
       revenueTrend,
+      overdueDisputeCount,
+      overdueDisputes,
     ] = await Promise.all([
       // Total clients
       query(`SELECT COUNT(*) as total FROM users WHERE role = 'client' AND deleted_at IS NULL`),
@@ -144,6 +150,9 @@ router.get(
          GROUP BY date_trunc('month', payment_date)
          ORDER BY month`
       ),
+      // Disputes past their FCRA investigation deadline
+      disputeDeadlines.countOverdueDisputes(),
+      disputeDeadlines.listOverdueDisputes({ limit: 20 }),
     ]);
 
     // Calculate total disputes from the grouped result
@@ -159,6 +168,8 @@ router.get(
       recentClients: recentClientsResult.rows,
       disputesByStatus: disputesByStatus.rows,
       revenueTrend: revenueTrend.rows,
+      overdueDisputeCount,
+      alerts: disputeDeadlines.toOverdueAlerts(overdueDisputes),
     });
   })
 );
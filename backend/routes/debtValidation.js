@@ -0,0 +1,206 @@
+/**
+ * Debt Validation Routes (FDCPA §809)
+ *
+ * Debt-validation requests to collectors for collection items, the 30-day
+ * validation window, the collector's response, and follow-up bureau
+ * disputes for accounts that remain unvalidated but still reporting.
+ *
+ * @module routes/debtValidation
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { query } = require('../config/database');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  createDebtValidationSchema,
+  markDebtValidationSentSchema,
+  recordDebtValidationResponseSchema,
+  debtValidationFollowUpSchema,
+} = require('../middleware/zodValidation');
+const {
+  sendSuccess,
+  sendCreated,
+  sendError,
+  sendNotFound,
+  sendForbidden,
+  asyncHandler,
+} = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const { getFurnisher } = require('../utils/furnisherDispute');
+const debtValidation = require('../utils/debtValidation');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * Load the client's name and mailing address for letters.
+ */
+const getClientLetterInfo = async (clientId) => {
+  const result = await query(
+    `SELECT u.first_name, u.last_name, cp.address_line1, cp.city, cp.state, cp.zip_code, cp.ssn_last_4
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Load a request and check the caller may access it.
+ */
+const loadOwnedRequest = async (req, res) => {
+  const request = await debtValidation.getValidationRequest(req.params.id);
+  if (!request) {
+    sendNotFound(res, 'Debt validation request');
+    return null;
+  }
+  if (req.user.role === 'client' && request.client_id !== req.user.id) {
+    sendForbidden(res, 'Access denied');
+    return null;
+  }
+  return request;
+};
+
+/**
+ * POST /api/debt-validation
+ * Generate a validation request for a collection item.
+ */
+router.post('/', validate({ body: createDebtValidationSchema }), asyncHandler(async (req, res) => {
+  const { clientId, creditItemId, furnisherId } = req.body;
+  logger.info({ userId: req.user.id, clientId, creditItemId }, 'Creating debt validation request');
+
+  if (req.user.role === 'client' && req.user.id !== clientId) {
+    return sendForbidden(res, 'Access denied');
+  }
+
+  const itemResult = await query(
+    `SELECT id, item_type, creditor_name, account_number, balance
+     FROM credit_items WHERE id = $1 AND client_id = $2 AND deleted_at IS NULL`,
+    [creditItemId, clientId]
+  );
+  if (itemResult.rows.length === 0) return sendNotFound(res, 'Credit item');
+
+  const item = itemResult.rows[0];
+  if (item.item_type !== 'collection') {
+    return sendError(res, 'Debt validation only applies to collection accounts');
+  }
+
+  const [client, collector] = await Promise.all([
+    getClientLetterInfo(clientId),
+    getFurnisher(furnisherId),
+  ]);
+  if (!client) return sendNotFound(res, 'Client');
+  if (!collector) return sendNotFound(res, 'Furnisher');
+
+  const request = await debtValidation.createValidationRequest({
+    client, item, collector, clientId, createdBy: req.user.id,
+  });
+
+  auditFromRequest(req, 'debt_validation.created', 'debt_validation', request.id, 'Debt validation request created').catch(() => {});
+
+  sendCreated(res, { request }, 'Debt validation request created');
+}));
+
+/**
+ * GET /api/debt-validation/client/:clientId
+ * List a client's validation requests. ?unvalidated=true returns only
+ * accounts flagged "unvalidated, still reporting".
+ */
+router.get('/client/:clientId', validate({ params: clientIdParam }), asyncHandler(async (req, res) => {
+  const { clientId } = req.params;
+  if (req.user.role === 'client' && req.user.id !== clientId) {
+    return sendForbidden(res, 'Access denied');
+  }
+
+  const requests = await debtValidation.listValidationRequests(clientId, {
+    unvalidatedOnly: req.query.unvalidated === 'true',
+  });
+
+  sendSuccess(res, { requests });
+}));
+
+/**
+ * GET /api/debt-validation/:id
+ */
+router.get('/:id', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const request = await loadOwnedRequest(req, res);
+  if (!request) return;
+
+  sendSuccess(res, { request });
+}));
+
+/**
+ * PUT /api/debt-validation/:id/sent
+ * Record the mailing date and start the 30-day window.
+ */
+router.put(
+  '/:id/sent',
+  validate({ params: idParam, body: markDebtValidationSentSchema }),
+  asyncHandler(async (req, res) => {
+    const request = await loadOwnedRequest(req, res);
+    if (!request) return;
+
+    const updated = await debtValidation.markSent(request.id, req.body.sentDate);
+    if (!updated) return sendError(res, 'Only draft requests can be marked as sent');
+
+    auditFromRequest(req, 'debt_validation.sent', 'debt_validation', request.id, 'Debt validation request sent').catch(() => {});
+
+    sendSuccess(res, { request: updated }, 'Validation window started');
+  })
+);
+
+/**
+ * PUT /api/debt-validation/:id/response
+ * Record what the collector sent back. Staff only.
+ */
+router.put(
+  '/:id/response',
+  requireRole('admin', 'staff'),
+  validate({ params: idParam, body: recordDebtValidationResponseSchema }),
+  asyncHandler(async (req, res) => {
+    const updated = await debtValidation.recordResponse(req.params.id, req.body);
+    if (!updated) return sendNotFound(res, 'Sent debt validation request');
+
+    auditFromRequest(req, 'debt_validation.response', 'debt_validation', req.params.id, `Collector response recorded: ${updated.status}`).catch(() => {});
+
+    sendSuccess(res, { request: updated }, 'Collector response recorded');
+  })
+);
+
+/**
+ * POST /api/debt-validation/:id/follow-up-dispute
+ * Generate bureau disputes for an unvalidated account that is still reporting.
+ * 409 while an earlier follow-up dispute at one of the bureaus is still open.
+ */
+router.post(
+  '/:id/follow-up-dispute',
+  validate({ params: idParam, body: debtValidationFollowUpSchema }),
+  asyncHandler(async (req, res) => {
+    const request = await loadOwnedRequest(req, res);
+    if (!request) return;
+
+    if (!request.unvalidated_still_reporting) {
+      return sendError(res, 'Follow-up disputes require an unvalidated account that is still reporting');
+    }
+
+    const client = await getClientLetterInfo(request.client_id);
+    if (!client) return sendNotFound(res, 'Client');
+
+    const { disputes, openBureaus } = await debtValidation.createFollowUpDisputes(request, client, req.body.bureaus);
+    if (openBureaus.length > 0) {
+      return sendError(res, `Follow-up disputes are still open at ${openBureaus.join(', ')}`, 409, { openBureaus });
+    }
+
+    auditFromRequest(req, 'debt_validation.follow_up', 'debt_validation', request.id, `${disputes.length} follow-up dispute(s) created`).catch(() => {});
+
+    sendCreated(res, { disputes }, 'Follow-up disputes created');
+  })
+);
+
+module.exports = router;
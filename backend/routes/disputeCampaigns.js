@@ -0,0 +1,94 @@
+/**
+ * Dispute Campaign Routes
+ *
+ * Per-item, per-bureau dispute campaigns: the numbered rounds sent so far,
+ * each round's outcome, and when the next round is due.
+ *
+ * @module routes/disputeCampaigns
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  dueCampaignsQuery,
+  recordRoundOutcomeSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendError, sendNotFound, sendForbidden, asyncHandler } = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const disputeCampaigns = require('../utils/disputeCampaigns');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/dispute-campaigns/due
+ * Active campaigns whose next round is due (staff only).
+ */
+router.get(
+  '/due',
+  requireRole('admin', 'staff'),
+  validate({ query: dueCampaignsQuery }),
+  asyncHandler(async (req, res) => {
+    const campaigns = await disputeCampaigns.listDueCampaigns(req.query.asOf);
+    sendSuccess(res, { campaigns });
+  })
+);
+
+/**
+ * GET /api/dispute-campaigns/client/:clientId
+ */
+router.get('/client/:clientId', validate({ params: clientIdParam }), asyncHandler(async (req, res) => {
+  if (req.user.role === 'client' && req.user.id !== req.params.clientId) {
+    return sendForbidden(res, 'Access denied');
+  }
+
+  const campaigns = await disputeCampaigns.listCampaigns(req.params.clientId);
+  sendSuccess(res, { campaigns });
+}));
+
+/**
+ * GET /api/dispute-campaigns/:id
+ */
+router.get('/:id', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const campaign = await disputeCampaigns.getCampaign(req.params.id);
+  if (!campaign) return sendNotFound(res, 'Dispute campaign');
+  if (req.user.role === 'client' && campaign.client_id !== req.user.id) {
+    return sendForbidden(res, 'Access denied');
+  }
+
+  sendSuccess(res, { campaign });
+}));
+
+/**
+ * POST /api/dispute-campaigns/:id/outcome
+ * Record a round's outcome by hand, e.g. from a phone call or a results
+ * letter that was not uploaded (staff only).
+ */
+router.post(
+  '/:id/outcome',
+  requireRole('admin', 'staff'),
+  validate({ params: idParam, body: recordRoundOutcomeSchema }),
+  asyncHandler(async (req, res) => {
+    const { disputeId, outcome, outcomeDate } = req.body;
+
+    const campaign = await disputeCampaigns.getCampaign(req.params.id);
+    if (!campaign) return sendNotFound(res, 'Dispute campaign');
+    if (!campaign.rounds.some((r) => r.dispute_id === disputeId)) {
+      return sendError(res, 'Dispute is not a round of this campaign');
+    }
+
+    logger.info({ userId: req.user.id, campaignId: campaign.id, disputeId, outcome }, 'Recording dispute round outcome');
+    const round = await disputeCampaigns.recordRoundOutcome(disputeId, outcome, outcomeDate);
+
+    auditFromRequest(req, 'dispute_campaign.outcome_recorded', 'dispute_campaign', campaign.id, `Round ${round.round_number}: ${outcome}`).catch(() => {});
+
+    sendSuccess(res, { round }, 'Round outcome recorded');
+  })
+);
+
+module.exports = router;
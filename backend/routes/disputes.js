@@ -4,11 +4,12 @@
 const express = require('express');
 const router = express.Router();
 const { validationResult } = require('express-validator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireStaff } = require('../middleware/auth');
 const { query } = require('../config/database');
 const {
   createDisputeValidation,
   DISPUTE_STATUSES,
+  DISPUTE_TARGET_TYPES,
 } = require('../utils/validators');
 const {
   sendSuccess,
@@ -21,70 +22,19 @@ const {
 } = require('../utils/responseHelpers');
 const { logger } = require('../utils/logger');
 const { auditFromRequest, AUDIT_ACTIONS } = require('../utils/auditLogger');
-
-// Real bureau addresses for dispute letters
-const BUREAU_ADDRESSES = {
-  experian: 'Experian\nP.O. Box 4500\nAllen, TX 75013',
-  equifax: 'Equifax Information Services LLC\nP.O. Box 740256\nAtlanta, GA 30374',
-  transunion: 'TransUnion LLC\nConsumer Dispute Center\nP.O. Box 2000\nChester, PA 19016',
-};
-
-// Dispute letter templates
-const disputeTemplates = {
-    not_mine: (client, item, bureau) => `
-${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
-
-${BUREAU_ADDRESSES[bureau.toLowerCase()] || bureau.toUpperCase() + ' Credit Bureau'}
-
-Re: Dispute of Inaccurate Information
-
-Dear Sir/Madam,
-
-I am writing to dispute the following information in my credit file. The items I dispute are circled on the attached copy of my credit report.
-
-Account: ${item.creditor_name}
-Account Number: ${item.account_number || 'N/A'}
-
-This item is inaccurate because this account does not belong to me. I have never opened an account with ${item.creditor_name}, and I did not authorize anyone to open this account on my behalf.
-
-I am requesting that you remove this item from my credit report as it is not mine and is damaging my credit score.
-
-Please conduct a complete investigation of my dispute and remove the inaccurate information as soon as possible.
-
-Sincerely,
-
-${client.first_name} ${client.last_name}
-${client.address_line1 || ''}
-${client.city || ''}, ${client.state || ''} ${client.zip_code || ''}
-SSN: XXX-XX-${client.ssn_last_4 || 'XXXX'}
-`,
-    inaccurate_info: (client, item, bureau) => `
-${new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}
-
-${BUREAU_ADDRESSES[bureau.toLowerCase()] || bureau.toUpperCase() + ' Credit Bureau'}
-
-Re: Request for Investigation - Inaccurate Information
-
-Dear Credit Bureau,
-
-I recently reviewed my credit report and found inaccurate information that needs to be corrected immediately.
-
-The following account contains errors:
-Creditor: ${item.creditor_name}
-Account: ${item.account_number || 'N/A'}
-Issue: ${item.description || 'Contains inaccurate information'}
-
-Under the Fair Credit Reporting Act, I have the right to dispute inaccurate information. I request that you investigate this matter and remove or correct the inaccurate data within 30 days.
-
-Please send me written confirmation of your investigation results and any corrections made to my credit file.
-
-Respectfully,
-
-${client.first_name} ${client.last_name}
-${client.address_line1 || ''}
-${client.city || ''}, ${client.state || ''} ${client.zip_code || ''}
-`
-};
+const { getFurnisher, renderFurnisherLetter } = require('../utils/furnisherDispute');
+const disputeDeadlines = require('../utils/disputeDeadlines');
+const { renderDisputeLetter } = require('../utils/letterTemplates');
+const { recordRoundSent } = require('../utils/disputeCampaigns');
+const { buildDisputePacket } = require('../utils/disputePacket');
+const mailTracking = require('../utils/mailTracking');
+const { getCarrierAdapter, defaultCarrier } = require('../utils/carrierAdapters');
+const mov = require('../utils/methodOfVerification');
+const { checkClockRestartRisk, clockRestartHold } = require('../utils/statuteOfLimitations');
+const { checkResubmission, attachEvidence } = require('../utils/frivolousDisputes');
+const {
+  validate, setTrackingSchema, trackingEventSchema, verificationResponseSchema,
+} = require('../middleware/zodValidation');
 
 /**
  * Verify ownership of a dispute
@@ -109,20 +59,30 @@ router.get(
       return sendForbidden(res, 'Access denied');
     }
 
-    const { page = 1, limit = 50 } = req.query;
+    const { page = 1, limit = 50, targetType } = req.query;
     const offset = (Math.max(1, parseInt(page)) - 1) * parseInt(limit);
 
+    const params = [clientId, Math.min(100, parseInt(limit)), offset];
+    let targetFilter = '';
+    if (DISPUTE_TARGET_TYPES.includes(targetType)) {
+      params.push(targetType);
+      targetFilter = ` AND d.target_type = $${params.length}`;
+    }
+
     const result = await query(
       `SELECT d.id, d.client_id, d.credit_item_id, d.dispute_type, d.bureau,
+              d.target_type, d.furnisher_id,
               d.status, d.letter_content, d.sent_date, d.response_date, d.response_text,
               d.tracking_number, d.created_at, d.updated_at,
-              ci.creditor_name, ci.account_number
+              ci.creditor_name, ci.account_number,
+              f.name AS furnisher_name
        FROM disputes d
        LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
-       WHERE d.client_id = $1
+       LEFT JOIN furnishers f ON d.furnisher_id = f.id
+       WHERE d.client_id = $1${targetFilter}
        ORDER BY d.created_at DESC
        LIMIT $2 OFFSET $3`,
-      [clientId, Math.min(100, parseInt(limit)), offset]
+      params
     );
 
     sendSuccess(res, { disputes: result.rows });
@@ -139,7 +99,9 @@ router.post(
     const errors = validationResult(req);
     if (handleValidationErrors(errors, res)) return;
 
-    const { clientId, creditItemId, disputeType, bureau } = req.body;
+    const { clientId, creditItemId, disputeType, furnisherId } = req.body;
+    const targetType = req.body.targetType || 'bureau';
+    const bureau = req.body.bureau || null;
 
     // Clients can only create disputes for themselves
     if (req.user.role === 'client' && req.user.id !== clientId) {
@@ -148,7 +110,7 @@ router.post(
 
     // Get client and credit item info (no password_hash returned)
     const clientResult = await query(
-      `SELECT u.first_name, u.last_name, cp.address_line1, cp.city, cp.state, cp.zip_code, cp.ssn_last_4
+      `SELECT u.first_name, u.last_name, cp.address_line1, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
        FROM users u
        JOIN client_profiles cp ON u.id = cp.user_id
        WHERE u.id = $1`,
@@ -156,7 +118,9 @@ router.post(
     );
 
     const itemResult = await query(
-      'SELECT id, creditor_name, account_number, description FROM credit_items WHERE id = $1',
+      `SELECT id, creditor_name, account_number, item_type, balance, status, date_opened, date_reported,
+              date_of_first_delinquency, last_payment_date, debt_category, description
+       FROM credit_items WHERE id = $1`,
       [creditItemId]
     );
 
@@ -176,18 +140,45 @@ router.post(
       return sendForbidden(res, 'Credit item does not belong to this client');
     }
 
-    // Generate letter content
-    const letterTemplate = disputeTemplates[disputeType] || disputeTemplates.inaccurate_info;
-    const letterContent = letterTemplate(client, item, bureau);
+    // Hold letters that could restart the statute of limitations until staff confirm
+    const solRisk = await checkClockRestartRisk(item, clientId, { disputeType, targetType });
+    const solHold = clockRestartHold(solRisk, req.user, req.body.acknowledgeSolRisk);
+    if (solHold) return sendError(res, solHold.message, 409, solHold.details);
+
+    // Generate letter content from the letter template in effect today.
+    // Direct disputes go to the furnisher (FCRA §623(a)(8)).
+    let letter;
+    if (targetType === 'furnisher') {
+      const furnisher = await getFurnisher(furnisherId);
+      if (!furnisher) return sendNotFound(res, 'Furnisher');
+      letter = await renderFurnisherLetter(disputeType, client, item, furnisher);
+    } else {
+      letter = await renderDisputeLetter({ client, item, bureau, disputeType });
+    }
+    const letterContent = letter.content;
+    const templateVersionId = letter.templateVersionId;
+
+    // Hold back near-identical resubmissions to the same bureau (FCRA §611(a)(3))
+    let resubmission = { evidenceDocumentIds: [], warnings: [] };
+    if (targetType !== 'furnisher') {
+      resubmission = await checkResubmission({
+        clientId, creditItemId, bureau, content: letterContent, evidenceDocumentIds: req.body.evidenceDocumentIds || [],
+      });
+      if (resubmission.blocked) {
+        return sendError(res, resubmission.message, 409, { similarity: resubmission.similarity });
+      }
+    }
 
     // Create dispute record
     const result = await query(
-      `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, letter_content, status)
-       VALUES ($1, $2, $3, $4, $5, 'draft')
-       RETURNING id, client_id, credit_item_id, dispute_type, bureau, letter_content, status, created_at`,
-      [clientId, creditItemId, disputeType, bureau, letterContent]
+      `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, target_type, furnisher_id, letter_content, template_version_id, status)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'draft')
+       RETURNING id, client_id, credit_item_id, dispute_type, bureau, target_type, furnisher_id, letter_content, template_version_id, status, created_at`,
+      [clientId, creditItemId, disputeType, bureau, targetType, targetType === 'furnisher' ? furnisherId : null, letterContent, templateVersionId]
     );
 
+    await attachEvidence(result.rows[0].id, clientId, resubmission.evidenceDocumentIds);
+
     // Update credit item status
     await query(
       `UPDATE credit_items SET status = 'disputing', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
@@ -195,8 +186,41 @@ router.post(
     );
 
     auditFromRequest(req, 'dispute.created', 'dispute', result.rows[0]?.id, 'Dispute created').catch(() => {});
+    if (solRisk) {
+      auditFromRequest(req, 'sol_risk.acknowledged', 'dispute', result.rows[0]?.id, solRisk.reason, { sol: solRisk.sol }).catch(() => {});
+    }
 
-    sendCreated(res, { dispute: result.rows[0] }, 'Dispute created successfully');
+    sendCreated(res, { dispute: result.rows[0], warnings: resubmission.warnings }, 'Dispute created successfully');
+  })
+);
+
+// Overdue and soon-due investigation deadlines (staff only)
+router.get(
+  '/deadlines',
+  authenticateToken,
+  requireStaff,
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.user?.id }, 'Fetching dispute deadlines');
+    const days = Math.min(30, Math.max(1, parseInt(req.query.days) || 7));
+
+    const [overdue, dueSoon] = await Promise.all([
+      disputeDeadlines.listOverdueDisputes({ clientId: req.query.clientId }),
+      disputeDeadlines.listUpcomingDeadlines(days),
+    ]);
+
+    sendSuccess(res, { overdue, dueSoon });
+  })
+);
+
+// Poll the carrier for every dispute still in transit (staff only)
+router.post(
+  '/tracking/refresh',
+  authenticateToken,
+  requireStaff,
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.user?.id }, 'Refreshing tracking for in-transit disputes');
+    const summary = await mailTracking.refreshInTransit();
+    sendSuccess(res, summary, `${summary.delivered.length} of ${summary.checked} disputes confirmed delivered`);
   })
 );
 
@@ -206,7 +230,7 @@ router.put(
   authenticateToken,
   asyncHandler(async (req, res) => {
     logger.info({ userId: req.user?.id, disputeId: req.params.id }, 'Updating dispute status');
-    const { status, sentDate, responseDate, responseText, trackingNumber } = req.body;
+    const { status, sentDate, responseDate, responseText, trackingNumber, additionalInfoDate } = req.body;
 
     // Validate status if provided
     if (status && !DISPUTE_STATUSES.includes(status.toLowerCase())) {
@@ -218,24 +242,294 @@ router.put(
     if (!ownership.found) return sendNotFound(res, 'Dispute');
     if (!ownership.owned) return sendForbidden(res, 'Access denied');
 
-    await query(
+    const result = await query(
       `UPDATE disputes 
        SET status = COALESCE($1, status),
            sent_date = COALESCE($2, sent_date),
            response_date = COALESCE($3, response_date),
            response_text = COALESCE($4, response_text),
            tracking_number = COALESCE($5, tracking_number),
+           additional_info_date = COALESCE($6, additional_info_date),
            updated_at = CURRENT_TIMESTAMP
-       WHERE id = $6`,
-      [status?.toLowerCase(), sentDate, responseDate, responseText, trackingNumber, req.params.id]
+       WHERE id = $7
+       RETURNING id, client_id, credit_item_id, bureau, target_type, sent_date`,
+      [status?.toLowerCase(), sentDate, responseDate, responseText, trackingNumber, additionalInfoDate, req.params.id]
     );
 
+    // Sending a bureau dispute starts the next round of its campaign
+    if (status?.toLowerCase() === 'sent' && result.rows.length > 0) {
+      await recordRoundSent(result.rows[0]);
+    }
+
     auditFromRequest(req, 'dispute.updated', 'dispute', req.params.id, 'Dispute status updated').catch(() => {});
 
     sendSuccess(res, {}, 'Dispute updated successfully');
   })
 );
 
+// Get statutory deadline for a dispute (with ownership check)
+router.get(
+  '/:id/deadline',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const ownership = await verifyDisputeOwnership(req.params.id, req.user.id, req.user.role);
+    if (!ownership.found) return sendNotFound(res, 'Dispute');
+    if (!ownership.owned) return sendForbidden(res, 'Access denied');
+
+    const dispute = await disputeDeadlines.getDisputeForEscalation(req.params.id);
+    if (!dispute) return sendNotFound(res, 'Dispute');
+
+    sendSuccess(res, {
+      deadline: {
+        ...disputeDeadlines.getDeadlineStatus(dispute),
+        clockStartDate: dispute.clock_start_date,
+        escalatedAt: dispute.escalated_at,
+        escalationDisputeId: dispute.escalation_dispute_id,
+      },
+    });
+  })
+);
+
+/**
+ * Load an overdue dispute and the client's letter details, or send the
+ * appropriate error response and return null.
+ */
+const loadOverdueDispute = async (req, res) => {
+  const ownership = await verifyDisputeOwnership(req.params.id, req.user.id, req.user.role);
+  if (!ownership.found) { sendNotFound(res, 'Dispute'); return null; }
+  if (!ownership.owned) { sendForbidden(res, 'Access denied'); return null; }
+
+  const dispute = await disputeDeadlines.getDisputeForEscalation(req.params.id);
+  if (!dispute) { sendNotFound(res, 'Dispute'); return null; }
+
+  if (!disputeDeadlines.getDeadlineStatus(dispute).overdue) {
+    sendError(res, 'Dispute is not past its statutory deadline');
+    return null;
+  }
+
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, cp.address_line1, cp.city, cp.state, cp.zip_code, cp.ssn_last_4
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [dispute.client_id]
+  );
+  if (clientResult.rows.length === 0) { sendNotFound(res, 'Client'); return null; }
+
+  return { dispute, client: clientResult.rows[0] };
+};
+
+// Preview the "failure to investigate" demand letter for an overdue dispute
+router.get(
+  '/:id/failure-to-investigate-letter',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const loaded = await loadOverdueDispute(req, res);
+    if (!loaded) return;
+
+    const letter = await disputeDeadlines.generateFailureToInvestigateLetter(loaded.client, loaded.dispute);
+    sendSuccess(res, {
+      letterContent: letter.content,
+      templateVersionId: letter.templateVersionId,
+      deadline: disputeDeadlines.getDeadlineStatus(loaded.dispute),
+    });
+  })
+);
+
+// Save the demand letter as a new draft dispute and mark the original escalated (staff only)
+router.post(
+  '/:id/escalate',
+  authenticateToken,
+  requireStaff,
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.user?.id, disputeId: req.params.id }, 'Escalating overdue dispute');
+    const loaded = await loadOverdueDispute(req, res);
+    if (!loaded) return;
+
+    if (loaded.dispute.escalation_dispute_id) {
+      return sendError(res, 'Dispute has already been escalated', 409);
+    }
+
+    const letter = await disputeDeadlines.generateFailureToInvestigateLetter(loaded.client, loaded.dispute);
+    const escalation = await disputeDeadlines.createEscalation(loaded.dispute, letter);
+
+    auditFromRequest(req, 'dispute.escalated', 'dispute', req.params.id, 'Failure-to-investigate letter created').catch(() => {});
+
+    sendCreated(res, { dispute: escalation }, 'Demand letter created');
+  })
+);
+
+// Method of verification request for a verified dispute and the bureau's answer (with ownership check)
+router.get(
+  '/:id/method-of-verification',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const ownership = await verifyDisputeOwnership(req.params.id, req.user.id, req.user.role);
+    if (!ownership.found) return sendNotFound(res, 'Dispute');
+    if (!ownership.owned) return sendForbidden(res, 'Access denied');
+
+    const original = await mov.getOriginalDispute(req.params.id);
+    if (!original) return sendNotFound(res, 'Dispute');
+
+    const request = await mov.getMovRequest(original.id);
+    const response = request ? await mov.getVerificationResponse(request.id) : null;
+    const reason = mov.movIneligibilityReason(original);
+
+    sendSuccess(res, {
+      eligible: !reason && !request,
+      reason,
+      request: request ? { ...request, deadline: disputeDeadlines.getDeadlineStatus(request) } : null,
+      response: response ? { ...response, deficient: mov.isDeficientResponse(response) } : null,
+    });
+  })
+);
+
+// Create a §611(a)(7) method of verification letter after a "verified" result
+router.post(
+  '/:id/method-of-verification',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.user?.id, disputeId: req.params.id }, 'Creating method of verification request');
+    const ownership = await verifyDisputeOwnership(req.params.id, req.user.id, req.user.role);
+    if (!ownership.found) return sendNotFound(res, 'Dispute');
+    if (!ownership.owned) return sendForbidden(res, 'Access denied');
+
+    const original = await mov.getOriginalDispute(req.params.id);
+    if (!original) return sendNotFound(res, 'Dispute');
+
+    const reason = mov.movIneligibilityReason(original);
+    if (reason) return sendError(res, reason);
+
+    if (await mov.getMovRequest(original.id)) {
+      return sendError(res, 'A method of verification request already exists for this dispute', 409);
+    }
+
+    const request = await mov.createMovRequest(original);
+    if (!request) return sendNotFound(res, 'Client or credit item');
+
+    auditFromRequest(req, 'dispute.mov_requested', 'dispute', request.id, `Method of verification requested for dispute ${original.id}`).catch(() => {});
+
+    sendCreated(res, { dispute: request }, 'Method of verification request created');
+  })
+);
+
+// Record what the bureau said about how it verified the item (staff only)
+router.post(
+  '/:id/method-of-verification/response',
+  authenticateToken,
+  requireStaff,
+  validate({ body: verificationResponseSchema }),
+  asyncHandler(async (req, res) => {
+    const request = await mov.getMovRequest(req.params.id);
+    if (!request) return sendNotFound(res, 'Method of verification request');
+    if (!request.sent_date) return sendError(res, 'Method of verification request has not been sent');
+
+    if (await mov.getVerificationResponse(request.id)) {
+      return sendError(res, 'The bureau response has already been recorded', 409);
+    }
+
+    const response = await mov.recordVerificationResponse(request, req.body, req.user.id);
+
+    auditFromRequest(req, 'dispute.mov_response_recorded', 'dispute', request.id, `Verification method: ${response.method}`).catch(() => {});
+
+    sendCreated(res, { response }, 'Verification response recorded');
+  })
+);
+
+// Download the mail-ready PDF packet: cover sheet, letter, tradeline, enclosures (staff only)
+router.get(
+  '/:id/packet',
+  authenticateToken,
+  requireStaff,
+  asyncHandler(async (req, res) => {
+    logger.info({ userId: req.user?.id, disputeId: req.params.id }, 'Building dispute packet');
+    const built = await buildDisputePacket(req.params.id);
+    if (!built) return sendNotFound(res, 'Dispute');
+
+    auditFromRequest(req, 'dispute.packet_generated', 'dispute', req.params.id, 'Mail packet generated').catch(() => {});
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="dispute-${req.params.id}.pdf"`);
+    res.send(built.pdf);
+  })
+);
+
+// Carrier events for a mailed dispute (with ownership check)
+router.get(
+  '/:id/tracking',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    const ownership = await verifyDisputeOwnership(req.params.id, req.user.id, req.user.role);
+    if (!ownership.found) return sendNotFound(res, 'Dispute');
+    if (!ownership.owned) return sendForbidden(res, 'Access denied');
+
+    const tracking = await mailTracking.getTracking(req.params.id);
+    if (!tracking) return sendNotFound(res, 'Dispute');
+
+    sendSuccess(res, { tracking });
+  })
+);
+
+// Set the carrier and tracking number (staff only)
+router.put(
+  '/:id/tracking',
+  authenticateToken,
+  requireStaff,
+  validate({ body: setTrackingSchema }),
+  asyncHandler(async (req, res) => {
+    const carrier = req.body.carrier || defaultCarrier();
+    if (!getCarrierAdapter(carrier)) return sendError(res, `Unknown carrier: ${carrier}`);
+
+    const dispute = await mailTracking.setTracking(req.params.id, carrier, req.body.trackingNumber);
+    if (!dispute) return sendNotFound(res, 'Dispute');
+
+    auditFromRequest(req, 'dispute.tracking_set', 'dispute', req.params.id, `Tracking ${carrier} ${req.body.trackingNumber}`).catch(() => {});
+
+    sendSuccess(res, { tracking: dispute }, 'Tracking number saved');
+  })
+);
+
+// Poll the carrier for new scans; delivery starts the FCRA clock (staff only)
+router.post(
+  '/:id/tracking/refresh',
+  authenticateToken,
+  requireStaff,
+  asyncHandler(async (req, res) => {
+    const dispute = await mailTracking.getTracking(req.params.id);
+    if (!dispute) return sendNotFound(res, 'Dispute');
+    if (!dispute.tracking_number) return sendError(res, 'Dispute has no tracking number');
+
+    const result = await mailTracking.refreshTracking(dispute);
+    if (!result.found) return sendNotFound(res, 'Tracking number at carrier');
+
+    sendSuccess(res, result, result.added > 0 ? `${result.added} new tracking events` : 'No new tracking events');
+  })
+);
+
+// Record a scan by hand, e.g. a signed return receipt (staff only)
+router.post(
+  '/:id/tracking/events',
+  authenticateToken,
+  requireStaff,
+  validate({ body: trackingEventSchema }),
+  asyncHandler(async (req, res) => {
+    const dispute = await mailTracking.getTracking(req.params.id);
+    if (!dispute) return sendNotFound(res, 'Dispute');
+    if (!dispute.tracking_number) return sendError(res, 'Dispute has no tracking number');
+
+    const { eventType, eventTime, location, description } = req.body;
+    const result = await mailTracking.saveEvents(
+      dispute,
+      [{ eventType, eventTime, location, description }],
+      { source: 'manual', userId: req.user.id }
+    );
+
+    auditFromRequest(req, 'dispute.tracking_event', 'dispute', req.params.id, `Manual ${eventType} event`).catch(() => {});
+
+    sendCreated(res, result, 'Tracking event recorded');
+  })
+);
+
 // Get dispute by ID (with ownership check)
 router.get(
   '/:id',
@@ -249,13 +543,20 @@ router.get(
 
     const result = await query(
       `SELECT d.id, d.client_id, d.credit_item_id, d.dispute_type, d.bureau,
+              d.target_type, d.furnisher_id,
               d.status, d.letter_content, d.sent_date, d.response_date, d.response_text,
-              d.tracking_number, d.created_at, d.updated_at,
+              d.tracking_number, d.carrier, d.clock_start_date, d.template_version_id, d.original_dispute_id,
+              d.created_at, d.updated_at,
               ci.creditor_name, ci.account_number,
-              u.first_name, u.last_name
+              u.first_name, u.last_name,
+              f.name AS furnisher_name,
+              lt.template_key, ltv.version AS template_version
        FROM disputes d
        LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
        LEFT JOIN users u ON d.client_id = u.id
+       LEFT JOIN furnishers f ON d.furnisher_id = f.id
+       LEFT JOIN letter_template_versions ltv ON d.template_version_id = ltv.id
+       LEFT JOIN letter_templates lt ON ltv.template_id = lt.id
        WHERE d.id = $1`,
       [req.params.id]
     );
@@ -0,0 +1,85 @@
+/**
+ * Furnisher Routes
+ *
+ * Directory of data furnishers (original creditors, collection agencies,
+ * debt buyers) used as recipients of direct disputes under FCRA §623(a)(8).
+ *
+ * @module routes/furnishers
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validate, createFurnisherSchema, updateFurnisherSchema, idParam } = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendNotFound, asyncHandler } = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const furnisherDispute = require('../utils/furnisherDispute');
+
+// All routes require authentication
+router.use(authenticateToken);
+
+/**
+ * GET /api/furnishers
+ * List furnishers. Optional ?search= and ?type= filters.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  logger.info({ userId: req.user.id }, 'Listing furnishers');
+
+  const furnishers = await furnisherDispute.listFurnishers({
+    search: typeof req.query.search === 'string' ? req.query.search.trim() : undefined,
+    furnisherType: req.query.type,
+  });
+
+  sendSuccess(res, { furnishers });
+}));
+
+/**
+ * GET /api/furnishers/:id
+ * Get a single furnisher.
+ */
+router.get('/:id', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const furnisher = await furnisherDispute.getFurnisher(req.params.id);
+  if (!furnisher) return sendNotFound(res, 'Furnisher');
+
+  sendSuccess(res, { furnisher });
+}));
+
+/**
+ * POST /api/furnishers
+ * Add a furnisher to the directory.
+ * Admin/staff only.
+ */
+router.post(
+  '/',
+  requireRole('admin', 'staff'),
+  validate({ body: createFurnisherSchema }),
+  asyncHandler(async (req, res) => {
+    const furnisher = await furnisherDispute.createFurnisher(req.body, req.user.id);
+
+    auditFromRequest(req, 'furnisher.created', 'furnisher', furnisher.id, `Furnisher ${furnisher.name} created`).catch(() => {});
+
+    sendCreated(res, { furnisher }, 'Furnisher created successfully');
+  })
+);
+
+/**
+ * PUT /api/furnishers/:id
+ * Update a furnisher's name, type or address.
+ * Admin/staff only.
+ */
+router.put(
+  '/:id',
+  requireRole('admin', 'staff'),
+  validate({ params: idParam, body: updateFurnisherSchema }),
+  asyncHandler(async (req, res) => {
+    const furnisher = await furnisherDispute.updateFurnisher(req.params.id, req.body);
+    if (!furnisher) return sendNotFound(res, 'Furnisher');
+
+    auditFromRequest(req, 'furnisher.updated', 'furnisher', furnisher.id, 'Furnisher updated').catch(() => {});
+
+    sendSuccess(res, { furnisher }, 'Furnisher updated successfully');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,153 @@
+/**
+ * Goodwill Letter Routes
+ *
+ * Courtesy requests asking an original creditor to remove accurate late
+ * payments. Letters are drafted from the account's reported payment history
+ * and the client's hardship story, mailed by staff, and closed out with the
+ * creditor's answer. They are kept apart from disputes and dispute rounds.
+ *
+ * @module routes/goodwillLetters
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  createGoodwillLetterSchema,
+  goodwillSentSchema,
+  goodwillOutcomeSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, sendForbidden, asyncHandler } = require('../utils/responseHelpers');
+const { auditFromRequest } = require('../utils/auditLogger');
+const { getFurnisher } = require('../utils/furnisherDispute');
+const { checkClockRestartRisk, clockRestartHold } = require('../utils/statuteOfLimitations');
+const goodwill = require('../utils/goodwillLetters');
+
+/**
+ * POST /api/goodwill-letters
+ * Draft a goodwill letter for one of the client's accounts.
+ */
+router.post(
+  '/',
+  authenticateToken,
+  validate({ body: createGoodwillLetterSchema }),
+  asyncHandler(async (req, res) => {
+    const { clientId, creditItemId, furnisherId, hardshipStory } = req.body;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const item = await goodwill.getCreditItem(creditItemId);
+    if (!item) return sendNotFound(res, 'Credit item');
+    if (item.client_id !== clientId) {
+      return sendForbidden(res, 'Credit item does not belong to this client');
+    }
+    if (await goodwill.hasOpenLetter(item.id)) {
+      return sendError(res, 'This account already has a goodwill letter awaiting an answer', 409);
+    }
+
+    const furnisher = await getFurnisher(furnisherId);
+    if (!furnisher) return sendNotFound(res, 'Furnisher');
+
+    // Hold letters that could restart the statute of limitations until staff confirm
+    const solRisk = await checkClockRestartRisk(item, clientId, { disputeType: 'goodwill', targetType: 'furnisher' });
+    const solHold = clockRestartHold(solRisk, req.user, req.body.acknowledgeSolRisk);
+    if (solHold) return sendError(res, solHold.message, 409, solHold.details);
+
+    const letter = await goodwill.createLetter({
+      clientId, item, furnisher, hardshipStory, createdBy: req.user.id,
+    });
+    if (!letter) return sendNotFound(res, 'Client profile');
+
+    auditFromRequest(req, 'goodwill_letter.created', 'goodwill_letter', letter.id, `Goodwill letter drafted for ${item.creditor_name}`).catch(() => {});
+    if (solRisk) {
+      auditFromRequest(req, 'sol_risk.acknowledged', 'goodwill_letter', letter.id, solRisk.reason, { sol: solRisk.sol }).catch(() => {});
+    }
+    sendCreated(res, { letter }, 'Goodwill letter created');
+  })
+);
+
+/**
+ * GET /api/goodwill-letters/client/:clientId
+ * A client's goodwill letters with a count by status.
+ */
+router.get(
+  '/client/:clientId',
+  authenticateToken,
+  validate({ params: clientIdParam }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const result = await goodwill.getClientLetters(clientId);
+    sendSuccess(res, result);
+  })
+);
+
+/**
+ * GET /api/goodwill-letters/:id
+ * One letter with its text.
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  validate({ params: idParam }),
+  asyncHandler(async (req, res) => {
+    const letter = await goodwill.getLetter(req.params.id);
+    if (!letter) return sendNotFound(res, 'Goodwill letter');
+    if (req.user.role === 'client' && req.user.id !== letter.client_id) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    sendSuccess(res, { letter });
+  })
+);
+
+/**
+ * PUT /api/goodwill-letters/:id/sent
+ * Mark a drafted letter as mailed.
+ */
+router.put(
+  '/:id/sent',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: goodwillSentSchema }),
+  asyncHandler(async (req, res) => {
+    const letter = await goodwill.getLetter(req.params.id);
+    if (!letter) return sendNotFound(res, 'Goodwill letter');
+
+    const updated = await goodwill.markSent(letter.id, req.body.sentDate);
+    if (!updated) return sendError(res, 'Only a draft letter can be marked as sent', 409);
+
+    auditFromRequest(req, 'goodwill_letter.sent', 'goodwill_letter', letter.id, 'Goodwill letter mailed').catch(() => {});
+    sendSuccess(res, { letter: updated }, 'Goodwill letter marked as sent');
+  })
+);
+
+/**
+ * PUT /api/goodwill-letters/:id/outcome
+ * Record whether the creditor granted, denied or never answered the request.
+ */
+router.put(
+  '/:id/outcome',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: goodwillOutcomeSchema }),
+  asyncHandler(async (req, res) => {
+    const letter = await goodwill.getLetter(req.params.id);
+    if (!letter) return sendNotFound(res, 'Goodwill letter');
+
+    const updated = await goodwill.recordOutcome(letter.id, req.body);
+    if (!updated) return sendError(res, 'The outcome can only be recorded for a sent letter', 409);
+
+    auditFromRequest(req, 'goodwill_letter.outcome', 'goodwill_letter', letter.id, `Goodwill request ${req.body.outcome}`).catch(() => {});
+    sendSuccess(res, { letter: updated }, 'Goodwill letter outcome recorded');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,186 @@
+/**
+ * Identity Theft Routes (FCRA §605B)
+ *
+ * Identity theft cases built on an FTC Identity Theft Report: pick the
+ * fraudulent tradelines and inquiries per bureau, generate the block
+ * requests, record each bureau's result, and track fraud alerts and
+ * security freezes.
+ *
+ * @module routes/identityTheft
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  createIdentityTheftCaseSchema,
+  selectTheftItemsSchema,
+  theftItemParams,
+  blockResultSchema,
+  bureauProtectionSchema,
+  liftProtectionSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, asyncHandler } = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const identityTheft = require('../utils/identityTheft');
+const { getDeadlineStatus } = require('../utils/disputeDeadlines');
+
+// Staff-only: cases hold police and FTC reports
+router.use(authenticateToken, requireRole('admin', 'staff'));
+
+/**
+ * Load a case for the :id routes, or send 404 and return null.
+ */
+const loadCase = async (req, res) => {
+  const theftCase = await identityTheft.getCase(req.params.id);
+  if (!theftCase) { sendNotFound(res, 'Identity theft case'); return null; }
+  return theftCase;
+};
+
+/**
+ * POST /api/identity-theft
+ * Open a case from an uploaded FTC Identity Theft Report.
+ */
+router.post('/', validate({ body: createIdentityTheftCaseSchema }), asyncHandler(async (req, res) => {
+  const problem = await identityTheft.checkReportDocuments(req.body.clientId, req.body);
+  if (problem) return sendError(res, problem);
+
+  const theftCase = await identityTheft.createCase({ ...req.body, createdBy: req.user.id });
+
+  auditFromRequest(req, 'identity_theft.case_opened', 'identity_theft_case', theftCase.id, 'Identity theft case opened').catch(() => {});
+
+  sendCreated(res, { case: theftCase }, 'Identity theft case opened');
+}));
+
+/**
+ * GET /api/identity-theft/client/:clientId
+ * A client's cases and bureau protections.
+ */
+router.get('/client/:clientId', validate({ params: clientIdParam }), asyncHandler(async (req, res) => {
+  const [cases, protections] = await Promise.all([
+    identityTheft.listCases(req.params.clientId),
+    identityTheft.listProtections(req.params.clientId),
+  ]);
+  sendSuccess(res, { cases, protections });
+}));
+
+/**
+ * GET /api/identity-theft/client/:clientId/candidates
+ * Tradelines and inquiries that can be picked for blocking.
+ */
+router.get('/client/:clientId/candidates', validate({ params: clientIdParam }), asyncHandler(async (req, res) => {
+  const items = await identityTheft.listCandidates(req.params.clientId);
+  sendSuccess(res, { items });
+}));
+
+/**
+ * POST /api/identity-theft/client/:clientId/protections
+ * Record a fraud alert or security freeze placed at a bureau. Alerts
+ * expire by law unless an expiration date is given.
+ */
+router.post(
+  '/client/:clientId/protections',
+  validate({ params: clientIdParam, body: bureauProtectionSchema }),
+  asyncHandler(async (req, res) => {
+    const protection = await identityTheft.addProtection({
+      ...req.body,
+      clientId: req.params.clientId,
+      recordedBy: req.user.id,
+    });
+
+    auditFromRequest(req, 'identity_theft.protection_added', 'bureau_protection', protection.id, `${protection.protection_type} at ${protection.bureau}`).catch(() => {});
+
+    sendCreated(res, { protection }, 'Protection recorded');
+  })
+);
+
+/**
+ * POST /api/identity-theft/protections/:id/lift
+ */
+router.post(
+  '/protections/:id/lift',
+  validate({ params: idParam, body: liftProtectionSchema }),
+  asyncHandler(async (req, res) => {
+    const existing = await identityTheft.getProtection(req.params.id);
+    if (!existing) return sendNotFound(res, 'Protection');
+
+    const protection = await identityTheft.liftProtection(req.params.id, req.body.liftedDate);
+    if (!protection) return sendError(res, 'Protection has already been lifted', 409);
+
+    auditFromRequest(req, 'identity_theft.protection_lifted', 'bureau_protection', protection.id, `${protection.protection_type} lifted at ${protection.bureau}`).catch(() => {});
+
+    sendSuccess(res, { protection }, 'Protection lifted');
+  })
+);
+
+/**
+ * GET /api/identity-theft/:id
+ * The case, its picked items, and each block request with its 4-business-day deadline.
+ */
+router.get('/:id', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const theftCase = await loadCase(req, res);
+  if (!theftCase) return;
+
+  sendSuccess(res, {
+    case: {
+      ...theftCase,
+      blockRequests: theftCase.blockRequests.map((d) => ({ ...d, deadline: getDeadlineStatus(d) })),
+    },
+  });
+}));
+
+/**
+ * POST /api/identity-theft/:id/items
+ * Pick tradelines and inquiries to block. `bureaus` defaults to every bureau
+ * reporting the item.
+ */
+router.post('/:id/items', validate({ params: idParam, body: selectTheftItemsSchema }), asyncHandler(async (req, res) => {
+  const theftCase = await loadCase(req, res);
+  if (!theftCase) return;
+
+  const { added, invalid } = await identityTheft.selectItems(theftCase, req.body.items);
+  if (invalid.length > 0) return sendError(res, 'Some items cannot be blocked', 400, invalid);
+
+  sendSuccess(res, { added }, `${added} item(s) added`);
+}));
+
+/**
+ * POST /api/identity-theft/:id/block-requests
+ * Generate one §605B block request per bureau for the items not yet requested.
+ */
+router.post('/:id/block-requests', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  logger.info({ userId: req.user.id, caseId: req.params.id }, 'Generating §605B block requests');
+  const theftCase = await loadCase(req, res);
+  if (!theftCase) return;
+
+  const disputes = await identityTheft.generateBlockRequests(theftCase);
+  if (!disputes) return sendNotFound(res, 'Client profile');
+  if (disputes.length === 0) return sendError(res, 'No picked items are waiting for a block request');
+
+  auditFromRequest(req, 'identity_theft.block_requested', 'identity_theft_case', theftCase.id, `Block requests created for ${disputes.map((d) => d.bureau).join(', ')}`).catch(() => {});
+
+  sendCreated(res, { disputes }, 'Block requests created');
+}));
+
+/**
+ * PUT /api/identity-theft/:id/items/:itemId
+ * Record whether the bureau blocked a picked item.
+ */
+router.put(
+  '/:id/items/:itemId',
+  validate({ params: theftItemParams, body: blockResultSchema }),
+  asyncHandler(async (req, res) => {
+    const selection = await identityTheft.recordBlockResult(req.params.id, req.params.itemId, req.body);
+    if (!selection) return sendNotFound(res, 'Requested block item');
+
+    auditFromRequest(req, 'identity_theft.block_result', 'identity_theft_case', req.params.id, `${selection.bureau}: ${selection.status}`).catch(() => {});
+
+    sendSuccess(res, { item: selection }, 'Block result recorded');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+/**
+ * Hard Inquiry Routes
+ *
+ * Hard inquiries on a client's reports with their 2-year purge dates. The
+ * client confirms or denies each one; for a denied inquiry staff draft a
+ * §604 permissible-purpose demand to the inquiring creditor and a dispute
+ * to the bureau. Later reports record when an inquiry is removed.
+ *
+ * @module routes/inquiries
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  inquiryResponseSchema,
+  inquiryDisputesSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, sendForbidden, asyncHandler } = require('../utils/responseHelpers');
+const { auditFromRequest } = require('../utils/auditLogger');
+const { getFurnisher } = require('../utils/furnisherDispute');
+const inquiries = require('../utils/inquiries');
+
+/**
+ * GET /api/inquiries/client/:clientId
+ * Hard inquiries with review status, letters, purge date and removal.
+ */
+router.get(
+  '/client/:clientId',
+  authenticateToken,
+  validate({ params: clientIdParam }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const result = await inquiries.getClientInquiries(clientId);
+    sendSuccess(res, result);
+  })
+);
+
+/**
+ * PUT /api/inquiries/:id/response
+ * Confirm or deny that the client authorized an inquiry.
+ */
+router.put(
+  '/:id/response',
+  authenticateToken,
+  validate({ params: idParam, body: inquiryResponseSchema }),
+  asyncHandler(async (req, res) => {
+    const inquiry = await inquiries.getInquiry(req.params.id);
+    if (!inquiry) return sendNotFound(res, 'Inquiry');
+    if (req.user.role === 'client' && req.user.id !== inquiry.client_id) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const updated = await inquiries.setInquiryResponse(inquiry.id, req.body.response);
+    if (!updated) return sendError(res, 'Inquiry is already disputed or removed', 409);
+
+    auditFromRequest(req, 'inquiry.reviewed', 'credit_item', inquiry.id, `Inquiry marked ${req.body.response}`).catch(() => {});
+    sendSuccess(res, { inquiry: updated }, 'Inquiry updated');
+  })
+);
+
+/**
+ * POST /api/inquiries/:id/disputes
+ * Draft the §604 letter to the inquiring creditor and the bureau dispute.
+ */
+router.post(
+  '/:id/disputes',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: inquiryDisputesSchema }),
+  asyncHandler(async (req, res) => {
+    const inquiry = await inquiries.getInquiry(req.params.id);
+    if (!inquiry) return sendNotFound(res, 'Inquiry');
+
+    const problem = inquiries.checkDisputable(inquiry);
+    if (problem) return sendError(res, problem, 409);
+
+    const furnisher = await getFurnisher(req.body.furnisherId);
+    if (!furnisher) return sendNotFound(res, 'Furnisher');
+
+    const disputes = await inquiries.generateDisputes(inquiry, furnisher);
+    if (disputes === null) return sendNotFound(res, 'Client profile');
+
+    auditFromRequest(req, 'dispute.created', 'credit_item', inquiry.id, 'Generated unauthorized inquiry letters').catch(() => {});
+    sendCreated(res, { disputes }, 'Inquiry letters created');
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,116 @@
+/**
+ * Letter Template Routes
+ *
+ * Admins edit dispute letter and AI prompt text here. Every save creates a
+ * new version with an effective date; previews render a saved version or an
+ * unsaved draft against a real client and credit item.
+ *
+ * @module routes/letterTemplates
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  validate,
+  templateKeyParam,
+  createTemplateVersionSchema,
+  previewTemplateSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, asyncHandler } = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const letterTemplates = require('../utils/letterTemplates');
+
+router.use(authenticateToken, requireAdmin);
+
+/**
+ * GET /api/letter-templates
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const templates = await letterTemplates.listTemplates();
+  sendSuccess(res, { templates });
+}));
+
+/**
+ * GET /api/letter-templates/variables
+ * Merge variables available to every template, with their types.
+ */
+router.get('/variables', (req, res) => {
+  sendSuccess(res, { variables: letterTemplates.TEMPLATE_VARIABLES });
+});
+
+/**
+ * GET /api/letter-templates/:key
+ */
+router.get('/:key', validate({ params: templateKeyParam }), asyncHandler(async (req, res) => {
+  if (!letterTemplates.isTemplateKey(req.params.key)) return sendNotFound(res, 'Letter template');
+
+  const template = await letterTemplates.getTemplate(req.params.key);
+  const current = await letterTemplates.getEffectiveVersion(req.params.key);
+
+  sendSuccess(res, { template: { ...template, currentVersion: current.version } });
+}));
+
+/**
+ * POST /api/letter-templates/:key/versions
+ * Save a new version. It takes effect on its effective date (default today).
+ */
+router.post(
+  '/:key/versions',
+  validate({ params: templateKeyParam, body: createTemplateVersionSchema }),
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    if (!letterTemplates.isTemplateKey(key)) return sendNotFound(res, 'Letter template');
+
+    const { unknown } = letterTemplates.inspectTemplate(req.body.body);
+    if (unknown.length > 0) {
+      return sendError(res, `Unknown merge variables: ${unknown.join(', ')}`);
+    }
+
+    logger.info({ userId: req.user.id, templateKey: key }, 'Saving letter template version');
+    const version = await letterTemplates.createVersion(key, req.body, req.user.id);
+
+    auditFromRequest(req, 'letter_template.version_created', 'letter_template', version.id, `${key} v${version.version}`).catch(() => {});
+
+    sendCreated(res, { version }, 'Template version saved');
+  })
+);
+
+/**
+ * POST /api/letter-templates/:key/preview
+ * Render against a real client. Pass `body` to preview unsaved text.
+ */
+router.post(
+  '/:key/preview',
+  validate({ params: templateKeyParam, body: previewTemplateSchema }),
+  asyncHandler(async (req, res) => {
+    const { key } = req.params;
+    if (!letterTemplates.isTemplateKey(key)) return sendNotFound(res, 'Letter template');
+
+    const { clientId, creditItemId, bureau, round, body, asOf } = req.body;
+    const sources = await letterTemplates.loadPreviewSources(clientId, creditItemId);
+    if (!sources) return sendNotFound(res, 'Client or credit item');
+
+    const context = letterTemplates.buildMergeContext({
+      ...sources,
+      bureau: bureau || 'equifax',
+      round,
+      companyProfile: await letterTemplates.loadCompanyProfile(),
+      // dispute.paid and ai.user.paid both preview as a "paid" dispute
+      disputeType: req.body.disputeType || key.split('.').pop(),
+    });
+
+    if (body) {
+      const { unknown } = letterTemplates.inspectTemplate(body);
+      return sendSuccess(res, {
+        preview: { content: letterTemplates.render(body, context), version: null, unknownVariables: unknown },
+      });
+    }
+
+    const rendered = await letterTemplates.renderTemplate(key, context, asOf);
+    sendSuccess(res, { preview: { ...rendered, unknownVariables: [] } });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,145 @@
+/**
+ * Mail Run Routes
+ *
+ * The daily print-and-mail batch: preview the drafts that are ready, create
+ * a run, download its merged packets, labels and manifest, then confirm it
+ * was mailed so its disputes are marked sent.
+ *
+ * @module routes/mailRuns
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { validate, idParam, createMailRunSchema } = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, asyncHandler } = require('../utils/responseHelpers');
+const { logger } = require('../utils/logger');
+const { auditFromRequest } = require('../utils/auditLogger');
+const mailRun = require('../utils/mailRun');
+
+// Staff-only: runs span every client
+router.use(authenticateToken, requireRole('admin', 'staff'));
+
+/**
+ * Load a run for the :id routes, or send 404 and return null.
+ */
+const loadRun = async (req, res) => {
+  const run = await mailRun.getMailRun(req.params.id);
+  if (!run) { sendNotFound(res, 'Mail run'); return null; }
+  return run;
+};
+
+/**
+ * GET /api/mail-runs/ready
+ * Draft disputes ready to mail, grouped by bureau, plus the drafts that are
+ * not ready and why.
+ */
+router.get('/ready', asyncHandler(async (req, res) => {
+  const { ready, notReady } = await mailRun.listReadyDisputes();
+  sendSuccess(res, { groups: mailRun.groupDisputes(ready), total: ready.length, notReady });
+}));
+
+/**
+ * GET /api/mail-runs
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const runs = await mailRun.listMailRuns();
+  sendSuccess(res, { runs });
+}));
+
+/**
+ * POST /api/mail-runs
+ * Create a pending run. Its disputes stay drafts until the run is confirmed.
+ */
+router.post('/', validate({ body: createMailRunSchema }), asyncHandler(async (req, res) => {
+  logger.info({ userId: req.user.id }, 'Creating mail run');
+  const run = await mailRun.createMailRun(req.user.id, req.body.disputeIds);
+  if (!run) return sendError(res, 'No disputes are ready to mail');
+
+  auditFromRequest(req, 'mail_run.created', 'mail_run', run.id, `Mail run created with ${run.items.length} disputes`).catch(() => {});
+
+  sendCreated(res, { run }, 'Mail run created');
+}));
+
+/**
+ * GET /api/mail-runs/:id
+ */
+router.get('/:id', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const run = await loadRun(req, res);
+  if (!run) return;
+  sendSuccess(res, { run });
+}));
+
+/**
+ * GET /api/mail-runs/:id/packets
+ * Every packet in the run as one PDF, grouped by bureau.
+ */
+router.get('/:id/packets', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const run = await loadRun(req, res);
+  if (!run) return;
+
+  const pdf = await mailRun.buildRunPdf(run);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="mail-run-${run.id}.pdf"`);
+  res.send(pdf);
+}));
+
+/**
+ * GET /api/mail-runs/:id/labels
+ * Address labels (Avery 5160) in the same order as the packets.
+ */
+router.get('/:id/labels', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const run = await loadRun(req, res);
+  if (!run) return;
+
+  const pdf = await mailRun.buildLabelSheet(run);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="mail-run-${run.id}-labels.pdf"`);
+  res.send(pdf);
+}));
+
+/**
+ * GET /api/mail-runs/:id/manifest
+ */
+router.get('/:id/manifest', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const run = await loadRun(req, res);
+  if (!run) return;
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="mail-run-${run.id}-manifest.csv"`);
+  res.send(mailRun.buildManifestCsv(run));
+}));
+
+/**
+ * POST /api/mail-runs/:id/confirm
+ * Staff confirm the run went out: its drafts are marked sent today.
+ */
+router.post('/:id/confirm', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const run = await loadRun(req, res);
+  if (!run) return;
+  if (run.status !== 'pending') return sendError(res, `Mail run is already ${run.status}`, 409);
+
+  logger.info({ userId: req.user.id, runId: run.id }, 'Confirming mail run');
+  const result = await mailRun.confirmMailRun(run.id, req.user.id);
+  if (!result) return sendError(res, 'Mail run is no longer pending', 409);
+
+  const skipped = run.items.filter((item) => !result.sent.includes(item.id)).map((item) => item.id);
+
+  auditFromRequest(req, 'mail_run.confirmed', 'mail_run', run.id, `${result.sent.length} disputes marked sent`).catch(() => {});
+
+  sendSuccess(res, { sentDate: result.sentDate, sent: result.sent, skipped }, 'Mail run confirmed');
+}));
+
+/**
+ * POST /api/mail-runs/:id/cancel
+ */
+router.post('/:id/cancel', validate({ params: idParam }), asyncHandler(async (req, res) => {
+  const run = await mailRun.cancelMailRun(req.params.id);
+  if (!run) return sendError(res, 'Only pending mail runs can be cancelled', 409);
+
+  auditFromRequest(req, 'mail_run.cancelled', 'mail_run', run.id, 'Mail run cancelled').catch(() => {});
+
+  sendSuccess(res, { run }, 'Mail run cancelled');
+}));
+
+module.exports = router;
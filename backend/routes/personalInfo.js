@@ -0,0 +1,88 @@
+/**
+ * Personal Information Cleanup Routes
+ *
+ * Names, addresses, employers and phone numbers each bureau reports for a
+ * client, compared with the verified profile. The client marks the entries
+ * they do not recognize, staff draft one cleanup letter per bureau (FCRA
+ * §611), and later reports show which entries were removed.
+ *
+ * @module routes/personalInfo
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  personalInfoResponseSchema,
+  personalInfoDisputesSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, sendForbidden, asyncHandler } = require('../utils/responseHelpers');
+const { auditFromRequest } = require('../utils/auditLogger');
+const personalInfo = require('../utils/personalInfo');
+
+/**
+ * GET /api/personal-info/client/:clientId
+ * Entries by bureau with a review summary.
+ */
+router.get(
+  '/client/:clientId',
+  authenticateToken,
+  validate({ params: clientIdParam }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const result = await personalInfo.getClientPersonalInfo(clientId);
+    sendSuccess(res, result);
+  })
+);
+
+/**
+ * PUT /api/personal-info/entries/:id
+ * Mark an entry as recognized or unknown to the client.
+ */
+router.put(
+  '/entries/:id',
+  authenticateToken,
+  validate({ params: idParam, body: personalInfoResponseSchema }),
+  asyncHandler(async (req, res) => {
+    const entry = await personalInfo.getEntry(req.params.id);
+    if (!entry) return sendNotFound(res, 'Personal information entry');
+    if (req.user.role === 'client' && req.user.id !== entry.client_id) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const updated = await personalInfo.setClientResponse(entry.id, req.body.response);
+    if (!updated) return sendError(res, `Entry is already ${entry.status}`, 409);
+
+    auditFromRequest(req, 'personal_info.reviewed', 'personal_info_entry', entry.id, `Entry marked ${req.body.response}`).catch(() => {});
+    sendSuccess(res, { entry: updated }, 'Entry updated');
+  })
+);
+
+/**
+ * POST /api/personal-info/client/:clientId/disputes
+ * Draft one cleanup letter per bureau for the entries marked unknown.
+ */
+router.post(
+  '/client/:clientId/disputes',
+  authenticateToken,
+  requireStaff,
+  validate({ params: clientIdParam, body: personalInfoDisputesSchema }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    const disputes = await personalInfo.generateDisputes(clientId, req.body.bureaus);
+    if (disputes === null) return sendNotFound(res, 'Client profile');
+    if (disputes.length === 0) return sendError(res, 'No unknown entries left to dispute');
+
+    auditFromRequest(req, 'dispute.created', 'client', clientId, `Generated ${disputes.length} personal information disputes`).catch(() => {});
+    sendCreated(res, { disputes }, `${disputes.length} dispute(s) created`);
+  })
+);
+
+module.exports = router;
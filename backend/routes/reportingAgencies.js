@@ -0,0 +1,87 @@
+/**
+ * Reporting Agency Routes
+ *
+ * The registry of reporting agencies disputes can target: the three
+ * nationwide bureaus and the specialty agencies (bank screening, public
+ * records, alternative credit data and tenant screening), with their dispute
+ * addresses, how to order a file from each, and the file request letter.
+ *
+ * @module routes/reportingAgencies
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { validate, reportingAgencyParam, agencyFileRequestSchema } = require('../middleware/zodValidation');
+const { sendSuccess, sendNotFound, sendForbidden, asyncHandler } = require('../utils/responseHelpers');
+const { auditFromRequest } = require('../utils/auditLogger');
+const { BUREAU_STRATEGIES, AGENCY_STRATEGIES } = require('../utils/disputeStrategy');
+const { buildMergeContext, loadCompanyProfile, loadPreviewSources, renderTemplate } = require('../utils/letterTemplates');
+
+const FILE_REQUEST_TEMPLATE_KEY = 'agency.file_request';
+
+const describeAgency = (key) => ({
+  key,
+  kind: BUREAU_STRATEGIES[key] ? 'nationwide' : 'specialty',
+  ...AGENCY_STRATEGIES[key],
+});
+
+/**
+ * GET /api/reporting-agencies
+ * Every registered agency with its addresses and file request procedure.
+ */
+router.get(
+  '/',
+  authenticateToken,
+  asyncHandler(async (req, res) => {
+    sendSuccess(res, { agencies: Object.keys(AGENCY_STRATEGIES).map(describeAgency) });
+  })
+);
+
+/**
+ * GET /api/reporting-agencies/:agency
+ * One agency with its weaknesses and dispute tactics.
+ */
+router.get(
+  '/:agency',
+  authenticateToken,
+  validate({ params: reportingAgencyParam }),
+  asyncHandler(async (req, res) => {
+    sendSuccess(res, { agency: describeAgency(req.params.agency) });
+  })
+);
+
+/**
+ * POST /api/reporting-agencies/:agency/file-request
+ * Draft the letter asking an agency for a copy of the client's file.
+ */
+router.post(
+  '/:agency/file-request',
+  authenticateToken,
+  validate({ params: reportingAgencyParam, body: agencyFileRequestSchema }),
+  asyncHandler(async (req, res) => {
+    const { agency } = req.params;
+    const { clientId } = req.body;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const sources = await loadPreviewSources(clientId);
+    if (!sources) return sendNotFound(res, 'Client');
+
+    const letter = await renderTemplate(FILE_REQUEST_TEMPLATE_KEY, buildMergeContext({
+      client: sources.client,
+      bureau: agency,
+      companyProfile: await loadCompanyProfile(),
+    }));
+
+    auditFromRequest(req, 'agency.file_request', 'user', clientId, `File request drafted for ${AGENCY_STRATEGIES[agency].name}`).catch(() => {});
+    sendSuccess(res, {
+      letter: letter.content,
+      templateVersionId: letter.templateVersionId,
+      fileRequest: AGENCY_STRATEGIES[agency].fileRequest,
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,230 @@
+/**
+ * Settlement Routes
+ *
+ * Negotiations with collectors over a collection or charge-off: offers and
+ * counteroffers, the pay-for-delete agreement letter, the payment, and the
+ * check that later bureau reports no longer list the account.
+ *
+ * @module routes/settlements
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireStaff } = require('../middleware/auth');
+const {
+  validate,
+  idParam,
+  clientIdParam,
+  createSettlementSchema,
+  settlementOfferSchema,
+  settlementAgreementSchema,
+  settlementPaymentSchema,
+} = require('../middleware/zodValidation');
+const { sendSuccess, sendCreated, sendError, sendNotFound, sendForbidden, asyncHandler } = require('../utils/responseHelpers');
+const { auditFromRequest } = require('../utils/auditLogger');
+const { getFurnisher } = require('../utils/furnisherDispute');
+const { checkClockRestartRisk, clockRestartHold } = require('../utils/statuteOfLimitations');
+const settlements = require('../utils/settlements');
+
+/**
+ * POST /api/settlements
+ * Open a negotiation on a collection or charge-off.
+ */
+router.post(
+  '/',
+  authenticateToken,
+  requireStaff,
+  validate({ body: createSettlementSchema }),
+  asyncHandler(async (req, res) => {
+    const { clientId, creditItemId, furnisherId, notes } = req.body;
+
+    const item = await settlements.getCreditItem(creditItemId);
+    if (!item) return sendNotFound(res, 'Credit item');
+    if (item.client_id !== clientId) {
+      return sendForbidden(res, 'Credit item does not belong to this client');
+    }
+    if (!settlements.SETTLEMENT_ITEM_TYPES.includes(item.item_type)) {
+      return sendError(res, 'Settlements can only be negotiated on collections and charge-offs');
+    }
+    if (await settlements.hasOpenNegotiation(item.id)) {
+      return sendError(res, 'This account already has an open negotiation', 409);
+    }
+
+    const furnisher = await getFurnisher(furnisherId);
+    if (!furnisher) return sendNotFound(res, 'Furnisher');
+
+    const negotiation = await settlements.openNegotiation({
+      clientId, item, furnisherId, notes, createdBy: req.user.id,
+    });
+
+    auditFromRequest(req, 'settlement.opened', 'settlement', negotiation.id, `Negotiation opened with ${furnisher.name}`).catch(() => {});
+    sendCreated(res, { negotiation }, 'Negotiation opened');
+  })
+);
+
+/**
+ * GET /api/settlements/client/:clientId
+ * A client's negotiations with offers and settled-versus-reported totals.
+ */
+router.get(
+  '/client/:clientId',
+  authenticateToken,
+  validate({ params: clientIdParam }),
+  asyncHandler(async (req, res) => {
+    const { clientId } = req.params;
+    if (req.user.role === 'client' && req.user.id !== clientId) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    const result = await settlements.getClientNegotiations(clientId);
+    sendSuccess(res, result);
+  })
+);
+
+/**
+ * GET /api/settlements/:id
+ * One negotiation with its offers and agreement letter.
+ */
+router.get(
+  '/:id',
+  authenticateToken,
+  validate({ params: idParam }),
+  asyncHandler(async (req, res) => {
+    const negotiation = await settlements.getNegotiation(req.params.id);
+    if (!negotiation) return sendNotFound(res, 'Negotiation');
+    if (req.user.role === 'client' && req.user.id !== negotiation.client_id) {
+      return sendForbidden(res, 'Access denied');
+    }
+
+    sendSuccess(res, { negotiation });
+  })
+);
+
+/**
+ * POST /api/settlements/:id/offers
+ * Record an offer or counteroffer.
+ */
+router.post(
+  '/:id/offers',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: settlementOfferSchema }),
+  asyncHandler(async (req, res) => {
+    const negotiation = await settlements.getNegotiation(req.params.id);
+    if (!negotiation) return sendNotFound(res, 'Negotiation');
+    if (negotiation.status !== 'negotiating') {
+      return sendError(res, 'Offers can only be added while negotiating', 409);
+    }
+
+    const offer = await settlements.addOffer(negotiation.id, req.body, req.user.id);
+
+    auditFromRequest(req, 'settlement.offer', 'settlement', negotiation.id, `${req.body.offeredBy} offered ${req.body.amount}`).catch(() => {});
+    sendCreated(res, { offer }, 'Offer recorded');
+  })
+);
+
+/**
+ * POST /api/settlements/:id/agreement
+ * Settle on an amount and draft the pay-for-delete agreement letter.
+ */
+router.post(
+  '/:id/agreement',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: settlementAgreementSchema }),
+  asyncHandler(async (req, res) => {
+    const negotiation = await settlements.getNegotiation(req.params.id);
+    if (!negotiation) return sendNotFound(res, 'Negotiation');
+    if (negotiation.status !== 'negotiating') {
+      return sendError(res, 'This negotiation already has an agreement or is closed', 409);
+    }
+
+    const item = await settlements.getCreditItem(negotiation.credit_item_id);
+    if (!item) return sendNotFound(res, 'Credit item');
+    const furnisher = await getFurnisher(negotiation.furnisher_id);
+    if (!furnisher) return sendNotFound(res, 'Furnisher');
+
+    // Hold letters that could restart the statute of limitations until staff confirm
+    const solRisk = await checkClockRestartRisk(item, negotiation.client_id, { disputeType: 'pay_for_delete', targetType: 'furnisher' });
+    const solHold = clockRestartHold(solRisk, req.user, req.body.acknowledgeSolRisk);
+    if (solHold) return sendError(res, solHold.message, 409, solHold.details);
+
+    const updated = await settlements.createAgreement(negotiation, {
+      item, furnisher, amount: req.body.amount, paymentDeadline: req.body.paymentDeadline,
+    });
+    if (!updated) return sendNotFound(res, 'Client profile');
+
+    auditFromRequest(req, 'settlement.agreed', 'settlement', negotiation.id, `Pay-for-delete agreed at ${req.body.amount}`).catch(() => {});
+    if (solRisk) {
+      auditFromRequest(req, 'sol_risk.acknowledged', 'settlement', negotiation.id, solRisk.reason, { sol: solRisk.sol }).catch(() => {});
+    }
+    sendSuccess(res, { negotiation: updated }, 'Agreement letter created');
+  })
+);
+
+/**
+ * PUT /api/settlements/:id/payment
+ * Record the client's payment under the agreement.
+ */
+router.put(
+  '/:id/payment',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam, body: settlementPaymentSchema }),
+  asyncHandler(async (req, res) => {
+    const updated = await settlements.recordPayment(req.params.id, req.body.paymentDate);
+    if (!updated) {
+      const negotiation = await settlements.getNegotiation(req.params.id);
+      if (!negotiation) return sendNotFound(res, 'Negotiation');
+      return sendError(res, 'Payment can only be recorded against an agreement', 409);
+    }
+
+    auditFromRequest(req, 'settlement.paid', 'settlement', updated.id, 'Settlement payment recorded').catch(() => {});
+    sendSuccess(res, { negotiation: updated }, 'Payment recorded');
+  })
+);
+
+/**
+ * POST /api/settlements/:id/verify
+ * Check the latest bureau reports for the deletion.
+ */
+router.post(
+  '/:id/verify',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam }),
+  asyncHandler(async (req, res) => {
+    const negotiation = await settlements.getNegotiation(req.params.id);
+    if (!negotiation) return sendNotFound(res, 'Negotiation');
+    if (!['paid', 'not_deleted'].includes(negotiation.status)) {
+      return sendError(res, 'The deletion can only be checked after payment and before it is confirmed', 409);
+    }
+
+    const verification = await settlements.verifyDeletion(negotiation);
+    sendSuccess(res, { verification });
+  })
+);
+
+/**
+ * PUT /api/settlements/:id/abandon
+ * Close a negotiation that did not reach a payment.
+ */
+router.put(
+  '/:id/abandon',
+  authenticateToken,
+  requireStaff,
+  validate({ params: idParam }),
+  asyncHandler(async (req, res) => {
+    const updated = await settlements.abandonNegotiation(req.params.id);
+    if (!updated) {
+      const negotiation = await settlements.getNegotiation(req.params.id);
+      if (!negotiation) return sendNotFound(res, 'Negotiation');
+      return sendError(res, 'A paid or closed negotiation cannot be abandoned', 409);
+    }
+
+    auditFromRequest(req, 'settlement.abandoned', 'settlement', updated.id, 'Negotiation abandoned').catch(() => {});
+    sendSuccess(res, { negotiation: updated }, 'Negotiation abandoned');
+  })
+);
+
+module.exports = router;
@@ -61,6 +61,45 @@ const bureauIntegrationRoutes = require('./routes/bureauIntegration');
 // Company settings routes
 const companySettingsRoutes = require('./routes/companySettings');
 
+// Furnisher directory routes (direct disputes, FCRA §623)
+const furnisherRoutes = require('./routes/furnishers');
+
+// Debt validation routes (FDCPA §809)
+const debtValidationRoutes = require('./routes/debtValidation');
+
+// Bureau response ingestion routes (results letters)
+const bureauResponseRoutes = require('./routes/bureauResponses');
+
+// Letter template routes (versioned letter and AI prompt text)
+const letterTemplateRoutes = require('./routes/letterTemplates');
+
+// Dispute campaign routes (per-item, per-bureau rounds)
+const disputeCampaignRoutes = require('./routes/disputeCampaigns');
+
+// Mail run routes (daily batch print-and-mail)
+const mailRunRoutes = require('./routes/mailRuns');
+
+// Regulatory complaint routes (CFPB and state AG, Round 4)
+const complaintRoutes = require('./routes/complaints');
+
+// Identity theft routes (§605B blocks, fraud alerts and freezes)
+const identityTheftRoutes = require('./routes/identityTheft');
+
+// Personal information cleanup routes (names, addresses, employers, phones)
+const personalInfoRoutes = require('./routes/personalInfo');
+
+// Hard inquiry routes (client review, §604 letters, removal tracking)
+const inquiryRoutes = require('./routes/inquiries');
+
+// Goodwill letter routes (courtesy removal requests to original creditors)
+const goodwillLetterRoutes = require('./routes/goodwillLetters');
+
+// Settlement routes (offers, pay-for-delete agreements, deletion checks)
+const settlementRoutes = require('./routes/settlements');
+
+// Reporting agency routes (agency registry, file request letters)
+const reportingAgencyRoutes = require('./routes/reportingAgencies');
+
 const app = express();
 
 // Initialize Sentry — MUST be before any other middleware
@@ -201,6 +240,45 @@ app.use('/api/bureau', auditMiddleware('bureau'), bureauIntegrationRoutes);
 // Company profile routes
 app.use('/api/company', auditMiddleware('company'), companySettingsRoutes);
 
+// Furnisher directory routes
+app.use('/api/furnishers', auditMiddleware('furnisher'), furnisherRoutes);
+
+// Debt validation routes
+app.use('/api/debt-validation', auditMiddleware('debt_validation'), debtValidationRoutes);
+
+// Bureau response ingestion routes
+app.use('/api/bureau-responses', auditMiddleware('bureau_response'), bureauResponseRoutes);
+
+// Letter template routes (admin-edited letter and AI prompt text)
+app.use('/api/letter-templates', auditMiddleware('letter_template'), letterTemplateRoutes);
+
+// Dispute campaign routes
+app.use('/api/dispute-campaigns', auditMiddleware('dispute_campaign'), disputeCampaignRoutes);
+
+// Mail run routes
+app.use('/api/mail-runs', auditMiddleware('mail_run'), mailRunRoutes);
+
+// Regulatory complaint routes
+app.use('/api/complaints', auditMiddleware('complaint'), complaintRoutes);
+
+// Identity theft routes
+app.use('/api/identity-theft', auditMiddleware('identity_theft'), identityTheftRoutes);
+
+// Personal information cleanup routes
+app.use('/api/personal-info', auditMiddleware('personal_info'), personalInfoRoutes);
+
+// Hard inquiry routes
+app.use('/api/inquiries', auditMiddleware('inquiry'), inquiryRoutes);
+
+// Goodwill letter routes
+app.use('/api/goodwill-letters', auditMiddleware('goodwill_letter'), goodwillLetterRoutes);
+
+// Settlement routes
+app.use('/api/settlements', auditMiddleware('settlement'), settlementRoutes);
+
+// Reporting agency routes
+app.use('/api/reporting-agencies', auditMiddleware('reporting_agency'), reportingAgencyRoutes);
+
 // Monitoring routes (probes, health, metrics, audit logs)
 app.use('/api/monitoring', monitoringRoutes);
 
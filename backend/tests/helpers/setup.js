@@ -6,6 +6,7 @@
  */
 
 const jwt = require('jsonwebtoken');
+const { DEFAULT_TEMPLATES } = require('../../utils/letterTemplateDefaults');
 
 // Test secret — used by jest.config.js env setup
 const TEST_JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-for-testing';
@@ -57,8 +58,32 @@ const testUsers = {
   },
 };
 
+/** Version id of every seeded built-in letter template */
+const DEFAULT_TEMPLATE_VERSION_ID = 'f0000000-0000-4000-a000-0000000000f1';
+
+/**
+ * Query result for a built-in letter template's saved version, the row
+ * migration 029 seeds.
+ */
+function templateVersionResult(templateKey) {
+  return {
+    rows: [{ id: DEFAULT_TEMPLATE_VERSION_ID, version: 1, body: DEFAULT_TEMPLATES[templateKey].body, effective_date: '1970-01-01' }],
+  };
+}
+
+/**
+ * Query mock that answers template version lookups with the seeded version
+ * and every other query with no rows.
+ */
+function templateVersionQuery(sql, params) {
+  return Promise.resolve(sql.includes('FROM letter_template_versions') ? templateVersionResult(params[0]) : { rows: [] });
+}
+
 module.exports = {
   TEST_JWT_SECRET,
   generateTestToken,
   testUsers,
+  DEFAULT_TEMPLATE_VERSION_ID,
+  templateVersionResult,
+  templateVersionQuery,
 };
@@ -53,19 +53,26 @@ jest.mock('../../utils/aiDispute', () => ({
 }));
 
 // Mock the dispute strategy module
-const mockDetermineCurrentRound = jest.fn();
 const mockGetCompleteStrategy = jest.fn();
 const mockEstimateScoreImprovement = jest.fn();
 
 jest.mock('../../utils/disputeStrategy', () => ({
-  determineCurrentRound: (...args) => mockDetermineCurrentRound(...args),
   getCompleteStrategy: (...args) => mockGetCompleteStrategy(...args),
   estimateScoreImprovement: (...args) => mockEstimateScoreImprovement(...args),
   STRATEGY_ROUNDS: { 1: { id: 1, name: 'Initial Dispute' }, 2: { id: 2, name: 'Verification Challenge' } },
   BUREAU_STRATEGIES: { equifax: { name: 'Equifax' }, experian: { name: 'Experian' }, transunion: { name: 'TransUnion' } },
+  SPECIALTY_AGENCY_STRATEGIES: { chexsystems: { name: 'ChexSystems' } },
+  AGENCY_STRATEGIES: { equifax: { name: 'Equifax' }, experian: { name: 'Experian' }, transunion: { name: 'TransUnion' }, chexsystems: { name: 'ChexSystems' } },
   ITEM_TYPE_STRATEGIES: {},
 }));
 
+// Mock the dispute campaign service
+const mockGetCampaignState = jest.fn();
+
+jest.mock('../../utils/disputeCampaigns', () => ({
+  getCampaignState: (...args) => mockGetCampaignState(...args),
+}));
+
 const request = require('supertest');
 const app = require('../../server');
 const { generateTestToken, testUsers } = require('../helpers/setup');
@@ -110,7 +117,7 @@ describe('GET /api/ai-disputes/strategy/:creditItemId', () => {
     // pool.query — credit item
     pool.query.mockResolvedValueOnce({ rows: [creditItem], rowCount: 1 });
 
-    mockDetermineCurrentRound.mockResolvedValue({ round: 1, previousResult: null });
+    mockGetCampaignState.mockResolvedValue({ campaign: null, rounds: [], currentRound: 1, inProgress: false, previousResult: null });
     mockGetCompleteStrategy.mockReturnValue({ approach: 'FCRA §611', tips: [] });
 
     // pool.query — score lookup
@@ -129,6 +136,119 @@ describe('GET /api/ai-disputes/strategy/:creditItemId', () => {
     expect(res.body.data).toHaveProperty('currentRound', 1);
     expect(res.body.data).toHaveProperty('scoreImpact');
   });
+
+  it('should take the round and last outcome from the campaign', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'item-1', item_type: 'collection', bureau: 'experian' }], rowCount: 1 });
+    mockGetCampaignState.mockResolvedValue({
+      campaign: { id: 'campaign-1', status: 'active', next_round_date: '2026-03-10' },
+      rounds: [{ round_number: 1, outcome: 'verified' }],
+      currentRound: 2,
+      inProgress: false,
+      previousResult: 'verified',
+    });
+    mockGetCompleteStrategy.mockReturnValue({ tips: [] });
+    pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+    pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+    mockEstimateScoreImprovement.mockReturnValue({ min: 10, max: 30 });
+
+    const res = await request(app)
+      .get('/api/ai-disputes/strategy/item-1?bureau=transunion')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(mockGetCampaignState).toHaveBeenCalledWith('item-1', 'transunion');
+    expect(mockGetCompleteStrategy).toHaveBeenCalledWith('collection', 'transunion', 2, 'verified');
+    expect(res.body.data.campaign).toMatchObject({ id: 'campaign-1', nextRoundDate: '2026-03-10', roundInProgress: false });
+  });
+
+  it('should rank the dispute type by observed success when asked', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    pool.query.mockResolvedValueOnce({ rows: [{ id: 'item-1', item_type: 'collection', bureau: 'experian' }], rowCount: 1 });
+    mockGetCampaignState.mockResolvedValue({ campaign: null, rounds: [], currentRound: 1, inProgress: false, previousResult: null });
+    mockGetCompleteStrategy.mockReturnValue({
+      recommendedDisputeType: 'not_mine', primaryStrategy: 'not_mine', alternativeStrategies: ['inaccurate_info'], tips: [],
+    });
+    // Decided rounds for collections
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { item_type: 'collection', bureau: 'experian', dispute_type: 'not_mine', round_number: 1, creditor_name: 'Midland', decided: 8, deleted: 2 },
+        { item_type: 'collection', bureau: 'experian', dispute_type: 'inaccurate_info', round_number: 1, creditor_name: 'Midland', decided: 6, deleted: 4 },
+      ],
+    });
+    pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+    pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+    mockEstimateScoreImprovement.mockReturnValue({ min: 10, max: 30 });
+
+    const res = await request(app)
+      .get('/api/ai-disputes/strategy/item-1?rankBy=observed')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.strategy).toMatchObject({
+      recommendedDisputeType: 'inaccurate_info', rankedBy: 'observed', rankingBasis: 'bureau_round',
+    });
+    expect(res.body.data.strategy.observedRanking.map((entry) => entry.disputeType)).toEqual(['inaccurate_info', 'not_mine']);
+    expect(mockQuery.mock.calls[1][1]).toEqual(['collection']);
+    expect(mockQuery.mock.calls[1][0]).toContain('d.deleted_at IS NULL');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/ai-disputes/strategies/analytics
+// ---------------------------------------------------------------------------
+describe('GET /api/ai-disputes/strategies/analytics', () => {
+  beforeEach(() => { jest.clearAllMocks(); });
+
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/ai-disputes/strategies/analytics')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return deletion rates by each dimension', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { item_type: 'collection', bureau: 'equifax', dispute_type: 'not_mine', round_number: 1, creditor_name: 'Midland', decided: 4, deleted: 3 },
+        { item_type: 'late_payment', bureau: 'equifax', dispute_type: 'inaccurate_info', round_number: 2, creditor_name: 'Chase', decided: 6, deleted: 1 },
+      ],
+    });
+
+    const res = await request(app)
+      .get('/api/ai-disputes/strategies/analytics?bureau=equifax&since=2026-01-01')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.overall).toMatchObject({ decided: 10, deleted: 4, deletionRate: 0.4 });
+    expect(res.body.data.byItemType.map((group) => group.key)).toEqual(['late_payment', 'collection']);
+    expect(res.body.data.byRound.map((group) => group.key)).toEqual([1, 2]);
+    expect(res.body.data.byCreditor[0]).toMatchObject({ creditorName: 'Chase', deletionRate: 0.167 });
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain("r.outcome <> 'pending'");
+    expect(params).toEqual(['equifax', '2026-01-01']);
+  });
+
+  it('should reject an unknown item type', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/ai-disputes/strategies/analytics?itemType=mortgage')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -154,6 +274,7 @@ describe('GET /api/ai-disputes/strategies/overview', () => {
     expect(res.status).toBe(200);
     expect(res.body.data).toHaveProperty('rounds');
     expect(res.body.data).toHaveProperty('bureaus');
+    expect(res.body.data).toHaveProperty('agencies');
     expect(res.body.data).toHaveProperty('itemTypes');
   });
 });
@@ -260,6 +381,41 @@ describe('POST /api/ai-disputes/save', () => {
     expect(res.body.data).toHaveProperty('id', 'dispute-1');
     expect(res.body.data).toHaveProperty('status', 'draft');
   });
+
+  it('should return 409 when the letter repeats an earlier dispute', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const error = new Error('This letter is 97% similar to an earlier dispute of this item at equifax and may be rejected as frivolous');
+    error.status = 409;
+    error.details = { similarity: { disputeId: 'dispute-0', score: 0.97 } };
+    mockSaveDispute.mockRejectedValueOnce(error);
+
+    const res = await request(app)
+      .post('/api/ai-disputes/save')
+      .set('Authorization', `Bearer ${token}`)
+      .send(validBody);
+
+    expect(res.status).toBe(409);
+    expect(res.body.details.similarity.score).toBe(0.97);
+  });
+
+  it('should pass attached evidence through to the save', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+    mockSaveDispute.mockResolvedValueOnce({ id: 'dispute-2', status: 'draft', created_at: '2026-01-01T00:00:00Z', warnings: [] });
+    const documentId = 'f0000000-0000-4000-a000-000000000050';
+
+    const res = await request(app)
+      .post('/api/ai-disputes/save')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...validBody, evidenceDocumentIds: [documentId] });
+
+    expect(res.status).toBe(201);
+    expect(mockSaveDispute).toHaveBeenCalledWith(
+      testUsers.client.id, validBody.creditItemId, validBody.content, 'not_mine', 'equifax', null, [documentId]
+    );
+  });
 });
 
 // ---------------------------------------------------------------------------
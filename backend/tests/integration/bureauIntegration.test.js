@@ -73,6 +73,12 @@ jest.mock('../../utils/bureauService', () => ({
   getChangeHistory: jest.fn().mockResolvedValue({ changes: [], total: 0, limit: 50, offset: 0 }),
   getChangeTimeline: jest.fn().mockResolvedValue([]),
   analyzeCrossBureau: jest.fn().mockResolvedValue({ scores: {}, discrepancies: [] }),
+  getTriMerge: jest.fn().mockResolvedValue({ bureaus: ['experian', 'equifax'], accounts: [], disputeCandidates: [] }),
+  getMetro2Violations: jest.fn().mockResolvedValue({
+    bureaus: ['experian'],
+    violations: [{ ruleId: 'M2-003', bureau: 'experian', creditorName: 'ABC Collections', disputeType: 'inaccurate_info' }],
+    snapshotDates: {},
+  }),
   getPullHistory: jest.fn().mockResolvedValue([]),
 }));
 
@@ -383,6 +389,51 @@ describe('GET /api/bureau/compare/:clientId', () => {
   });
 });
 
+describe('GET /api/bureau/tri-merge/:clientId', () => {
+  beforeEach(() => { mockQuery.mockReset(); });
+
+  it('should return 200 with the matrix for the client\'s own reports', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser] });
+    const res = await request(app)
+      .get(`/api/bureau/tri-merge/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.bureaus).toEqual(['experian', 'equifax']);
+    expect(bureauService.getTriMerge).toHaveBeenCalledWith(CLIENT_ID);
+  });
+
+  it('should return 400 with fewer than two bureau reports', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [mockAdminUser] });
+    bureauService.getTriMerge.mockResolvedValueOnce({ bureaus: ['experian'], accounts: [], disputeCandidates: [] });
+    const res = await request(app)
+      .get(`/api/bureau/tri-merge/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/bureau/metro2/:clientId', () => {
+  beforeEach(() => { mockQuery.mockReset(); });
+
+  it('should return 200 with rule violations', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [mockStaffUser] });
+    const res = await request(app)
+      .get(`/api/bureau/metro2/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${staffToken}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.violations[0].ruleId).toBe('M2-003');
+    expect(bureauService.getMetro2Violations).toHaveBeenCalledWith(CLIENT_ID);
+  });
+
+  it('should return 403 when client views another client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser] });
+    const res = await request(app)
+      .get(`/api/bureau/metro2/${ADMIN_ID}`)
+      .set('Authorization', `Bearer ${clientToken}`);
+    expect(res.status).toBe(403);
+  });
+});
+
 describe('GET /api/bureau/pull-history/:clientId', () => {
   beforeEach(() => { mockQuery.mockReset(); });
 
@@ -0,0 +1,267 @@
+/**
+ * Integration tests for Bureau Response routes
+ * POST /api/bureau-responses
+ * GET  /api/bureau-responses/client/:clientId
+ * GET  /api/bureau-responses/:id
+ * POST /api/bureau-responses/:id/confirm
+ * POST /api/bureau-responses/:id/discard
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+const mockExtractText = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+jest.mock('../../utils/creditReportAnalyzer', () => ({
+  extractTextFromFile: (...args) => mockExtractText(...args),
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers } = require('../helpers/setup');
+const { extractOutcomes } = require('../../utils/bureauResponse');
+
+const CLIENT_ID = 'a0000000-0000-4000-a000-000000000003';
+const DOCUMENT_ID = 'c0000000-0000-4000-a000-000000000050';
+const RESPONSE_ID = 'f0000000-0000-4000-a000-000000000060';
+const DISPUTE_A = 'd0000000-0000-4000-a000-000000000071';
+const DISPUTE_B = 'd0000000-0000-4000-a000-000000000072';
+const DISPUTE_C = 'd0000000-0000-4000-a000-000000000073';
+
+const openDisputes = [
+  { id: DISPUTE_A, credit_item_id: 'item-a', creditor_name: 'Capital One', account_number: '****1234' },
+  { id: DISPUTE_B, credit_item_id: 'item-b', creditor_name: 'Midland Funding', account_number: '****5678' },
+  { id: DISPUTE_C, credit_item_id: 'item-c', creditor_name: 'Synchrony Bank', account_number: '****9012' },
+];
+
+const RESULTS_LETTER = `
+Dear Client, we have completed our reinvestigation.
+
+CAPITAL ONE Account # 51782345XXXX1234
+Result: This item was deleted from your credit file.
+
+MIDLAND FUNDING Account # XXXX5678
+Result: The information you disputed has been verified as accurate.
+
+Thank you for using our dispute services.
+`;
+
+const staffAuth = () => mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff] });
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+  mockExtractText.mockReset();
+});
+
+describe('extractOutcomes', () => {
+  it('should propose an outcome per tradeline and flag unmatched ones', () => {
+    const outcomes = extractOutcomes(RESULTS_LETTER, openDisputes);
+
+    expect(outcomes.map((o) => o.outcome)).toEqual(['deleted', 'verified', null]);
+    expect(outcomes[0].confidence).toBe('high');
+    expect(outcomes[2].excerpt).toBeNull();
+  });
+
+  it('should prefer updated over verified when both are stated', () => {
+    const [outcome] = extractOutcomes(
+      'Capital One — the item was verified; however the balance was updated.',
+      [openDisputes[0]]
+    );
+    expect(outcome.outcome).toBe('updated');
+    expect(outcome.confidence).toBe('low');
+  });
+
+  it('should match by account suffix when the creditor name differs', () => {
+    const [outcome] = extractOutcomes(
+      'CAP ONE BANK USA 4147XXXX1234 — investigation still in progress',
+      [openDisputes[0]]
+    );
+    expect(outcome.outcome).toBe('investigating');
+  });
+});
+
+describe('POST /api/bureau-responses', () => {
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...testUsers.client, id: CLIENT_ID }] });
+
+    const res = await request(app)
+      .post('/api/bureau-responses')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ documentId: DOCUMENT_ID, bureau: 'experian' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject documents not uploaded as responses', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: DOCUMENT_ID, client_id: CLIENT_ID, file_path: '/tmp/x.pdf', document_category: 'credit_report' }] });
+
+    const res = await request(app)
+      .post('/api/bureau-responses')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ documentId: DOCUMENT_ID, bureau: 'experian' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should store proposed outcomes without touching disputes', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [{ id: DOCUMENT_ID, client_id: CLIENT_ID, file_path: '/tmp/results.pdf', document_category: 'response' }] })
+      .mockResolvedValueOnce({ rows: openDisputes })
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: RESPONSE_ID, status: 'pending', proposed_outcomes: JSON.parse(params[4]) }],
+      }));
+    mockExtractText.mockResolvedValue(RESULTS_LETTER);
+
+    const res = await request(app)
+      .post('/api/bureau-responses')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ documentId: DOCUMENT_ID, bureau: 'experian' });
+
+    expect(res.status).toBe(201);
+    expect(mockExtractText).toHaveBeenCalledWith('/tmp/results.pdf');
+    expect(res.body.data.response.status).toBe('pending');
+    expect(res.body.data.response.proposed_outcomes[0]).toMatchObject({ disputeId: DISPUTE_A, outcome: 'deleted' });
+    expect(mockQuery.mock.calls.some(([sql]) => /UPDATE disputes/.test(sql))).toBe(false);
+  });
+});
+
+describe('POST /api/bureau-responses/:id/confirm', () => {
+  const pendingResponse = { id: RESPONSE_ID, client_id: CLIENT_ID, bureau: 'experian', status: 'pending' };
+
+  it('should return 400 when the response was already confirmed', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...pendingResponse, status: 'confirmed' }] });
+
+    const res = await request(app)
+      .post(`/api/bureau-responses/${RESPONSE_ID}/confirm`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ responseDate: '2026-03-10', outcomes: [{ disputeId: DISPUTE_A, outcome: 'deleted' }] });
+
+    expect(res.status).toBe(400);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should move disputes and items to the confirmed outcomes', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({ rows: [pendingResponse] });
+
+    const dbClient = {
+      query: jest.fn((sql, params) => {
+        if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: [{ id: RESPONSE_ID }] });
+        if (sql.includes('UPDATE disputes')) {
+          return Promise.resolve({ rows: [{ id: params[4], credit_item_id: `item-${params[4].slice(-1)}` }] });
+        }
+        if (sql.includes('UPDATE dispute_rounds')) {
+          return Promise.resolve({ rows: [{ id: 'round-1', campaign_id: 'camp-1', round_number: 1, next_round_date: '2026-04-01' }] });
+        }
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      }),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/bureau-responses/${RESPONSE_ID}/confirm`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        responseDate: '2026-03-10',
+        outcomes: [
+          { disputeId: DISPUTE_A, outcome: 'deleted' },
+          { disputeId: DISPUTE_B, outcome: 'investigating' },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.applied).toHaveLength(2);
+
+    const disputeUpdates = dbClient.query.mock.calls.filter(([sql]) => sql.includes('UPDATE disputes'));
+    expect(disputeUpdates[0][1].slice(0, 3)).toEqual(['resolved', true, '2026-03-10']);
+    expect(disputeUpdates[1][1].slice(0, 2)).toEqual(['investigating', false]);
+    expect(disputeUpdates[0][0]).toMatch(/deleted_at IS NULL AND status IN \('sent', 'received', 'investigating'\)/);
+
+    const itemUpdates = dbClient.query.mock.calls.filter(([sql]) => sql.includes('UPDATE credit_items'));
+    expect(itemUpdates.map(([, params]) => params[0])).toEqual(['deleted', 'disputing']);
+
+    // Only the final outcome closes its campaign round
+    const roundUpdates = dbClient.query.mock.calls.filter(([sql]) => sql.includes('UPDATE dispute_rounds'));
+    expect(roundUpdates).toHaveLength(1);
+    expect(roundUpdates[0][1]).toEqual(['deleted', '2026-03-10', DISPUTE_A]);
+    const campaignUpdate = dbClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE dispute_campaigns'));
+    expect(campaignUpdate[1][0]).toBe('won');
+  });
+
+  it('should return 409 when the response was reviewed while this request waited', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({ rows: [pendingResponse] });
+
+    const dbClient = { query: jest.fn().mockResolvedValueOnce({ rows: [] }) };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/bureau-responses/${RESPONSE_ID}/confirm`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ responseDate: '2026-03-10', outcomes: [{ disputeId: DISPUTE_A, outcome: 'deleted' }] });
+
+    expect(res.status).toBe(409);
+    expect(dbClient.query).toHaveBeenCalledTimes(1);
+    expect(dbClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+  });
+
+  it('should return 400 for an unknown outcome', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+
+    const res = await request(app)
+      .post(`/api/bureau-responses/${RESPONSE_ID}/confirm`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ responseDate: '2026-03-10', outcomes: [{ disputeId: DISPUTE_A, outcome: 'gone' }] });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/bureau-responses/:id/discard', () => {
+  it('should return 404 when nothing pending was found', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({ rowCount: 0 });
+
+    const res = await request(app)
+      .post(`/api/bureau-responses/${RESPONSE_ID}/discard`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Integration tests for Regulatory Complaint routes
+ * GET  /api/complaints/package
+ * POST /api/complaints
+ * GET  /api/complaints/client/:clientId
+ * GET  /api/complaints/:id
+ * POST /api/complaints/:id/filed
+ * POST /api/complaints/:id/response
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: jest.fn(),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers } = require('../helpers/setup');
+
+const CLIENT_ID = 'a0000000-0000-4000-a000-000000000003';
+const ITEM_ID = 'd0000000-0000-4000-a000-000000000020';
+const COMPLAINT_ID = 'f0000000-0000-4000-a000-000000000070';
+const DISPUTE_1 = 'c0000000-0000-4000-a000-000000000071';
+const DISPUTE_2 = 'c0000000-0000-4000-a000-000000000072';
+const DISPUTE_3 = 'c0000000-0000-4000-a000-000000000073';
+
+const mockClientUser = { ...testUsers.client, id: CLIENT_ID };
+
+const itemRow = {
+  id: ITEM_ID,
+  client_id: CLIENT_ID,
+  creditor_name: 'Midland Funding',
+  account_number: '88881234',
+  item_type: 'collection',
+  status: 'verified',
+  first_name: 'Jane',
+  last_name: 'Doe',
+  email: 'jane@example.com',
+  address_line1: '1 Main St',
+  city: 'Austin',
+  state: 'TX',
+  zip_code: '78701',
+};
+
+const historyRows = [
+  {
+    id: DISPUTE_1, dispute_type: 'not_mine', bureau: 'experian', target_type: 'bureau', status: 'rejected',
+    sent_date: '2026-01-05', clock_start_date: '2026-01-08', response_date: '2026-02-02',
+    tracking_number: '9407111899560000000001', round_number: 1, round_outcome: 'verified',
+  },
+  {
+    id: DISPUTE_2, dispute_type: 'method_of_verification', bureau: 'experian', target_type: 'bureau', status: 'resolved',
+    sent_date: '2026-02-10', response_date: '2026-02-24', round_number: 2, round_outcome: 'verified',
+    verification_method: 'automated',
+  },
+  {
+    id: DISPUTE_3, dispute_type: 'other', bureau: 'experian', target_type: 'bureau', status: 'sent',
+    sent_date: '2026-03-10', escalated_at: '2026-04-20', round_number: 3, round_outcome: 'no_response',
+  },
+];
+
+const complaintRow = (overrides = {}) => ({
+  id: COMPLAINT_ID,
+  client_id: CLIENT_ID,
+  credit_item_id: ITEM_ID,
+  bureau: 'experian',
+  agency: 'cfpb',
+  company_name: 'Experian',
+  status: 'draft',
+  ...overrides,
+});
+
+/** Queue the history queries: item, disputes, attachments, prior complaints */
+const mockHistory = (disputes = historyRows, complaints = []) => {
+  mockQuery
+    .mockResolvedValueOnce({ rows: [itemRow] })
+    .mockResolvedValueOnce({ rows: disputes });
+  if (disputes.length > 0) {
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ document_id: 'e0000000-0000-4000-a000-000000000001', file_name: 'experian-results.pdf', document_category: 'response', dispute_id: DISPUTE_1 }],
+    });
+  }
+  mockQuery.mockResolvedValueOnce({ rows: complaints });
+};
+
+beforeEach(() => {
+  mockQuery.mockReset();
+});
+
+describe('GET /api/complaints/package', () => {
+  it('should build CFPB and state AG packages from the dispute history', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockHistory(historyRows, [{ agency: 'cfpb', status: 'filed' }]);
+
+    const res = await request(app)
+      .get(`/api/complaints/package?creditItemId=${ITEM_ID}&bureau=experian`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const { cfpb, stateAg } = res.body.data.package;
+    expect(cfpb).toMatchObject({
+      product: 'Credit reporting or other personal consumer reports',
+      company: 'Experian',
+      subIssue: 'Investigation took more than 30 days',
+      disputeIds: [DISPUTE_1, DISPUTE_2, DISPUTE_3],
+    });
+    expect(cfpb.whatHappened).toContain('the Midland Funding account ending in 1234');
+    expect(cfpb.whatHappened).toContain('1. January 5, 2026 — Round 1: Not Mine dispute mailed to Experian, delivered January 8, 2026 (certified mail 9407111899560000000001). Result: verified as accurate with no correction on February 2, 2026.');
+    expect(cfpb.whatHappened).toContain('FCRA §611(a)(7)');
+    expect(cfpb.whatHappened).toContain('3. March 10, 2026 — Round 3: Other dispute mailed to Experian. Result: no response within the statutory period.');
+    expect(cfpb.attachments).toEqual([expect.objectContaining({ fileName: 'experian-results.pdf', description: 'Response received' })]);
+    expect(stateAg).toMatchObject({
+      agency: 'Attorney General of TX',
+      businessName: 'Experian',
+      otherAgenciesContacted: ['Consumer Financial Protection Bureau'],
+    });
+    expect(stateAg.complaintDetails).toBe(cfpb.whatHappened);
+    expect(mockQuery.mock.calls[2][1]).toEqual([ITEM_ID, 'experian']);
+  });
+
+  it('should return 400 when nothing has been mailed', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockHistory([]);
+
+    const res = await request(app)
+      .get(`/api/complaints/package?creditItemId=${ITEM_ID}&bureau=experian`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 });
+
+    const res = await request(app)
+      .get(`/api/complaints/package?creditItemId=${ITEM_ID}&bureau=experian`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/complaints', () => {
+  it('should save the chosen agency package as a draft', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockHistory();
+    mockQuery.mockImplementationOnce((sql, params) => Promise.resolve({
+      rows: [complaintRow({ agency: params[3], state: params[4], company_name: params[5], package: JSON.parse(params[7]) })],
+    }));
+
+    const res = await request(app)
+      .post('/api/complaints')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ creditItemId: ITEM_ID, bureau: 'experian', agency: 'state_ag' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.complaint).toMatchObject({ agency: 'state_ag', state: 'TX', company_name: 'Experian' });
+    expect(res.body.data.complaint.package.complaintSummary).toMatch(/FCRA §611/);
+  });
+
+  it('should reject an unknown agency', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .post('/api/complaints')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ creditItemId: ITEM_ID, bureau: 'experian', agency: 'ftc' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Complaint filing and company reply', () => {
+  it('should mark a draft filed and start the 15-day CFPB reply window', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [complaintRow()] })
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [complaintRow({ status: 'filed', filed_date: params[0], confirmation_number: params[1], response_due_date: params[2] })],
+      }));
+
+    const res = await request(app)
+      .post(`/api/complaints/${COMPLAINT_ID}/filed`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ filedDate: '2026-05-01', confirmationNumber: '260501-123456' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.complaint).toMatchObject({
+      status: 'filed',
+      confirmation_number: '260501-123456',
+      response_due_date: '2026-05-16',
+    });
+  });
+
+  it('should return 409 when the complaint was already filed', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [complaintRow({ status: 'filed' })] });
+
+    const res = await request(app)
+      .post(`/api/complaints/${COMPLAINT_ID}/filed`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ filedDate: '2026-05-01' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should record the company reply', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [complaintRow({ status: 'filed' })] })
+      .mockResolvedValueOnce({ rows: [complaintRow({ status: 'responded', company_response_type: 'closed_with_non_monetary_relief' })] });
+
+    const res = await request(app)
+      .post(`/api/complaints/${COMPLAINT_ID}/response`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ responseDate: '2026-05-12', responseType: 'closed_with_non_monetary_relief', responseText: 'Account deleted' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.complaint.status).toBe('responded');
+    expect(mockQuery.mock.calls[2][1]).toEqual(['2026-05-12', 'closed_with_non_monetary_relief', 'Account deleted', COMPLAINT_ID, 60]);
+  });
+
+  it('should return 409 for a reply to a draft', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [complaintRow()] });
+
+    const res = await request(app)
+      .post(`/api/complaints/${COMPLAINT_ID}/response`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ responseDate: '2026-05-12', responseType: 'closed_with_explanation' });
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('Client access', () => {
+  it('should list a client\'s own complaints', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [complaintRow({ status: 'filed', response_overdue: true })] });
+
+    const res = await request(app)
+      .get(`/api/complaints/client/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.complaints[0].response_overdue).toBe(true);
+  });
+
+  it('should not show another client\'s complaint', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [complaintRow({ client_id: 'b0000000-0000-4000-a000-000000000099' })] });
+
+    const res = await request(app)
+      .get(`/api/complaints/${COMPLAINT_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -26,7 +26,7 @@ jest.mock('../../utils/sentry', () => ({
 
 const request = require('supertest');
 const app = require('../../server');
-const { generateTestToken, testUsers } = require('../helpers/setup');
+const { generateTestToken, testUsers, templateVersionQuery } = require('../helpers/setup');
 
 // Reset the mockResolvedValueOnce queue before every test so unconsumed
 // values from a previous test never leak into the next one.
@@ -493,3 +493,374 @@ describe('DELETE /api/credit-items/:id', () => {
     expect(res.body.message).toBe('Credit item deleted');
   });
 });
+
+// ---------------------------------------------------------------------------
+// Obsolescence (FCRA §605)
+// ---------------------------------------------------------------------------
+describe('GET /api/credit-items/client/:clientId/obsolescence', () => {
+
+  /** YYYY-MM-DD `years` years and `days` days before today */
+  const ago = (years, days = 0) => {
+    const date = new Date();
+    date.setUTCFullYear(date.getUTCFullYear() - years);
+    date.setUTCDate(date.getUTCDate() - days);
+    return date.toISOString().split('T')[0];
+  };
+
+  it('should sort items into obsolete, falling off soon and missing a start date', async () => {
+    const token = generateTestToken(validClientId);
+
+    // auth middleware
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 });
+    // flag UPDATE
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: 'old-collection' }], rowCount: 1 });
+    // items
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { id: 'old-collection', item_type: 'collection', date_of_first_delinquency: ago(8) },
+        { id: 'soon-chargeoff', item_type: 'charge_off', date_of_first_delinquency: ago(7, 120) },
+        { id: 'recent-late', item_type: 'late_payment', date_of_first_delinquency: ago(2) },
+        { id: 'old-inquiry', item_type: 'inquiry', date_reported: ago(2, 10) },
+        { id: 'chapter-13', item_type: 'bankruptcy', bankruptcy_chapter: 13, date_opened: ago(7, -30) },
+        { id: 'no-dofd', item_type: 'collection', date_of_first_delinquency: null },
+      ],
+      rowCount: 6,
+    });
+
+    const res = await request(app)
+      .get(`/api/credit-items/client/${validClientId}/obsolescence`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.newlyFlagged).toBe(1);
+    expect(res.body.data.obsolete.map((i) => i.id)).toEqual(['old-collection', 'old-inquiry']);
+    expect(res.body.data.fallingOffSoon.map((i) => i.id)).toEqual(['chapter-13', 'soon-chargeoff']);
+    expect(res.body.data.fallingOffSoon[0]).toMatchObject({ daysRemaining: 30, years: 7 });
+    expect(res.body.data.missingStartDate.map((i) => i.id)).toEqual(['no-dofd']);
+
+    const [flagSql, flagParams] = mockQuery.mock.calls[1];
+    expect(flagSql).toContain("suggested_dispute_type = 'outdated'");
+    expect(flagParams[0]).toBe(validClientId);
+  });
+
+  it('should return 403 when a client asks about another client', async () => {
+    const token = generateTestToken(validClientId);
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 });
+
+    const res = await request(app)
+      .get(`/api/credit-items/client/${validOtherClientId}/obsolescence`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/credit-items/falling-off-soon', () => {
+
+  it('should list items across clients within the requested window', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...sampleItem, purge_date: '2026-12-01' }], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/credit-items/falling-off-soon?days=90')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.days).toBe(90);
+    expect(res.body.data.items).toHaveLength(1);
+    expect(mockQuery.mock.calls[1][1][0]).toBe(90);
+  });
+
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/credit-items/falling-off-soon')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/credit-items/:id/obsolescence', () => {
+
+  const itemId = 'd0000000-0000-4000-a000-000000000010';
+
+  it('should store the DOFD and flag the item when it is past its purge date', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ id: itemId, client_id: validClientId, item_type: 'charge_off', date_of_first_delinquency: '2017-05-01' }],
+      rowCount: 1,
+    });
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: itemId }], rowCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/credit-items/${itemId}/obsolescence`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ dateOfFirstDelinquency: '2017-05-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.item).toMatchObject({ purgeDate: '2024-10-28', obsolete: true });
+    expect(res.body.data.flagged).toBe(true);
+    expect(mockQuery.mock.calls[1][1]).toEqual([itemId, '2017-05-01']);
+  });
+
+  it('should reject an unknown bankruptcy chapter', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/credit-items/${itemId}/obsolescence`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ bankruptcyChapter: 9 });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Statute of limitations
+// ---------------------------------------------------------------------------
+describe('GET /api/credit-items/client/:clientId/statute-of-limitations', () => {
+
+  it('should report each collection against the client\'s state', async () => {
+    const token = generateTestToken(validClientId);
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 }); // auth
+    mockQuery.mockResolvedValueOnce({ rows: [{ state: 'CA' }], rowCount: 1 }); // client state
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { id: 'barred', item_type: 'collection', last_payment_date: '2018-05-01', debt_category: 'written' },
+        { id: 'live', item_type: 'charge_off', last_payment_date: null, date_of_first_delinquency: '2099-01-01' },
+        { id: 'undated', item_type: 'collection' },
+      ],
+      rowCount: 3,
+    });
+
+    const res = await request(app)
+      .get(`/api/credit-items/client/${validClientId}/statute-of-limitations`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.state).toBe('CA');
+    expect(res.body.data.periods).toEqual({ written: 4, open: 4, promissory: 4 });
+    const [barred, live, undated] = res.body.data.items;
+    expect(barred.sol).toMatchObject({ status: 'time_barred', expiresDate: '2022-05-01', categoryAssumed: false });
+    expect(live.sol).toMatchObject({ status: 'collectable', startBasis: 'date of first delinquency', categoryAssumed: true });
+    expect(undated.sol.status).toBe('unknown');
+  });
+});
+
+describe('PUT /api/credit-items/:id/statute-of-limitations', () => {
+
+  const itemId = 'd0000000-0000-4000-a000-000000000011';
+
+  it('should store the last payment date and return the new status', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }); // auth
+    mockQuery.mockResolvedValueOnce({
+      rows: [{ id: itemId, client_id: validClientId, item_type: 'collection', last_payment_date: '2020-03-01', debt_category: 'open' }],
+      rowCount: 1,
+    });
+    mockQuery.mockResolvedValueOnce({ rows: [{ state: 'VA' }], rowCount: 1 }); // client state
+
+    const res = await request(app)
+      .put(`/api/credit-items/${itemId}/statute-of-limitations`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ lastPaymentDate: '2020-03-01', debtCategory: 'open' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.item.sol).toMatchObject({ status: 'time_barred', state: 'VA', years: 3, expiresDate: '2023-03-01' });
+    expect(mockQuery.mock.calls[1][1]).toEqual([itemId, '2020-03-01', 'open']);
+  });
+
+  it('should reject an unknown kind of debt', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .put(`/api/credit-items/${itemId}/statute-of-limitations`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ debtCategory: 'oral' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/credit-items/client/:clientId/duplicates', () => {
+
+  const chargeOff = {
+    id: 'd0000000-0000-4000-a000-000000000021', bureau: 'experian', item_type: 'charge_off', creditor_name: 'Capital One',
+    account_number: 'CO1', balance: 1200, date_reported: '2024-08-05', date_of_first_delinquency: '2022-01-10',
+  };
+  const collection = {
+    id: 'd0000000-0000-4000-a000-000000000022', bureau: 'experian', item_type: 'collection', creditor_name: 'Midland Credit',
+    account_number: 'MC1', balance: 1200, date_reported: '2025-03-01', date_of_first_delinquency: '2023-06-01',
+    description: 'Original creditor: Capital One',
+  };
+
+  it('should group the listings and flag the older one as a duplicate', async () => {
+    const token = generateTestToken(validClientId);
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 }); // auth
+    mockQuery.mockResolvedValueOnce({ rows: [chargeOff, collection], rowCount: 2 }); // items
+    mockQuery.mockResolvedValueOnce({ rows: [], rowCount: 0 }); // snapshots
+    mockQuery.mockResolvedValue({ rows: [], rowCount: 1 }); // flags
+
+    const res = await request(app)
+      .get(`/api/credit-items/client/${validClientId}/duplicates`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const [group] = res.body.data.duplicateGroups;
+    expect(group.primary.id).toBe(collection.id);
+    expect(group.duplicates.map((i) => i.id)).toEqual([chargeOff.id]);
+    expect(res.body.data.reaged[0]).toMatchObject({ creditItemId: collection.id, originalDofd: '2022-01-10', reportedDofd: '2023-06-01' });
+    expect(res.body.data.newlyFlagged).toBe(2);
+  });
+
+  it('should return 403 for another client', async () => {
+    const token = generateTestToken(validClientId);
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .get(`/api/credit-items/client/${validOtherClientId}/duplicates`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/credit-items/client/:clientId/duplicates/disputes', () => {
+
+  it('should be staff only', async () => {
+    const token = generateTestToken(validClientId);
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .post(`/api/credit-items/client/${validClientId}/duplicates/disputes`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should reject item IDs that are not UUIDs', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .post(`/api/credit-items/client/${validClientId}/duplicates/disputes`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ itemIds: ['not-a-uuid'] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 201 with no disputes when nothing is duplicated', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }); // auth
+    mockQuery.mockResolvedValueOnce({ rows: [], rowCount: 0 }); // items
+    mockQuery.mockResolvedValueOnce({ rows: [], rowCount: 0 }); // snapshots
+
+    const res = await request(app)
+      .post(`/api/credit-items/client/${validClientId}/duplicates/disputes`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.disputes).toEqual([]);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/credit-items/client/:clientId/medical', () => {
+
+  it('should tag medical collections and list the policy rules they break', async () => {
+    const token = generateTestToken(validClientId);
+    const hospital = {
+      id: 'd0000000-0000-4000-a000-000000000031', bureau: 'equifax', item_type: 'collection', creditor_name: 'Receivables Inc',
+      account_number: 'RX1', balance: 320, status: 'identified', date_of_first_delinquency: '2021-03-01',
+      description: 'Original creditor: St. Mary Hospital', is_medical: false, suggested_dispute_type: null,
+    };
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 }); // auth
+    mockQuery.mockResolvedValueOnce({ rows: [hospital], rowCount: 1 }); // items to tag
+    mockQuery.mockResolvedValueOnce({ rows: [], rowCount: 1 }); // tag
+    mockQuery.mockResolvedValueOnce({ rows: [], rowCount: 1 }); // flag
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...hospital, is_medical: true }], rowCount: 1 }); // medical items
+
+    const res = await request(app)
+      .get(`/api/credit-items/client/${validClientId}/medical`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.violating).toBe(1);
+    expect(res.body.data.newlyFlagged).toBe(1);
+    expect(res.body.data.items[0].violations.map((v) => v.ruleId)).toEqual(['MED-002']);
+    const flag = mockQuery.mock.calls.find(([sql]) => sql.includes("suggested_dispute_type = 'medical_debt'"));
+    expect(flag[1]).toEqual([hospital.id, expect.stringContaining('under $500'), 'MED-002']);
+  });
+
+  it('should return 403 for another client', async () => {
+    const token = generateTestToken(validClientId);
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .get(`/api/credit-items/client/${validOtherClientId}/medical`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/credit-items/client/:clientId/medical/disputes', () => {
+
+  it('should draft a medical debt letter citing the broken rules', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    const paid = {
+      id: 'd0000000-0000-4000-a000-000000000032', bureau: 'transunion', item_type: 'collection', creditor_name: 'Valley Radiology',
+      account_number: 'VR123', balance: 0, status: 'identified', date_of_first_delinquency: '2020-05-01', is_medical: true,
+      suggested_dispute_type: 'medical_debt',
+    };
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }); // auth
+    mockQuery.mockResolvedValueOnce({ rows: [paid], rowCount: 1 }); // items to tag
+    mockQuery.mockResolvedValueOnce({ rows: [], rowCount: 0 }); // flag (already flagged)
+    mockQuery.mockResolvedValueOnce({ rows: [paid], rowCount: 1 }); // medical items
+    mockQuery.mockResolvedValueOnce({ rows: [], rowCount: 0 }); // open disputes
+    mockQuery.mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' }] });
+    mockQuery.mockImplementation(templateVersionQuery); // template versions, company profile
+
+    const dbClient = {
+      query: jest.fn((sql, params) => Promise.resolve(
+        sql.includes('INSERT INTO disputes')
+          ? { rows: [{ id: 'c0000000-0000-4000-a000-000000000033', dispute_type: 'medical_debt', letter_content: params[3] }] }
+          : { rows: [], rowCount: 1 }
+      )),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/credit-items/client/${validClientId}/medical/disputes`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    const [dispute] = res.body.data.disputes;
+    expect(dispute.dispute_type).toBe('medical_debt');
+    expect(dispute.letter_content).toContain('Dispute of Medical Debt Excluded by Bureau Reporting Policy');
+    expect(dispute.letter_content).toContain('- The account shows a $0.00 balance. Paid medical collection debt is not reported');
+  });
+
+  it('should be staff only', async () => {
+    const token = generateTestToken(validClientId);
+    mockQuery.mockResolvedValueOnce({ rows: [validClient], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .post(`/api/credit-items/client/${validClientId}/medical/disputes`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -260,7 +260,7 @@ describe('POST /api/credit-reports/generate-disputes/:clientId', () => {
     mockQuery.mockResolvedValueOnce({ rows: items });
 
     // generateDisputeLetter
-    mockGenerateDisputeLetter.mockResolvedValue('Dear Bureau...');
+    mockGenerateDisputeLetter.mockResolvedValue({ letter: 'Dear Bureau...', templateVersionId: null });
 
     // INSERT disputes
     mockQuery.mockResolvedValueOnce({ rows: [{ id: 'disp1' }] });
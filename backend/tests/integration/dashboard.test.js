@@ -29,25 +29,39 @@ const { generateTestToken, testUsers } = require('../helpers/setup');
 const CLIENT_ID = testUsers.client.id;
 const OTHER_CLIENT_ID = 'a0000000-0000-0000-0000-000000000099';
 
-// Helper: mock the 5 parallel queries that the client dashboard handler runs
-function mockClientDashboardQueries() {
+const overdueDispute = {
+  id: 'c0000000-0000-4000-a000-000000000010',
+  client_id: CLIENT_ID,
+  bureau: 'equifax',
+  target_type: 'bureau',
+  creditor_name: 'Capital One',
+  due_date: '2026-02-04',
+  days_overdue: 12,
+  escalated_at: null,
+};
+
+// Helper: mock the 6 parallel queries that the client dashboard handler runs
+function mockClientDashboardQueries(overdue = []) {
   mockQuery
     .mockResolvedValueOnce({ rows: [{ bureau: 'experian', score: 720 }] })       // scores
     .mockResolvedValueOnce({ rows: [{ status: 'identified', count: '3' }] })      // items
     .mockResolvedValueOnce({ rows: [{ status: 'pending', count: '2' }] })         // disputes
     .mockResolvedValueOnce({ rows: [] })                                           // activity
-    .mockResolvedValueOnce({ rows: [] });                                          // improvement
+    .mockResolvedValueOnce({ rows: [] })                                           // improvement
+    .mockResolvedValueOnce({ rows: overdue });                                     // overdue disputes
 }
 
-// Helper: mock the 6 parallel queries that the admin stats handler runs
-function mockAdminStatsQueries() {
+// Helper: mock the 8 parallel queries that the admin stats handler runs
+function mockAdminStatsQueries(overdue = []) {
   mockQuery
     .mockResolvedValueOnce({ rows: [{ total: '25' }] })                           // clients count
     .mockResolvedValueOnce({ rows: [{ active: '10' }] })                          // active subs
     .mockResolvedValueOnce({ rows: [{ status: 'pending', count: '5' }] })         // disputes by status
     .mockResolvedValueOnce({ rows: [{ revenue: '4500.00' }] })                    // monthly revenue
     .mockResolvedValueOnce({ rows: [{ id: 'u1', first_name: 'John', last_name: 'Doe', email: 'j@t.com', created_at: '2026-01-01', subscription_status: 'active' }] }) // recent clients
-    .mockResolvedValueOnce({ rows: [] });                                          // revenue trend
+    .mockResolvedValueOnce({ rows: [] })                                           // revenue trend
+    .mockResolvedValueOnce({ rows: [{ count: String(overdue.length) }] })         // overdue count
+    .mockResolvedValueOnce({ rows: overdue });                                     // overdue disputes
 }
 
 // ---------------------------------------------------------------------------
@@ -89,6 +103,27 @@ describe('GET /api/dashboard/client/:clientId', () => {
     expect(res.body.data.disputesSummary).toEqual([{ status: 'pending', count: '2' }]);
     expect(res.body.data.recentActivity).toEqual([]);
     expect(res.body.data.scoreImprovement).toEqual([]);
+    expect(res.body.data.alerts).toEqual([]);
+  });
+
+  it('should include overdue disputes as alerts', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 }); // auth
+    mockClientDashboardQueries([overdueDispute]);
+
+    const res = await request(app)
+      .get(`/api/dashboard/client/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.alerts).toHaveLength(1);
+    expect(res.body.data.alerts[0]).toMatchObject({
+      type: 'dispute_overdue',
+      severity: 'high',
+      recipient: 'equifax',
+      daysOverdue: 12,
+    });
+    expect(mockQuery.mock.calls[6][1]).toEqual([20, CLIENT_ID]);
   });
 
   it('should return 200 when admin accesses any client dashboard', async () => {
@@ -159,6 +194,21 @@ describe('GET /api/dashboard/admin/stats', () => {
     expect(res.body.data.recentClients).toHaveLength(1);
     expect(res.body.data.disputesByStatus).toBeDefined();
     expect(res.body.data.revenueTrend).toEqual([]);
+    expect(res.body.data.overdueDisputeCount).toBe(0);
+  });
+
+  it('should report overdue disputes across clients', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.admin], rowCount: 1 }); // auth
+    mockAdminStatsQueries([{ ...overdueDispute, escalated_at: '2026-02-10T00:00:00Z' }]);
+
+    const res = await request(app)
+      .get('/api/dashboard/admin/stats')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.overdueDisputeCount).toBe(1);
+    expect(res.body.data.alerts[0]).toMatchObject({ disputeId: overdueDispute.id, escalated: true, severity: 'medium' });
   });
 
   it('should return 200 for staff on admin stats', async () => {
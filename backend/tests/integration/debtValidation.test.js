@@ -0,0 +1,317 @@
+/**
+ * Integration tests for Debt Validation routes
+ * POST /api/debt-validation
+ * GET  /api/debt-validation/client/:clientId
+ * GET  /api/debt-validation/:id
+ * PUT  /api/debt-validation/:id/sent
+ * PUT  /api/debt-validation/:id/response
+ * POST /api/debt-validation/:id/follow-up-dispute
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers, templateVersionQuery } = require('../helpers/setup');
+const { computeValidationDeadline, isAdequateValidation } = require('../../utils/debtValidation');
+const { DEFAULT_TEMPLATES } = require('../../utils/letterTemplateDefaults');
+
+const CLIENT_ID = 'a0000000-0000-4000-a000-000000000003';
+const OTHER_CLIENT_ID = 'b0000000-0000-4000-a000-000000000099';
+const CREDIT_ITEM_ID = 'd0000000-0000-4000-a000-000000000020';
+const FURNISHER_ID = 'e0000000-0000-4000-a000-000000000030';
+const REQUEST_ID = 'f0000000-0000-4000-a000-000000000040';
+const TEMPLATE_VERSION_ID = 'f0000000-0000-4000-a000-000000000041';
+
+const mockClientUser = { ...testUsers.client, id: CLIENT_ID };
+const clientProfile = { first_name: 'Client', last_name: 'User', address_line1: '123 St', city: 'NY', state: 'NY', zip_code: '10001', ssn_last_4: '1234' };
+const collector = { id: FURNISHER_ID, name: 'Midland Credit Management', address_line1: 'PO Box 2121', city: 'Warren', state: 'MI', zip_code: '48090' };
+const collectionItem = { id: CREDIT_ITEM_ID, item_type: 'collection', creditor_name: 'Midland / Comenity', account_number: '9876', balance: 812.5 };
+
+const validationRow = (overrides = {}) => ({
+  id: REQUEST_ID,
+  client_id: CLIENT_ID,
+  credit_item_id: CREDIT_ITEM_ID,
+  furnisher_id: FURNISHER_ID,
+  status: 'unvalidated',
+  sent_date: '2026-01-05',
+  validation_deadline: '2026-02-04',
+  response_date: null,
+  collector_name: 'Midland Credit Management',
+  creditor_name: 'Midland / Comenity',
+  account_number: '9876',
+  bureau: 'all',
+  unvalidated_still_reporting: true,
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+});
+
+describe('debt validation helpers', () => {
+  it('should end the validation window 30 days after mailing', () => {
+    expect(computeValidationDeadline('2026-01-05')).toBe('2026-02-04');
+  });
+
+  it('should count the validation window from the UTC day a letter was mailed', () => {
+    expect(computeValidationDeadline(new Date('2026-01-05T23:30:00-05:00'))).toBe('2026-02-05');
+  });
+
+  it('should require an itemization plus proof of ownership or agreement', () => {
+    expect(isAdequateValidation(['itemization'])).toBe(false);
+    expect(isAdequateValidation(['original_agreement', 'chain_of_title'])).toBe(false);
+    expect(isAdequateValidation(['itemization', 'chain_of_title'])).toBe(true);
+  });
+});
+
+describe('POST /api/debt-validation', () => {
+  const body = { clientId: CLIENT_ID, creditItemId: CREDIT_ITEM_ID, furnisherId: FURNISHER_ID };
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).post('/api/debt-validation').send(body);
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 403 when a client requests validation for another client', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser] });
+
+    const res = await request(app)
+      .post('/api/debt-validation')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...body, clientId: OTHER_CLIENT_ID });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for items that are not collections', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser] })
+      .mockResolvedValueOnce({ rows: [{ ...collectionItem, item_type: 'late_payment' }] });
+
+    const res = await request(app)
+      .post('/api/debt-validation')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/collection/i);
+  });
+
+  it('should create a §809(b) request addressed to the collector', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser] })
+      .mockResolvedValueOnce({ rows: [collectionItem] })
+      .mockResolvedValueOnce({ rows: [clientProfile] })
+      .mockResolvedValueOnce({ rows: [collector] })
+      .mockResolvedValueOnce({ rows: [] }) // company profile
+      .mockResolvedValueOnce({ rows: [{ id: TEMPLATE_VERSION_ID, version: 2, body: DEFAULT_TEMPLATES['debt_validation.request'].body }] })
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: REQUEST_ID, status: 'draft', letter_content: params[3], template_version_id: params[4] }],
+      }));
+
+    const res = await request(app)
+      .post('/api/debt-validation')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.request.letter_content).toContain('FDCPA §809(b)');
+    expect(res.body.data.request.letter_content).toContain('Warren, MI 48090');
+    expect(res.body.data.request.template_version_id).toBe(TEMPLATE_VERSION_ID);
+  });
+});
+
+describe('GET /api/debt-validation/client/:clientId', () => {
+  it('should expire overdue windows and return only flagged accounts', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser] })
+      .mockResolvedValueOnce({ rowCount: 1 }) // expire overdue
+      .mockResolvedValueOnce({ rows: [validationRow()] });
+
+    const res = await request(app)
+      .get(`/api/debt-validation/client/${CLIENT_ID}?unvalidated=true`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.requests[0].unvalidated_still_reporting).toBe(true);
+    expect(mockQuery.mock.calls[1][0]).toContain("SET status = 'unvalidated'");
+    expect(mockQuery.mock.calls[2][0]).toContain("dv.status = 'unvalidated' AND ci.status NOT IN");
+  });
+});
+
+describe('PUT /api/debt-validation/:id/sent', () => {
+  it('should start the 30-day window', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser] })
+      .mockResolvedValueOnce({ rows: [validationRow({ status: 'draft' })] })
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: REQUEST_ID, status: 'sent', sent_date: params[0], validation_deadline: params[1] }],
+      }));
+
+    const res = await request(app)
+      .put(`/api/debt-validation/${REQUEST_ID}/sent`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ sentDate: '2026-03-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.request.validation_deadline).toBe('2026-03-31');
+  });
+
+  it('should reject requests that were already sent', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser] })
+      .mockResolvedValueOnce({ rows: [validationRow({ status: 'sent' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .put(`/api/debt-validation/${REQUEST_ID}/sent`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ sentDate: '2026-03-01' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('PUT /api/debt-validation/:id/response', () => {
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser] });
+
+    const res = await request(app)
+      .put(`/api/debt-validation/${REQUEST_ID}/response`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ responseDate: '2026-01-20', documentsReceived: ['itemization'] });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should mark an itemization-only response as unvalidated', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff] })
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: REQUEST_ID, status: params[0], documents_received: JSON.parse(params[2]) }],
+      }));
+
+    const res = await request(app)
+      .put(`/api/debt-validation/${REQUEST_ID}/response`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ responseDate: '2026-01-20', documentsReceived: ['itemization'] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.request.status).toBe('unvalidated');
+  });
+});
+
+describe('POST /api/debt-validation/:id/follow-up-dispute', () => {
+  it('should refuse when the debt was validated', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff] })
+      .mockResolvedValueOnce({ rows: [validationRow({ status: 'validated', unvalidated_still_reporting: false })] });
+
+    const res = await request(app)
+      .post(`/api/debt-validation/${REQUEST_ID}/follow-up-dispute`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should create one bureau dispute per bureau the item reports to', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff] })
+      .mockResolvedValueOnce({ rows: [validationRow()] })
+      .mockResolvedValueOnce({ rows: [clientProfile] })
+      .mockImplementation(templateVersionQuery); // company profile and template version per bureau
+
+    const dbClient = {
+      query: jest.fn((sql, params) => {
+        if (sql.includes('INSERT INTO disputes')) {
+          return Promise.resolve({ rows: [{ id: `dispute-${params[2]}`, bureau: params[2], letter_content: params[3], template_version_id: params[4] }] });
+        }
+        if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: [{ follow_up_dispute_ids: [] }] });
+        if (sql.includes('FROM disputes')) return Promise.resolve({ rows: [] });
+        return Promise.resolve({ rowCount: 1 });
+      }),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/debt-validation/${REQUEST_ID}/follow-up-dispute`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.disputes.map((d) => d.bureau)).toEqual(['experian', 'equifax', 'transunion']);
+    expect(res.body.data.disputes[0].letter_content).toContain('did not respond within 30 days');
+    expect(res.body.data.disputes[0].letter_content).toContain('Midland Credit Management a debt validation request');
+  });
+
+  it('should return 409 while an earlier follow-up dispute at the bureau is still open', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    const EARLIER_DISPUTE_ID = 'c0000000-0000-4000-a000-000000000050';
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff] })
+      .mockResolvedValueOnce({ rows: [validationRow({ follow_up_dispute_ids: [EARLIER_DISPUTE_ID] })] })
+      .mockResolvedValueOnce({ rows: [clientProfile] })
+      .mockImplementation(templateVersionQuery); // company profile and template version
+
+    const dbClient = {
+      query: jest.fn((sql) => {
+        if (sql.includes('FOR UPDATE')) return Promise.resolve({ rows: [{ follow_up_dispute_ids: [EARLIER_DISPUTE_ID] }] });
+        if (sql.includes('FROM disputes')) return Promise.resolve({ rows: [{ bureau: 'equifax' }] });
+        return Promise.resolve({ rowCount: 1 });
+      }),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/debt-validation/${REQUEST_ID}/follow-up-dispute`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ bureaus: ['equifax', 'transunion'] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual({ openBureaus: ['equifax'] });
+    const [openSql, openParams] = dbClient.query.mock.calls[1];
+    expect(openSql).toContain('status = ANY($3)');
+    expect(openParams.slice(0, 2)).toEqual([[EARLIER_DISPUTE_ID], ['equifax', 'transunion']]);
+    expect(dbClient.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO disputes'))).toBe(false);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Integration tests for Dispute Campaign routes
+ * GET  /api/dispute-campaigns/due
+ * GET  /api/dispute-campaigns/client/:clientId
+ * GET  /api/dispute-campaigns/:id
+ * POST /api/dispute-campaigns/:id/outcome
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers } = require('../helpers/setup');
+
+const CLIENT_ID = 'a0000000-0000-4000-a000-000000000003';
+const OTHER_CLIENT_ID = 'b0000000-0000-4000-a000-000000000099';
+const CAMPAIGN_ID = 'f0000000-0000-4000-a000-000000000080';
+const DISPUTE_1 = 'd0000000-0000-4000-a000-000000000081';
+const DISPUTE_2 = 'd0000000-0000-4000-a000-000000000082';
+
+const mockClientUser = { ...testUsers.client, id: CLIENT_ID };
+
+const campaignRow = {
+  id: CAMPAIGN_ID,
+  client_id: CLIENT_ID,
+  credit_item_id: 'e0000000-0000-4000-a000-000000000090',
+  bureau: 'experian',
+  status: 'active',
+  next_round_date: '2026-03-07',
+};
+
+const roundRows = [
+  { id: 'round-1', round_number: 1, dispute_id: DISPUTE_1, sent_date: '2026-01-01', outcome: 'verified', next_round_date: '2026-02-05' },
+  { id: 'round-2', round_number: 2, dispute_id: DISPUTE_2, sent_date: '2026-02-01', outcome: 'pending', next_round_date: '2026-03-07' },
+];
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+});
+
+describe('GET /api/dispute-campaigns/client/:clientId', () => {
+  it('should return 403 when a client views another client', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 });
+
+    const res = await request(app)
+      .get(`/api/dispute-campaigns/client/${OTHER_CLIENT_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should list the client\'s campaigns', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ ...campaignRow, rounds_sent: 2, latest_round: 2 }] });
+
+    const res = await request(app)
+      .get(`/api/dispute-campaigns/client/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.campaigns).toHaveLength(1);
+    expect(mockQuery.mock.calls[1][1]).toEqual([CLIENT_ID]);
+  });
+});
+
+describe('GET /api/dispute-campaigns/:id', () => {
+  it('should return the rounds and the round in progress', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [campaignRow] })
+      .mockResolvedValueOnce({ rows: roundRows });
+
+    const res = await request(app)
+      .get(`/api/dispute-campaigns/${CAMPAIGN_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.campaign.rounds).toHaveLength(2);
+    expect(res.body.data.campaign.currentRound).toBe(2);
+    expect(res.body.data.campaign.inProgress).toBe(true);
+    expect(res.body.data.campaign.previousResult).toBe('verified');
+  });
+
+  it('should return 403 for another client\'s campaign', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ ...campaignRow, client_id: OTHER_CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: roundRows });
+
+    const res = await request(app)
+      .get(`/api/dispute-campaigns/${CAMPAIGN_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/dispute-campaigns/due', () => {
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(CLIENT_ID);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/dispute-campaigns/due')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should list due campaigns as of a date', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [campaignRow] });
+
+    const res = await request(app)
+      .get('/api/dispute-campaigns/due?asOf=2026-03-10')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(mockQuery.mock.calls[1][1]).toEqual(['2026-03-10']);
+  });
+});
+
+describe('POST /api/dispute-campaigns/:id/outcome', () => {
+  it('should return 400 when the dispute is not a round of the campaign', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [campaignRow] })
+      .mockResolvedValueOnce({ rows: roundRows });
+
+    const res = await request(app)
+      .post(`/api/dispute-campaigns/${CAMPAIGN_ID}/outcome`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ disputeId: 'd0000000-0000-4000-a000-000000000099', outcome: 'verified', outcomeDate: '2026-03-01' });
+
+    expect(res.status).toBe(400);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should record the outcome and keep the campaign active', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [campaignRow] })
+      .mockResolvedValueOnce({ rows: roundRows });
+
+    const dbClient = {
+      query: jest.fn((sql) => Promise.resolve(
+        sql.includes('UPDATE dispute_rounds')
+          ? { rows: [{ ...roundRows[1], campaign_id: CAMPAIGN_ID, outcome: 'verified' }] }
+          : { rows: [], rowCount: 1 }
+      )),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/dispute-campaigns/${CAMPAIGN_ID}/outcome`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ disputeId: DISPUTE_2, outcome: 'verified', outcomeDate: '2026-03-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.round.round_number).toBe(2);
+    const [, params] = dbClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE dispute_campaigns'));
+    expect(params).toEqual(['active', '2026-03-07', '2026-03-01', CAMPAIGN_ID]);
+  });
+
+  it('should reject a pending outcome', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/dispute-campaigns/${CAMPAIGN_ID}/outcome`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ disputeId: DISPUTE_2, outcome: 'pending', outcomeDate: '2026-03-01' });
+
+    expect(res.status).toBe(400);
+  });
+});
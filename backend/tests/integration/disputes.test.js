@@ -24,13 +24,16 @@ jest.mock('../../utils/sentry', () => ({
 
 const request = require('supertest');
 const app = require('../../server');
-const { generateTestToken, testUsers } = require('../helpers/setup');
+const { generateTestToken, testUsers, templateVersionResult } = require('../helpers/setup');
+const { auditFromRequest } = require('../../utils/auditLogger');
+const { findTradeline } = require('../../utils/disputePacket');
 
 // RFC4122-compliant UUIDs (version 4 format required by validators)
 const CLIENT_ID = 'a0000000-0000-4000-a000-000000000003';
 const OTHER_CLIENT_ID = 'b0000000-0000-4000-a000-000000000099';
 const DISPUTE_ID = 'c0000000-0000-4000-a000-000000000010';
 const CREDIT_ITEM_ID = 'd0000000-0000-4000-a000-000000000020';
+const FURNISHER_ID = 'e0000000-0000-4000-a000-000000000030';
 
 // Mock client user matching CLIENT_ID for route-level ownership checks
 const mockClientUser = { ...testUsers.client, id: CLIENT_ID };
@@ -157,6 +160,10 @@ describe('POST /api/disputes', () => {
       .mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '123 St', city: 'NY', state: 'NY', zip_code: '10001', ssn_last_4: '1234' }] }) // client profile
       .mockResolvedValueOnce({ rows: [{ id: CREDIT_ITEM_ID, creditor_name: 'Acme', account_number: '123', description: 'Test item' }] }) // credit item
       .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+      .mockResolvedValueOnce(templateVersionResult('dispute.not_mine')) // letter template version
+      .mockResolvedValueOnce({ rows: [] }) // company profile
+      .mockResolvedValueOnce({ rows: [] }) // earlier letters to this bureau
+      .mockResolvedValueOnce({ rows: [{ count: 0 }] }) // recent open disputes
       .mockResolvedValueOnce({ rows: [{ id: DISPUTE_ID, client_id: CLIENT_ID, credit_item_id: CREDIT_ITEM_ID, dispute_type: 'not_mine', bureau: 'experian', letter_content: 'Letter', status: 'draft', created_at: now }] }) // insert dispute
       .mockResolvedValueOnce({ rowCount: 1 }); // update credit item status
 
@@ -171,13 +178,336 @@ describe('POST /api/disputes', () => {
     expect(res.body.data.dispute.status).toBe('draft');
     expect(res.body.message).toMatch(/created/i);
   });
+
+  it('should render the letter template in effect and record its version', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    const TEMPLATE_VERSION_ID = 'f0000000-0000-4000-a000-000000000040';
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }) // auth
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '123 St', city: 'NY', state: 'NY', zip_code: '10001', ssn_last_4: '1234' }] }) // client profile
+      .mockResolvedValueOnce({ rows: [{ id: CREDIT_ITEM_ID, creditor_name: 'Acme', account_number: '99887766', balance: 1250 }] }) // credit item
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+      .mockResolvedValueOnce({ rows: [{ id: TEMPLATE_VERSION_ID, version: 3, body: 'To {{bureau.name}}: {{item.creditor_name}} ({{item.balance}}) — {{company_profile.company_name}}' }] }) // letter template version
+      .mockResolvedValueOnce({ rows: [{ company_name: 'Credit Repair Pro' }] }) // company profile
+      .mockResolvedValueOnce({ rows: [] }) // earlier letters to this bureau
+      .mockResolvedValueOnce({ rows: [{ count: 0 }] }) // recent open disputes
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: DISPUTE_ID, letter_content: params[6], template_version_id: params[7], status: 'draft' }],
+      })) // insert dispute
+      .mockResolvedValueOnce({ rowCount: 1 }); // update credit item status
+
+    const res = await request(app)
+      .post('/api/disputes')
+      .set('Authorization', `Bearer ${token}`)
+      .send(validBody);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.dispute.letter_content).toBe('To Experian: Acme ($1,250.00) — Credit Repair Pro');
+    expect(res.body.data.dispute.template_version_id).toBe(TEMPLATE_VERSION_ID);
+  });
+
+  it('should address a dispute to a specialty reporting agency', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }) // auth
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '123 St', city: 'NY', state: 'NY', zip_code: '10001', ssn_last_4: '1234' }] }) // client profile
+      .mockResolvedValueOnce({ rows: [{ id: CREDIT_ITEM_ID, creditor_name: 'First Bank', account_number: '4455' }] }) // credit item
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+      .mockResolvedValueOnce(templateVersionResult('dispute.agency.not_mine')) // letter template version
+      .mockResolvedValueOnce({ rows: [] }) // company profile
+      .mockResolvedValueOnce({ rows: [] }) // earlier letters to this bureau
+      .mockResolvedValueOnce({ rows: [{ count: 0 }] }) // recent open disputes
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: DISPUTE_ID, bureau: params[3], letter_content: params[6], status: 'draft' }],
+      })) // insert dispute
+      .mockResolvedValueOnce({ rowCount: 1 }); // update credit item status
+
+    const res = await request(app)
+      .post('/api/disputes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...validBody, bureau: 'chexsystems' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.dispute.bureau).toBe('chexsystems');
+    expect(res.body.data.dispute.letter_content).toContain('7805 Hudson Road');
+    expect(res.body.data.dispute.letter_content).toContain('ChexSystems consumer file');
+    expect(mockQuery.mock.calls[4][1][0]).toBe('dispute.agency.not_mine');
+  });
+
+  describe('resubmission checks', () => {
+    const DOCUMENT_ID = 'f0000000-0000-4000-a000-000000000050';
+    const PRIOR_DISPUTE_ID = 'c0000000-0000-4000-a000-000000000011';
+    const TEMPLATE = 'To {{bureau.name}}: the {{item.creditor_name}} account is not mine. I never opened it and ask that you delete it from my file.';
+    const LETTER = 'To Experian: the Acme account is not mine. I never opened it and ask that you delete it from my file.';
+
+    // Queries up to the resubmission check, with the letter rendered from TEMPLATE
+    const mockUpToCheck = () => mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }) // auth
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '123 St', city: 'NY', state: 'NY', zip_code: '10001', ssn_last_4: '1234' }] }) // client profile
+      .mockResolvedValueOnce({ rows: [{ id: CREDIT_ITEM_ID, creditor_name: 'Acme', account_number: '123' }] }) // credit item
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+      .mockResolvedValueOnce({ rows: [{ id: null, version: 1, body: TEMPLATE }] }) // letter template version
+      .mockResolvedValueOnce({ rows: [] }); // company profile
+
+    const priorLetter = { id: PRIOR_DISPUTE_ID, dispute_type: 'not_mine', status: 'resolved', sent_date: '2026-08-01', letter_content: LETTER };
+
+    it('should return 409 for a near-identical resubmission without new evidence', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockUpToCheck()
+        .mockResolvedValueOnce({ rows: [priorLetter] }) // earlier letters to this bureau
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] }); // recent open disputes
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send(validBody);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toMatch(/frivolous/);
+      expect(res.body.details.similarity).toMatchObject({ disputeId: PRIOR_DISPUTE_ID, score: 1 });
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO disputes'))).toBe(false);
+    });
+
+    it('should let a resubmission through with new evidence and attach it', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockUpToCheck()
+        .mockResolvedValueOnce({ rows: [priorLetter] }) // earlier letters to this bureau
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] }) // recent open disputes
+        .mockResolvedValueOnce({ rows: [{ id: DOCUMENT_ID }] }) // new evidence
+        .mockResolvedValueOnce({ rows: [{ id: DISPUTE_ID, status: 'draft' }] }) // insert dispute
+        .mockResolvedValueOnce({ rowCount: 1 }) // attach evidence
+        .mockResolvedValueOnce({ rowCount: 1 }); // update credit item status
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...validBody, evidenceDocumentIds: [DOCUMENT_ID] });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.warnings[0]).toMatch(/repeats an earlier dispute/);
+      const [evidenceSql, evidenceParams] = mockQuery.mock.calls[8];
+      expect(evidenceSql).toContain('FROM documents');
+      expect(evidenceSql).toContain('dispute_id IS NULL');
+      expect(evidenceParams).toEqual([[DOCUMENT_ID], CLIENT_ID]);
+      const [attachSql, attachParams] = mockQuery.mock.calls[10];
+      expect(attachSql).toContain('UPDATE documents SET dispute_id');
+      expect(attachSql).toContain('AND dispute_id IS NULL');
+      expect(attachParams).toEqual([DISPUTE_ID, [DOCUMENT_ID], CLIENT_ID]);
+    });
+
+    it('should not count a document already sent with another dispute as new evidence', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockUpToCheck()
+        .mockResolvedValueOnce({ rows: [priorLetter] }) // earlier letters to this bureau
+        .mockResolvedValueOnce({ rows: [{ count: 1 }] }) // recent open disputes
+        .mockResolvedValueOnce({ rows: [] }); // new evidence: the document is linked elsewhere
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...validBody, evidenceDocumentIds: [DOCUMENT_ID] });
+
+      expect(res.status).toBe(409);
+      expect(mockQuery.mock.calls.some(([sql]) => sql.includes('UPDATE documents'))).toBe(false);
+    });
+
+    it('should warn when the client has many open disputes at the bureau', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockUpToCheck()
+        .mockResolvedValueOnce({ rows: [] }) // earlier letters to this bureau
+        .mockResolvedValueOnce({ rows: [{ count: 6 }] }) // recent open disputes
+        .mockResolvedValueOnce({ rows: [{ id: DISPUTE_ID, status: 'draft' }] }) // insert dispute
+        .mockResolvedValueOnce({ rowCount: 1 }); // update credit item status
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send(validBody);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.warnings).toEqual([expect.stringContaining('6 open disputes at experian')]);
+      expect(mockQuery.mock.calls[7][0]).toContain('deleted_at IS NULL');
+    });
+
+    it('should reject evidence ids that are not UUIDs', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }); // auth
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...validBody, evidenceDocumentIds: ['statement.pdf'] });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  it('should reject an unregistered reporting agency', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .post('/api/disputes')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ ...validBody, bureau: 'acme_screening' });
+
+    expect(res.status).toBe(400);
+  });
+
+  describe('furnisher-direct disputes', () => {
+    const furnisherBody = {
+      clientId: CLIENT_ID,
+      creditItemId: CREDIT_ITEM_ID,
+      disputeType: 'inaccurate_info',
+      targetType: 'furnisher',
+      furnisherId: FURNISHER_ID,
+    };
+    const clientProfile = { first_name: 'Client', last_name: 'User', address_line1: '123 St', city: 'NY', state: 'NY', zip_code: '10001', ssn_last_4: '1234' };
+    const creditItem = { id: CREDIT_ITEM_ID, creditor_name: 'Acme Bank', account_number: '4321', balance: 500, description: 'Wrong balance' };
+
+    it('should return 400 when furnisherId is missing', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }); // auth
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ ...furnisherBody, furnisherId: undefined });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 when the furnisher does not exist', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockQuery
+        .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }) // auth
+        .mockResolvedValueOnce({ rows: [clientProfile] }) // client profile
+        .mockResolvedValueOnce({ rows: [creditItem] }) // credit item
+        .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+        .mockResolvedValueOnce({ rows: [] }); // furnisher lookup
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send(furnisherBody);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 201 with a §623 letter addressed to the furnisher', async () => {
+      const token = generateTestToken(mockClientUser.id);
+      mockQuery
+        .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }) // auth
+        .mockResolvedValueOnce({ rows: [clientProfile] }) // client profile
+        .mockResolvedValueOnce({ rows: [creditItem] }) // credit item
+        .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+        .mockResolvedValueOnce({ rows: [{ id: FURNISHER_ID, name: 'Acme Bank', address_line1: 'PO Box 1', city: 'Dallas', state: 'TX', zip_code: '75201' }] }) // furnisher
+        .mockResolvedValueOnce(templateVersionResult('furnisher.inaccurate_info')) // letter template version
+        .mockResolvedValueOnce({ rows: [] }) // company profile
+        .mockImplementationOnce((sql, params) => Promise.resolve({
+          rows: [{
+            id: DISPUTE_ID, target_type: params[4], furnisher_id: params[5], bureau: params[3], letter_content: params[6],
+            template_version_id: params[7], status: 'draft',
+          }],
+        })) // insert dispute
+        .mockResolvedValueOnce({ rowCount: 1 }); // update credit item status
+
+      const res = await request(app)
+        .post('/api/disputes')
+        .set('Authorization', `Bearer ${token}`)
+        .send(furnisherBody);
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.dispute.target_type).toBe('furnisher');
+      expect(res.body.data.dispute.furnisher_id).toBe(FURNISHER_ID);
+      expect(res.body.data.dispute.bureau).toBeNull();
+      expect(res.body.data.dispute.letter_content).toContain('§623(a)(8)');
+      expect(res.body.data.dispute.letter_content).toContain('Dallas, TX 75201');
+      expect(res.body.data.dispute.letter_content).toContain('Issue: Wrong balance');
+      expect(mockQuery.mock.calls[5][1][0]).toBe('furnisher.inaccurate_info');
+    });
+
+    describe('statute of limitations', () => {
+      const collection = { ...creditItem, item_type: 'collection', last_payment_date: '2019-02-01', debt_category: 'open' };
+
+      it('should hold a "paid" letter to the collector on a time-barred debt', async () => {
+        const token = generateTestToken(mockClientUser.id);
+        mockQuery
+          .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }) // auth
+          .mockResolvedValueOnce({ rows: [clientProfile] }) // client profile
+          .mockResolvedValueOnce({ rows: [collection] }) // credit item
+          .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+          .mockResolvedValueOnce({ rows: [{ state: 'TX' }] }); // client state
+
+        const res = await request(app)
+          .post('/api/disputes')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...furnisherBody, disputeType: 'paid' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toContain('time-barred in TX since 2023-02-01');
+        expect(res.body.details.sol).toMatchObject({ status: 'time_barred', years: 4, startBasis: 'last payment' });
+        expect(mockQuery).toHaveBeenCalledTimes(5);
+      });
+
+      it('should ignore a client acknowledging the risk and leave it to staff', async () => {
+        const token = generateTestToken(mockClientUser.id);
+        mockQuery
+          .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }) // auth
+          .mockResolvedValueOnce({ rows: [clientProfile] }) // client profile
+          .mockResolvedValueOnce({ rows: [collection] }) // credit item
+          .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+          .mockResolvedValueOnce({ rows: [{ state: 'TX' }] }); // client state
+
+        const res = await request(app)
+          .post('/api/disputes')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...furnisherBody, disputeType: 'paid', acknowledgeSolRisk: true });
+
+        expect(res.status).toBe(409);
+        expect(res.body.error).toMatch(/staff must review it/);
+        expect(res.body.details.staffReviewRequired).toBe(true);
+        expect(mockQuery.mock.calls.some(([sql]) => sql.includes('INSERT INTO disputes'))).toBe(false);
+      });
+
+      it('should generate it once staff acknowledge the risk and audit who did', async () => {
+        const token = generateTestToken(testUsers.staff.id);
+        mockQuery
+          .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }) // auth
+          .mockResolvedValueOnce({ rows: [clientProfile] }) // client profile
+          .mockResolvedValueOnce({ rows: [collection] }) // credit item
+          .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] }) // ownership check
+          .mockResolvedValueOnce({ rows: [{ state: 'TX' }] }) // client state
+          .mockResolvedValueOnce({ rows: [{ id: FURNISHER_ID, name: 'Acme Bank', address_line1: 'PO Box 1', city: 'Dallas', state: 'TX', zip_code: '75201' }] }) // furnisher
+          .mockResolvedValueOnce(templateVersionResult('furnisher.paid')) // letter template version
+          .mockResolvedValueOnce({ rows: [] }) // company profile
+          .mockResolvedValueOnce({ rows: [{ id: DISPUTE_ID, status: 'draft' }] }) // insert dispute
+          .mockResolvedValueOnce({ rowCount: 1 }); // update credit item status
+
+        const res = await request(app)
+          .post('/api/disputes')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ ...furnisherBody, disputeType: 'paid', acknowledgeSolRisk: true });
+
+        expect(res.status).toBe(201);
+        expect(auditFromRequest).toHaveBeenCalledWith(
+          expect.objectContaining({ user: expect.objectContaining({ id: testUsers.staff.id }) }),
+          'sol_risk.acknowledged', 'dispute', DISPUTE_ID, expect.stringContaining('debt was paid'),
+          { sol: expect.objectContaining({ status: 'time_barred' }) }
+        );
+      });
+    });
+  });
 });
 
 // ---------------------------------------------------------------------------
 // PUT /api/disputes/:id/status
 // ---------------------------------------------------------------------------
 describe('PUT /api/disputes/:id/status', () => {
-  beforeEach(() => { mockQuery.mockReset(); });
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockTransaction.mockReset();
+  });
 
   it('should return 401 without a token', async () => {
     const res = await request(app)
@@ -220,7 +550,38 @@ describe('PUT /api/disputes/:id/status', () => {
     mockQuery
       .mockResolvedValueOnce({ rows: [testUsers.admin], rowCount: 1 }) // auth
       .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })     // ownership check
-      .mockResolvedValueOnce({ rowCount: 1 });                          // update
+      .mockResolvedValueOnce({ rows: [], rowCount: 1 });                // update
+
+    const res = await request(app)
+      .put(`/api/disputes/${DISPUTE_ID}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status: 'sent' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should record a sent bureau dispute as the next campaign round', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.admin], rowCount: 1 }) // auth
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })     // ownership check
+      .mockResolvedValueOnce({
+        rows: [{
+          id: DISPUTE_ID, client_id: CLIENT_ID, credit_item_id: CREDIT_ITEM_ID,
+          bureau: 'experian', target_type: 'bureau', sent_date: '2026-01-01',
+        }],
+        rowCount: 1,
+      }); // update
+
+    const dbClient = {
+      query: jest.fn((sql) => {
+        if (sql.includes('INSERT INTO dispute_campaigns')) return Promise.resolve({ rows: [{ id: 'camp-1' }] });
+        if (sql.includes('SELECT id, round_number')) return Promise.resolve({ rows: [{ id: 'round-1', round_number: 1, dispute_id: 'other' }] });
+        if (sql.includes('INSERT INTO dispute_rounds')) return Promise.resolve({ rows: [{ id: 'round-2', round_number: 2 }] });
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      }),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
 
     const res = await request(app)
       .put(`/api/disputes/${DISPUTE_ID}/status`)
@@ -228,6 +589,617 @@ describe('PUT /api/disputes/:id/status', () => {
       .send({ status: 'sent' });
 
     expect(res.status).toBe(200);
+    const [, params] = dbClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO dispute_rounds'));
+    expect(params).toEqual(['camp-1', 2, DISPUTE_ID, '2026-01-01', '2026-02-05']);
+  });
+
+  it('should record when the client supplied additional information', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.admin], rowCount: 1 }) // auth
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })     // ownership check
+      .mockResolvedValueOnce({ rowCount: 1 });                          // update
+
+    const res = await request(app)
+      .put(`/api/disputes/${DISPUTE_ID}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ additionalInfoDate: '2026-02-01' });
+
+    expect(res.status).toBe(200);
+    expect(mockQuery.mock.calls[2][0]).toContain('additional_info_date = COALESCE($6');
+    expect(mockQuery.mock.calls[2][1][5]).toBe('2026-02-01');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// FCRA investigation deadlines
+// ---------------------------------------------------------------------------
+describe('Dispute deadlines', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockTransaction.mockReset();
+  });
+
+  const daysAgo = (n) => {
+    const d = new Date();
+    d.setUTCDate(d.getUTCDate() - n);
+    return d.toISOString().split('T')[0];
+  };
+
+  const sentDispute = (overrides = {}) => ({
+    id: DISPUTE_ID,
+    client_id: CLIENT_ID,
+    credit_item_id: CREDIT_ITEM_ID,
+    bureau: 'transunion',
+    target_type: 'bureau',
+    status: 'sent',
+    sent_date: daysAgo(40),
+    additional_info_date: null,
+    response_date: null,
+    escalated_at: null,
+    escalation_dispute_id: null,
+    creditor_name: 'Acme',
+    account_number: '123',
+    ...overrides,
+  });
+  const clientProfile = { first_name: 'Client', last_name: 'User', address_line1: '123 St', city: 'NY', state: 'NY', zip_code: '10001', ssn_last_4: '1234' };
+  const TEMPLATE_VERSION_ID = 'f0000000-0000-4000-a000-000000000042';
+
+  it('GET /deadlines should return 403 for clients', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/disputes/deadlines')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('GET /deadlines should list overdue and soon-due disputes for staff', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ id: DISPUTE_ID, days_overdue: 10 }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .get('/api/disputes/deadlines?days=14')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.overdue).toHaveLength(1);
+    expect(res.body.data.dueSoon).toEqual([]);
+    expect(mockQuery.mock.calls[2][1]).toEqual([14]);
+  });
+
+  it('GET /:id/deadline should use the 45-day period after additional information', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [sentDispute({ additional_info_date: daysAgo(20) })] });
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/deadline`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.deadline).toMatchObject({ periodDays: 45, daysRemaining: 5, overdue: false });
+  });
+
+  it('GET /:id/failure-to-investigate-letter should return 400 before the deadline', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [sentDispute({ sent_date: daysAgo(10) })] });
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/failure-to-investigate-letter`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('GET /:id/failure-to-investigate-letter should pre-fill the demand letter', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [sentDispute()] })
+      .mockResolvedValueOnce({ rows: [clientProfile] })
+      .mockResolvedValueOnce({ rows: [] }) // company profile
+      .mockResolvedValueOnce(templateVersionResult('escalation.bureau')); // letter template version
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/failure-to-investigate-letter`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.letterContent).toContain('Failure to Investigate Within the Statutory Period');
+    expect(res.body.data.letterContent).toContain('§611(a)(5)(A)');
+    expect(res.body.data.letterContent).toContain('Chester, PA 19016');
+    expect(res.body.data.deadline.overdue).toBe(true);
+  });
+
+  it('POST /:id/escalate should save the letter as a new draft dispute', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [sentDispute()] })
+      .mockResolvedValueOnce({ rows: [clientProfile] })
+      .mockResolvedValueOnce({ rows: [] }) // company profile
+      .mockResolvedValueOnce({ rows: [{ id: TEMPLATE_VERSION_ID, version: 2, body: 'No answer about {{item.creditor_name}} by {{original_dispute.due_date}}' }] }); // letter template version
+
+    const dbClient = {
+      query: jest.fn((sql) => Promise.resolve(
+        sql.includes('INSERT INTO disputes')
+          ? { rows: [{ id: 'c0000000-0000-4000-a000-000000000011', status: 'draft', dispute_type: 'other' }] }
+          : { rows: [], rowCount: 1 }
+      )),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/escalate`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.dispute.status).toBe('draft');
+    const [, insertParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO disputes'));
+    expect(insertParams.slice(5)).toEqual([expect.stringMatching(/^No answer about /), TEMPLATE_VERSION_ID]);
+    const [, params] = dbClient.query.mock.calls.find(([sql]) => sql.includes('escalated_at = CURRENT_TIMESTAMP'));
+    expect(params).toEqual(['c0000000-0000-4000-a000-000000000011', DISPUTE_ID]);
+  });
+
+  it('POST /:id/escalate should return 403 for clients', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/escalate`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('POST /:id/escalate should return 409 when already escalated', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [sentDispute({ escalation_dispute_id: 'c0000000-0000-4000-a000-000000000011' })] })
+      .mockResolvedValueOnce({ rows: [clientProfile] });
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/escalate`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Method of verification (§611(a)(7))
+// ---------------------------------------------------------------------------
+describe('Dispute method of verification', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockTransaction.mockReset();
+  });
+
+  const MOV_ID = 'c0000000-0000-4000-a000-000000000012';
+
+  const verifiedDispute = (overrides = {}) => ({
+    id: DISPUTE_ID,
+    client_id: CLIENT_ID,
+    credit_item_id: CREDIT_ITEM_ID,
+    dispute_type: 'inaccurate_info',
+    bureau: 'experian',
+    target_type: 'bureau',
+    status: 'rejected',
+    sent_date: '2026-01-05',
+    clock_start_date: null,
+    response_date: '2026-02-02',
+    ...overrides,
+  });
+  const movRequest = (overrides = {}) => ({
+    id: MOV_ID,
+    client_id: CLIENT_ID,
+    dispute_type: 'method_of_verification',
+    bureau: 'experian',
+    original_dispute_id: DISPUTE_ID,
+    status: 'sent',
+    sent_date: '2026-02-10',
+    clock_start_date: null,
+    response_date: null,
+    ...overrides,
+  });
+
+  it('POST should draft a MOV letter citing the original dispute dates', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [verifiedDispute()] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Jane', last_name: 'Doe', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' }] })
+      .mockResolvedValueOnce({ rows: [{ creditor_name: 'Acme Bank', account_number: '4444333322221111' }] })
+      .mockResolvedValueOnce(templateVersionResult('dispute.method_of_verification')) // letter template version
+      .mockResolvedValueOnce({ rows: [] }) // company profile
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [{ id: MOV_ID, dispute_type: 'method_of_verification', letter_content: params[3], original_dispute_id: params[5], status: 'draft' }],
+      }));
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/method-of-verification`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(201);
+    const { dispute } = res.body.data;
+    expect(dispute.original_dispute_id).toBe(DISPUTE_ID);
+    expect(dispute.letter_content).toContain('§611(a)(7)');
+    expect(dispute.letter_content).toContain('On January 5, 2026, I disputed');
+    expect(dispute.letter_content).toContain('In your reply dated February 2, 2026');
+    expect(dispute.letter_content).toContain('within 15 days');
+    expect(dispute.letter_content).toContain('Account ending in 1111');
+  });
+
+  it('POST should return 400 unless the bureau verified the item', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [verifiedDispute({ status: 'resolved' })] });
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/method-of-verification`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/verified/);
+  });
+
+  it('POST should return 409 when a MOV request already exists', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [verifiedDispute()] })
+      .mockResolvedValueOnce({ rows: [movRequest()] });
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/method-of-verification`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('GET should report the 15-day response window of the request', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [verifiedDispute()] })
+      .mockResolvedValueOnce({ rows: [movRequest({ clock_start_date: '2026-02-13' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/method-of-verification`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.eligible).toBe(false);
+    expect(res.body.data.request.deadline).toMatchObject({ periodDays: 15, dueDate: '2026-02-28', clockStart: 'delivered' });
+    expect(res.body.data.response).toBeNull();
+  });
+
+  it('POST /response should record how the bureau verified and close the round', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [movRequest()] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const dbClient = {
+      query: jest.fn((sql, params) => {
+        if (sql.includes('INSERT INTO verification_responses')) {
+          return Promise.resolve({ rows: [{ id: 'f0000000-0000-4000-a000-000000000001', method: params[3], furnisher_name: params[4], furnisher_address: params[5], furnisher_phone: params[6] }] });
+        }
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      }),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/method-of-verification/response`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receivedDate: '2026-02-24', method: 'furnisher_contact', furnisherName: 'Acme Bank', procedureDescription: 'Verified through e-OSCAR with the furnisher' });
+
+    expect(res.status).toBe(201);
+    // §611(a)(7) requires the furnisher's address and phone as well as its name
+    expect(res.body.data.response.deficient).toBe(true);
+    const [, updateParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes("status = 'resolved'"));
+    expect(updateParams).toEqual(['2026-02-24', 'Verified through e-OSCAR with the furnisher', MOV_ID]);
+    const [, roundParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE dispute_rounds'));
+    expect(roundParams).toEqual(expect.arrayContaining(['verified', '2026-02-24', MOV_ID]));
+  });
+
+  it('POST /response should return 400 before the request is mailed', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [movRequest({ status: 'draft', sent_date: null })] });
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/method-of-verification/response`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receivedDate: '2026-02-24', method: 'automated' });
+
+    expect(res.status).toBe(400);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('POST /response should reject unknown verification methods', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/method-of-verification/response`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ receivedDate: '2026-02-24', method: 'guesswork' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// Certified mail tracking
+// ---------------------------------------------------------------------------
+describe('Dispute mail tracking', () => {
+  beforeEach(() => {
+    mockQuery.mockReset();
+    mockTransaction.mockReset();
+  });
+
+  const trackedDispute = (overrides = {}) => ({
+    id: DISPUTE_ID,
+    client_id: CLIENT_ID,
+    status: 'sent',
+    carrier: 'fixture',
+    tracking_number: '9407111899560000000001',
+    sent_date: '2026-03-02',
+    clock_start_date: null,
+    ...overrides,
+  });
+
+  const trackingDbClient = () => ({
+    query: jest.fn((sql) => Promise.resolve(
+      sql.includes('INSERT INTO mail_tracking_events')
+        ? { rows: [{ id: 'event' }] }
+        : { rows: [{ clock_start_date: '2026-03-05' }], rowCount: 1 }
+    )),
+  });
+
+  it('GET /:id/tracking should return 403 for another client', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: OTHER_CLIENT_ID }] });
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/tracking`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('GET /:id/tracking should return the events', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [{ client_id: CLIENT_ID }] })
+      .mockResolvedValueOnce({ rows: [trackedDispute()] })
+      .mockResolvedValueOnce({ rows: [{ event_type: 'accepted', event_time: '2026-03-02T22:05:00Z' }] });
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/tracking`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tracking.events).toHaveLength(1);
+  });
+
+  it('PUT /:id/tracking should reject an unknown carrier', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/disputes/${DISPUTE_ID}/tracking`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ carrier: 'pigeon', trackingNumber: '123' });
+
+    expect(res.status).toBe(400);
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('POST /:id/tracking/refresh should store scans and start the clock on delivery', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [trackedDispute()] })
+      .mockResolvedValueOnce({ rows: [] });
+    const dbClient = trackingDbClient();
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/tracking/refresh`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ found: true, added: 3, clockStartDate: '2026-03-05' });
+    const inserts = dbClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO mail_tracking_events'));
+    expect(inserts.map(([, params]) => params[3])).toEqual(['accepted', 'in_transit', 'delivered']);
+    const [, clockParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('clock_start_date = $1'));
+    expect(clockParams).toEqual(['2026-03-05', DISPUTE_ID]);
+  });
+
+  it('POST /:id/tracking/refresh should leave the clock alone before delivery', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [trackedDispute({ tracking_number: '9407111899560000000002' })] })
+      .mockResolvedValueOnce({ rows: [] });
+    const dbClient = trackingDbClient();
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/tracking/refresh`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.clockStartDate).toBeNull();
+    expect(dbClient.query.mock.calls.some(([sql]) => sql.includes('clock_start_date = $1'))).toBe(false);
+  });
+
+  it('POST /:id/tracking/refresh should return 404 for a number the carrier does not know', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [trackedDispute({ tracking_number: 'unknown' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/tracking/refresh`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('POST /:id/tracking/events should record a manual delivery in the local date', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [trackedDispute()] })
+      .mockResolvedValueOnce({ rows: [] });
+    const dbClient = trackingDbClient();
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/disputes/${DISPUTE_ID}/tracking/events`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ eventType: 'delivered', eventTime: '2026-03-04T23:30:00-06:00', description: 'Return receipt signed' });
+
+    expect(res.status).toBe(201);
+    const [, insertParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO mail_tracking_events'));
+    expect(insertParams[7]).toBe('manual');
+    expect(insertParams[8]).toBe(testUsers.staff.id);
+    const [, clockParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('clock_start_date = $1'));
+    expect(clockParams[0]).toBe('2026-03-04');
+  });
+});
+
+// ---------------------------------------------------------------------------
+// GET /api/disputes/:id/packet
+// ---------------------------------------------------------------------------
+describe('GET /api/disputes/:id/packet', () => {
+  beforeEach(() => { mockQuery.mockReset(); });
+
+  const packetDispute = {
+    id: DISPUTE_ID,
+    client_id: CLIENT_ID,
+    credit_item_id: CREDIT_ITEM_ID,
+    dispute_type: 'not_mine',
+    bureau: 'experian',
+    target_type: 'bureau',
+    letter_content: 'To whom it may concern, ...',
+    status: 'draft',
+    creditor_name: 'Midland Funding',
+    account_number: 'XXXX5678',
+    item_type: 'collection',
+    first_name: 'Client',
+    last_name: 'User',
+    address_line1: '1 Main St',
+    city: 'Austin',
+    state: 'TX',
+    zip_code: '78701',
+  };
+
+  const snapshot = {
+    report_date: '2026-01-15',
+    report_data: {
+      accounts: [
+        { creditorName: 'Capital One', accountNumber: '****1234', balance: 0 },
+        { creditorName: 'MIDLAND FUNDING LLC', accountNumber: '****5678', balance: 812, paymentStatus: 'collection' },
+      ],
+    },
+  };
+
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(mockClientUser.id);
+    mockQuery.mockResolvedValueOnce({ rows: [mockClientUser], rowCount: 1 }); // auth
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/packet`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 when dispute is not found', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }) // auth
+      .mockResolvedValueOnce({ rows: [] });                             // dispute
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/packet`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return a PDF with the newest ID and proof of address', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 }) // auth
+      .mockResolvedValueOnce({ rows: [packetDispute] })                // dispute
+      .mockResolvedValueOnce({ rows: [snapshot] })                     // latest snapshot
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'doc-3', file_name: 'license-new.pdf', file_path: '/elsewhere/license-new.pdf', document_category: 'drivers_license' },
+          { id: 'doc-2', file_name: 'utility.pdf', file_path: '/elsewhere/utility.pdf', document_category: 'proof_of_address' },
+          { id: 'doc-1', file_name: 'license-old.pdf', file_path: '/elsewhere/license-old.pdf', document_category: 'id' },
+        ],
+      });                                                               // enclosures
+
+    const res = await request(app)
+      .get(`/api/disputes/${DISPUTE_ID}/packet`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', (chunk) => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.slice(0, 5).toString()).toBe('%PDF-');
+    expect(mockQuery.mock.calls[2][1]).toEqual([CLIENT_ID, 'experian']);
+    expect(mockQuery.mock.calls[3][1][1]).toEqual(['id', 'drivers_license', 'passport', 'state_id', 'military_id', 'proof_of_address']);
+  });
+
+  it('should find the disputed tradeline by account suffix', () => {
+    const tradeline = findTradeline(snapshot.report_data, packetDispute);
+    expect(tradeline.creditor).toBe('MIDLAND FUNDING LLC');
+    expect(tradeline.fields).toContainEqual(['Balance', 812]);
+    expect(findTradeline(snapshot.report_data, { creditor_name: 'Discover', account_number: '9999' })).toBeNull();
   });
 });
 
@@ -0,0 +1,179 @@
+/**
+ * Integration tests for Furnisher routes
+ * GET  /api/furnishers
+ * GET  /api/furnishers/:id
+ * POST /api/furnishers
+ * PUT  /api/furnishers/:id
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers } = require('../helpers/setup');
+
+const FURNISHER_ID = 'e0000000-0000-4000-a000-000000000030';
+const furnisher = {
+  id: FURNISHER_ID,
+  name: 'Midland Credit Management',
+  furnisher_type: 'debt_buyer',
+  address_line1: 'PO Box 2121',
+  city: 'Warren',
+  state: 'MI',
+  zip_code: '48090',
+};
+
+beforeEach(() => {
+  mockQuery.mockReset();
+});
+
+describe('GET /api/furnishers', () => {
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/furnishers');
+    expect(res.status).toBe(401);
+  });
+
+  it('should list furnishers filtered by name', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client] }) // auth
+      .mockResolvedValueOnce({ rows: [furnisher] });
+
+    const res = await request(app)
+      .get('/api/furnishers?search=midland')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.furnishers).toHaveLength(1);
+    expect(mockQuery.mock.calls[1][0]).toContain('ILIKE');
+    expect(mockQuery.mock.calls[1][1]).toEqual(['%midland%']);
+  });
+});
+
+describe('GET /api/furnishers/:id', () => {
+  it('should return 404 when the furnisher does not exist', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .get(`/api/furnishers/${FURNISHER_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 400 for an invalid ID', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff] });
+
+    const res = await request(app)
+      .get('/api/furnishers/not-a-uuid')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/furnishers', () => {
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client] });
+
+    const res = await request(app)
+      .post('/api/furnishers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Acme Bank' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for an invalid furnisher type', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff] });
+
+    const res = await request(app)
+      .post('/api/furnishers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Acme Bank', furnisherType: 'bureau' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should create a furnisher for staff', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff] })
+      .mockResolvedValueOnce({ rows: [furnisher] });
+
+    const res = await request(app)
+      .post('/api/furnishers')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: furnisher.name, furnisherType: 'debt_buyer', addressLine1: 'PO Box 2121', city: 'Warren', state: 'mi', zipCode: '48090' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.furnisher.id).toBe(FURNISHER_ID);
+    const params = mockQuery.mock.calls[1][1];
+    expect(params[1]).toBe('debt_buyer');
+    expect(params[5]).toBe('MI');
+  });
+});
+
+describe('PUT /api/furnishers/:id', () => {
+  it('should update only the provided fields', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.admin] })
+      .mockResolvedValueOnce({ rows: [{ ...furnisher, phone: '800-555-0100' }] });
+
+    const res = await request(app)
+      .put(`/api/furnishers/${FURNISHER_ID}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ phone: '800-555-0100' });
+
+    expect(res.status).toBe(200);
+    expect(mockQuery.mock.calls[1][0]).toMatch(/SET phone = \$1, updated_at/);
+    expect(mockQuery.mock.calls[1][1]).toEqual(['800-555-0100', FURNISHER_ID]);
+  });
+
+  it('should return 404 when the furnisher does not exist', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.admin] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .put(`/api/furnishers/${FURNISHER_ID}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Renamed' });
+
+    expect(res.status).toBe(404);
+  });
+});
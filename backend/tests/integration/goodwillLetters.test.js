@@ -0,0 +1,329 @@
+/**
+ * Integration tests for Goodwill Letter routes
+ * POST /api/goodwill-letters
+ * GET  /api/goodwill-letters/client/:clientId
+ * GET  /api/goodwill-letters/:id
+ * PUT  /api/goodwill-letters/:id/sent
+ * PUT  /api/goodwill-letters/:id/outcome
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: jest.fn(),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers, templateVersionResult } = require('../helpers/setup');
+
+const CLIENT_ID = testUsers.client.id;
+const OTHER_CLIENT_ID = 'a0000000-0000-4000-a000-000000000009';
+const ITEM_ID = 'd0000000-0000-4000-a000-000000000081';
+const FURNISHER_ID = 'f0000000-0000-4000-a000-000000000082';
+const LETTER_ID = 'e0000000-0000-4000-a000-000000000083';
+const SNAPSHOT_ID = 'b0000000-0000-4000-a000-000000000084';
+
+const staffToken = () => generateTestToken(testUsers.staff.id);
+const clientToken = () => generateTestToken(testUsers.client.id);
+
+const HARDSHIP = 'I was hospitalized for six weeks in late 2025 and fell behind on my bills while I recovered.';
+
+const itemRow = (overrides) => ({
+  id: ITEM_ID,
+  client_id: CLIENT_ID,
+  creditor_name: 'Capital One',
+  account_number: 'XXXX-XXXX-4821',
+  item_type: 'late_payment',
+  bureau: 'experian',
+  balance: 1200,
+  status: 'identified',
+  description: 'Late payments\nSeverity: medium\nPayment History: 30 days late x2',
+  ...overrides,
+});
+
+const furnisherRow = (overrides) => ({
+  id: FURNISHER_ID,
+  name: 'Capital One',
+  address_line1: 'PO Box 30285',
+  city: 'Salt Lake City',
+  state: 'UT',
+  zip_code: '84130',
+  goodwill_address_line1: 'Attn: Executive Office',
+  goodwill_address_line2: '1680 Capital One Dr',
+  goodwill_city: 'McLean',
+  goodwill_state: 'VA',
+  goodwill_zip_code: '22102',
+  ...overrides,
+});
+
+const letterRow = (overrides) => ({
+  id: LETTER_ID,
+  client_id: CLIENT_ID,
+  credit_item_id: ITEM_ID,
+  furnisher_id: FURNISHER_ID,
+  status: 'draft',
+  ...overrides,
+});
+
+const clientRow = { first_name: 'Client', last_name: 'User', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' };
+
+const snapshotRow = {
+  id: SNAPSHOT_ID,
+  bureau: 'experian',
+  report_date: '2026-03-20',
+  report_data: {
+    reportDate: '2026-03-20',
+    accounts: [
+      { creditorName: 'CAPITAL ONE', accountNumber: '5178XXXX4821', paymentHistory: 'CC1CCCCCCCCC', lastReported: '2026-03-01' },
+    ],
+  },
+};
+
+beforeEach(() => {
+  mockQuery.mockReset();
+});
+
+describe('POST /api/goodwill-letters', () => {
+  const body = { clientId: CLIENT_ID, creditItemId: ITEM_ID, furnisherId: FURNISHER_ID, hardshipStory: HARDSHIP };
+
+  const mockCreate = (snapshots) => mockQuery
+    .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+    .mockResolvedValueOnce({ rows: [itemRow()] })
+    .mockResolvedValueOnce({ rows: [] })
+    .mockResolvedValueOnce({ rows: [furnisherRow()] })
+    .mockResolvedValueOnce({ rows: [clientRow] })
+    .mockResolvedValueOnce({ rows: snapshots })
+    .mockResolvedValueOnce({ rows: [] }) // company profile
+    .mockResolvedValueOnce(templateVersionResult('goodwill.letter'))
+    .mockImplementationOnce((sql, params) => Promise.resolve({
+      rows: [letterRow({ payment_history: params[4], snapshot_id: params[5], letter_content: params[6] })],
+    }));
+
+  it('should draft the letter from the latest report and the hardship story', async () => {
+    mockCreate([snapshotRow]);
+
+    const res = await request(app)
+      .post('/api/goodwill-letters')
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(201);
+    const { letter } = res.body.data;
+    expect(letter.snapshot_id).toBe(SNAPSHOT_ID);
+    expect(letter.payment_history).toBe('CC1CCCCCCCCC');
+    expect(letter.letter_content).toContain('Capital One\nAttn: Executive Office\n1680 Capital One Dr\nMcLean, VA 22102');
+    expect(letter.letter_content).toContain('Goodwill Adjustment Request — Account ending in 4821');
+    expect(letter.letter_content).toContain('11 of 12 reported months were paid on time. The late payments were:\n- January 2026: 30 days late');
+    expect(letter.letter_content).toContain(HARDSHIP);
+    expect(letter.letter_content).toContain('This is not a dispute.');
+    expect(mockQuery.mock.calls[5][1]).toEqual([CLIENT_ID, ['experian']]);
+  });
+
+  it('should fall back to the analyzer payment history without a matching report', async () => {
+    mockCreate([]);
+
+    const res = await request(app)
+      .post('/api/goodwill-letters')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.letter.snapshot_id).toBeNull();
+    expect(res.body.data.letter.letter_content).toContain('30 days late x2');
+  });
+
+  it('should return 409 when the account already has an open letter', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [itemRow()] })
+      .mockResolvedValueOnce({ rows: [{ id: LETTER_ID }] });
+
+    const res = await request(app)
+      .post('/api/goodwill-letters')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should hold a letter on a collection until the limitations risk is acknowledged', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [itemRow({ item_type: 'collection', last_payment_date: '2023-01-10', debt_category: 'open' })] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [furnisherRow()] })
+      .mockResolvedValueOnce({ rows: [{ state: 'TX' }] });
+
+    const res = await request(app)
+      .post('/api/goodwill-letters')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(409);
+    expect(res.body.details.reason).toMatch(/goodwill letter/);
+  });
+
+  it('should return 403 for an item on another client file', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [itemRow({ client_id: OTHER_CLIENT_ID })] });
+
+    const res = await request(app)
+      .post('/api/goodwill-letters')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 without a hardship story', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .post('/api/goodwill-letters')
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ ...body, hardshipStory: '' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/goodwill-letters/client/:clientId', () => {
+  it('should list letters with a count by status', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({
+        rows: [
+          letterRow({ status: 'granted' }),
+          letterRow({ id: 'e0000000-0000-4000-a000-000000000002', status: 'sent' }),
+          letterRow({ id: 'e0000000-0000-4000-a000-000000000003', status: 'no_reply' }),
+        ],
+      });
+
+    const res = await request(app)
+      .get(`/api/goodwill-letters/client/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.letters).toHaveLength(3);
+    expect(res.body.data.summary).toEqual({ total: 3, draft: 0, sent: 1, granted: 1, denied: 0, no_reply: 1 });
+  });
+
+  it('should return 403 for another client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get(`/api/goodwill-letters/client/${OTHER_CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/goodwill-letters/:id', () => {
+  it('should return 403 for a letter on another client file', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [letterRow({ client_id: OTHER_CLIENT_ID })] });
+
+    const res = await request(app)
+      .get(`/api/goodwill-letters/${LETTER_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/goodwill-letters/:id/sent', () => {
+  it('should mark a draft as mailed', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [letterRow()] })
+      .mockResolvedValueOnce({ rows: [letterRow({ status: 'sent', sent_date: '2026-04-02' })] });
+
+    const res = await request(app)
+      .put(`/api/goodwill-letters/${LETTER_ID}/sent`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ sentDate: '2026-04-02' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.letter.status).toBe('sent');
+    expect(mockQuery.mock.calls[2][1]).toEqual([LETTER_ID, '2026-04-02']);
+  });
+
+  it('should return 403 for a client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/goodwill-letters/${LETTER_ID}/sent`)
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/goodwill-letters/:id/outcome', () => {
+  it('should record the creditor answer', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [letterRow({ status: 'sent' })] })
+      .mockResolvedValueOnce({ rows: [letterRow({ status: 'granted', outcome_date: '2026-05-01' })] });
+
+    const res = await request(app)
+      .put(`/api/goodwill-letters/${LETTER_ID}/outcome`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ outcome: 'granted', outcomeDate: '2026-05-01', notes: 'Removal letter received' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.letter.status).toBe('granted');
+    expect(mockQuery.mock.calls[2][1]).toEqual([LETTER_ID, 'granted', '2026-05-01', 'Removal letter received']);
+  });
+
+  it('should return 409 for a letter that was never sent', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [letterRow()] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .put(`/api/goodwill-letters/${LETTER_ID}/outcome`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ outcome: 'denied' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 400 for an unknown outcome', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/goodwill-letters/${LETTER_ID}/outcome`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ outcome: 'deleted' });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,331 @@
+/**
+ * Integration tests for Identity Theft routes (FCRA §605B)
+ * POST /api/identity-theft
+ * POST /api/identity-theft/:id/items
+ * POST /api/identity-theft/:id/block-requests
+ * GET  /api/identity-theft/:id
+ * PUT  /api/identity-theft/:id/items/:itemId
+ * POST /api/identity-theft/client/:clientId/protections
+ * POST /api/identity-theft/protections/:id/lift
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers, templateVersionQuery } = require('../helpers/setup');
+
+const CLIENT_ID = 'a0000000-0000-4000-a000-000000000003';
+const CASE_ID = 'f0000000-0000-4000-a000-000000000080';
+const FTC_DOC_ID = 'e0000000-0000-4000-a000-000000000081';
+const POLICE_DOC_ID = 'e0000000-0000-4000-a000-000000000082';
+const ITEM_A = 'd0000000-0000-4000-a000-000000000083';
+const INQUIRY_B = 'd0000000-0000-4000-a000-000000000084';
+const SELECTION_ID = 'b0000000-0000-4000-a000-000000000085';
+const PROTECTION_ID = 'b0000000-0000-4000-a000-000000000086';
+
+const staffToken = () => generateTestToken(testUsers.staff.id);
+
+const caseRow = {
+  id: CASE_ID,
+  client_id: CLIENT_ID,
+  ftc_report_document_id: FTC_DOC_ID,
+  ftc_report_number: '123456789',
+  police_report_document_id: POLICE_DOC_ID,
+  police_report_number: '2026-0042',
+  police_department: 'Austin Police Department',
+  status: 'open',
+};
+
+/** Queue getCase: case row, picked items, block requests */
+const mockCase = (items = [], blockRequests = []) => {
+  mockQuery
+    .mockResolvedValueOnce({ rows: [caseRow] })
+    .mockResolvedValueOnce({ rows: items })
+    .mockResolvedValueOnce({ rows: blockRequests });
+};
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+  mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+});
+
+describe('POST /api/identity-theft', () => {
+  const body = {
+    clientId: CLIENT_ID,
+    ftcReportDocumentId: FTC_DOC_ID,
+    ftcReportNumber: '123456789',
+    policeReportDocumentId: POLICE_DOC_ID,
+    policeReportNumber: '2026-0042',
+  };
+
+  it('should open a case from the client\'s FTC and police reports', async () => {
+    mockQuery
+      .mockResolvedValueOnce({
+        rows: [
+          { id: FTC_DOC_ID, document_category: 'ftc_identity_theft_report' },
+          { id: POLICE_DOC_ID, document_category: 'police_report' },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [caseRow] });
+
+    const res = await request(app)
+      .post('/api/identity-theft')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.case.id).toBe(CASE_ID);
+    expect(mockQuery.mock.calls[1][1]).toEqual([[FTC_DOC_ID, POLICE_DOC_ID], CLIENT_ID]);
+  });
+
+  it('should reject a document that is not an FTC report', async () => {
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { id: FTC_DOC_ID, document_category: 'other' },
+        { id: POLICE_DOC_ID, document_category: 'police_report' },
+      ],
+    });
+
+    const res = await request(app)
+      .post('/api/identity-theft')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/ftc_identity_theft_report/);
+  });
+
+  it('should return 403 for clients', async () => {
+    mockQuery.mockReset();
+    const client = { ...testUsers.client, id: CLIENT_ID };
+    mockQuery.mockResolvedValueOnce({ rows: [client], rowCount: 1 });
+
+    const res = await request(app)
+      .post('/api/identity-theft')
+      .set('Authorization', `Bearer ${generateTestToken(CLIENT_ID)}`)
+      .send(body);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/identity-theft/:id/items', () => {
+  it('should pick an item at every bureau that reports it', async () => {
+    mockCase();
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        { id: ITEM_A, creditor_name: 'Fraud Bank', bureau: 'all' },
+        { id: INQUIRY_B, creditor_name: 'Quick Loans', bureau: 'experian' },
+      ],
+    });
+    const dbClient = { query: jest.fn().mockResolvedValue({ rows: [{ id: SELECTION_ID }] }) };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/identity-theft/${CASE_ID}/items`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ items: [{ creditItemId: ITEM_A }, { creditItemId: INQUIRY_B }] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.added).toBe(4);
+    expect(dbClient.query.mock.calls.map(([, params]) => params.slice(1))).toEqual([
+      [ITEM_A, 'experian'], [ITEM_A, 'equifax'], [ITEM_A, 'transunion'], [INQUIRY_B, 'experian'],
+    ]);
+  });
+
+  it('should refuse a bureau that does not report the item', async () => {
+    mockCase();
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: INQUIRY_B, creditor_name: 'Quick Loans', bureau: 'experian' }] });
+
+    const res = await request(app)
+      .post(`/api/identity-theft/${CASE_ID}/items`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ items: [{ creditItemId: INQUIRY_B, bureaus: ['equifax'] }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual(['Quick Loans: not reported by equifax']);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/identity-theft/:id/block-requests', () => {
+  it('should create one §605B request per bureau listing its items', async () => {
+    mockCase();
+    mockQuery
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'b0000000-0000-4000-a000-000000000001', bureau: 'experian', item_type: 'collection', creditor_name: 'Fraud Bank', account_number: 'XXXX9876' },
+          { id: 'b0000000-0000-4000-a000-000000000002', bureau: 'experian', item_type: 'inquiry', creditor_name: 'Quick Loans', date_reported: '2026-02-14' },
+          { id: 'b0000000-0000-4000-a000-000000000003', bureau: 'transunion', item_type: 'collection', creditor_name: 'Fraud Bank', account_number: 'XXXX9876' },
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Jane', last_name: 'Doe', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' }] })
+      .mockImplementation(templateVersionQuery); // template versions, company profile
+
+    const dbClient = {
+      query: jest.fn((sql, params) => Promise.resolve(
+        sql.includes('INSERT INTO disputes')
+          ? { rows: [{ id: `c0000000-0000-4000-a000-00000000009${params[1] === 'experian' ? 1 : 2}`, bureau: params[1], letter_content: params[2], status: 'draft' }] }
+          : { rows: [], rowCount: 1 }
+      )),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/identity-theft/${CASE_ID}/block-requests`)
+      .set('Authorization', `Bearer ${staffToken()}`);
+
+    expect(res.status).toBe(201);
+    const [experian, transunion] = res.body.data.disputes;
+    expect(experian).toMatchObject({ bureau: 'experian', itemCount: 2 });
+    expect(transunion).toMatchObject({ bureau: 'transunion', itemCount: 1 });
+    expect(experian.letter_content).toContain('FCRA §605B');
+    expect(experian.letter_content).toContain('- Fraud Bank, account ending in 9876');
+    expect(experian.letter_content).toContain('- Inquiry by Quick Loans on February 14, 2026');
+    expect(experian.letter_content).toContain('FTC Identity Theft Report 123456789');
+    expect(experian.letter_content).toContain('police report 2026-0042, Austin Police Department');
+    expect(experian.letter_content).toContain('within 4 business days');
+    expect(transunion.letter_content).not.toContain('Quick Loans');
+
+    const linked = dbClient.query.mock.calls.filter(([sql]) => sql.includes("status = 'requested'"));
+    expect(linked.map(([, params]) => params[1])).toEqual([
+      ['b0000000-0000-4000-a000-000000000001', 'b0000000-0000-4000-a000-000000000002'],
+      ['b0000000-0000-4000-a000-000000000003'],
+    ]);
+  });
+
+  it('should return 400 when every picked item already has a request', async () => {
+    mockCase();
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/identity-theft/${CASE_ID}/block-requests`)
+      .set('Authorization', `Bearer ${staffToken()}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/identity-theft/:id', () => {
+  it('should show the 4-business-day deadline of each block request', async () => {
+    mockCase([], [{
+      id: 'c0000000-0000-4000-a000-000000000091', dispute_type: 'identity_theft_block', bureau: 'experian',
+      status: 'received', sent_date: '2026-03-04', clock_start_date: '2026-03-06', response_date: null,
+    }]);
+
+    const res = await request(app)
+      .get(`/api/identity-theft/${CASE_ID}`)
+      .set('Authorization', `Bearer ${staffToken()}`);
+
+    expect(res.status).toBe(200);
+    // Delivered Friday, March 6: due Thursday, March 12
+    expect(res.body.data.case.blockRequests[0].deadline).toMatchObject({ dueDate: '2026-03-12', periodDays: 4 });
+  });
+});
+
+describe('PUT /api/identity-theft/:id/items/:itemId', () => {
+  it('should record the block and settle the item and the request', async () => {
+    const dbClient = {
+      query: jest.fn((sql) => Promise.resolve(
+        sql.includes('UPDATE identity_theft_items')
+          ? { rows: [{ id: SELECTION_ID, credit_item_id: ITEM_A, bureau: 'experian', dispute_id: 'c0000000-0000-4000-a000-000000000091', status: 'blocked' }] }
+          : { rows: [], rowCount: 1 }
+      )),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .put(`/api/identity-theft/${CASE_ID}/items/${SELECTION_ID}`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ status: 'blocked', resultDate: '2026-03-11' });
+
+    expect(res.status).toBe(200);
+    const [, itemParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes("UPDATE credit_items SET status = 'deleted'"));
+    expect(itemParams).toEqual([ITEM_A, CASE_ID]);
+    const [, disputeParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE disputes'));
+    expect(disputeParams).toEqual(['2026-03-11', 'c0000000-0000-4000-a000-000000000091']);
+  });
+
+  it('should return 404 for an item without a block request', async () => {
+    const dbClient = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .put(`/api/identity-theft/${CASE_ID}/items/${SELECTION_ID}`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ status: 'declined' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Fraud alerts and freezes', () => {
+  it('should default an initial fraud alert to expire after one year', async () => {
+    mockQuery.mockImplementationOnce((sql, params) => Promise.resolve({
+      rows: [{ id: PROTECTION_ID, bureau: params[2], protection_type: params[3], placed_date: params[4], expires_date: params[5] }],
+    }));
+
+    const res = await request(app)
+      .post(`/api/identity-theft/client/${CLIENT_ID}/protections`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ bureau: 'equifax', protectionType: 'initial_fraud_alert', placedDate: '2026-03-01' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.protection.expires_date).toBe('2027-03-01');
+  });
+
+  it('should leave a freeze without an expiration', async () => {
+    mockQuery.mockImplementationOnce((sql, params) => Promise.resolve({
+      rows: [{ id: PROTECTION_ID, protection_type: params[3], expires_date: params[5] }],
+    }));
+
+    const res = await request(app)
+      .post(`/api/identity-theft/client/${CLIENT_ID}/protections`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ bureau: 'transunion', protectionType: 'security_freeze', placedDate: '2026-03-01' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.protection.expires_date).toBeNull();
+  });
+
+  it('should return 409 when lifting a protection twice', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [{ id: PROTECTION_ID, status: 'lifted' }] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/identity-theft/protections/${PROTECTION_ID}/lift`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ liftedDate: '2026-04-01' });
+
+    expect(res.status).toBe(409);
+  });
+});
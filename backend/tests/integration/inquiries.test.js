@@ -0,0 +1,247 @@
+/**
+ * Integration tests for Hard Inquiry routes
+ * GET  /api/inquiries/client/:clientId
+ * PUT  /api/inquiries/:id/response
+ * POST /api/inquiries/:id/disputes
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers, templateVersionQuery } = require('../helpers/setup');
+
+const CLIENT_ID = testUsers.client.id;
+const OTHER_CLIENT_ID = 'a0000000-0000-4000-a000-000000000009';
+const INQUIRY_ID = 'd0000000-0000-4000-a000-000000000071';
+const FURNISHER_ID = 'f0000000-0000-4000-a000-000000000072';
+
+const staffToken = () => generateTestToken(testUsers.staff.id);
+const clientToken = () => generateTestToken(testUsers.client.id);
+
+const inquiryRow = (overrides) => ({
+  id: INQUIRY_ID,
+  client_id: CLIENT_ID,
+  bureau: 'experian',
+  creditor_name: 'Quick Loans',
+  account_number: '',
+  item_type: 'inquiry',
+  date_reported: '2026-02-14',
+  status: 'identified',
+  inquiry_response: null,
+  removed_at: null,
+  purge_date: '2028-02-14',
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+});
+
+describe('GET /api/inquiries/client/:clientId', () => {
+  it('should list inquiries with their letters and a summary', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({
+        rows: [
+          inquiryRow({ inquiry_response: 'unauthorized', status: 'disputing', days_remaining: 480 }),
+          inquiryRow({ id: 'd0000000-0000-4000-a000-000000000002', creditor_name: 'Chase', days_remaining: 40 }),
+          inquiryRow({ id: 'd0000000-0000-4000-a000-000000000003', removed_at: '2026-05-01T00:00:00Z', status: 'deleted', days_remaining: 300 }),
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'c0000000-0000-4000-a000-000000000001', credit_item_id: INQUIRY_ID, target_type: 'furnisher' },
+          { id: 'c0000000-0000-4000-a000-000000000002', credit_item_id: INQUIRY_ID, target_type: 'bureau' },
+        ],
+      });
+
+    const res = await request(app)
+      .get(`/api/inquiries/client/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(200);
+    const [disputed, chase, removed] = res.body.data.inquiries;
+    expect(disputed.disputes).toHaveLength(2);
+    expect(chase.disputes).toHaveLength(0);
+    expect(removed.removal_reason).toBe('removed');
+    expect(res.body.data.summary).toEqual({
+      total: 3, active: 2, needsReview: 1, unauthorized: 1, disputed: 1, expiringSoon: 1, removed: 1,
+    });
+  });
+
+  it('should return 403 for another client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get(`/api/inquiries/client/${OTHER_CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/inquiries/:id/response', () => {
+  it('should let the client deny their own inquiry', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [inquiryRow()] })
+      .mockResolvedValueOnce({ rows: [inquiryRow({ inquiry_response: 'unauthorized' })] });
+
+    const res = await request(app)
+      .put(`/api/inquiries/${INQUIRY_ID}/response`)
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ response: 'unauthorized' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.inquiry.inquiry_response).toBe('unauthorized');
+    expect(mockQuery.mock.calls[2][1]).toEqual([INQUIRY_ID, 'unauthorized']);
+  });
+
+  it('should return 403 for an inquiry on another client file', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [inquiryRow({ client_id: OTHER_CLIENT_ID })] });
+
+    const res = await request(app)
+      .put(`/api/inquiries/${INQUIRY_ID}/response`)
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ response: 'authorized' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 409 once the inquiry is disputed', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [inquiryRow({ status: 'disputing' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .put(`/api/inquiries/${INQUIRY_ID}/response`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ response: 'authorized' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 404 for an unknown inquiry', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .put(`/api/inquiries/${INQUIRY_ID}/response`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ response: 'authorized' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/inquiries/:id/disputes', () => {
+  it('should draft the §604 creditor letter and the bureau dispute', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [inquiryRow({ inquiry_response: 'unauthorized' })] })
+      .mockResolvedValueOnce({ rows: [{ id: FURNISHER_ID, name: 'Quick Loans LLC', address_line1: 'PO Box 1', city: 'Dover', state: 'DE', zip_code: '19901' }] })
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' }] })
+      .mockImplementation(templateVersionQuery); // template versions, company profile
+
+    const dbClient = {
+      query: jest.fn((sql, params) => Promise.resolve(
+        sql.includes('INSERT INTO disputes')
+          ? { rows: [{ id: 'c0000000-0000-4000-a000-000000000090', target_type: sql.includes("'furnisher'") ? 'furnisher' : 'bureau', letter_content: sql.includes("'furnisher'") ? params[4] : params[3] }] }
+          : { rows: [], rowCount: 1 }
+      )),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/inquiries/${INQUIRY_ID}/disputes`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ furnisherId: FURNISHER_ID });
+
+    expect(res.status).toBe(201);
+    const [creditor, bureau] = res.body.data.disputes;
+    expect(creditor.target_type).toBe('furnisher');
+    expect(creditor.letter_content).toContain('Quick Loans LLC\nPO Box 1\nDover, DE 19901');
+    expect(creditor.letter_content).toContain('Demand for Proof of Permissible Purpose (FCRA §604)');
+    expect(creditor.letter_content).toContain('Inquiry Date: February 14, 2026');
+    expect(mockQuery.mock.calls.some(([, params]) => params?.[0] === 'furnisher.unauthorized_inquiry')).toBe(true);
+    const [creditorInsert] = dbClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO disputes'));
+    expect(creditorInsert[0]).toContain('template_version_id');
+    expect(bureau.target_type).toBe('bureau');
+    expect(bureau.letter_content).toContain('Re: Dispute of Unauthorized Hard Inquiry');
+    expect(bureau.letter_content).toContain('- Inquiring Company: Quick Loans');
+
+    const statusUpdate = dbClient.query.mock.calls.find(([sql]) => sql.includes("status = 'disputing'"));
+    expect(statusUpdate[1]).toEqual([INQUIRY_ID]);
+  });
+
+  it('should return 409 when the client has not denied the inquiry', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [inquiryRow({ inquiry_response: 'authorized' })] });
+
+    const res = await request(app)
+      .post(`/api/inquiries/${INQUIRY_ID}/disputes`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ furnisherId: FURNISHER_ID });
+
+    expect(res.status).toBe(409);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for an unknown furnisher', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [inquiryRow({ inquiry_response: 'unauthorized' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/inquiries/${INQUIRY_ID}/disputes`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ furnisherId: FURNISHER_ID });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 403 for a client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/inquiries/${INQUIRY_ID}/disputes`)
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ furnisherId: FURNISHER_ID });
+
+    expect(res.status).toBe(403);
+  });
+});
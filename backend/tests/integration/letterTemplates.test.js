@@ -0,0 +1,280 @@
+/**
+ * Integration tests for Letter Template routes
+ * GET  /api/letter-templates
+ * GET  /api/letter-templates/:key
+ * POST /api/letter-templates/:key/versions
+ * POST /api/letter-templates/:key/preview
+ */
+
+require('../helpers/env');
+
+const fs = require('fs');
+const path = require('path');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const {
+  generateTestToken, testUsers, DEFAULT_TEMPLATE_VERSION_ID, templateVersionResult,
+} = require('../helpers/setup');
+const {
+  render, buildMergeContext, inspectTemplate, disputeTemplateKey, getEffectiveVersion,
+} = require('../../utils/letterTemplates');
+const { DEFAULT_TEMPLATES } = require('../../utils/letterTemplateDefaults');
+
+const CLIENT_ID = 'a0000000-0000-4000-a000-000000000003';
+const CREDIT_ITEM_ID = 'd0000000-0000-4000-a000-000000000020';
+const VERSION_ID = 'f0000000-0000-4000-a000-000000000040';
+
+const clientRow = {
+  first_name: 'Jane', last_name: 'Doe', email: 'jane@example.com', phone: '555-123-4567',
+  address_line1: '12 Oak St', address_line2: null, city: 'Miami', state: 'FL', zip_code: '33101',
+  date_of_birth: '1985-04-09', ssn_last_4: '6789',
+};
+const itemRow = {
+  creditor_name: 'Midland Funding', account_number: 'XXXX4321', item_type: 'collection',
+  balance: '842.5', status: 'identified', date_opened: '2019-02-01', date_reported: '2026-01-15', description: null,
+};
+
+const adminAuth = () => mockQuery.mockResolvedValueOnce({ rows: [testUsers.admin] });
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+});
+
+describe('template rendering', () => {
+  const context = buildMergeContext({ client: clientRow, item: itemRow, bureau: 'transunion', round: 2, disputeType: 'not_mine' });
+
+  it('should format merge variables by type', () => {
+    const out = render('{{client.full_name}} | {{client.date_of_birth}} | {{item.balance}} | {{item.account_last4}} | Round {{round.number}}', context);
+    expect(out).toBe('Jane Doe | April 9, 1985 | $842.50 | 4321 | Round 2');
+  });
+
+  it('should use the fallback for empty values', () => {
+    expect(render('Issue: {{item.description|Contains inaccurate information}}', context))
+      .toBe('Issue: Contains inaccurate information');
+  });
+
+  it('should accept camelCase analyzer rows', () => {
+    const camel = buildMergeContext({ client: { firstName: 'Jo', lastName: 'Ray', zipCode: '10001' }, item: { creditorName: 'Acme' } });
+    expect(render('{{client.full_name}} {{client.zip_code}} {{item.creditor_name}}', camel)).toBe('Jo Ray 10001 Acme');
+  });
+
+  it('should pick the specialty agency letters for specialty agencies', () => {
+    expect(disputeTemplateKey('not_mine', 'experian')).toBe('dispute.not_mine');
+    expect(disputeTemplateKey('not_mine', 'chexsystems')).toBe('dispute.agency.not_mine');
+    expect(disputeTemplateKey('medical_debt', 'equifax')).toBe('dispute.medical_debt');
+    expect(disputeTemplateKey('medical_debt', 'lexisnexis')).toBe('dispute.agency.inaccurate_info');
+    expect(disputeTemplateKey('unknown', 'saferent')).toBe('dispute.agency.inaccurate_info');
+  });
+
+  it('should report unknown merge variables', () => {
+    const { variables, unknown } = inspectTemplate('{{client.first_name}} {{client.password_hash}} {{bureau}} {{item.balance|0}}');
+    expect(variables).toEqual(['client.first_name', 'item.balance']);
+    expect(unknown).toEqual(['client.password_hash', 'bureau']);
+  });
+});
+
+describe('template versions', () => {
+  it('should seed every built-in template as a saved version', () => {
+    const sql = fs.readFileSync(path.join(__dirname, '../../migrations/029_letter_template_defaults.sql'), 'utf8');
+    for (const [key, { body }] of Object.entries(DEFAULT_TEMPLATES)) {
+      expect(sql).toContain(`('${key}', $body$${body}$body$`);
+    }
+  });
+
+  it('should refuse to render without a saved version in effect', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+    await expect(getEffectiveVersion('dispute.not_mine', '1960-01-01'))
+      .rejects.toThrow('No version of letter template dispute.not_mine is in effect on 1960-01-01');
+  });
+});
+
+describe('GET /api/letter-templates', () => {
+  it('should return 403 for staff', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff] });
+
+    const res = await request(app)
+      .get('/api/letter-templates')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should list every template with its latest saved version', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+    mockQuery.mockResolvedValueOnce({ rows: [{ template_key: 'dispute.paid', latest_version: 2, updated_at: '2026-09-01' }] });
+
+    const res = await request(app)
+      .get('/api/letter-templates')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const byKey = Object.fromEntries(res.body.data.templates.map((t) => [t.key, t]));
+    expect(byKey['dispute.paid'].latestVersion).toBe(2);
+    expect(byKey['dispute.not_mine'].latestVersion).toBe(0);
+    expect(byKey['ai.system'].category).toBe('ai_prompt');
+    expect(byKey['dispute.agency.not_mine'].category).toBe('dispute_letter');
+  });
+});
+
+describe('GET /api/letter-templates/:key', () => {
+  it('should return 404 for an unknown key', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+
+    const res = await request(app)
+      .get('/api/letter-templates/dispute.made_up')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/letter-templates/:key/versions', () => {
+  it('should reject bodies with unknown merge variables', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+
+    const res = await request(app)
+      .post('/api/letter-templates/dispute.paid/versions')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Dear {{bureau.name}}, my SSN is {{client.ssn}}' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/client\.ssn/);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should save the next version with its effective date and variables', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+
+    const dbClient = {
+      query: jest.fn((sql, params) => {
+        if (sql.includes('INSERT INTO letter_templates')) return Promise.resolve({ rows: [{ id: 'tmpl-1' }] });
+        return Promise.resolve({
+          rows: [{ id: VERSION_ID, version: 3, body: params[1], variables: JSON.parse(params[2]), effective_date: params[3] }],
+        });
+      }),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post('/api/letter-templates/dispute.paid/versions')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ body: 'Dear {{bureau.name}}, {{item.creditor_name}} was paid.', effectiveDate: '2026-11-01' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.version).toMatchObject({
+      version: 3,
+      effective_date: '2026-11-01',
+      variables: ['bureau.name', 'item.creditor_name'],
+    });
+    const [, templateParams] = dbClient.query.mock.calls[0];
+    expect(templateParams.slice(0, 2)).toEqual(['dispute.paid', 'dispute_letter']);
+  });
+});
+
+describe('POST /api/letter-templates/:key/preview', () => {
+  it('should return 404 when the credit item is not the client\'s', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [clientRow] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post('/api/letter-templates/dispute.not_mine/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ clientId: CLIENT_ID, creditItemId: CREDIT_ITEM_ID, bureau: 'experian' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should render the version in effect against the client', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [clientRow] })
+      .mockResolvedValueOnce({ rows: [itemRow] })
+      .mockResolvedValueOnce({ rows: [{ company_name: 'Credit Repair Pro' }] })
+      .mockResolvedValueOnce(templateVersionResult('dispute.not_mine')); // seeded built-in text
+
+    const res = await request(app)
+      .post('/api/letter-templates/dispute.not_mine/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ clientId: CLIENT_ID, creditItemId: CREDIT_ITEM_ID, bureau: 'experian' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.preview.version).toBe(1);
+    expect(res.body.data.preview.templateVersionId).toBe(DEFAULT_TEMPLATE_VERSION_ID);
+    expect(res.body.data.preview.content).toContain('P.O. Box 4500');
+    expect(res.body.data.preview.content).toContain('Jane Doe');
+    expect(res.body.data.preview.content).toContain('Account ending in 4321');
+    expect(res.body.data.preview.content).not.toMatch(/\{\{/);
+  });
+
+  it('should pass the as-of date when looking up the version', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [clientRow] })
+      .mockResolvedValueOnce({ rows: [{ company_name: 'Credit Repair Pro' }] })
+      .mockResolvedValueOnce({ rows: [{ id: VERSION_ID, version: 4, body: 'Hello {{client.first_name}} from {{company_profile.company_name}}' }] });
+
+    const res = await request(app)
+      .post('/api/letter-templates/ai.system/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ clientId: CLIENT_ID, asOf: '2026-12-01' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.preview).toMatchObject({ content: 'Hello Jane from Credit Repair Pro', version: 4, templateVersionId: VERSION_ID });
+    expect(mockQuery.mock.calls[3][1]).toEqual(['ai.system', '2026-12-01']);
+  });
+
+  it('should preview unsaved text and flag unknown variables', async () => {
+    const token = generateTestToken(testUsers.admin.id);
+    adminAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [clientRow] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post('/api/letter-templates/dispute.paid/preview')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ clientId: CLIENT_ID, body: 'Dear {{bureau.name}}, {{client.nickname}}', bureau: 'equifax' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.preview.content).toBe('Dear Equifax,');
+    expect(res.body.data.preview.unknownVariables).toEqual(['client.nickname']);
+  });
+});
@@ -0,0 +1,409 @@
+/**
+ * Integration tests for Mail Run routes
+ * GET  /api/mail-runs/ready
+ * POST /api/mail-runs
+ * GET  /api/mail-runs/:id/packets
+ * GET  /api/mail-runs/:id/manifest
+ * GET  /api/mail-runs/:id/labels
+ * POST /api/mail-runs/:id/confirm
+ * POST /api/mail-runs/:id/cancel
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers } = require('../helpers/setup');
+const { csvCell } = require('../../utils/mailRun');
+
+const RUN_ID = 'f0000000-0000-4000-a000-000000000090';
+const DISPUTE_A = 'd0000000-0000-4000-a000-000000000091';
+const DISPUTE_B = 'd0000000-0000-4000-a000-000000000092';
+const DISPUTE_C = 'd0000000-0000-4000-a000-000000000093';
+
+const draftRow = (overrides = {}) => ({
+  id: DISPUTE_A,
+  client_id: 'a0000000-0000-4000-a000-000000000003',
+  dispute_type: 'not_mine',
+  bureau: 'experian',
+  target_type: 'bureau',
+  creditor_name: 'Midland Funding',
+  account_number: '****5678',
+  first_name: 'Client',
+  last_name: 'User',
+  has_letter: true,
+  has_address: true,
+  has_id: true,
+  has_proof_of_address: true,
+  in_pending_run: false,
+  ...overrides,
+});
+
+const runRow = { id: RUN_ID, status: 'pending', created_at: '2026-03-02T09:00:00Z' };
+
+const runItems = [
+  { ...draftRow({ id: DISPUTE_B, bureau: 'equifax', creditor_name: 'Capital One, N.A.' }), position: 1, mailed: null, dispute_status: 'draft' },
+  { ...draftRow(), position: 2, mailed: null, dispute_status: 'draft' },
+];
+
+// Transaction client for run creation: the readiness query returns draftRows
+const runClient = (draftRows) => ({
+  query: jest.fn((sql) => {
+    if (sql.includes('in_pending_run')) return Promise.resolve({ rows: draftRows });
+    if (sql.includes('INSERT INTO mail_runs')) return Promise.resolve({ rows: [{ id: RUN_ID }] });
+    return Promise.resolve({ rows: [], rowCount: 1 });
+  }),
+});
+
+const staffAuth = () => mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+const binaryParser = (response, callback) => {
+  const chunks = [];
+  response.on('data', (chunk) => chunks.push(chunk));
+  response.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+});
+
+describe('GET /api/mail-runs/ready', () => {
+  it('should return 403 for clients', async () => {
+    const token = generateTestToken(testUsers.client.id);
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/mail-runs/ready')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should group ready drafts by bureau and explain the rest', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        draftRow(),
+        draftRow({ id: DISPUTE_B, bureau: 'equifax' }),
+        draftRow({ id: DISPUTE_C, has_proof_of_address: false, in_pending_run: true }),
+      ],
+    });
+
+    const res = await request(app)
+      .get('/api/mail-runs/ready')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.total).toBe(2);
+    expect(res.body.data.groups.map((g) => g.groupKey)).toEqual(['equifax', 'experian']);
+    expect(res.body.data.groups[0].disputes[0].recipient.name).toBe('Equifax');
+    expect(res.body.data.notReady).toHaveLength(1);
+    expect(res.body.data.notReady[0].problems).toEqual(['No proof of address on file', 'Already in a pending mail run']);
+  });
+
+  it('should list specialty agency disputes after the nationwide bureaus', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({
+      rows: [
+        draftRow({ bureau: 'chexsystems', creditor_name: 'First Bank' }),
+        draftRow({ id: DISPUTE_B, bureau: 'transunion' }),
+      ],
+    });
+
+    const res = await request(app)
+      .get('/api/mail-runs/ready')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.data.total).toBe(2);
+    expect(res.body.data.groups.map((g) => [g.groupKey, g.label, g.disputes.length])).toEqual([
+      ['transunion', 'TransUnion', 1],
+      ['chexsystems', 'ChexSystems', 1],
+    ]);
+    expect(res.body.data.groups[1].disputes[0].recipient.address).toContain('Woodbury, MN');
+  });
+
+  it('should not mail a furnisher dispute without a furnisher address', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({
+      rows: [draftRow({ target_type: 'furnisher', bureau: null, furnisher_name: 'Midland Credit Management' })],
+    });
+
+    const res = await request(app)
+      .get('/api/mail-runs/ready')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.data.total).toBe(0);
+    expect(res.body.data.notReady[0].problems).toEqual(['Recipient has no mailing address']);
+  });
+});
+
+describe('POST /api/mail-runs', () => {
+  it('should return 400 when nothing is ready', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    const dbClient = runClient([draftRow({ has_id: false })]);
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post('/api/mail-runs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(400);
+    expect(dbClient.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO mail_runs'))).toBe(false);
+  });
+
+  it('should lock the drafts before checking they are not in a pending run', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    const dbClient = runClient([draftRow({ in_pending_run: true })]);
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post('/api/mail-runs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ disputeIds: [DISPUTE_A] });
+
+    expect(res.status).toBe(400);
+    const [[lockSql, lockParams], [readySql]] = dbClient.query.mock.calls;
+    expect(lockSql).toContain('FOR UPDATE');
+    expect(lockParams).toEqual([[DISPUTE_A]]);
+    expect(readySql).toContain('in_pending_run');
+  });
+
+  it('should create a run in bureau order, limited to the chosen disputes', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [runRow] })
+      .mockResolvedValueOnce({ rows: runItems });
+
+    const dbClient = runClient([
+      draftRow(),
+      draftRow({ id: DISPUTE_B, bureau: 'equifax' }),
+      draftRow({ id: DISPUTE_C, bureau: 'transunion' }),
+    ]);
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post('/api/mail-runs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ disputeIds: [DISPUTE_A, DISPUTE_B] });
+
+    expect(res.status).toBe(201);
+    const items = dbClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO mail_run_items'));
+    expect(items.map(([, params]) => params.slice(1))).toEqual([
+      [DISPUTE_B, 'equifax', 1],
+      [DISPUTE_A, 'experian', 2],
+    ]);
+    expect(res.body.data.run.groups).toEqual([
+      { groupKey: 'equifax', label: 'Equifax', count: 1 },
+      { groupKey: 'experian', label: 'Experian', count: 1 },
+    ]);
+  });
+  it('should add specialty agency disputes to the run', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [runRow] })
+      .mockResolvedValueOnce({ rows: runItems });
+
+    const dbClient = runClient([
+      draftRow({ bureau: 'chexsystems' }),
+      draftRow({ id: DISPUTE_B, bureau: 'equifax' }),
+    ]);
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post('/api/mail-runs')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    const items = dbClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO mail_run_items'));
+    expect(items.map(([, params]) => params.slice(1))).toEqual([
+      [DISPUTE_B, 'equifax', 1],
+      [DISPUTE_A, 'chexsystems', 2],
+    ]);
+  });
+});
+
+describe('Mail run output', () => {
+  it('GET /:id/manifest should list one envelope per row', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [runRow] })
+      .mockResolvedValueOnce({ rows: runItems });
+
+    const res = await request(app)
+      .get(`/api/mail-runs/${RUN_ID}/manifest`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toContain('text/csv');
+    const lines = res.text.trim().split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^Position,Group,Dispute ID/);
+    expect(lines[1]).toContain(`1,Equifax,${DISPUTE_B},Client User,"Capital One, N.A."`);
+    expect(lines[1]).toContain('"Equifax Information Services LLC, P.O. Box 740256, Atlanta, GA 30374-0256"');
+  });
+
+  it('GET /:id/labels should return a PDF', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [runRow] })
+      .mockResolvedValueOnce({ rows: runItems });
+
+    const res = await request(app)
+      .get(`/api/mail-runs/${RUN_ID}/labels`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.body.slice(0, 5).toString()).toBe('%PDF-');
+  });
+
+  it('GET /:id/packets should merge the packets into one PDF', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [runRow] })
+      .mockResolvedValueOnce({ rows: [runItems[1]] })
+      .mockResolvedValueOnce({ rows: [{ ...draftRow(), credit_item_id: 'item-a', letter_content: 'Dear Experian, ...' }] })
+      .mockResolvedValueOnce({ rows: [] })  // no snapshot
+      .mockResolvedValueOnce({ rows: [] }); // no enclosures
+
+    const res = await request(app)
+      .get(`/api/mail-runs/${RUN_ID}/packets`)
+      .set('Authorization', `Bearer ${token}`)
+      .buffer(true)
+      .parse(binaryParser);
+
+    expect(res.status).toBe(200);
+    expect(res.body.slice(0, 5).toString()).toBe('%PDF-');
+    expect(mockQuery.mock.calls[3][1]).toEqual([DISPUTE_A]);
+  });
+
+  it('GET /:id should return 404 for an unknown run', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .get(`/api/mail-runs/${RUN_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('csvCell should quote separators and neutralise formulas', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('a, "b"')).toBe('"a, ""b"""');
+    expect(csvCell('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(csvCell(null)).toBe('');
+  });
+});
+
+describe('POST /api/mail-runs/:id/confirm', () => {
+  it('should return 409 when the run was already confirmed', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [{ ...runRow, status: 'confirmed' }] })
+      .mockResolvedValueOnce({ rows: runItems });
+
+    const res = await request(app)
+      .post(`/api/mail-runs/${RUN_ID}/confirm`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+    expect(mockTransaction).not.toHaveBeenCalled();
+  });
+
+  it('should mark the drafts sent today and record their campaign rounds', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery
+      .mockResolvedValueOnce({ rows: [runRow] })
+      .mockResolvedValueOnce({ rows: runItems });
+
+    // DISPUTE_A was sent by hand after the run was created
+    const dbClient = {
+      query: jest.fn((sql) => {
+        if (sql.includes('FROM mail_runs')) return Promise.resolve({ rows: [{ id: RUN_ID }] });
+        if (sql.includes('UPDATE disputes')) {
+          return Promise.resolve({
+            rows: [{ id: DISPUTE_B, client_id: 'client', credit_item_id: 'item-b', bureau: 'equifax', target_type: 'bureau', sent_date: '2026-03-02' }],
+          });
+        }
+        if (sql.includes('INSERT INTO dispute_campaigns')) return Promise.resolve({ rows: [{ id: 'camp-1' }] });
+        if (sql.includes('INSERT INTO dispute_rounds')) return Promise.resolve({ rows: [{ id: 'round-1', round_number: 1 }] });
+        return Promise.resolve({ rows: [], rowCount: 1 });
+      }),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/mail-runs/${RUN_ID}/confirm`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sent).toEqual([DISPUTE_B]);
+    expect(res.body.data.skipped).toEqual([DISPUTE_A]);
+    expect(res.body.data.sentDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+
+    const [, disputeParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE disputes'));
+    expect(disputeParams).toEqual([res.body.data.sentDate, RUN_ID]);
+    expect(dbClient.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO dispute_rounds'))).toBe(true);
+    const [, itemParams] = dbClient.query.mock.calls.find(([sql]) => sql.includes('UPDATE mail_run_items'));
+    expect(itemParams).toEqual([RUN_ID, [DISPUTE_B]]);
+  });
+});
+
+describe('POST /api/mail-runs/:id/cancel', () => {
+  it('should return 409 when the run is not pending', async () => {
+    const token = generateTestToken(testUsers.staff.id);
+    staffAuth();
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/mail-runs/${RUN_ID}/cancel`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(409);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Integration tests for Personal Information Cleanup routes
+ * GET  /api/personal-info/client/:clientId
+ * PUT  /api/personal-info/entries/:id
+ * POST /api/personal-info/client/:clientId/disputes
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+const mockTransaction = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: (...args) => mockTransaction(...args),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers, templateVersionQuery } = require('../helpers/setup');
+
+const CLIENT_ID = testUsers.client.id;
+const OTHER_CLIENT_ID = 'a0000000-0000-4000-a000-000000000009';
+const ENTRY_ID = 'e0000000-0000-4000-a000-000000000091';
+
+const staffToken = () => generateTestToken(testUsers.staff.id);
+const clientToken = () => generateTestToken(testUsers.client.id);
+
+const entryRow = (overrides) => ({
+  id: ENTRY_ID,
+  client_id: CLIENT_ID,
+  bureau: 'experian',
+  entry_type: 'address',
+  value: '9 Oak Rd, Austin, TX 73301',
+  verified: false,
+  client_response: null,
+  status: 'reported',
+  dispute_id: null,
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockQuery.mockReset();
+  mockTransaction.mockReset();
+});
+
+describe('GET /api/personal-info/client/:clientId', () => {
+  it('should group entries by bureau with a review summary', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({
+        rows: [
+          entryRow({ entry_type: 'name', value: 'CLIENT USER', verified: true }),
+          entryRow(),
+          entryRow({ bureau: 'equifax', value: 'ACME CORP', entry_type: 'employer', client_response: 'unknown' }),
+          entryRow({ bureau: 'equifax', status: 'removed' }),
+        ],
+      });
+
+    const res = await request(app)
+      .get(`/api/personal-info/client/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.bureaus.experian).toHaveLength(2);
+    expect(res.body.data.bureaus.equifax).toHaveLength(2);
+    expect(res.body.data.summary).toEqual({ total: 4, unverified: 2, needsReview: 1, unknown: 1, disputed: 0, removed: 1 });
+  });
+
+  it('should return 403 for another client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get(`/api/personal-info/client/${OTHER_CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PUT /api/personal-info/entries/:id', () => {
+  it('should let the client mark their own entry unknown', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [entryRow()] })
+      .mockResolvedValueOnce({ rows: [entryRow({ client_response: 'unknown' })] });
+
+    const res = await request(app)
+      .put(`/api/personal-info/entries/${ENTRY_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ response: 'unknown' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.entry.client_response).toBe('unknown');
+    expect(mockQuery.mock.calls[2][1]).toEqual([ENTRY_ID, 'unknown']);
+  });
+
+  it('should return 403 for an entry on another client file', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [entryRow({ client_id: OTHER_CLIENT_ID })] });
+
+    const res = await request(app)
+      .put(`/api/personal-info/entries/${ENTRY_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ response: 'unknown' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 409 once the entry has been disputed', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [entryRow({ status: 'disputed' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .put(`/api/personal-info/entries/${ENTRY_ID}`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ response: 'recognized' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should reject an invalid response', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .put(`/api/personal-info/entries/${ENTRY_ID}`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ response: 'maybe' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/personal-info/client/:clientId/disputes', () => {
+  it('should draft one letter per bureau listing the unknown entries', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({
+        rows: [
+          entryRow({ id: 'e0000000-0000-4000-a000-000000000001', client_response: 'unknown' }),
+          entryRow({ id: 'e0000000-0000-4000-a000-000000000002', entry_type: 'employer', value: 'GLOBEX', client_response: 'unknown' }),
+          entryRow({ id: 'e0000000-0000-4000-a000-000000000003', bureau: 'transunion', entry_type: 'name', value: 'JON USER', client_response: 'unknown' }),
+        ],
+      })
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' }] })
+      .mockImplementation(templateVersionQuery); // template versions, company profile
+
+    const dbClient = {
+      query: jest.fn((sql, params) => Promise.resolve(
+        sql.includes('INSERT INTO disputes')
+          ? { rows: [{ id: `c0000000-0000-4000-a000-00000000009${params[1] === 'experian' ? 1 : 2}`, bureau: params[1], letter_content: params[2], status: 'draft' }] }
+          : { rows: [], rowCount: 1 }
+      )),
+    };
+    mockTransaction.mockImplementation((cb) => cb(dbClient));
+
+    const res = await request(app)
+      .post(`/api/personal-info/client/${CLIENT_ID}/disputes`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({});
+
+    expect(res.status).toBe(201);
+    const [experian, transunion] = res.body.data.disputes;
+    expect(experian).toMatchObject({ bureau: 'experian', entryCount: 2 });
+    expect(transunion).toMatchObject({ bureau: 'transunion', entryCount: 1 });
+    expect(experian.letter_content).toContain('- Address: 9 Oak Rd, Austin, TX 73301');
+    expect(experian.letter_content).toContain('- Employer: GLOBEX');
+    expect(experian.letter_content).not.toContain('JON USER');
+    expect(transunion.letter_content).toContain('- Name: JON USER');
+
+    const linked = dbClient.query.mock.calls.filter(([sql]) => sql.includes("status = 'disputed'"));
+    expect(linked.map(([, params]) => params[1])).toEqual([
+      ['e0000000-0000-4000-a000-000000000001', 'e0000000-0000-4000-a000-000000000002'],
+      ['e0000000-0000-4000-a000-000000000003'],
+    ]);
+  });
+
+  it('should return 400 when nothing is marked unknown', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/personal-info/client/${CLIENT_ID}/disputes`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ bureaus: ['experian'] });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 403 for a client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/personal-info/client/${CLIENT_ID}/disputes`)
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Integration tests for Reporting Agency routes
+ * GET  /api/reporting-agencies
+ * GET  /api/reporting-agencies/:agency
+ * POST /api/reporting-agencies/:agency/file-request
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: jest.fn(),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const {
+  generateTestToken, testUsers, DEFAULT_TEMPLATE_VERSION_ID, templateVersionQuery,
+} = require('../helpers/setup');
+
+const CLIENT_ID = testUsers.client.id;
+const OTHER_CLIENT_ID = 'a0000000-0000-4000-a000-000000000009';
+
+const staffToken = () => generateTestToken(testUsers.staff.id);
+const clientToken = () => generateTestToken(testUsers.client.id);
+
+const clientRow = {
+  first_name: 'Maria',
+  last_name: 'Lopez',
+  email: 'maria@example.com',
+  phone: '555-123-4567',
+  address_line1: '12 Oak Street',
+  address_line2: null,
+  city: 'Austin',
+  state: 'TX',
+  zip_code: '78701',
+  date_of_birth: '1985-04-12',
+  ssn_last_4: '4321',
+};
+
+/** Answers the file request queries: client, template version, company profile */
+const mockFileRequestQueries = (client = clientRow) => {
+  mockQuery.mockImplementation((sql, params) => {
+    if (sql.includes('FROM users u')) return Promise.resolve({ rows: client ? [client] : [] });
+    return templateVersionQuery(sql, params);
+  });
+};
+
+describe('GET /api/reporting-agencies', () => {
+  beforeEach(() => { mockQuery.mockReset(); });
+
+  it('should return 401 without a token', async () => {
+    const res = await request(app).get('/api/reporting-agencies');
+    expect(res.status).toBe(401);
+  });
+
+  it('should list the nationwide bureaus and the specialty agencies', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/reporting-agencies')
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(200);
+    const byKey = Object.fromEntries(res.body.data.agencies.map((agency) => [agency.key, agency]));
+    expect(byKey.experian.kind).toBe('nationwide');
+    expect(byKey.chexsystems.kind).toBe('specialty');
+    expect(byKey.chexsystems.address).toContain('Woodbury, MN');
+    expect(byKey.saferent.fileRequest.phone).toBeTruthy();
+  });
+});
+
+describe('GET /api/reporting-agencies/:agency', () => {
+  beforeEach(() => { mockQuery.mockReset(); });
+
+  it('should return one agency with its tactics', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/reporting-agencies/lexisnexis')
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.agency.name).toBe('LexisNexis Risk Solutions');
+    expect(res.body.data.agency.bestTactics.length).toBeGreaterThan(0);
+  });
+
+  it('should reject an unknown agency', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get('/api/reporting-agencies/acme')
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/reporting-agencies/:agency/file-request', () => {
+  beforeEach(() => { mockQuery.mockReset(); });
+
+  it('should draft a file request to the agency file request address', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockFileRequestQueries();
+
+    const res = await request(app)
+      .post('/api/reporting-agencies/chexsystems/file-request')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ clientId: CLIENT_ID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.letter).toContain('Maria Lopez');
+    expect(res.body.data.letter).toContain('7805 Hudson Road');
+    expect(res.body.data.letter).toContain('§609(a)(1)');
+    expect(res.body.data.templateVersionId).toBe(DEFAULT_TEMPLATE_VERSION_ID);
+    expect(res.body.data.fileRequest.phone).toBe('800-428-9623');
+  });
+
+  it('should address nationwide bureau requests to the annual report service', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+    mockFileRequestQueries();
+
+    const res = await request(app)
+      .post('/api/reporting-agencies/equifax/file-request')
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ clientId: CLIENT_ID });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.letter).toContain('Annual Credit Report Request Service');
+  });
+
+  it('should return 403 when a client drafts for someone else', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .post('/api/reporting-agencies/innovis/file-request')
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send({ clientId: OTHER_CLIENT_ID });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for an unknown client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+    mockFileRequestQueries(null);
+
+    const res = await request(app)
+      .post('/api/reporting-agencies/innovis/file-request')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ clientId: OTHER_CLIENT_ID });
+
+    expect(res.status).toBe(404);
+  });
+});
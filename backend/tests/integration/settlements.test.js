@@ -0,0 +1,349 @@
+/**
+ * Integration tests for Settlement routes
+ * POST /api/settlements
+ * GET  /api/settlements/client/:clientId
+ * POST /api/settlements/:id/offers
+ * POST /api/settlements/:id/agreement
+ * PUT  /api/settlements/:id/payment
+ * POST /api/settlements/:id/verify
+ * PUT  /api/settlements/:id/abandon
+ */
+
+require('../helpers/env');
+
+const mockQuery = jest.fn();
+
+jest.mock('../../config/database', () => ({
+  pool: { query: jest.fn(), on: jest.fn(), end: jest.fn(), totalCount: 0, idleCount: 0, waitingCount: 0 },
+  query: (...args) => mockQuery(...args),
+  transaction: jest.fn(),
+  getPoolStats: jest.fn().mockReturnValue({}),
+}));
+
+jest.mock('../../utils/auditLogger', () => ({
+  auditMiddleware: () => (req, res, next) => next(),
+  recordAudit: jest.fn(),
+  auditFromRequest: jest.fn().mockResolvedValue(undefined),
+  AUDIT_ACTIONS: {},
+  getAuditLogs: jest.fn().mockResolvedValue({ logs: [], total: 0 }),
+}));
+
+jest.mock('../../utils/sentry', () => ({
+  initSentry: jest.fn(),
+  sentryErrorHandler: () => (err, req, res, next) => next(err),
+  captureError: jest.fn(),
+  captureMessage: jest.fn(),
+  Sentry: {},
+}));
+
+const request = require('supertest');
+const app = require('../../server');
+const { generateTestToken, testUsers, templateVersionResult } = require('../helpers/setup');
+
+const CLIENT_ID = testUsers.client.id;
+const OTHER_CLIENT_ID = 'a0000000-0000-4000-a000-000000000009';
+const ITEM_ID = 'd0000000-0000-4000-a000-000000000091';
+const FURNISHER_ID = 'f0000000-0000-4000-a000-000000000092';
+const NEGOTIATION_ID = 'e0000000-0000-4000-a000-000000000093';
+
+const staffToken = () => generateTestToken(testUsers.staff.id);
+const clientToken = () => generateTestToken(testUsers.client.id);
+
+const itemRow = (overrides) => ({
+  id: ITEM_ID,
+  client_id: CLIENT_ID,
+  creditor_name: 'Midland Funding',
+  account_number: 'XXXX7731',
+  item_type: 'collection',
+  bureau: 'experian',
+  balance: '1850.00',
+  status: 'identified',
+  ...overrides,
+});
+
+const furnisherRow = {
+  id: FURNISHER_ID,
+  name: 'Midland Credit Management',
+  address_line1: 'PO Box 2121',
+  city: 'Warren',
+  state: 'MI',
+  zip_code: '48090',
+};
+
+const negotiationRow = (overrides) => ({
+  id: NEGOTIATION_ID,
+  client_id: CLIENT_ID,
+  credit_item_id: ITEM_ID,
+  furnisher_id: FURNISHER_ID,
+  reported_balance: '1850.00',
+  status: 'negotiating',
+  agreed_amount: null,
+  payment_date: null,
+  ...overrides,
+});
+
+beforeEach(() => {
+  mockQuery.mockReset();
+});
+
+describe('POST /api/settlements', () => {
+  const body = { clientId: CLIENT_ID, creditItemId: ITEM_ID, furnisherId: FURNISHER_ID };
+
+  it('should open a negotiation at the reported balance', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [itemRow()] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [furnisherRow] })
+      .mockResolvedValueOnce({ rows: [negotiationRow()] });
+
+    const res = await request(app)
+      .post('/api/settlements')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.negotiation.offers).toEqual([]);
+    expect(mockQuery.mock.calls[4][1]).toEqual([CLIENT_ID, ITEM_ID, FURNISHER_ID, '1850.00', null, testUsers.staff.id]);
+  });
+
+  it('should return 400 for an item that is not a collection or charge-off', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [itemRow({ item_type: 'late_payment' })] });
+
+    const res = await request(app)
+      .post('/api/settlements')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 409 when the account already has an open negotiation', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [itemRow()] })
+      .mockResolvedValueOnce({ rows: [{ id: NEGOTIATION_ID }] });
+
+    const res = await request(app)
+      .post('/api/settlements')
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 403 for a client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .post('/api/settlements')
+      .set('Authorization', `Bearer ${clientToken()}`)
+      .send(body);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/settlements/client/:clientId', () => {
+  it('should list negotiations with offers and settled-versus-reported totals', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 })
+      .mockResolvedValueOnce({
+        rows: [
+          negotiationRow({ status: 'deleted', agreed_amount: '740.00' }),
+          negotiationRow({ id: 'e0000000-0000-4000-a000-000000000002', reported_balance: '600.00' }),
+        ],
+      })
+      .mockResolvedValueOnce({
+        rows: [
+          { id: 'o1', negotiation_id: 'e0000000-0000-4000-a000-000000000002', amount: '150.00', offered_by: 'client' },
+          { id: 'o2', negotiation_id: 'e0000000-0000-4000-a000-000000000002', amount: '420.00', offered_by: 'creditor' },
+        ],
+      });
+
+    const res = await request(app)
+      .get(`/api/settlements/client/${CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(200);
+    const [settled, open] = res.body.data.negotiations;
+    expect(settled.comparison).toEqual({ reportedBalance: 1850, settledAmount: 740, savings: 1110, settledPercent: 40 });
+    expect(open.offers).toHaveLength(2);
+    expect(open.comparison.settledAmount).toBe(420);
+    expect(res.body.data.summary).toEqual({
+      total: 2, open: 1, awaitingDeletion: 0, deleted: 1, notDeleted: 0, totalReported: 1850, totalSettled: 740,
+    });
+  });
+
+  it('should return 403 for another client', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.client], rowCount: 1 });
+
+    const res = await request(app)
+      .get(`/api/settlements/client/${OTHER_CLIENT_ID}`)
+      .set('Authorization', `Bearer ${clientToken()}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /api/settlements/:id/offers', () => {
+  it('should record a counteroffer', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [negotiationRow()] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'o1', amount: '900.00', offered_by: 'creditor', offer_date: '2026-03-02' }] })
+      .mockResolvedValueOnce({ rows: [], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/settlements/${NEGOTIATION_ID}/offers`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ amount: 900, offeredBy: 'creditor', offerDate: '2026-03-02' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.offer.offered_by).toBe('creditor');
+    expect(mockQuery.mock.calls[3][1]).toEqual([NEGOTIATION_ID, 900, 'creditor', '2026-03-02', null, testUsers.staff.id]);
+  });
+
+  it('should return 409 once an agreement is reached', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [negotiationRow({ status: 'agreed' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/settlements/${NEGOTIATION_ID}/offers`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ amount: 500, offeredBy: 'client' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 400 for a zero amount', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/settlements/${NEGOTIATION_ID}/offers`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ amount: 0, offeredBy: 'client' });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/settlements/:id/agreement', () => {
+  const mockAgreementSources = () => mockQuery
+    .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+    .mockResolvedValueOnce({ rows: [negotiationRow()] })
+    .mockResolvedValueOnce({ rows: [] })
+    .mockResolvedValueOnce({ rows: [itemRow()] })
+    .mockResolvedValueOnce({ rows: [furnisherRow] });
+
+  it('should hold the agreement until the limitations risk is acknowledged', async () => {
+    mockAgreementSources().mockResolvedValueOnce({ rows: [{ state: 'TX' }] });
+
+    const res = await request(app)
+      .post(`/api/settlements/${NEGOTIATION_ID}/agreement`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ amount: 740 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details.reason).toMatch(/pay-for-delete/);
+  });
+
+  it('should draft the pay-for-delete letter', async () => {
+    mockAgreementSources()
+      .mockResolvedValueOnce({ rows: [{ state: 'TX' }] })
+      .mockResolvedValueOnce({ rows: [{ first_name: 'Client', last_name: 'User', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' }] })
+      .mockResolvedValueOnce({ rows: [] }) // company profile
+      .mockResolvedValueOnce(templateVersionResult('settlement.pay_for_delete'))
+      .mockImplementationOnce((sql, params) => Promise.resolve({
+        rows: [negotiationRow({ status: 'agreed', agreed_amount: params[1], letter_content: params[3] })],
+      }));
+
+    const res = await request(app)
+      .post(`/api/settlements/${NEGOTIATION_ID}/agreement`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ amount: 740, paymentDeadline: '2026-04-15', acknowledgeSolRisk: true });
+
+    expect(res.status).toBe(200);
+    const { negotiation } = res.body.data;
+    expect(negotiation.status).toBe('agreed');
+    expect(negotiation.comparison.savings).toBe(1110);
+    expect(negotiation.letter_content).toContain('Midland Credit Management\nPO Box 2121\nWarren, MI 48090');
+    expect(negotiation.letter_content).toContain('Re: Pay-for-Delete Agreement — Account ending in 7731');
+    expect(negotiation.letter_content).toContain('- Balance You Report: $1,850.00');
+    expect(negotiation.letter_content).toContain('I will pay $740.00 by April 15, 2026');
+  });
+});
+
+describe('PUT /api/settlements/:id/payment', () => {
+  it('should return 409 without an agreement', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [negotiationRow()] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .put(`/api/settlements/${NEGOTIATION_ID}/payment`)
+      .set('Authorization', `Bearer ${staffToken()}`)
+      .send({ paymentDate: '2026-04-10' });
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('POST /api/settlements/:id/verify', () => {
+  it('should confirm the deletion and mark the item deleted', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [negotiationRow({ status: 'paid', agreed_amount: '740.00', payment_date: '2026-04-10' })] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [itemRow()] })
+      .mockResolvedValueOnce({
+        rows: [{ id: 'b1', bureau: 'experian', report_date: '2026-05-20', report_data: { accounts: [], negativeItems: [] } }],
+      })
+      .mockResolvedValue({ rows: [], rowCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/settlements/${NEGOTIATION_ID}/verify`)
+      .set('Authorization', `Bearer ${staffToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.verification.result).toBe('deleted');
+    expect(mockQuery.mock.calls[5][1][1]).toBe('deleted');
+    expect(mockQuery.mock.calls[6][0]).toContain("status = 'deleted'");
+    expect(mockQuery.mock.calls[6][1]).toEqual([ITEM_ID]);
+  });
+
+  it('should return 409 before payment', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [negotiationRow({ status: 'agreed' })] })
+      .mockResolvedValueOnce({ rows: [] });
+
+    const res = await request(app)
+      .post(`/api/settlements/${NEGOTIATION_ID}/verify`)
+      .set('Authorization', `Bearer ${staffToken()}`);
+
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('PUT /api/settlements/:id/abandon', () => {
+  it('should close a negotiation', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [testUsers.staff], rowCount: 1 })
+      .mockResolvedValueOnce({ rows: [negotiationRow({ status: 'abandoned' })] });
+
+    const res = await request(app)
+      .put(`/api/settlements/${NEGOTIATION_ID}/abandon`)
+      .set('Authorization', `Bearer ${staffToken()}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.negotiation.status).toBe('abandoned');
+  });
+});
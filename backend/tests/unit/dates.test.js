@@ -0,0 +1,33 @@
+/**
+ * Unit Tests — dates.js
+ *
+ * Tests for the shared YYYY-MM-DD formatting of calendar dates.
+ */
+
+const { types } = require('pg');
+const { toDateString } = require('../../utils/dates');
+
+describe('toDateString', () => {
+  it('formats a Date as its UTC calendar day', () => {
+    expect(toDateString(new Date('2026-03-15T23:30:00-05:00'))).toBe('2026-03-16');
+    expect(toDateString(new Date('2026-03-15T00:00:00Z'))).toBe('2026-03-15');
+  });
+
+  it('returns a YYYY-MM-DD string unchanged and parses other date strings', () => {
+    expect(toDateString('2026-02-29')).toBe('2026-02-29');
+    expect(toDateString('2026-03-15T12:00:00Z')).toBe('2026-03-15');
+  });
+
+  it('is null for an empty date', () => {
+    expect(toDateString(null)).toBeNull();
+    expect(toDateString(undefined)).toBeNull();
+    expect(toDateString('')).toBeNull();
+  });
+});
+
+describe('DATE column parsing', () => {
+  it('returns the stored YYYY-MM-DD string', () => {
+    require('../../config/database');
+    expect(types.getTypeParser(types.builtins.DATE)('2026-03-15')).toBe('2026-03-15');
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit Tests — disputeCampaigns.js
+ *
+ * Tests for next-round scheduling and deriving the current round from a
+ * campaign's rounds.
+ */
+
+const {
+  computeNextRoundDate,
+  deriveCampaignState,
+} = require('../../utils/disputeCampaigns');
+
+describe('computeNextRoundDate', () => {
+  it('uses the wait days of the round that was sent', () => {
+    expect(computeNextRoundDate(1, '2026-01-01')).toBe('2026-02-05');
+    expect(computeNextRoundDate(3, '2026-01-01')).toBe('2026-01-31');
+    expect(computeNextRoundDate(4, '2026-01-01')).toBe('2026-03-02');
+  });
+
+  it('uses the final round wait past the last defined round', () => {
+    expect(computeNextRoundDate(6, '2026-01-01')).toBe('2026-03-02');
+  });
+
+  it('counts from the UTC day a Date was sent', () => {
+    expect(computeNextRoundDate(3, new Date('2026-01-01T23:30:00-05:00'))).toBe('2026-02-01');
+  });
+});
+
+describe('deriveCampaignState', () => {
+  it('starts at round 1 with no rounds sent', () => {
+    expect(deriveCampaignState([])).toEqual({ currentRound: 1, inProgress: false, previousResult: null });
+  });
+
+  it('stays on a round that is still awaiting an outcome', () => {
+    const state = deriveCampaignState([
+      { round_number: 2, outcome: 'pending' },
+      { round_number: 1, outcome: 'verified' },
+    ]);
+    expect(state).toEqual({ currentRound: 2, inProgress: true, previousResult: 'verified' });
+  });
+
+  it('moves to the next round once the latest has an outcome', () => {
+    const state = deriveCampaignState([
+      { round_number: 1, outcome: 'verified' },
+      { round_number: 2, outcome: 'no_response' },
+    ]);
+    expect(state).toEqual({ currentRound: 3, inProgress: false, previousResult: 'no_response' });
+  });
+
+  it('never recommends a round past the final one', () => {
+    const rounds = [1, 2, 3, 4].map((n) => ({ round_number: n, outcome: 'verified' }));
+    expect(deriveCampaignState(rounds).currentRound).toBe(4);
+  });
+});
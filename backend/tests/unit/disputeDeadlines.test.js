@@ -0,0 +1,134 @@
+/**
+ * Unit Tests — disputeDeadlines.js
+ *
+ * Tests for FCRA 30/45-day due date computation and overdue status,
+ * including the clock starting at confirmed delivery, the 15-day
+ * method of verification period and the 4-business-day §605B block.
+ */
+
+// Letters use the seeded built-in template versions; no company profile
+jest.mock('../../config/database', () => ({
+  query: jest.fn((...args) => require('../helpers/setup').templateVersionQuery(...args)),
+  transaction: jest.fn(),
+}));
+
+const {
+  computeDueDate,
+  getDeadlineStatus,
+  generateFailureToInvestigateLetter,
+} = require('../../utils/disputeDeadlines');
+
+const TODAY = new Date('2026-03-15T12:00:00Z');
+
+describe('computeDueDate', () => {
+  it('returns null for disputes that were never sent', () => {
+    expect(computeDueDate(null)).toBeNull();
+  });
+
+  it('adds 30 days to the sent date', () => {
+    expect(computeDueDate('2026-01-01')).toBe('2026-01-31');
+  });
+
+  it('adds 45 days when the client supplied additional information', () => {
+    expect(computeDueDate('2026-01-01', '2026-01-20')).toBe('2026-02-15');
+  });
+
+  it('adds 15 days to a method of verification request', () => {
+    expect(computeDueDate('2026-01-01', '2026-01-05', 'method_of_verification')).toBe('2026-01-16');
+  });
+
+  it('counts 4 business days for an identity theft block', () => {
+    // Friday -> Thursday, skipping the weekend
+    expect(computeDueDate('2026-03-06', null, 'identity_theft_block')).toBe('2026-03-12');
+    // Saturday delivery -> Thursday
+    expect(computeDueDate('2026-03-07', null, 'identity_theft_block')).toBe('2026-03-12');
+    // Monday -> Friday
+    expect(computeDueDate('2026-03-09', null, 'identity_theft_block')).toBe('2026-03-13');
+  });
+});
+
+describe('getDeadlineStatus', () => {
+  it('flags a sent dispute past its due date as overdue', () => {
+    const status = getDeadlineStatus({ status: 'sent', sent_date: '2026-02-01' }, TODAY);
+    expect(status).toMatchObject({ dueDate: '2026-03-03', daysRemaining: -12, overdue: true, awaitingResponse: true });
+  });
+
+  it('is not overdue on the due date itself', () => {
+    const status = getDeadlineStatus({ status: 'investigating', sent_date: '2026-02-13' }, TODAY);
+    expect(status.daysRemaining).toBe(0);
+    expect(status.overdue).toBe(false);
+  });
+
+  it('is not overdue once the bureau responded', () => {
+    const status = getDeadlineStatus({ status: 'sent', sent_date: '2026-01-01', response_date: '2026-02-20' }, TODAY);
+    expect(status.overdue).toBe(false);
+    expect(status.awaitingResponse).toBe(false);
+  });
+
+  it('runs the period from confirmed delivery when there is one', () => {
+    const status = getDeadlineStatus({ status: 'received', sent_date: '2026-02-01', clock_start_date: '2026-02-06' }, TODAY);
+    expect(status).toMatchObject({ dueDate: '2026-03-08', overdue: true, clockStart: 'delivered' });
+  });
+
+  it('falls back to the sent date while delivery is unconfirmed', () => {
+    const status = getDeadlineStatus({ status: 'sent', sent_date: '2026-02-20' }, TODAY);
+    expect(status).toMatchObject({ dueDate: '2026-03-22', clockStart: 'sent' });
+  });
+
+  it('ignores drafts', () => {
+    const status = getDeadlineStatus({ status: 'draft', sent_date: null }, TODAY);
+    expect(status).toMatchObject({ dueDate: null, overdue: false });
+  });
+});
+
+describe('generateFailureToInvestigateLetter', () => {
+  const client = { first_name: 'Jane', last_name: 'Doe', address_line1: '1 Main St', city: 'Austin', state: 'TX', zip_code: '78701' };
+
+  it('cites §611(a)(7) for an unanswered method of verification request', async () => {
+    const { content: letter } = await generateFailureToInvestigateLetter(client, {
+      dispute_type: 'method_of_verification',
+      target_type: 'bureau',
+      bureau: 'experian',
+      status: 'sent',
+      sent_date: '2026-02-01',
+      creditor_name: 'Acme Bank',
+    });
+    expect(letter).toContain('requested the method of verification for the following item');
+    expect(letter).toContain('§611(a)(7)');
+    expect(letter).toContain('within 15 days');
+    expect(letter).toContain('February 16, 2026');
+  });
+
+  it('cites §605B(a) for a block request that was ignored', async () => {
+    const { content: letter } = await generateFailureToInvestigateLetter(client, {
+      dispute_type: 'identity_theft_block',
+      target_type: 'bureau',
+      bureau: 'equifax',
+      status: 'received',
+      sent_date: '2026-03-02',
+      clock_start_date: '2026-03-06',
+    });
+    expect(letter).toContain('§605B(a)');
+    expect(letter).toContain('within 4 business days');
+    expect(letter).toContain('delivered to you on March 6, 2026');
+    expect(letter).toContain('any confirmation that the information was blocked');
+  });
+
+  it('addresses an overdue direct dispute to the furnisher', async () => {
+    const { content: letter } = await generateFailureToInvestigateLetter(client, {
+      dispute_type: 'inaccurate_info',
+      target_type: 'furnisher',
+      status: 'sent',
+      sent_date: '2026-01-05',
+      creditor_name: 'Acme Bank',
+      furnisher_name: 'Acme Bank',
+      furnisher_address_line1: 'PO Box 9',
+      furnisher_city: 'Dallas',
+      furnisher_state: 'TX',
+      furnisher_zip_code: '75201',
+    });
+    expect(letter).toContain('Acme Bank\nPO Box 9\nDallas, TX 75201');
+    expect(letter).toContain('12 CFR §1022.43(e)');
+    expect(letter).toContain('That deadline passed on February 4, 2026');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit Tests — duplicateDebt.js
+ *
+ * Tests for grouping listings of the same debt and for spotting re-aged
+ * dates of first delinquency.
+ */
+
+const {
+  originalCreditorOf,
+  duplicateSignals,
+  findDuplicateGroups,
+  findReagedTradelines,
+} = require('../../utils/duplicateDebt');
+
+const item = (overrides) => ({
+  bureau: 'equifax', item_type: 'collection', account_number: '', balance: 1000, date_reported: '2025-01-01', ...overrides,
+});
+
+describe('originalCreditorOf', () => {
+  it('reads the original creditor from the remarks', () => {
+    expect(originalCreditorOf({ description: 'Original creditor: Capital One' })).toBe('Capital One');
+    expect(originalCreditorOf({ description: 'Original creditor: Original: ABC Medical' })).toBe('ABC Medical');
+    expect(originalCreditorOf({ description: 'Medical debt' })).toBeNull();
+  });
+});
+
+describe('duplicateSignals', () => {
+  const original = item({ item_type: 'charge_off', creditor_name: 'CAPITAL ONE BANK USA NA', balance: 1200, date_of_first_delinquency: '2022-01-10' });
+
+  it('matches a collector whose remarks name the original creditor, backed by the balance', () => {
+    const collector = item({ creditor_name: 'Midland Credit', balance: 1240, description: 'Original creditor: Capital One' });
+    expect(duplicateSignals(original, collector)).toEqual(['original_creditor', 'balance']);
+  });
+
+  it('needs a matching figure for a related creditor', () => {
+    const collector = item({ creditor_name: 'Midland Credit', balance: 3000, description: 'Original creditor: Capital One' });
+    expect(duplicateSignals(original, collector)).toBeNull();
+  });
+
+  it('needs both balance and DOFD for unrelated names', () => {
+    const sameFigures = item({ creditor_name: 'LVNV Funding', balance: 1200, date_of_first_delinquency: '2022-01-20' });
+    const balanceOnly = item({ creditor_name: 'LVNV Funding', balance: 1200 });
+    expect(duplicateSignals(original, sameFigures)).toEqual(['balance', 'dofd']);
+    expect(duplicateSignals(original, balanceOnly)).toBeNull();
+  });
+
+  it('ignores a zeroed listing and listings on other bureaus', () => {
+    const collector = item({ creditor_name: 'Midland Credit', balance: 1200, description: 'Original creditor: Capital One' });
+    expect(duplicateSignals({ ...original, balance: 0 }, collector)).toBeNull();
+    expect(duplicateSignals(original, { ...collector, bureau: 'experian' })).toBeNull();
+  });
+});
+
+describe('findDuplicateGroups', () => {
+  it('keeps the most recently reported listing and flags a collector\'s later DOFD as re-aged', () => {
+    const items = [
+      item({ id: 'oc', item_type: 'charge_off', creditor_name: 'Capital One', balance: 1200, date_reported: '2024-06-01',
+        date_of_first_delinquency: '2022-01-10' }),
+      item({ id: 'c1', creditor_name: 'Midland Credit', balance: 1200, date_reported: '2025-02-01',
+        date_of_first_delinquency: '2023-04-01', description: 'Original creditor: Capital One' }),
+      item({ id: 'other', creditor_name: 'Chase', balance: 300 }),
+    ];
+    const [group, ...rest] = findDuplicateGroups(items);
+    expect(rest).toHaveLength(0);
+    expect(group.primary.id).toBe('c1');
+    expect(group.duplicates.map((i) => i.id)).toEqual(['oc']);
+    expect(group.reaged).toEqual([expect.objectContaining({ creditItemId: 'c1', originalDofd: '2022-01-10', reportedDofd: '2023-04-01' })]);
+  });
+});
+
+describe('findReagedTradelines', () => {
+  const snapshot = (createdAt, dofd) => ({
+    bureau: 'transunion',
+    created_at: createdAt,
+    report_data: { negativeItems: [{ creditor: 'ABC Collections', accountNumber: 'COL1', dateOfFirstDelinquency: dofd }] },
+  });
+
+  it('flags a DOFD that moved later between snapshots', () => {
+    const reaged = findReagedTradelines(
+      [snapshot('2025-01-01', '2021-03-01'), snapshot('2025-06-01', '2023-09-01')],
+      [{ id: 'item-1', bureau: 'transunion', creditor_name: 'ABC Collections', account_number: 'COL1' }]
+    );
+    expect(reaged).toEqual([expect.objectContaining({
+      creditItemId: 'item-1', originalDofd: '2021-03-01', reportedDofd: '2023-09-01', firstSeen: '2025-01-01', basis: 'snapshot history',
+    })]);
+  });
+
+  it('counts the DOFD stored on the credit item as the earliest known', () => {
+    const reaged = findReagedTradelines([snapshot('2025-06-01', '2023-09-01')], [{
+      id: 'item-1', bureau: 'transunion', creditor_name: 'ABC Collections', account_number: 'COL1',
+      date_of_first_delinquency: '2021-03-01', created_at: '2024-11-01',
+    }]);
+    expect(reaged[0]).toMatchObject({ originalDofd: '2021-03-01', firstSeen: '2024-11-01' });
+  });
+
+  it('ignores a DOFD that was corrected earlier or moved within the tolerance', () => {
+    expect(findReagedTradelines([snapshot('2025-01-01', '2023-09-01'), snapshot('2025-06-01', '2021-03-01')])).toEqual([]);
+    expect(findReagedTradelines([snapshot('2025-01-01', '2021-03-01'), snapshot('2025-06-01', '2021-03-20')])).toEqual([]);
+  });
+});
@@ -0,0 +1,44 @@
+/**
+ * Unit Tests — frivolousDisputes.js
+ *
+ * Tests for the textual similarity score used to catch repeat disputes.
+ */
+
+const { letterSimilarity, NEAR_DUPLICATE_THRESHOLD, SIMILAR_LETTER_THRESHOLD } = require('../../utils/frivolousDisputes');
+
+const LETTER = `October 19, 2026
+
+Maria Lopez
+12 Oak Street, Austin, TX 78701
+
+Re: Dispute of Inaccurate Information — Account ending in 4821
+
+I am writing to dispute the Capital One account listed on my credit report. The balance and payment status reported are inaccurate. Under the Fair Credit Reporting Act §611(a), you must complete your investigation within 30 days of receiving this dispute. Please delete or correct the account and send me an updated copy of my credit report.`;
+
+describe('letterSimilarity', () => {
+  it('scores the same wording as identical', () => {
+    expect(letterSimilarity(LETTER, LETTER)).toBe(1);
+  });
+
+  it('ignores case, punctuation and a new date', () => {
+    const resent = LETTER.replace('October 19, 2026', 'November 25, 2026').toUpperCase().replace(/[.,]/g, '');
+    expect(letterSimilarity(LETTER, resent)).toBeGreaterThanOrEqual(NEAR_DUPLICATE_THRESHOLD);
+  });
+
+  it('scores a letter with new facts below the resubmission threshold', () => {
+    const revised = `${LETTER}
+
+Since my last letter I obtained the enclosed bank statements from March through June 2025. They show every payment posted on time, yet the account is reported 60 days late for April and May 2025. The creditor's own records contradict the late payment notations, so the account cannot have been verified as accurate. I also enclose the creditor's letter of October 2, 2026 confirming the balance was paid in full.`;
+    expect(letterSimilarity(LETTER, revised)).toBeLessThan(NEAR_DUPLICATE_THRESHOLD);
+  });
+
+  it('scores unrelated letters as dissimilar', () => {
+    const other = 'Please send me a copy of my consumer file under §609(a)(1), including every source of information and each person who received a report.';
+    expect(letterSimilarity(LETTER, other)).toBeLessThan(SIMILAR_LETTER_THRESHOLD);
+  });
+
+  it('is zero when either letter is empty', () => {
+    expect(letterSimilarity(LETTER, '')).toBe(0);
+    expect(letterSimilarity(null, LETTER)).toBe(0);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Unit Tests — goodwillLetters.js
+ *
+ * Tests for summarizing a payment history for a goodwill letter and
+ * choosing the creditor address it is mailed to.
+ */
+
+const { summarizePaymentHistory, goodwillRecipient } = require('../../utils/goodwillLetters');
+
+describe('summarizePaymentHistory', () => {
+  it('lists late months oldest first, counting back from the last reported month', () => {
+    const summary = summarizePaymentHistory('CC12C0CCCCCC', '2026-03-15');
+    expect(summary.months).toBe(12);
+    expect(summary.onTime).toBe(10);
+    expect(summary.late).toEqual([
+      { month: 'December 2025', status: '60 days late' },
+      { month: 'January 2026', status: '30 days late' },
+    ]);
+    expect(summary.text).toBe(
+      '10 of 12 reported months were paid on time. The late payments were:\n'
+      + '- December 2025: 60 days late\n- January 2026: 30 days late'
+    );
+  });
+
+  it('skips months without data and reports a clean history', () => {
+    expect(summarizePaymentHistory('00-0 0B', '2026-01-01').text).toBe('All 4 reported months were paid on time.');
+  });
+
+  it('leaves the month out when the last reported date is unknown', () => {
+    expect(summarizePaymentHistory('C3', null).late).toEqual([{ month: null, status: '90 days late' }]);
+  });
+
+  it('is null when there is nothing to summarize', () => {
+    expect(summarizePaymentHistory('', '2026-01-01')).toBeNull();
+    expect(summarizePaymentHistory('---', '2026-01-01')).toBeNull();
+  });
+});
+
+describe('goodwillRecipient', () => {
+  const furnisher = {
+    name: 'Capital One',
+    address_line1: 'PO Box 30285',
+    city: 'Salt Lake City',
+    state: 'UT',
+    zip_code: '84130',
+  };
+
+  it('uses the main address when no goodwill address is on file', () => {
+    expect(goodwillRecipient(furnisher)).toEqual({
+      name: 'Capital One',
+      address: 'Capital One\nPO Box 30285\nSalt Lake City, UT 84130',
+    });
+  });
+
+  it('prefers the goodwill address', () => {
+    expect(goodwillRecipient({
+      ...furnisher,
+      goodwill_address_line1: 'Attn: Executive Office',
+      goodwill_address_line2: '1680 Capital One Dr',
+      goodwill_city: 'McLean',
+      goodwill_state: 'VA',
+      goodwill_zip_code: '22102',
+    }).address).toBe('Capital One\nAttn: Executive Office\n1680 Capital One Dr\nMcLean, VA 22102');
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit Tests — inquiries.js
+ *
+ * Tests for reading hard inquiries from reports and explaining why an
+ * inquiry stopped being reported.
+ */
+
+const { hardInquiries, removalReason, checkDisputable } = require('../../utils/inquiries');
+
+describe('hardInquiries', () => {
+  it('reads analyzer and bureau shapes and keeps hard inquiries only', () => {
+    expect(hardInquiries([
+      { creditorName: 'DISCOVER', inquiryDate: '2025-11-01', type: 'hard' },
+      { creditor: 'Chase Bank', date: '2025-09-12', type: 'hard' },
+      { creditor: 'Bank of America', date: '2025-05-03', type: 'soft' },
+      { creditor: 'Auto Finance', date: '2025-07-20T00:00:00Z' },
+    ])).toEqual([
+      { creditor: 'DISCOVER', date: '2025-11-01' },
+      { creditor: 'Chase Bank', date: '2025-09-12' },
+      { creditor: 'Auto Finance', date: '2025-07-20' },
+    ]);
+  });
+
+  it('skips inquiries without a creditor or full date, and repeats', () => {
+    expect(hardInquiries([
+      { creditor: '', date: '2025-01-01' },
+      { creditor: 'Chase', date: '2025-01' },
+      { creditor: 'Chase', date: '2025-02-01' },
+      { creditor: 'CHASE', date: '2025-02-01' },
+    ])).toEqual([{ creditor: 'Chase', date: '2025-02-01' }]);
+  });
+});
+
+describe('removalReason', () => {
+  const inquiry = { removed_at: '2026-03-01T10:00:00Z', purge_date: '2027-01-15' };
+
+  it('is null while the inquiry is still reported', () => {
+    expect(removalReason({ removed_at: null }, [])).toBeNull();
+  });
+
+  it('credits a removal before the purge date to the letters', () => {
+    expect(removalReason(inquiry, [{ id: 'd1' }])).toBe('disputed');
+    expect(removalReason(inquiry, [])).toBe('removed');
+  });
+
+  it('treats a removal on or after the purge date as aging off', () => {
+    expect(removalReason({ ...inquiry, removed_at: '2027-01-20T10:00:00Z' }, [{ id: 'd1' }])).toBe('aged_off');
+  });
+});
+
+describe('checkDisputable', () => {
+  it('needs a denied inquiry that is still reported and not yet disputed', () => {
+    expect(checkDisputable({ inquiry_response: 'unauthorized', status: 'identified', removed_at: null })).toBeNull();
+    expect(checkDisputable({ inquiry_response: 'authorized', status: 'identified', removed_at: null })).toMatch(/not denied/);
+    expect(checkDisputable({ inquiry_response: null, status: 'identified', removed_at: null })).toMatch(/not denied/);
+    expect(checkDisputable({ inquiry_response: 'unauthorized', status: 'disputing', removed_at: null })).toMatch(/already/);
+    expect(checkDisputable({ inquiry_response: 'unauthorized', status: 'deleted', removed_at: '2026-01-01' })).toMatch(/no longer/);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit Tests — medicalDebt.js
+ *
+ * Tests for tagging medical debt and checking it against the bureaus'
+ * medical debt reporting policy.
+ */
+
+const { isMedicalName, isMedicalItem, checkItem } = require('../../utils/medicalDebt');
+
+const today = new Date('2026-10-19T12:00:00Z');
+
+const item = (overrides) => ({
+  item_type: 'collection', creditor_name: 'Mercy Hospital', balance: 1200, date_of_first_delinquency: '2023-01-15', ...overrides,
+});
+
+const ruleIds = (overrides) => checkItem(item(overrides), today).map((v) => v.ruleId);
+
+describe('isMedicalName', () => {
+  it('recognizes healthcare provider names', () => {
+    expect(isMedicalName('MERCY HOSPITAL')).toBe(true);
+    expect(isMedicalName('Valley Radiology Assoc.')).toBe(true);
+    expect(isMedicalName('Bright Smile Dental')).toBe(true);
+    expect(isMedicalName('Capital One')).toBe(false);
+    expect(isMedicalName('Medicare Supply')).toBe(false);
+  });
+});
+
+describe('isMedicalItem', () => {
+  it('uses the analyzer account type, the creditor and the original creditor', () => {
+    expect(isMedicalItem({ creditorName: 'Receivables Inc', accountType: 'medical' })).toBe(true);
+    expect(isMedicalItem({ creditor_name: 'Receivables Inc', description: 'Original creditor: Austin Regional Clinic' })).toBe(true);
+    expect(isMedicalItem({ creditor_name: 'Receivables Inc', description: 'Original creditor: Verizon' })).toBe(false);
+    expect(isMedicalItem({ creditor_name: 'Receivables Inc', is_medical: true })).toBe(true);
+  });
+});
+
+describe('checkItem', () => {
+  it('flags a paid medical collection', () => {
+    expect(ruleIds({ balance: 0 })).toEqual(['MED-001']);
+  });
+
+  it('flags a medical collection under $500', () => {
+    expect(ruleIds({ balance: 499.99 })).toEqual(['MED-002']);
+    expect(ruleIds({ balance: 500 })).toEqual([]);
+  });
+
+  it('flags unpaid medical debt less than a year past due, from the DOFD or the opened date', () => {
+    expect(ruleIds({ date_of_first_delinquency: '2025-11-01' })).toEqual(['MED-003']);
+    expect(ruleIds({ date_of_first_delinquency: '2025-10-01' })).toEqual([]);
+    expect(ruleIds({ date_of_first_delinquency: null, date_opened: '2026-06-01', balance: 200 })).toEqual(['MED-002', 'MED-003']);
+  });
+
+  it('skips non-medical items, items the policy does not cover and unknown balances', () => {
+    expect(ruleIds({ creditor_name: 'Capital One', balance: 0 })).toEqual([]);
+    expect(ruleIds({ item_type: 'late_payment', balance: 0 })).toEqual([]);
+    expect(ruleIds({ balance: null })).toEqual([]);
+  });
+});
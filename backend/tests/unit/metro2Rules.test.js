@@ -0,0 +1,92 @@
+/**
+ * Unit Tests — metro2Rules.js
+ *
+ * Tests for the Metro 2 consistency rules run over normalized reports.
+ */
+
+const { checkReport, METRO2_RULES } = require('../../utils/metro2Rules');
+
+const report = (accounts = [], negativeItems = []) => ({ bureau: 'experian', reportDate: '2026-10-01', accounts, negativeItems });
+const ruleIds = (violations) => violations.map((v) => v.ruleId);
+
+describe('METRO2_RULES', () => {
+  it('gives every rule a unique ID and a dispute type', () => {
+    const ids = METRO2_RULES.map((r) => r.id);
+    expect(new Set(ids).size).toBe(ids.length);
+    METRO2_RULES.forEach((r) => expect(r.disputeType).toBeTruthy());
+  });
+});
+
+describe('checkReport', () => {
+  it('passes a clean report', () => {
+    const clean = report(
+      [{ creditorName: 'Chase', accountNumber: '****1111', balance: 300, paymentStatus: 'current', dateOpened: '2018-01-01', paymentHistory: 'CCCCCC' }],
+      [{ creditor: 'ABC Collections', type: 'collection', balance: 850, originalAmount: 850, dateOfFirstDelinquency: '2023-09-01', accountNumber: 'COL1' }]
+    );
+    expect(checkReport(clean)).toEqual([]);
+  });
+
+  it('M2-001: flags a charge-off still carrying a balance after a collector bought it', () => {
+    const violations = checkReport(report([], [
+      { creditor: 'Capital One', type: 'charge_off', balance: 1200, dateOfFirstDelinquency: '2022-01-01', accountNumber: 'CO1' },
+      { creditor: 'Midland Credit', type: 'collection', balance: 1200, originalCreditor: 'CAPITAL ONE BANK USA NA',
+        dateOfFirstDelinquency: '2022-01-01', accountNumber: 'MC1' },
+    ]));
+    expect(ruleIds(violations)).toEqual(['M2-001']);
+    expect(violations[0]).toMatchObject({ creditorName: 'Capital One', itemType: 'charge_off', bureau: 'experian' });
+    expect(violations[0].explanation).toContain('Midland Credit now reports it');
+  });
+
+  it('M2-001: flags a charge-off whose status says it was sold', () => {
+    const violations = checkReport(report([
+      { creditorName: 'Synchrony', accountNumber: '****2222', balance: 450, paymentStatus: 'Charge-off, sold to another lender',
+        dateOfFirstDelinquency: '2023-01-01', dateOpened: '2019-01-01' },
+    ]));
+    expect(ruleIds(violations)).toEqual(['M2-001']);
+  });
+
+  it('M2-002: flags late payments in months after the account closed', () => {
+    const violations = checkReport(report([
+      { creditorName: 'Discover', accountNumber: '****3333', balance: 0, paymentStatus: 'closed', dateOpened: '2017-01-01',
+        dateClosed: '2026-07-15', lastReported: '2026-10-01', paymentHistory: '210000' },
+    ]));
+    expect(ruleIds(violations)).toEqual(['M2-002']);
+    expect(violations[0].explanation).toContain('2026-09, 2026-10');
+    expect(violations[0].itemType).toBe('late_payment');
+  });
+
+  it('M2-002: ignores lates reported before the closed date', () => {
+    const violations = checkReport(report([
+      { creditorName: 'Discover', accountNumber: '****3333', balance: 0, paymentStatus: 'closed', dateOpened: '2017-01-01',
+        dateClosed: '2026-07-15', lastReported: '2026-10-01', paymentHistory: '000210' },
+    ]));
+    expect(violations).toEqual([]);
+  });
+
+  it('M2-003: flags a derogatory account without a DOFD', () => {
+    const violations = checkReport(report([], [
+      { creditor: 'XYZ Medical', type: 'collection', balance: 1200, accountNumber: 'MED1' },
+    ]));
+    expect(ruleIds(violations)).toEqual(['M2-003']);
+    expect(violations[0].disputeType).toBe('inaccurate_info');
+  });
+
+  it('M2-004: flags a collection above its original amount', () => {
+    const violations = checkReport(report([], [
+      { creditor: 'ABC Collections', type: 'collection', balance: 1100, originalAmount: 850, dateOfFirstDelinquency: '2023-09-01', accountNumber: 'COL1' },
+    ]));
+    expect(ruleIds(violations)).toEqual(['M2-004']);
+    expect(violations[0].explanation).toContain('$1100.00 balance on an original amount of $850.00');
+  });
+
+  it('M2-005: flags a DOFD before the open date, except on collections', () => {
+    const violations = checkReport(report(
+      [{ creditorName: 'Wells Fargo', accountNumber: '****4444', balance: 9000, paymentStatus: '60 days late',
+        dateOpened: '2021-05-01', dateOfFirstDelinquency: '2020-02-01' }],
+      [{ creditor: 'Portfolio Recovery', type: 'collection', balance: 500, dateOpened: '2024-01-01',
+        dateOfFirstDelinquency: '2022-03-01', accountNumber: 'PRA1' }]
+    ));
+    expect(ruleIds(violations)).toEqual(['M2-005']);
+    expect(violations[0].creditorName).toBe('Wells Fargo');
+  });
+});
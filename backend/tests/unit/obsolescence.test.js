@@ -0,0 +1,86 @@
+/**
+ * Unit Tests — obsolescence.js
+ *
+ * Tests for FCRA §605 purge dates: 7 years from the date of first
+ * delinquency (starting 180 days after it for collections and charge-offs),
+ * 10 years for Chapter 7 bankruptcies, 7 for Chapter 13, and 2 years for
+ * hard inquiries.
+ */
+
+const {
+  addYears,
+  parseBankruptcyChapter,
+  computePurgeDate,
+  getObsolescence,
+} = require('../../utils/obsolescence');
+
+const TODAY = new Date('2026-03-15T12:00:00Z');
+
+describe('computePurgeDate', () => {
+  it('runs 7 years from the date of first delinquency', () => {
+    expect(computePurgeDate({ item_type: 'late_payment', date_opened: '2015-01-01', date_of_first_delinquency: '2019-06-15' }))
+      .toBe('2026-06-15');
+  });
+
+  it('starts the 7 years 180 days after the DOFD for collections and charge-offs', () => {
+    expect(computePurgeDate({ item_type: 'collection', date_opened: '2015-01-01', date_of_first_delinquency: '2019-06-15' }))
+      .toBe('2026-12-12');
+    expect(computePurgeDate({ item_type: 'charge_off', date_of_first_delinquency: '2019-06-15' })).toBe('2026-12-12');
+  });
+
+  it('is unknown for a collection without a DOFD', () => {
+    expect(computePurgeDate({ item_type: 'charge_off', date_opened: '2015-01-01', date_reported: '2025-01-01' })).toBeNull();
+  });
+
+  it('runs 10 years from filing for Chapter 7 and unknown chapters', () => {
+    expect(computePurgeDate({ item_type: 'bankruptcy', bankruptcy_chapter: 7, date_opened: '2017-02-10' })).toBe('2027-02-10');
+    expect(computePurgeDate({ item_type: 'bankruptcy', date_opened: '2017-02-10' })).toBe('2027-02-10');
+  });
+
+  it('runs 7 years from filing for Chapter 13', () => {
+    expect(computePurgeDate({ item_type: 'bankruptcy', bankruptcy_chapter: 13, date_opened: '2017-02-10' })).toBe('2024-02-10');
+  });
+
+  it('drops hard inquiries after 2 years', () => {
+    expect(computePurgeDate({ item_type: 'inquiry', date_reported: '2025-11-01' })).toBe('2027-11-01');
+  });
+
+  it('clamps February 29 like PostgreSQL', () => {
+    expect(addYears('2020-02-29', 7).toISOString().split('T')[0]).toBe('2027-02-28');
+  });
+});
+
+describe('getObsolescence', () => {
+  it('marks an item obsolete on its purge date', () => {
+    const status = getObsolescence({ item_type: 'late_payment', date_of_first_delinquency: '2019-03-15' }, TODAY);
+    expect(status).toMatchObject({ purgeDate: '2026-03-15', daysRemaining: 0, obsolete: true, basis: 'date of first delinquency' });
+  });
+
+  it('counts the days left before an item drops off', () => {
+    const status = getObsolescence({ item_type: 'late_payment', date_of_first_delinquency: '2019-04-14' }, TODAY);
+    expect(status).toMatchObject({ purgeDate: '2026-04-14', daysRemaining: 30, obsolete: false });
+  });
+
+  it('keeps a collection past 7 years from its DOFD until the §605(c) date', () => {
+    // DOFD 2018-09-16: 180 days later is 2019-03-15, so the period ends 2026-03-15
+    const dofd = '2018-09-16';
+    expect(getObsolescence({ item_type: 'collection', date_of_first_delinquency: dofd }, new Date('2026-03-14T12:00:00Z')))
+      .toMatchObject({ purgeDate: '2026-03-15', daysRemaining: 1, obsolete: false, basis: '180 days after the date of first delinquency' });
+    expect(getObsolescence({ item_type: 'collection', date_of_first_delinquency: dofd }, TODAY))
+      .toMatchObject({ daysRemaining: 0, obsolete: true });
+    expect(getObsolescence({ item_type: 'collection', date_of_first_delinquency: '2019-03-15' }, TODAY).obsolete).toBe(false);
+  });
+
+  it('is not obsolete when the start date is unknown', () => {
+    expect(getObsolescence({ item_type: 'collection' }, TODAY)).toMatchObject({ purgeDate: null, obsolete: false });
+  });
+});
+
+describe('parseBankruptcyChapter', () => {
+  it('reads the chapter from free text', () => {
+    expect(parseBankruptcyChapter('Chapter 7 Bankruptcy - Discharged')).toBe(7);
+    expect(parseBankruptcyChapter('BK CHAPTER13 DISMISSED')).toBe(13);
+    expect(parseBankruptcyChapter('Bankruptcy')).toBeNull();
+    expect(parseBankruptcyChapter(undefined)).toBeNull();
+  });
+});
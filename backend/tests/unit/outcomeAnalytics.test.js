@@ -0,0 +1,162 @@
+/**
+ * Unit Tests — outcomeAnalytics.js
+ *
+ * Tests for deletion rates from decided dispute rounds and the ranking of
+ * dispute types by observed success.
+ */
+
+const {
+  MIN_SAMPLE,
+  deletionRate,
+  summarizeOutcomes,
+  candidateDisputeTypes,
+  rankDisputeTypes,
+  applyObservedRanking,
+} = require('../../utils/outcomeAnalytics');
+
+const row = (overrides) => ({
+  item_type: 'collection',
+  bureau: 'experian',
+  dispute_type: 'not_mine',
+  round_number: 1,
+  creditor_name: 'Midland Funding',
+  decided: 1,
+  deleted: 0,
+  ...overrides,
+});
+
+describe('deletionRate', () => {
+  it('rounds the rate and flags small samples', () => {
+    expect(deletionRate(3, 1)).toEqual({ decided: 3, deleted: 1, deletionRate: 0.333, sufficient: false });
+    expect(deletionRate(MIN_SAMPLE, MIN_SAMPLE).sufficient).toBe(true);
+  });
+
+  it('has no rate without decided rounds', () => {
+    expect(deletionRate(0, 0).deletionRate).toBeNull();
+  });
+});
+
+describe('summarizeOutcomes', () => {
+  const rows = [
+    row({ decided: 4, deleted: 3 }),
+    row({ bureau: 'equifax', dispute_type: 'inaccurate_info', round_number: 2, decided: 6, deleted: 1 }),
+    row({ item_type: 'late_payment', creditor_name: '  MIDLAND   funding ', decided: 2, deleted: 2 }),
+    row({ item_type: 'late_payment', creditor_name: 'Capital One', round_number: 2, decided: 3, deleted: 0 }),
+  ];
+
+  it('totals every decided round', () => {
+    expect(summarizeOutcomes(rows).overall).toEqual({ decided: 15, deleted: 6, deletionRate: 0.4, sufficient: true });
+  });
+
+  it('breaks the rate down by each dimension', () => {
+    const summary = summarizeOutcomes(rows);
+    expect(summary.byItemType).toEqual([
+      { key: 'collection', decided: 10, deleted: 4, deletionRate: 0.4, sufficient: true },
+      { key: 'late_payment', decided: 5, deleted: 2, deletionRate: 0.4, sufficient: true },
+    ]);
+    expect(summary.byBureau.map((b) => [b.key, b.decided])).toEqual([['experian', 9], ['equifax', 6]]);
+    expect(summary.byDisputeType.map((t) => t.key)).toEqual(['not_mine', 'inaccurate_info']);
+    expect(summary.byRound.map((r) => [r.key, r.deletionRate])).toEqual([[1, 0.833], [2, 0.111]]);
+  });
+
+  it('groups creditor name variants together', () => {
+    const [midland, capitalOne] = summarizeOutcomes(rows).byCreditor;
+    expect(midland).toMatchObject({ key: 'midland funding', creditorName: 'Midland Funding', decided: 12, deleted: 6 });
+    expect(capitalOne).toMatchObject({ creditorName: 'Capital One', decided: 3 });
+  });
+
+  it('is empty without history', () => {
+    const summary = summarizeOutcomes([]);
+    expect(summary.overall.deletionRate).toBeNull();
+    expect(summary.byItemType).toEqual([]);
+  });
+});
+
+describe('rankDisputeTypes', () => {
+  it('ranks by deletion rate within the bureau and round when the sample allows', () => {
+    const rows = [
+      row({ dispute_type: 'not_mine', decided: 5, deleted: 1 }),
+      row({ dispute_type: 'inaccurate_info', decided: 6, deleted: 4 }),
+      row({ dispute_type: 'paid', decided: 2, deleted: 2 }),
+    ];
+    const { basis, ranking } = rankDisputeTypes(rows, { bureau: 'experian', round: 1 });
+    expect(basis).toBe('bureau_round');
+    expect(ranking.map((entry) => entry.disputeType)).toEqual(['inaccurate_info', 'not_mine', 'paid']);
+  });
+
+  it('widens to all bureaus and rounds when the narrower scopes are too small', () => {
+    const rows = [
+      row({ bureau: 'experian', dispute_type: 'not_mine', decided: 2, deleted: 2 }),
+      row({ bureau: 'transunion', round_number: 2, dispute_type: 'inaccurate_info', decided: 5, deleted: 3 }),
+    ];
+    const { basis, ranking } = rankDisputeTypes(rows, { bureau: 'experian', round: 1 });
+    expect(basis).toBe('all');
+    expect(ranking[0]).toMatchObject({ disputeType: 'inaccurate_info', sufficient: true });
+  });
+
+  it('keeps widening when only a type the item cannot use has enough data in a narrow scope', () => {
+    const rows = [
+      row({ dispute_type: 'medical_debt', decided: 8, deleted: 6 }),
+      row({ dispute_type: 'not_mine', decided: 2, deleted: 1 }),
+      row({ bureau: 'equifax', dispute_type: 'not_mine', decided: 4, deleted: 3 }),
+    ];
+    const { basis, ranking } = rankDisputeTypes(rows, { bureau: 'experian', round: 1, disputeTypes: ['not_mine', 'paid'] });
+    expect(basis).toBe('all');
+    expect(ranking).toEqual([expect.objectContaining({ disputeType: 'not_mine', decided: 6, sufficient: true })]);
+  });
+});
+
+describe('candidateDisputeTypes', () => {
+  it('lists the primary strategy, alternatives and recommendation once each', () => {
+    expect(candidateDisputeTypes({
+      primaryStrategy: 'not_mine',
+      recommendedDisputeType: 'paid',
+      alternativeStrategies: ['paid', 'outdated'],
+    })).toEqual(['not_mine', 'paid', 'outdated']);
+  });
+});
+
+describe('applyObservedRanking', () => {
+  const strategy = {
+    recommendedDisputeType: 'not_mine',
+    primaryStrategy: 'not_mine',
+    alternativeStrategies: ['paid', 'inaccurate_info', 'outdated'],
+    tips: [],
+  };
+
+  it('recommends the best observed dispute type', () => {
+    const ranked = applyObservedRanking(strategy, {
+      basis: 'bureau',
+      ranking: [{ disputeType: 'inaccurate_info', deletionRate: 0.6, decided: 10, sufficient: true }],
+    });
+    expect(ranked).toMatchObject({ recommendedDisputeType: 'inaccurate_info', rankedBy: 'observed', rankingBasis: 'bureau' });
+  });
+
+  it('never recommends a dispute type the strategy does not allow for the item', () => {
+    const ranked = applyObservedRanking(strategy, {
+      basis: 'all',
+      ranking: [
+        { disputeType: 'medical_debt', deletionRate: 0.9, decided: 40, sufficient: true },
+        { disputeType: 'outdated', deletionRate: 0.4, decided: 12, sufficient: true },
+      ],
+    });
+    expect(ranked).toMatchObject({ recommendedDisputeType: 'outdated', rankedBy: 'observed' });
+    expect(ranked.observedRanking.map((entry) => entry.disputeType)).toEqual(['outdated']);
+  });
+
+  it('keeps the hand-written recommendation when only inapplicable types have enough data', () => {
+    const ranked = applyObservedRanking(strategy, {
+      basis: 'all',
+      ranking: [{ disputeType: 'medical_debt', deletionRate: 0.9, decided: 40, sufficient: true }],
+    });
+    expect(ranked).toMatchObject({ recommendedDisputeType: 'not_mine', rankedBy: 'primaryStrategy' });
+  });
+
+  it('keeps the hand-written recommendation without enough data', () => {
+    const ranked = applyObservedRanking(strategy, {
+      basis: 'all',
+      ranking: [{ disputeType: 'paid', deletionRate: 1, decided: 2, sufficient: false }],
+    });
+    expect(ranked).toMatchObject({ recommendedDisputeType: 'not_mine', rankedBy: 'primaryStrategy' });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests — personalInfo.js
+ *
+ * Tests for listing report personal information as entries and matching
+ * them against the client's verified data.
+ */
+
+const {
+  addressKey,
+  extractEntries,
+  consumerToPersonalInfo,
+  isVerified,
+} = require('../../utils/personalInfo');
+
+const verified = {
+  firstName: 'Jane',
+  lastName: 'Doe',
+  addressKeys: [addressKey({ street: '123 Main Street', city: 'Austin', state: 'TX', zipCode: '78701' })],
+  streets: ['123 MAIN ST|AUSTIN'],
+  phones: ['5125551234'],
+  employer: 'Acme Corporation',
+};
+
+describe('addressKey', () => {
+  it('normalizes street suffixes, unit markers and ZIP+4', () => {
+    expect(addressKey({ street: '123 Main Street, Apartment 4', zipCode: '78701-1234' }))
+      .toBe(addressKey({ street: '123 MAIN ST #4', zipCode: '78701' }));
+  });
+
+  it('falls back to city and state without a ZIP', () => {
+    expect(addressKey({ street: '9 Oak Rd', city: 'Austin', state: 'tx' })).toBe('9 OAK RD|AUSTIN TX');
+  });
+});
+
+describe('extractEntries', () => {
+  it('lists names, addresses, employers and phones once each', () => {
+    const { entries, types } = extractEntries({
+      fullName: 'JANE A DOE',
+      nameVariations: ['JANE DOE', 'Jane A. Doe'],
+      currentAddress: { street: '123 Main St', city: 'Austin', state: 'TX', zipCode: '78701' },
+      previousAddresses: [{ street: '123 MAIN STREET', zipCode: '78701' }, { street: '9 Oak Rd', zipCode: '73301' }],
+      employers: ['Acme Corp'],
+      phone: '(512) 555-1234',
+    });
+
+    expect(entries.map((e) => [e.entryType, e.value])).toEqual([
+      ['name', 'JANE A DOE'],
+      ['name', 'JANE DOE'],
+      ['address', '123 Main St, Austin, TX 78701'],
+      ['address', '9 Oak Rd, 73301'],
+      ['employer', 'Acme Corp'],
+      ['phone', '(512) 555-1234'],
+    ]);
+    expect(types).toEqual(['name', 'address', 'employer', 'phone']);
+  });
+
+  it('only reports the entry types the report carries', () => {
+    const { types } = extractEntries({ fullName: 'JANE DOE', employers: [] });
+    expect(types).toEqual(['name', 'employer']);
+  });
+});
+
+describe('consumerToPersonalInfo', () => {
+  it('converts a bureau consumer section', () => {
+    expect(consumerToPersonalInfo({
+      firstName: 'JANE',
+      lastName: 'DOE',
+      addresses: [
+        { line1: '9 Oak Rd', city: 'Austin', state: 'TX', zipCode: '73301', type: 'previous' },
+        { line1: '123 Main St', city: 'Austin', state: 'TX', zipCode: '78701', type: 'current' },
+      ],
+    })).toEqual({
+      fullName: 'JANE DOE',
+      currentAddress: { street: '123 Main St', city: 'Austin', state: 'TX', zipCode: '78701', type: 'current' },
+      previousAddresses: [{ street: '9 Oak Rd', city: 'Austin', state: 'TX', zipCode: '73301', type: 'previous' }],
+    });
+  });
+
+  it('leaves out sections the bureau did not return', () => {
+    expect(consumerToPersonalInfo({ firstName: '', lastName: '', addresses: [] })).toEqual({});
+  });
+});
+
+describe('isVerified', () => {
+  const entry = (personalInfo) => extractEntries(personalInfo).entries[0];
+
+  it('accepts the client name with a middle initial and rejects another name', () => {
+    expect(isVerified(entry({ fullName: 'JANE A DOE' }), verified)).toBe(true);
+    expect(isVerified(entry({ fullName: 'JOHN SMITH' }), verified)).toBe(false);
+  });
+
+  it('matches addresses on file, with or without the ZIP', () => {
+    expect(isVerified(entry({ currentAddress: { street: '123 Main St', zipCode: '78701-0001' } }), verified)).toBe(true);
+    expect(isVerified(entry({ currentAddress: { street: '123 MAIN STREET', city: 'Austin', state: 'TX' } }), verified)).toBe(true);
+    expect(isVerified(entry({ currentAddress: { street: '9 Oak Rd', zipCode: '73301' } }), verified)).toBe(false);
+  });
+
+  it('matches phones on digits and employers on a fuzzy name', () => {
+    expect(isVerified(entry({ phone: '+1 512-555-1234' }), verified)).toBe(true);
+    expect(isVerified(entry({ phone: '512-555-9999' }), verified)).toBe(false);
+    expect(isVerified(entry({ employers: ['ACME CORP'] }), verified)).toBe(true);
+    expect(isVerified(entry({ employers: ['Globex'] }), verified)).toBe(false);
+  });
+});
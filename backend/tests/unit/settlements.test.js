@@ -0,0 +1,61 @@
+/**
+ * Unit Tests — settlements.js
+ *
+ * Tests for comparing a settlement with the reported balance and checking
+ * later reports for a pay-for-delete deletion.
+ */
+
+const { compareToBalance, checkDeletion } = require('../../utils/settlements');
+
+describe('compareToBalance', () => {
+  it('reports the savings and the share of the balance paid', () => {
+    expect(compareToBalance('1850.00', 740)).toEqual({
+      reportedBalance: 1850, settledAmount: 740, savings: 1110, settledPercent: 40,
+    });
+  });
+
+  it('is null until both amounts are known', () => {
+    expect(compareToBalance(null, 500)).toBeNull();
+    expect(compareToBalance(1200, null)).toBeNull();
+  });
+
+  it('leaves the percentage out for a zero balance', () => {
+    expect(compareToBalance(0, 50).settledPercent).toBeNull();
+  });
+});
+
+describe('checkDeletion', () => {
+  const item = { creditor_name: 'Midland Funding', account_number: 'XXXX7731', bureau: 'all' };
+  const report = (accounts) => ({ negativeItems: accounts });
+  const midland = { creditor: 'MIDLAND FUNDING LLC', accountNumber: '8812XXXX7731', balance: 0, type: 'collection' };
+
+  it('confirms the deletion once every bureau reports without the account', () => {
+    const check = checkDeletion(item, [
+      { id: 's1', bureau: 'experian', report_date: '2026-05-10', report_data: report([]) },
+      { id: 's2', bureau: 'equifax', report_date: '2026-05-12', report_data: JSON.stringify(report([])) },
+      { id: 's3', bureau: 'transunion', report_date: '2026-05-15', report_data: report([]) },
+    ], '2026-04-01');
+    expect(check.result).toBe('deleted');
+    expect(check.bureaus.map((b) => b.status)).toEqual(['deleted', 'deleted', 'deleted']);
+  });
+
+  it('flags a bureau that still lists the account, with its balance', () => {
+    const check = checkDeletion(item, [
+      { id: 's1', bureau: 'experian', report_date: '2026-05-10', report_data: report([midland]) },
+      { id: 's2', bureau: 'equifax', report_date: '2026-05-12', report_data: report([]) },
+    ], '2026-04-01');
+    expect(check.result).toBe('not_deleted');
+    expect(check.bureaus[0]).toEqual({
+      bureau: 'experian', status: 'still_reported', reportDate: '2026-05-10', snapshotId: 's1', balance: 0,
+    });
+    expect(check.bureaus[2]).toEqual({ bureau: 'transunion', status: 'awaiting_report', reportDate: null });
+  });
+
+  it('ignores reports from before the payment', () => {
+    const check = checkDeletion({ ...item, bureau: 'experian' }, [
+      { id: 's1', bureau: 'experian', report_date: '2026-03-20', report_data: report([midland]) },
+    ], '2026-04-01');
+    expect(check.result).toBeNull();
+    expect(check.bureaus).toEqual([{ bureau: 'experian', status: 'awaiting_report', reportDate: '2026-03-20' }]);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit Tests — statuteOfLimitations.js
+ *
+ * Tests for the state limitations dataset and time-barred status of
+ * collections and charge-offs, and who may override a clock restart hold.
+ */
+
+const {
+  STATUTE_OF_LIMITATIONS,
+  getLimitationsPeriod,
+  getSolStatus,
+  clockRestartHold,
+} = require('../../utils/statuteOfLimitations');
+
+const TODAY = new Date('2026-03-15T12:00:00Z');
+
+describe('STATUTE_OF_LIMITATIONS', () => {
+  it('covers every state and DC with all three kinds of debt', () => {
+    expect(Object.keys(STATUTE_OF_LIMITATIONS)).toHaveLength(51);
+    for (const periods of Object.values(STATUTE_OF_LIMITATIONS)) {
+      expect(Object.keys(periods).sort()).toEqual(['open', 'promissory', 'written']);
+    }
+  });
+});
+
+describe('getLimitationsPeriod', () => {
+  it('uses the period for the recorded kind of debt', () => {
+    expect(getLimitationsPeriod('va', 'open')).toEqual({ years: 3, category: 'open', categoryAssumed: false });
+  });
+
+  it('falls back to the longest period when the kind of debt is unknown', () => {
+    expect(getLimitationsPeriod('VA')).toEqual({ years: 6, category: 'promissory', categoryAssumed: true });
+  });
+
+  it('returns null for an unknown state', () => {
+    expect(getLimitationsPeriod('PR', 'open')).toBeNull();
+  });
+});
+
+describe('getSolStatus', () => {
+  it('runs from the last payment', () => {
+    const sol = getSolStatus({ item_type: 'collection', last_payment_date: '2022-03-15', debt_category: 'written' }, 'TX', TODAY);
+    expect(sol).toMatchObject({ status: 'time_barred', expiresDate: '2026-03-15', daysRemaining: 0, startBasis: 'last payment' });
+  });
+
+  it('falls back to the date of first delinquency', () => {
+    const sol = getSolStatus({ item_type: 'charge_off', date_of_first_delinquency: '2022-04-14', debt_category: 'open' }, 'FL', TODAY);
+    expect(sol).toMatchObject({
+      status: 'collectable', expiresDate: '2026-04-14', daysRemaining: 30, startBasis: 'date of first delinquency',
+    });
+  });
+
+  it('is unknown without a state or a start date', () => {
+    expect(getSolStatus({ item_type: 'collection', last_payment_date: '2020-01-01' }, null, TODAY).status).toBe('unknown');
+    expect(getSolStatus({ item_type: 'collection' }, 'TX', TODAY).status).toBe('unknown');
+  });
+
+  it('skips items a collector cannot sue on', () => {
+    expect(getSolStatus({ item_type: 'inquiry' }, 'TX', TODAY).status).toBe('not_applicable');
+  });
+});
+
+describe('clockRestartHold', () => {
+  const risk = {
+    warning: 'Risky letter; time-barred. Confirm with acknowledgeSolRisk to generate it anyway.',
+    summary: 'Risky letter; time-barred.',
+    reason: 'Risky letter',
+    sol: { status: 'time_barred' },
+  };
+
+  it('lets staff and admins generate the letter once they acknowledge the risk', () => {
+    expect(clockRestartHold(risk, { role: 'staff' }, true)).toBeNull();
+    expect(clockRestartHold(risk, { role: 'admin' }, true)).toBeNull();
+    expect(clockRestartHold(risk, { role: 'staff' }, false)).toMatchObject({
+      message: risk.warning,
+      details: { staffReviewRequired: false },
+    });
+  });
+
+  it('ignores a client acknowledging the risk', () => {
+    expect(clockRestartHold(risk, { role: 'client' }, true)).toEqual({
+      message: 'Risky letter; time-barred. Our staff must review it before it is generated.',
+      details: { reason: 'Risky letter', sol: risk.sol, staffReviewRequired: true },
+    });
+  });
+
+  it('holds nothing without a risk', () => {
+    expect(clockRestartHold(null, { role: 'client' })).toBeNull();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit Tests — triMerge.js
+ *
+ * Tests for cross-bureau tradeline matching on fuzzy creditor name,
+ * account suffix and opened date, and for field-level mismatches.
+ */
+
+const {
+  normalizeCreditorName,
+  nameSimilarity,
+  accountSuffix,
+  buildTriMerge,
+} = require('../../utils/triMerge');
+
+describe('creditor names', () => {
+  it('drops words that carry no identity', () => {
+    expect(normalizeCreditorName('Capital One Bank (USA), N.A.')).toBe('CAPITAL ONE');
+    expect(normalizeCreditorName('The Bank')).toBe('THE BANK');
+  });
+
+  it('scores abbreviations and suffixes as the same creditor', () => {
+    expect(nameSimilarity('CAPITAL ONE BANK USA NA', 'Capital One')).toBe(1);
+    expect(nameSimilarity('SYNCB/AMAZON', 'SYNCHRONY BANK AMAZON')).toBeGreaterThan(0.5);
+    expect(nameSimilarity('Chase Card', 'Discover Financial')).toBeLessThan(0.3);
+  });
+});
+
+describe('accountSuffix', () => {
+  it('reads the last four unmasked characters', () => {
+    expect(accountSuffix('****1234')).toBe('1234');
+    expect(accountSuffix('XXXX-XXXX-5678')).toBe('5678');
+    expect(accountSuffix('****')).toBeNull();
+  });
+});
+
+describe('buildTriMerge', () => {
+  const reports = {
+    experian: {
+      accounts: [
+        { creditorName: 'CAPITAL ONE BANK USA NA', accountNumber: '****1234', balance: 1200, paymentStatus: 'Charge-off',
+          dateOpened: '2019-05-01', dateOfFirstDelinquency: '2021-02-01', paymentHistory: 'CO 90 60 30 C C' },
+        { creditorName: 'CHASE CARD', accountNumber: '****9999', balance: 300, paymentStatus: 'current', dateOpened: '2018-01-01' },
+      ],
+      negativeItems: [],
+    },
+    equifax: {
+      accounts: [
+        { creditorName: 'Capital One', accountNumber: 'XXXX1234', balance: 1450, paymentStatus: 'charge off',
+          dateOpened: '2019-05-20', dateOfFirstDelinquency: '2021-06-01', paymentHistory: 'CO9060 30CC CC' },
+      ],
+      negativeItems: [],
+    },
+    transunion: {
+      accounts: [
+        { creditorName: 'CAP ONE', accountNumber: '****1234', balance: 1200, paymentStatus: 'CHARGE_OFF',
+          dateOpened: '2019-05-01', dateOfFirstDelinquency: '2021-02-01' },
+        { creditorName: 'Chase', accountNumber: '****1111', balance: 300, paymentStatus: 'current', dateOpened: '2018-01-01' },
+      ],
+      negativeItems: [],
+    },
+  };
+
+  const triMerge = buildTriMerge(reports);
+  const capitalOne = triMerge.accounts.find((a) => a.accountSuffix === '1234');
+
+  it('links the same account across all three bureaus', () => {
+    expect(capitalOne.reportedBy).toEqual(['experian', 'equifax', 'transunion']);
+    expect(capitalOne.bureaus.equifax.balance).toBe(1450);
+  });
+
+  it('keeps accounts with different account numbers apart', () => {
+    const chase = triMerge.accounts.filter((a) => /chase/i.test(a.creditorName));
+    expect(chase).toHaveLength(2);
+    expect(chase[0].missingFrom).toEqual(['equifax', 'transunion']);
+  });
+
+  it('flags fields the bureaus disagree on as dispute candidates', () => {
+    expect(capitalOne.mismatches.map((m) => m.field)).toEqual(['balance', 'dateOfFirstDelinquency']);
+    expect(capitalOne.disputeCandidate).toBe(true);
+
+    const dofd = triMerge.disputeCandidates.find((c) => c.field === 'dateOfFirstDelinquency');
+    expect(dofd).toMatchObject({ disputeType: 'inaccurate_info', bureaus: ['experian', 'equifax', 'transunion'] });
+    expect(dofd.reason).toContain('equifax 2021-06-01');
+  });
+
+  it('ignores status spelling, opened dates in the same month and histories that agree where they overlap', () => {
+    const fields = capitalOne.mismatches.map((m) => m.field);
+    expect(fields).not.toContain('status');
+    expect(fields).not.toContain('dateOpened');
+    expect(fields).not.toContain('paymentHistory');
+  });
+});
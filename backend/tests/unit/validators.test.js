@@ -4,12 +4,16 @@
  * Tests for validation constants, enums, and regex patterns.
  */
 
+const fs = require('fs');
+const path = require('path');
 const {
   USER_ROLES,
   USER_STATUSES,
   SUBSCRIPTION_STATUSES,
   CREDIT_BUREAUS,
   CREDIT_BUREAUS_WITH_ALL,
+  REPORTING_AGENCIES,
+  REPORTING_AGENCIES_WITH_ALL,
   CREDIT_ITEM_TYPES,
   CREDIT_ITEM_STATUSES,
   DISPUTE_TYPES,
@@ -22,6 +26,7 @@ const {
   CREDIT_SCORE_RANGE,
   PATTERNS,
 } = require('../../utils/validators');
+const { AGENCY_STRATEGIES } = require('../../utils/disputeStrategy');
 
 // ═══════════════════════════════════════════════════════════════
 // Enum Constants
@@ -53,6 +58,20 @@ describe('Enum Constants', () => {
     expect(CREDIT_BUREAUS_WITH_ALL).toHaveLength(4);
   });
 
+  it('REPORTING_AGENCIES matches the agency strategy registry', () => {
+    expect(REPORTING_AGENCIES).toEqual(expect.arrayContaining(CREDIT_BUREAUS));
+    expect([...REPORTING_AGENCIES].sort()).toEqual(Object.keys(AGENCY_STRATEGIES).sort());
+    expect(REPORTING_AGENCIES_WITH_ALL).toContain('all');
+  });
+
+  it('REPORTING_AGENCIES matches the bureau CHECK constraints in migration 027', () => {
+    const sql = fs.readFileSync(path.join(__dirname, '../../migrations/027_reporting_agencies.sql'), 'utf8');
+    const checks = [...sql.matchAll(/ADD CONSTRAINT \w+_bureau_check\s+CHECK \(bureau IN \(([^)]*)\)\)/g)]
+      .map((match) => match[1].match(/'(\w+)'/g).map((value) => value.slice(1, -1)).filter((value) => value !== 'all'));
+    expect(checks).toHaveLength(3);
+    for (const agencies of checks) expect(agencies.sort()).toEqual([...REPORTING_AGENCIES].sort());
+  });
+
   it('CREDIT_ITEM_TYPES has 8 types', () => {
     expect(CREDIT_ITEM_TYPES).toHaveLength(8);
     expect(CREDIT_ITEM_TYPES).toContain('late_payment');
@@ -0,0 +1,296 @@
+/**
+ * Bureau Response Ingestion Service
+ *
+ * Reads a bureau's investigation-results letter (uploaded through the
+ * documents pipeline), proposes a per-tradeline outcome for each open
+ * dispute at that bureau, and — once staff confirm — moves the disputes and
+ * credit items to the matching statuses and records the response date.
+ *
+ * @module utils/bureauResponse
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { extractTextFromFile } = require('./creditReportAnalyzer');
+const { recordRoundOutcome } = require('./disputeCampaigns');
+
+/**
+ * Outcomes a bureau can report for a disputed tradeline
+ * @type {string[]}
+ */
+const RESPONSE_OUTCOMES = ['deleted', 'verified', 'updated', 'investigating'];
+
+/**
+ * Status transitions applied for each outcome. A response date is only
+ * recorded once the bureau has finished its investigation.
+ */
+const OUTCOME_TRANSITIONS = {
+  deleted: { disputeStatus: 'resolved', itemStatus: 'deleted', final: true },
+  updated: { disputeStatus: 'resolved', itemStatus: 'updated', final: true },
+  verified: { disputeStatus: 'rejected', itemStatus: 'verified', final: true },
+  investigating: { disputeStatus: 'investigating', itemStatus: 'disputing', final: false },
+};
+
+/**
+ * Phrases bureaus use in results letters, checked in priority order. A
+ * tradeline that was "verified" but also "updated" was updated.
+ */
+const OUTCOME_PATTERNS = [
+  ['deleted', /\b(deleted|removed|no longer (appears|reporting))\b/],
+  ['updated', /\b(updated|modified|corrected|changed)\b/],
+  ['verified', /\b(verified|remains|accurate as reported|no change)\b/],
+  ['investigating', /\b(in progress|investigating|pending|under review|still being investigated)\b/],
+];
+
+/** Characters after a tradeline match that belong to that tradeline */
+const SECTION_LENGTH = 600;
+
+const DISPUTE_OPEN_STATUSES = ['sent', 'received', 'investigating'];
+
+const normalize = (text) => (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ');
+
+/**
+ * Locate a dispute's tradeline in the letter, by creditor name or by the
+ * account number's last four digits.
+ * @param {string} normalizedText
+ * @param {Object} dispute - { creditor_name, account_number }
+ * @returns {number} Index of the match, or -1
+ */
+function findTradeline(normalizedText, dispute) {
+  const name = normalize(dispute.creditor_name).trim();
+  if (name) {
+    const index = normalizedText.indexOf(name);
+    if (index !== -1) return index;
+  }
+
+  const suffix = (dispute.account_number || '').replace(/\D/g, '').slice(-4);
+  if (suffix.length === 4) {
+    const match = new RegExp(`${suffix}(?!\\d)`).exec(normalizedText);
+    if (match) return match.index;
+  }
+  return -1;
+}
+
+/**
+ * Classify a section of a results letter.
+ * @param {string} section - Normalized text
+ * @returns {{ outcome: string|null, confidence: 'high'|'low' }}
+ */
+function classifySection(section) {
+  const matches = OUTCOME_PATTERNS.filter(([, pattern]) => pattern.test(section)).map(([outcome]) => outcome);
+  if (matches.length === 0) return { outcome: null, confidence: 'low' };
+  return { outcome: matches[0], confidence: matches.length === 1 ? 'high' : 'low' };
+}
+
+/**
+ * Propose an outcome for each open dispute from the letter text. Each
+ * tradeline's section runs from its match to the next tradeline's match.
+ * @param {string} text - Raw letter text
+ * @param {Object[]} disputes - Open disputes with creditor_name/account_number
+ * @returns {Object[]} Proposed outcomes
+ */
+function extractOutcomes(text, disputes) {
+  const normalizedText = normalize(text);
+
+  const located = disputes.map((dispute) => ({ dispute, index: findTradeline(normalizedText, dispute) }));
+  const starts = located.filter((l) => l.index !== -1).map((l) => l.index).sort((a, b) => a - b);
+
+  return located.map(({ dispute, index }) => {
+    const base = {
+      disputeId: dispute.id,
+      creditItemId: dispute.credit_item_id,
+      creditorName: dispute.creditor_name,
+      accountNumber: dispute.account_number,
+    };
+
+    if (index === -1) {
+      return { ...base, outcome: null, confidence: 'low', excerpt: null };
+    }
+
+    const next = starts.find((s) => s > index);
+    const end = Math.min(next ?? normalizedText.length, index + SECTION_LENGTH);
+    const section = normalizedText.slice(index, end);
+
+    return { ...base, ...classifySection(section), excerpt: section.trim().slice(0, 200) };
+  });
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+/**
+ * Open bureau disputes for a client at one bureau.
+ * @param {string} clientId
+ * @param {string} bureau
+ * @returns {Promise<Object[]>}
+ */
+async function getOpenDisputes(clientId, bureau) {
+  const result = await query(
+    `SELECT d.id, d.credit_item_id, d.status, ci.creditor_name, ci.account_number
+     FROM disputes d
+     JOIN credit_items ci ON d.credit_item_id = ci.id
+     WHERE d.client_id = $1 AND d.bureau = $2 AND d.target_type = 'bureau'
+       AND d.status = ANY($3) AND d.deleted_at IS NULL
+     ORDER BY d.sent_date ASC NULLS LAST`,
+    [clientId, bureau, DISPUTE_OPEN_STATUSES]
+  );
+  return result.rows;
+}
+
+/**
+ * Extract the text of an uploaded response and store a pending review with
+ * proposed outcomes. Nothing is changed on disputes or items yet.
+ * @param {Object} document - documents row (id, client_id, file_path)
+ * @param {string} bureau
+ * @param {string} createdBy - User ID
+ * @returns {Promise<Object>} The pending bureau_responses row
+ */
+async function ingestResponse(document, bureau, createdBy) {
+  const text = await extractTextFromFile(document.file_path);
+  const disputes = await getOpenDisputes(document.client_id, bureau);
+  const proposed = extractOutcomes(text, disputes);
+
+  const result = await query(
+    `INSERT INTO bureau_responses (client_id, document_id, bureau, extracted_text, proposed_outcomes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, client_id, document_id, bureau, proposed_outcomes, status, created_at`,
+    [document.client_id, document.id, bureau, text, JSON.stringify(proposed), createdBy]
+  );
+
+  logger.info({
+    responseId: result.rows[0].id,
+    clientId: document.client_id,
+    bureau,
+    openDisputes: disputes.length,
+    matched: proposed.filter((p) => p.outcome).length,
+  }, 'Bureau response ingested');
+
+  return result.rows[0];
+}
+
+/**
+ * Get a bureau response review by ID.
+ * @param {string} responseId
+ * @returns {Promise<Object|null>}
+ */
+async function getResponse(responseId) {
+  const result = await query(
+    `SELECT id, client_id, document_id, bureau, proposed_outcomes, confirmed_outcomes,
+            status, response_date, reviewed_by, reviewed_at, created_at
+     FROM bureau_responses WHERE id = $1`,
+    [responseId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List a client's bureau response reviews, newest first.
+ * @param {string} clientId
+ * @returns {Promise<Object[]>}
+ */
+async function listResponses(clientId) {
+  const result = await query(
+    `SELECT id, client_id, document_id, bureau, proposed_outcomes, confirmed_outcomes,
+            status, response_date, reviewed_at, created_at
+     FROM bureau_responses WHERE client_id = $1
+     ORDER BY created_at DESC`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+/**
+ * Apply staff-confirmed outcomes: update each dispute and its credit item,
+ * record the response date and close the dispute's campaign round, all in
+ * one transaction.
+ * @param {Object} response - Pending bureau_responses row
+ * @param {Object} confirmation
+ * @param {string} confirmation.responseDate - YYYY-MM-DD
+ * @param {Array<{disputeId: string, outcome: string}>} confirmation.outcomes
+ * @param {string} reviewedBy - User ID
+ * @returns {Promise<Object[]|null>} Applied outcomes, or null when the response
+ *   was confirmed or discarded by someone else first
+ */
+async function confirmResponse(response, { responseDate, outcomes }, reviewedBy) {
+  return transaction(async (client) => {
+    const pending = await client.query(
+      `SELECT id FROM bureau_responses WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+      [response.id]
+    );
+    if (pending.rows.length === 0) return null;
+
+    const applied = [];
+
+    for (const { disputeId, outcome } of outcomes) {
+      const transition = OUTCOME_TRANSITIONS[outcome];
+
+      const disputeResult = await client.query(
+        `UPDATE disputes
+         SET status = $1,
+             response_date = CASE WHEN $2 THEN $3::date ELSE response_date END,
+             response_text = COALESCE(response_text, $4),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5 AND client_id = $6 AND bureau = $7
+           AND deleted_at IS NULL AND status IN ('sent', 'received', 'investigating')
+         RETURNING id, credit_item_id, status, response_date`,
+        [transition.disputeStatus, transition.final, responseDate,
+          `Bureau response: ${outcome}`, disputeId, response.client_id, response.bureau]
+      );
+      if (disputeResult.rows.length === 0) continue;
+
+      const dispute = disputeResult.rows[0];
+      if (transition.final) {
+        await recordRoundOutcome(disputeId, outcome, responseDate, client);
+      }
+      if (dispute.credit_item_id) {
+        await client.query(
+          `UPDATE credit_items SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+          [transition.itemStatus, dispute.credit_item_id]
+        );
+      }
+
+      applied.push({ disputeId, creditItemId: dispute.credit_item_id, outcome });
+    }
+
+    await client.query(
+      `UPDATE bureau_responses
+       SET status = 'confirmed', confirmed_outcomes = $1, response_date = $2,
+           reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4 AND status = 'pending'`,
+      [JSON.stringify(applied), responseDate, reviewedBy, response.id]
+    );
+
+    logger.info({ responseId: response.id, applied: applied.length }, 'Bureau response confirmed');
+    return applied;
+  });
+}
+
+/**
+ * Discard a pending review without applying anything.
+ * @param {string} responseId
+ * @param {string} reviewedBy - User ID
+ * @returns {Promise<boolean>}
+ */
+async function discardResponse(responseId, reviewedBy) {
+  const result = await query(
+    `UPDATE bureau_responses
+     SET status = 'discarded', reviewed_by = $1, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND status = 'pending'`,
+    [reviewedBy, responseId]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  RESPONSE_OUTCOMES,
+  OUTCOME_TRANSITIONS,
+  extractOutcomes,
+  classifySection,
+  getOpenDisputes,
+  ingestResponse,
+  getResponse,
+  listResponses,
+  confirmResponse,
+  discardResponse,
+};
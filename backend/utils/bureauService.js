@@ -20,6 +20,13 @@
 
 const { query, transaction } = require('../config/database');
 const { logger } = require('./logger');
+const { parseBankruptcyChapter, flagObsoleteItems } = require('./obsolescence');
+const { buildTriMerge } = require('./triMerge');
+const { checkReport } = require('./metro2Rules');
+const { consumerToPersonalInfo, recordPersonalInfo } = require('./personalInfo');
+const { recordInquiries } = require('./inquiries');
+const { verifyPaidNegotiations } = require('./settlements');
+const { flagMedicalItems } = require('./medicalDebt');
 const crypto = require('crypto');
 
 // ============================================================================
@@ -296,14 +303,14 @@ function generateSandboxReport(bureau, clientProfile) {
   ];
 
   const negativeItems = [
-    { creditor: 'ABC Collections', type: 'collection', balance: 850, dateReported: '2025-03-15', accountNumber: `COL${Math.random().toString(36).slice(2, 8).toUpperCase()}` },
-    { creditor: 'XYZ Medical', type: 'collection', balance: 1200, dateReported: '2024-11-20', accountNumber: `MED${Math.random().toString(36).slice(2, 8).toUpperCase()}` },
+    { creditor: 'ABC Collections', type: 'collection', balance: 850, originalAmount: 850, dateReported: '2025-03-15', dateOfFirstDelinquency: '2023-09-01', lastPaymentDate: '2023-07-15', accountNumber: `COL${Math.random().toString(36).slice(2, 8).toUpperCase()}` },
+    { creditor: 'XYZ Medical', type: 'collection', balance: 1200, originalAmount: 1200, dateReported: '2024-11-20', dateOfFirstDelinquency: '2019-06-15', lastPaymentDate: '2019-04-02', accountNumber: `MED${Math.random().toString(36).slice(2, 8).toUpperCase()}` },
   ];
 
   if (score < 650) {
     negativeItems.push(
-      { creditor: 'Capital One', type: 'late_payment', balance: 0, dateReported: '2025-06-10', accountNumber: `LP${Math.random().toString(36).slice(2, 8).toUpperCase()}` },
-      { creditor: 'Midland Credit', type: 'charge_off', balance: 2340, dateReported: '2024-08-05', accountNumber: `CO${Math.random().toString(36).slice(2, 8).toUpperCase()}` }
+      { creditor: 'Capital One', type: 'late_payment', balance: 0, dateReported: '2025-06-10', dateOfFirstDelinquency: '2025-04-01', accountNumber: `LP${Math.random().toString(36).slice(2, 8).toUpperCase()}` },
+      { creditor: 'Midland Credit', type: 'charge_off', balance: 2340, dateReported: '2024-08-05', dateOfFirstDelinquency: '2018-11-01', lastPaymentDate: '2018-09-20', accountNumber: `CO${Math.random().toString(36).slice(2, 8).toUpperCase()}` }
     );
   }
 
@@ -353,6 +360,7 @@ function generateSandboxReport(bureau, clientProfile) {
       dateOpened: `20${18 + Math.floor(Math.random() * 6)}-0${1 + Math.floor(Math.random() * 9)}-01`,
       lastReported: now.split('T')[0],
       monthsReviewed: 12 + Math.floor(Math.random() * 48),
+      paymentHistory: 'CCCCCCCCCCCC',
     })),
     negativeItems: negativeItems.map((item) => ({
       ...item,
@@ -445,14 +453,23 @@ function normalizeExperianReport(raw) {
       creditLimit: parseFloat(t.creditLimit) || undefined,
       paymentStatus: t.paymentStatus || 'unknown',
       dateOpened: t.dateOpened || '',
+      dateClosed: t.dateClosed || '',
       lastReported: t.dateReported || '',
       monthsReviewed: parseInt(t.monthsReviewed, 10) || 0,
+      dateOfFirstDelinquency: t.firstDelinquencyDate || '',
+      paymentHistory: t.paymentProfile || '',
     })),
     negativeItems: (profile?.publicRecord || []).concat(profile?.collection || []).map((item) => ({
       creditor: item.creditorName || item.courtName || 'Unknown',
       type: mapExperianItemType(item),
       balance: parseFloat(item.amount) || 0,
       dateReported: item.dateReported || item.dateFiled || '',
+      dateOfFirstDelinquency: item.firstDelinquencyDate || '',
+      lastPaymentDate: item.lastPaymentDate || '',
+      dateFiled: item.dateFiled || '',
+      bankruptcyChapter: item.courtName ? parseBankruptcyChapter(item.type) : null,
+      originalAmount: parseFloat(item.originalAmount) || null,
+      originalCreditor: item.originalCreditorName || undefined,
       accountNumber: item.accountNumber || '',
       bureau: 'experian',
       status: item.status || 'open',
@@ -519,14 +536,21 @@ function normalizeEquifaxReport(raw) {
       creditLimit: parseFloat(t.highCredit) || undefined,
       paymentStatus: t.paymentStatus || 'unknown',
       dateOpened: t.dateOpened || '',
+      dateClosed: t.dateClosed || '',
       lastReported: t.dateReported || '',
       monthsReviewed: parseInt(t.months, 10) || 0,
+      dateOfFirstDelinquency: t.dateOfFirstDelinquency || '',
+      paymentHistory: t.paymentHistory || '',
     })),
     negativeItems: (report?.collections || []).map((c) => ({
       creditor: c.creditorName || 'Unknown',
       type: 'collection',
       balance: parseFloat(c.balance) || 0,
       dateReported: c.dateReported || '',
+      dateOfFirstDelinquency: c.dateOfFirstDelinquency || '',
+      lastPaymentDate: c.dateOfLastPayment || '',
+      originalAmount: parseFloat(c.originalBalance) || null,
+      originalCreditor: c.originalCreditorName || undefined,
       accountNumber: c.accountNumber || '',
       bureau: 'equifax',
       status: c.status || 'open',
@@ -593,14 +617,23 @@ function normalizeTransUnionReport(raw) {
       creditLimit: parseFloat(t.creditLimit) || undefined,
       paymentStatus: t.paymentStatus || 'unknown',
       dateOpened: t.dateOpened || '',
+      dateClosed: t.dateClosed || '',
       lastReported: t.lastReported || '',
       monthsReviewed: parseInt(t.monthsReviewed, 10) || 0,
+      dateOfFirstDelinquency: t.dateOfFirstDelinquency || '',
+      paymentHistory: t.paymentPattern || '',
     })),
     negativeItems: (report?.collections || []).concat(report?.adverseItems || []).map((item) => ({
       creditor: item.creditorName || 'Unknown',
       type: item.type || 'collection',
       balance: parseFloat(item.balance) || 0,
       dateReported: item.dateReported || '',
+      dateOfFirstDelinquency: item.dateOfFirstDelinquency || '',
+      lastPaymentDate: item.lastPaymentDate || '',
+      dateFiled: item.dateFiled || '',
+      bankruptcyChapter: parseBankruptcyChapter(item.description),
+      originalAmount: parseFloat(item.originalAmount) || null,
+      originalCreditor: item.originalCreditor || undefined,
       accountNumber: item.accountNumber || '',
       bureau: 'transunion',
       status: item.status || 'open',
@@ -718,6 +751,9 @@ const bureauService = {
 
       // 7. Save/update credit items
       await this.syncCreditItems(clientId, bureau, normalizedReport);
+      await recordPersonalInfo(clientId, bureau, consumerToPersonalInfo(normalizedReport.consumer));
+      await recordInquiries(clientId, bureau, normalizedReport.inquiries || []);
+      await verifyPaidNegotiations(clientId);
 
       // 8. Update pull record
       await query(
@@ -1075,28 +1111,146 @@ const bureauService = {
       );
 
       if (existing.rows.length > 0) {
-        // Update balance/date if changed
+        // Update balance/dates if changed. A DOFD is only filled in, never
+        // moved: a later report with a newer DOFD is re-aging, not a correction.
+        // A newer last payment is real and restarts the limitations period.
         await query(
           `UPDATE credit_items
-           SET balance = $3, date_reported = $4, updated_at = NOW()
-           WHERE id = $1 AND (balance != $3 OR date_reported != $4)`,
-          [existing.rows[0].id, bureau, item.balance, item.dateReported || null]
+           SET balance = $2, date_reported = $3,
+               date_of_first_delinquency = COALESCE(date_of_first_delinquency, $4),
+               last_payment_date = GREATEST(last_payment_date, $5), updated_at = NOW()
+           WHERE id = $1 AND (balance != $2 OR date_reported != $3
+             OR (date_of_first_delinquency IS NULL AND $4::date IS NOT NULL)
+             OR $5::date > COALESCE(last_payment_date, '-infinity'))`,
+          [existing.rows[0].id, item.balance, item.dateReported || null, item.dateOfFirstDelinquency || null,
+            item.lastPaymentDate || null]
         );
       } else {
         // Insert new item
         await query(
           `INSERT INTO credit_items
-           (client_id, item_type, creditor_name, account_number, bureau, balance, status, date_reported, description)
-           VALUES ($1, $2, $3, $4, $5, $6, 'identified', $7, $8)`,
+           (client_id, item_type, creditor_name, account_number, bureau, balance, status, date_opened, date_reported,
+            date_of_first_delinquency, bankruptcy_chapter, last_payment_date, description)
+           VALUES ($1, $2, $3, $4, $5, $6, 'identified', $7, $8, $9, $10, $11, $12)`,
           [
             clientId, itemType, item.creditor, item.accountNumber || '',
             bureau, item.balance,
+            item.dateFiled || null,
             item.dateReported || null,
+            item.dateOfFirstDelinquency || null,
+            item.bankruptcyChapter || null,
+            item.lastPaymentDate || null,
             item.originalCreditor ? `Original creditor: ${item.originalCreditor}` : null,
           ]
         );
       }
     }
+
+    // Suggest disputes for tradelines that break a Metro 2 rule
+    await this.applyMetro2Suggestions(clientId, bureau, checkReport(normalizedReport, bureau));
+
+    // Tag medical debt and flag what the bureaus' medical debt policy excludes
+    await flagMedicalItems(clientId);
+
+    // Flag items already past their §605 reporting period
+    await flagObsoleteItems(clientId);
+  },
+
+  /**
+   * Turn Metro 2 rule violations into suggested disputes. A violation on an
+   * item already tracked sets its suggestion, unless one is already set; a
+   * violation on an account not yet tracked (e.g. a late payment after
+   * closing on an otherwise current account) becomes a new credit item.
+   * When one tradeline breaks several rules the first is suggested and all
+   * are listed in the reason.
+   * @param {string} clientId
+   * @param {string} bureau
+   * @param {Object[]} violations - From metro2Rules.checkReport
+   * @returns {Promise<number>} Items flagged or created
+   */
+  async applyMetro2Suggestions(clientId, bureau, violations) {
+    const byTradeline = new Map();
+    for (const violation of violations) {
+      const key = `${violation.creditorName}|${violation.accountNumber}`;
+      if (!byTradeline.has(key)) byTradeline.set(key, []);
+      byTradeline.get(key).push(violation);
+    }
+
+    let flagged = 0;
+    for (const group of byTradeline.values()) {
+      const [first] = group;
+      const reason = group.map((v) => `[${v.ruleId}] ${v.explanation}`).join(' ');
+
+      const existing = await query(
+        `SELECT id FROM credit_items
+         WHERE client_id = $1 AND bureau = $2
+           AND creditor_name = $3 AND account_number = $4
+           AND deleted_at IS NULL`,
+        [clientId, bureau, first.creditorName, first.accountNumber || '']
+      );
+
+      if (existing.rows.length > 0) {
+        const result = await query(
+          `UPDATE credit_items
+           SET suggested_dispute_type = $2, flag_reason = $3, flag_rule_id = $4, flagged_at = NOW(), updated_at = NOW()
+           WHERE id = $1 AND suggested_dispute_type IS NULL AND status NOT IN ('deleted', 'resolved')`,
+          [existing.rows[0].id, first.disputeType, reason, first.ruleId]
+        );
+        flagged += result.rowCount || 0;
+      } else {
+        await query(
+          `INSERT INTO credit_items
+           (client_id, item_type, creditor_name, account_number, bureau, balance, status, date_opened,
+            date_of_first_delinquency, description, suggested_dispute_type, flag_reason, flag_rule_id, flagged_at)
+           VALUES ($1, $2, $3, $4, $5, $6, 'identified', $7, $8, $9, $10, $11, $12, NOW())`,
+          [
+            clientId, first.itemType, first.creditorName, first.accountNumber || '', bureau,
+            first.balance || 0, first.dateOpened || null, first.dateOfFirstDelinquency || null,
+            `Metro 2 consistency check: ${first.title}`,
+            first.disputeType, reason, first.ruleId,
+          ]
+        );
+        flagged += 1;
+      }
+    }
+
+    if (flagged > 0) {
+      logger.info({ clientId, bureau, count: flagged }, 'Suggested disputes from Metro 2 rule violations');
+    }
+    return flagged;
+  },
+
+  /**
+   * Metro 2 rule violations on the latest snapshot from each bureau, with
+   * the client's matching credit item when one exists.
+   * @param {string} clientId
+   * @returns {Promise<{ bureaus: string[], violations: Object[], snapshotDates: Object }>}
+   */
+  async getMetro2Violations(clientId) {
+    const snapshots = await this.getLatestSnapshots(clientId);
+    const violations = [];
+    const snapshotDates = {};
+    for (const row of snapshots) {
+      const report = typeof row.report_data === 'string' ? JSON.parse(row.report_data) : row.report_data;
+      violations.push(...checkReport(report, row.bureau));
+      snapshotDates[row.bureau] = row.created_at;
+    }
+
+    if (violations.length > 0) {
+      const items = await query(
+        `SELECT id, bureau, creditor_name, account_number, suggested_dispute_type FROM credit_items
+         WHERE client_id = $1 AND deleted_at IS NULL`,
+        [clientId]
+      );
+      for (const violation of violations) {
+        const item = items.rows.find((i) => i.bureau === violation.bureau
+          && i.creditor_name === violation.creditorName && (i.account_number || '') === violation.accountNumber);
+        violation.creditItemId = item?.id || null;
+        violation.suggestedDisputeType = item?.suggested_dispute_type || null;
+      }
+    }
+
+    return { bureaus: snapshots.map((row) => row.bureau), violations, snapshotDates };
   },
 
   /**
@@ -1118,11 +1272,13 @@ const bureauService = {
 
     const scores = {};
     const negItemCounts = {};
+    const reports = {};
 
     for (const row of snapshots.rows) {
       const data = typeof row.report_data === 'string' ? JSON.parse(row.report_data) : row.report_data;
       scores[row.bureau] = row.score;
       negItemCounts[row.bureau] = (data.negativeItems || []).length;
+      reports[row.bureau] = data;
     }
 
     const scoreValues = Object.values(scores).filter(Boolean);
@@ -1151,6 +1307,17 @@ const bureauService = {
       });
     }
 
+    // Same account reported differently by different bureaus
+    const { disputeCandidates } = buildTriMerge(reports);
+    if (disputeCandidates.length > 0) {
+      discrepancies.push({
+        type: 'tradeline_mismatch',
+        severity: 'high',
+        description: `${disputeCandidates.length} field(s) reported differently across bureaus on the same account`,
+        accounts: [...new Set(disputeCandidates.map((c) => c.accountKey))].length,
+      });
+    }
+
     return {
       bureausCompared: Object.keys(scores),
       scores,
@@ -1161,6 +1328,43 @@ const bureauService = {
     };
   },
 
+  /**
+   * Tri-merge matrix of the latest snapshot from each bureau. Dispute
+   * candidates carry the client's matching credit item per bureau, when one exists.
+   * @param {string} clientId
+   * @returns {Promise<Object>}
+   */
+  async getTriMerge(clientId) {
+    const snapshots = await this.getLatestSnapshots(clientId);
+    const reports = {};
+    const snapshotDates = {};
+    for (const row of snapshots) {
+      reports[row.bureau] = typeof row.report_data === 'string' ? JSON.parse(row.report_data) : row.report_data;
+      snapshotDates[row.bureau] = row.created_at;
+    }
+
+    const triMerge = buildTriMerge(reports);
+    if (triMerge.disputeCandidates.length > 0) {
+      const items = await query(
+        `SELECT id, bureau, creditor_name, account_number FROM credit_items
+         WHERE client_id = $1 AND deleted_at IS NULL`,
+        [clientId]
+      );
+      for (const candidate of triMerge.disputeCandidates) {
+        const account = triMerge.accounts.find((a) => a.key === candidate.accountKey);
+        candidate.creditItemIds = {};
+        for (const bureau of candidate.bureaus) {
+          const tradeline = account.bureaus[bureau];
+          const item = items.rows.find((i) => i.bureau === bureau
+            && i.creditor_name === tradeline.creditorName && (i.account_number || '') === tradeline.accountNumber);
+          if (item) candidate.creditItemIds[bureau] = item.id;
+        }
+      }
+    }
+
+    return { ...triMerge, snapshotDates };
+  },
+
   /**
    * Get pull history for a client.
    */
@@ -0,0 +1,118 @@
+/**
+ * Mail Carrier Adapters
+ *
+ * Each carrier is reached through an adapter that turns its tracking data
+ * into TrackingEvents. Adapters are registered by name; a dispute's
+ * `carrier` column names the adapter that tracks its `tracking_number`.
+ *
+ * The built-in `fixture` adapter reads scans from a JSON file keyed by
+ * tracking number (MAIL_TRACKING_FIXTURE_PATH, defaulting to
+ * fixtures/mailTracking.json) so tracking works locally without carrier
+ * API credentials.
+ *
+ * @module utils/carrierAdapters
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} TrackingEvent
+ * @property {string} eventType - One of TRACKING_EVENT_TYPES
+ * @property {string} eventTime - ISO 8601 with the scan's UTC offset
+ * @property {string} [location]
+ * @property {string} [description]
+ * @property {Object} [raw] - The carrier's original record
+ */
+
+/**
+ * @typedef {Object} CarrierAdapter
+ * @property {string} name
+ * @property {function(string): Promise<TrackingEvent[]|null>} track -
+ *   Scans for a tracking number, oldest first; null when the carrier does
+ *   not know the number
+ */
+
+/** @type {string[]} */
+const TRACKING_EVENT_TYPES = ['accepted', 'in_transit', 'out_for_delivery', 'delivered', 'exception', 'returned'];
+
+const DEFAULT_FIXTURE_PATH = path.join(__dirname, '../fixtures/mailTracking.json');
+
+/** @type {Map<string, CarrierAdapter>} */
+const adapters = new Map();
+
+/**
+ * Register (or replace) a carrier adapter.
+ * @param {CarrierAdapter} adapter
+ */
+function registerCarrierAdapter(adapter) {
+  if (!adapter?.name || typeof adapter.track !== 'function') {
+    throw new Error('Carrier adapter needs a name and a track() function');
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+/**
+ * @param {string} name
+ * @returns {CarrierAdapter|null}
+ */
+function getCarrierAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+/**
+ * Names of the registered carriers.
+ * @returns {string[]}
+ */
+function listCarriers() {
+  return [...adapters.keys()];
+}
+
+/**
+ * Carrier used when staff enter a tracking number without naming one.
+ * @returns {string}
+ */
+function defaultCarrier() {
+  return process.env.MAIL_CARRIER || 'fixture';
+}
+
+/**
+ * Adapter backed by a JSON file of `{ trackingNumber: [{ status, time,
+ * location, description }] }`. The file is re-read on every call so it can
+ * be edited while the server runs.
+ * @param {string} [filePath]
+ * @returns {CarrierAdapter}
+ */
+function createFixtureAdapter(filePath = process.env.MAIL_TRACKING_FIXTURE_PATH || DEFAULT_FIXTURE_PATH) {
+  return {
+    name: 'fixture',
+    async track(trackingNumber) {
+      if (!fs.existsSync(filePath)) return null;
+      const fixtures = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      const scans = fixtures[trackingNumber];
+      if (!Array.isArray(scans)) return null;
+
+      return scans
+        .filter((scan) => TRACKING_EVENT_TYPES.includes(scan.status))
+        .map((scan) => ({
+          eventType: scan.status,
+          eventTime: scan.time,
+          location: scan.location,
+          description: scan.description,
+          raw: scan,
+        }))
+        .sort((a, b) => Date.parse(a.eventTime) - Date.parse(b.eventTime));
+    },
+  };
+}
+
+registerCarrierAdapter(createFixtureAdapter());
+
+module.exports = {
+  TRACKING_EVENT_TYPES,
+  registerCarrierAdapter,
+  getCarrierAdapter,
+  listCarriers,
+  defaultCarrier,
+  createFixtureAdapter,
+};
@@ -7,6 +7,10 @@ const { OpenAI } = require('openai');
 const fs = require('fs');
 const path = require('path');
 const { query } = require('../config/database');
+const { parseBankruptcyChapter, flagObsoleteItems } = require('./obsolescence');
+const { validateClientName, recordPersonalInfo } = require('./personalInfo');
+const { recordInquiries } = require('./inquiries');
+const { isMedicalItem, flagMedicalItems } = require('./medicalDebt');
 
 // Initialize OpenAI client
 let client = null;
@@ -37,6 +41,7 @@ OUTPUT FORMAT (JSON only, no additional text):
   "reportDate": "2026-02-01",
   "personalInfo": {
     "fullName": "JOHN MICHAEL DOE",
+    "nameVariations": ["JOHN M DOE", "JON DOE"],
     "currentAddress": {
       "street": "123 Main Street Apt 4B",
       "city": "Miami",
@@ -68,6 +73,8 @@ OUTPUT FORMAT (JSON only, no additional text):
       "creditLimit": 5000.00,
       "dateOpened": "2022-01-15",
       "dateReported": "2025-12-01",
+      "dateOfFirstDelinquency": "2023-04-01",
+      "bankruptcyChapter": null,
       "lastPaymentDate": "2025-06-15",
       "status": "collection|charge_off|late_30|late_60|late_90|late_120|closed|open",
       "paymentHistory": "30 days late x3, 60 days late x1",
@@ -110,14 +117,16 @@ OUTPUT FORMAT (JSON only, no additional text):
 }
 
 IMPORTANT RULES:
-1. Extract ALL personal information visible in the report (name variations, addresses, phone numbers)
+1. Extract ALL personal information visible in the report (name variations, addresses, phone numbers, employers); fullName is the primary name and nameVariations every other name listed
 2. Only include items that can realistically be disputed (negative marks, errors, outdated info)
 3. Assign appropriate itemType based on the nature of the negative item
 4. Suggest the best disputeReason for each item
 5. Set severity: high = collections/charge-offs/bankruptcies, medium = late payments, low = inquiries
 6. Account numbers should be masked (show last 4 digits only)
 7. Extract exact dates when possible
-8. Return ONLY valid JSON, no explanations`;
+8. dateOfFirstDelinquency is the date the account first went delinquent and was never brought current (often labeled "DOFD", "Date of First Delinquency" or "Delinquency First Reported"); use null when the report does not show it, never the date opened or last reported
+9. For bankruptcies, dateOpened is the filing date and bankruptcyChapter is 7, 11, 12 or 13 (null if not shown)
+10. Return ONLY valid JSON, no explanations`;
 
 /**
  * Extract text content from uploaded file
@@ -242,6 +251,8 @@ async function processUploadedReport(clientId, filePath, bureau, documentId) {
     // Save/update extracted personal info to client profile
     if (analysis.personalInfo) {
       await updateClientProfileFromReport(clientId, analysis.personalInfo, registeredClient);
+      // Track each name, address, employer and phone for cleanup disputes
+      await recordPersonalInfo(clientId, analysis.bureau || bureau, analysis.personalInfo);
     }
     
     // Save credit score if found
@@ -258,6 +269,18 @@ async function processUploadedReport(clientId, filePath, bureau, documentId) {
       }
     }
 
+    // Track hard inquiries for client review and removal
+    if (Array.isArray(analysis.inquiries)) {
+      await recordInquiries(clientId, analysis.bureau || bureau, analysis.inquiries);
+    }
+
+    // Tag medical debt, flag what the medical debt policy excludes, and
+    // flag items already past their §605 reporting period
+    if (savedItems.length > 0) {
+      await flagMedicalItems(clientId);
+      await flagObsoleteItems(clientId);
+    }
+
     // Update document with analysis results
     await query(
       `UPDATE documents 
@@ -296,61 +319,6 @@ async function processUploadedReport(clientId, filePath, bureau, documentId) {
   }
 }
 
-/**
- * Validate that the name in the credit report matches the registered client
- * @param {string} registeredFirstName - Client's registered first name
- * @param {string} registeredLastName - Client's registered last name
- * @param {string} reportFullName - Full name extracted from credit report
- * @returns {Object} Validation result
- */
-function validateClientName(registeredFirstName, registeredLastName, reportFullName) {
-  if (!registeredFirstName || !registeredLastName || !reportFullName) {
-    return {
-      isValid: false,
-      reason: 'Missing name information for comparison',
-      registeredName: `${registeredFirstName || ''} ${registeredLastName || ''}`.trim(),
-      reportName: reportFullName || ''
-    };
-  }
-
-  const registeredFull = `${registeredFirstName} ${registeredLastName}`.toUpperCase().trim();
-  const reportUpper = reportFullName.toUpperCase().trim();
-  
-  // Check for exact match
-  if (reportUpper.includes(registeredFull) || registeredFull.includes(reportUpper)) {
-    return {
-      isValid: true,
-      matchType: 'exact',
-      registeredName: registeredFull,
-      reportName: reportFullName
-    };
-  }
-  
-  // Check if first and last names appear anywhere in the report name
-  const firstNameMatch = reportUpper.includes(registeredFirstName.toUpperCase());
-  const lastNameMatch = reportUpper.includes(registeredLastName.toUpperCase());
-  
-  if (firstNameMatch && lastNameMatch) {
-    return {
-      isValid: true,
-      matchType: 'partial',
-      registeredName: registeredFull,
-      reportName: reportFullName,
-      note: 'Names match but may be in different order or include middle name'
-    };
-  }
-  
-  // Name mismatch - requires admin review
-  return {
-    isValid: false,
-    matchType: 'mismatch',
-    reason: 'Name in credit report does not match registered client name',
-    registeredName: registeredFull,
-    reportName: reportFullName,
-    requiresAdminReview: true
-  };
-}
-
 /**
  * Update client profile with extracted information from credit report
  * Only updates fields that are empty in the current profile
@@ -477,11 +445,15 @@ async function saveCreditItem(clientId, bureau, item) {
     // Map item type
     const validItemTypes = ['late_payment', 'collection', 'charge_off', 'bankruptcy', 'foreclosure', 'repossession', 'inquiry', 'other'];
     const itemType = validItemTypes.includes(item.itemType) ? item.itemType : 'other';
+    const chapter = itemType === 'bankruptcy'
+      ? parseInt(item.bankruptcyChapter, 10) || parseBankruptcyChapter(item.remarks)
+      : null;
 
     const result = await query(
       `INSERT INTO credit_items 
-       (client_id, item_type, creditor_name, account_number, bureau, balance, status, date_opened, date_reported, description)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       (client_id, item_type, creditor_name, account_number, bureau, balance, status, date_opened, date_reported,
+        date_of_first_delinquency, bankruptcy_chapter, last_payment_date, description, is_medical)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
        RETURNING *`,
       [
         clientId,
@@ -493,7 +465,11 @@ async function saveCreditItem(clientId, bureau, item) {
         'identified', // Initial status
         item.dateOpened || null,
         item.dateReported || null,
-        `${item.suggestedDispute || ''}\nSeverity: ${item.severity || 'medium'}\nPayment History: ${item.paymentHistory || 'N/A'}`
+        item.dateOfFirstDelinquency || null,
+        [7, 11, 12, 13].includes(chapter) ? chapter : null,
+        item.lastPaymentDate || null,
+        `${item.suggestedDispute || ''}\nSeverity: ${item.severity || 'medium'}\nPayment History: ${item.paymentHistory || 'N/A'}`,
+        isMedicalItem(item)
       ]
     );
 
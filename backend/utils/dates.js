@@ -0,0 +1,29 @@
+/**
+ * Calendar Dates
+ *
+ * Dates stored as YYYY-MM-DD (sent, due, delivery and purge dates) are
+ * calendar days in UTC. The deadline engine counts statutory periods in UTC
+ * days, so every module that writes or compares such a date formats it here
+ * rather than from the server's local time, which would put a letter mailed
+ * late in the evening on a different day from the one its deadline counts from.
+ * config/database returns DATE columns as these strings, never as Dates.
+ *
+ * @module utils/dates
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format a date as YYYY-MM-DD in UTC. A YYYY-MM-DD string is returned as is.
+ * @param {string|Date|null|undefined} date
+ * @returns {string|null} null when date is empty
+ */
+function toDateString(date) {
+  if (!date) return null;
+  if (typeof date === 'string' && DATE_ONLY.test(date)) return date;
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  toDateString,
+};
@@ -0,0 +1,334 @@
+/**
+ * Debt Validation Service (FDCPA §809)
+ *
+ * Generates debt-validation requests to collectors for collection items and
+ * tracks the 30-day validation window. A collector that does not respond, or
+ * responds without adequate proof, while the account keeps reporting is
+ * flagged "unvalidated, still reporting" so a follow-up bureau dispute can be
+ * generated.
+ *
+ * @module utils/debtValidation
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { CREDIT_BUREAUS } = require('./validators');
+const { formatFurnisherAddress } = require('./furnisherDispute');
+const { buildMergeContext, loadCompanyProfile, renderTemplate } = require('./letterTemplates');
+
+/** Days the collector has to validate after receiving the request (FDCPA §809(a)/(b)) */
+const VALIDATION_WINDOW_DAYS = 30;
+
+/**
+ * Documents a collector may produce in response to a validation request
+ * @type {string[]}
+ */
+const VALIDATION_DOCUMENT_TYPES = [
+  'itemization',          // Itemized statement of the amount owed
+  'original_agreement',   // Signed contract / application with the original creditor
+  'chain_of_title',       // Bill of sale / assignment showing ownership of the debt
+  'account_statements',   // Statements from the original creditor
+  'collector_license',    // State collection license
+  'other',
+];
+
+/**
+ * Statuses for a validation request
+ * @type {string[]}
+ */
+const VALIDATION_STATUSES = ['draft', 'sent', 'validated', 'unvalidated', 'withdrawn'];
+
+/** Dispute statuses still awaiting a bureau's answer */
+const OPEN_DISPUTE_STATUSES = ['draft', 'sent', 'received', 'investigating'];
+
+/**
+ * Whether a set of produced documents is adequate validation: an itemization
+ * plus proof that the collector owns the debt and that the consumer owes it.
+ * @param {string[]} documents
+ * @returns {boolean}
+ */
+function isAdequateValidation(documents = []) {
+  return documents.includes('itemization')
+    && (documents.includes('original_agreement') || documents.includes('chain_of_title'));
+}
+
+/**
+ * Compute the end of the validation window.
+ * @param {string|Date} sentDate
+ * @returns {string} YYYY-MM-DD
+ */
+function computeValidationDeadline(sentDate) {
+  const date = new Date(toDateString(sentDate));
+  date.setUTCDate(date.getUTCDate() + VALIDATION_WINDOW_DAYS);
+  return toDateString(date);
+}
+
+/**
+ * Render the FDCPA §809(b) debt validation letter from the template in
+ * effect today.
+ * @param {Object} client - Client name/address row
+ * @param {Object} item - Collection credit item row
+ * @param {Object} collector - Furnisher row for the collector
+ * @returns {Promise<{content: string, templateVersionId: string, version: number}>}
+ */
+async function generateValidationLetter(client, item, collector) {
+  return renderTemplate('debt_validation.request', buildMergeContext({
+    client,
+    item,
+    companyProfile: await loadCompanyProfile(),
+    creditor: { name: collector.name, address: formatFurnisherAddress(collector) },
+  }));
+}
+
+/**
+ * Render the follow-up bureau dispute for an unvalidated collection.
+ * @param {Object} client - Client name/address row
+ * @param {Object} item - Collection credit item row
+ * @param {Object} request - Validation request row (with collector_name)
+ * @param {string} bureau
+ * @returns {Promise<{content: string, templateVersionId: string, version: number}>}
+ */
+async function generateUnvalidatedDisputeLetter(client, item, request, bureau) {
+  return renderTemplate('debt_validation.follow_up', buildMergeContext({
+    client,
+    item,
+    bureau,
+    companyProfile: await loadCompanyProfile(),
+    creditor: { name: request.collector_name },
+    debtValidation: {
+      sent_date: request.sent_date,
+      outcome: request.response_date
+        ? 'responded without producing adequate validation of the debt'
+        : `did not respond within ${VALIDATION_WINDOW_DAYS} days`,
+    },
+  }));
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+const REQUEST_SELECT = `
+  SELECT dv.id, dv.client_id, dv.credit_item_id, dv.furnisher_id, dv.letter_content, dv.template_version_id,
+         dv.status, dv.sent_date, dv.validation_deadline, dv.response_date,
+         dv.documents_received, dv.response_notes, dv.follow_up_dispute_ids,
+         dv.created_at, dv.updated_at,
+         f.name AS collector_name,
+         ci.creditor_name, ci.account_number, ci.balance, ci.bureau, ci.status AS item_status,
+         ((dv.status = 'unvalidated'
+           OR (dv.status = 'sent' AND dv.response_date IS NULL AND dv.validation_deadline < CURRENT_DATE))
+          AND ci.status NOT IN ('deleted', 'resolved')) AS unvalidated_still_reporting
+  FROM debt_validation_requests dv
+  JOIN furnishers f ON dv.furnisher_id = f.id
+  JOIN credit_items ci ON dv.credit_item_id = ci.id`;
+
+/**
+ * Mark sent requests whose validation window closed without a response as
+ * unvalidated.
+ * @param {string} [clientId] - Limit to one client
+ * @returns {Promise<number>} Number of requests expired
+ */
+async function expireOverdueRequests(clientId) {
+  const params = [];
+  let clientFilter = '';
+  if (clientId) {
+    params.push(clientId);
+    clientFilter = ` AND client_id = $${params.length}`;
+  }
+
+  const result = await query(
+    `UPDATE debt_validation_requests
+     SET status = 'unvalidated', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'sent' AND response_date IS NULL
+       AND validation_deadline < CURRENT_DATE AND deleted_at IS NULL${clientFilter}`,
+    params
+  );
+
+  if (result.rowCount > 0) {
+    logger.info({ clientId, expired: result.rowCount }, 'Debt validation windows expired');
+  }
+  return result.rowCount;
+}
+
+/**
+ * Create a draft validation request with its generated letter.
+ * @param {Object} params
+ * @param {Object} params.client - Client name/address row
+ * @param {Object} params.item - Collection credit item row
+ * @param {Object} params.collector - Furnisher row
+ * @param {string} params.clientId
+ * @param {string} params.createdBy - User ID
+ * @returns {Promise<Object>}
+ */
+async function createValidationRequest({ client, item, collector, clientId, createdBy }) {
+  const letter = await generateValidationLetter(client, item, collector);
+
+  const result = await query(
+    `INSERT INTO debt_validation_requests (client_id, credit_item_id, furnisher_id, letter_content, template_version_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, client_id, credit_item_id, furnisher_id, letter_content, template_version_id, status, created_at`,
+    [clientId, item.id, collector.id, letter.content, letter.templateVersionId, createdBy]
+  );
+
+  logger.info({ requestId: result.rows[0].id, clientId, creditItemId: item.id }, 'Debt validation request created');
+  return result.rows[0];
+}
+
+/**
+ * Get a validation request by ID.
+ * @param {string} requestId
+ * @returns {Promise<Object|null>}
+ */
+async function getValidationRequest(requestId) {
+  const result = await query(`${REQUEST_SELECT} WHERE dv.id = $1 AND dv.deleted_at IS NULL`, [requestId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * List a client's validation requests, newest first.
+ * @param {string} clientId
+ * @param {Object} [options]
+ * @param {boolean} [options.unvalidatedOnly] - Only "unvalidated, still reporting" accounts
+ * @returns {Promise<Object[]>}
+ */
+async function listValidationRequests(clientId, { unvalidatedOnly = false } = {}) {
+  await expireOverdueRequests(clientId);
+
+  const result = await query(
+    `${REQUEST_SELECT}
+     WHERE dv.client_id = $1 AND dv.deleted_at IS NULL
+     ${unvalidatedOnly ? `AND dv.status = 'unvalidated' AND ci.status NOT IN ('deleted', 'resolved')` : ''}
+     ORDER BY dv.created_at DESC`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+/**
+ * Mark a request as mailed and start the validation window.
+ * @param {string} requestId
+ * @param {string} sentDate - YYYY-MM-DD
+ * @returns {Promise<Object|null>}
+ */
+async function markSent(requestId, sentDate) {
+  const result = await query(
+    `UPDATE debt_validation_requests
+     SET status = 'sent', sent_date = $1, validation_deadline = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND status = 'draft' AND deleted_at IS NULL
+     RETURNING id, status, sent_date, validation_deadline`,
+    [sentDate, computeValidationDeadline(sentDate), requestId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the collector's response. Unless an explicit outcome is given, the
+ * debt counts as validated only when the documents are adequate.
+ * @param {string} requestId
+ * @param {Object} response
+ * @param {string} response.responseDate - YYYY-MM-DD
+ * @param {string[]} [response.documentsReceived]
+ * @param {string} [response.notes]
+ * @param {'validated'|'unvalidated'} [response.outcome]
+ * @returns {Promise<Object|null>}
+ */
+async function recordResponse(requestId, { responseDate, documentsReceived = [], notes, outcome }) {
+  const status = outcome || (isAdequateValidation(documentsReceived) ? 'validated' : 'unvalidated');
+
+  const result = await query(
+    `UPDATE debt_validation_requests
+     SET status = $1, response_date = $2, documents_received = $3, response_notes = $4,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $5 AND status IN ('sent', 'unvalidated') AND deleted_at IS NULL
+     RETURNING id, status, response_date, documents_received, response_notes`,
+    [status, responseDate, JSON.stringify(documentsReceived), notes || null, requestId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Create draft bureau disputes for an unvalidated, still-reporting collection.
+ * One dispute per bureau the item appears on. Nothing is created while an
+ * earlier follow-up dispute for one of the bureaus is still open; the request
+ * row is locked so two submissions cannot both pass that check.
+ * @param {Object} request - Validation request row from getValidationRequest
+ * @param {Object} client - Client name/address row
+ * @param {string[]} [bureaus] - Defaults to the item's bureau(s)
+ * @returns {Promise<{ disputes: Object[], openBureaus: string[] }>} Created
+ *   disputes, or none and the bureaus that already have an open follow-up dispute
+ */
+async function createFollowUpDisputes(request, client, bureaus) {
+  const targets = bureaus && bureaus.length
+    ? bureaus
+    : (request.bureau === 'all' ? CREDIT_BUREAUS : [request.bureau]);
+
+  const item = {
+    creditor_name: request.creditor_name,
+    account_number: request.account_number,
+  };
+
+  const letters = [];
+  for (const bureau of targets) {
+    letters.push({ bureau, letter: await generateUnvalidatedDisputeLetter(client, item, request, bureau) });
+  }
+
+  return transaction(async (dbClient) => {
+    const locked = await dbClient.query(
+      'SELECT follow_up_dispute_ids FROM debt_validation_requests WHERE id = $1 FOR UPDATE',
+      [request.id]
+    );
+    const open = await dbClient.query(
+      `SELECT DISTINCT bureau FROM disputes
+       WHERE id = ANY($1::uuid[]) AND bureau = ANY($2) AND status = ANY($3) AND deleted_at IS NULL`,
+      [locked.rows[0]?.follow_up_dispute_ids || [], targets, OPEN_DISPUTE_STATUSES]
+    );
+    if (open.rows.length > 0) {
+      return { disputes: [], openBureaus: open.rows.map((row) => row.bureau) };
+    }
+
+    const disputes = [];
+    for (const { bureau, letter } of letters) {
+      const result = await dbClient.query(
+        `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, letter_content, template_version_id, status)
+         VALUES ($1, $2, 'inaccurate_info', $3, $4, $5, 'draft')
+         RETURNING id, client_id, credit_item_id, dispute_type, bureau, letter_content, template_version_id, status, created_at`,
+        [request.client_id, request.credit_item_id, bureau, letter.content, letter.templateVersionId]
+      );
+      disputes.push(result.rows[0]);
+    }
+
+    await dbClient.query(
+      `UPDATE debt_validation_requests
+       SET follow_up_dispute_ids = follow_up_dispute_ids || $1::uuid[],
+           status = 'unvalidated', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [disputes.map((d) => d.id), request.id]
+    );
+
+    await dbClient.query(
+      `UPDATE credit_items SET status = 'disputing', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [request.credit_item_id]
+    );
+
+    logger.info({ requestId: request.id, disputes: disputes.length }, 'Follow-up disputes created for unvalidated debt');
+    return { disputes, openBureaus: [] };
+  });
+}
+
+module.exports = {
+  VALIDATION_WINDOW_DAYS,
+  VALIDATION_DOCUMENT_TYPES,
+  VALIDATION_STATUSES,
+  isAdequateValidation,
+  computeValidationDeadline,
+  generateValidationLetter,
+  generateUnvalidatedDisputeLetter,
+  expireOverdueRequests,
+  createValidationRequest,
+  getValidationRequest,
+  listValidationRequests,
+  markSent,
+  recordResponse,
+  createFollowUpDisputes,
+};
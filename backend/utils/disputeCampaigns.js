@@ -0,0 +1,275 @@
+/**
+ * Dispute Campaign Service
+ *
+ * A campaign is the sequence of disputes sent to one bureau about one
+ * credit item. Each dispute becomes a numbered round when it is sent — not
+ * when it is drafted — so deleted drafts never count. A round's outcome
+ * comes from the bureau's results letter, and the next round is scheduled
+ * from STRATEGY_ROUNDS[round].waitDays after the round was sent.
+ *
+ * @module utils/disputeCampaigns
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { STRATEGY_ROUNDS } = require('./disputeStrategy');
+
+/**
+ * Possible outcomes of a round
+ * @type {string[]}
+ */
+const ROUND_OUTCOMES = ['pending', 'deleted', 'updated', 'verified', 'no_response'];
+
+/** The last round in STRATEGY_ROUNDS; a campaign ends after it */
+const FINAL_ROUND = Math.max(...Object.keys(STRATEGY_ROUNDS).map(Number));
+
+/**
+ * Date the round after this one is due: sent date plus the round's wait.
+ * @param {number} roundNumber
+ * @param {string|Date} sentDate
+ * @returns {string} YYYY-MM-DD
+ */
+function computeNextRoundDate(roundNumber, sentDate) {
+  const { waitDays } = STRATEGY_ROUNDS[Math.min(roundNumber, FINAL_ROUND)];
+  const next = new Date(`${toDateString(sentDate)}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + waitDays);
+  return toDateString(next);
+}
+
+/**
+ * Derive the round to work on from a campaign's rounds.
+ * @param {Object[]} rounds - dispute_rounds rows, any order
+ * @returns {{ currentRound: number, inProgress: boolean, previousResult: string|null }}
+ *   inProgress is true while the latest round still awaits an outcome;
+ *   previousResult is the latest known outcome
+ */
+function deriveCampaignState(rounds) {
+  const sorted = [...rounds].sort((a, b) => a.round_number - b.round_number);
+  const latest = sorted[sorted.length - 1];
+  if (!latest) return { currentRound: 1, inProgress: false, previousResult: null };
+
+  const decided = sorted.filter((r) => r.outcome !== 'pending');
+  const previousResult = decided.length > 0 ? decided[decided.length - 1].outcome : null;
+
+  if (latest.outcome === 'pending') {
+    return { currentRound: latest.round_number, inProgress: true, previousResult };
+  }
+  return { currentRound: Math.min(latest.round_number + 1, FINAL_ROUND), inProgress: false, previousResult };
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+
+/**
+ * Record a sent bureau dispute as the next round of its campaign, creating
+ * the campaign on the first round. Furnisher disputes and disputes without a
+ * credit item are not part of a campaign. Safe to call twice for a dispute.
+ * @param {Object} dispute - { id, client_id, credit_item_id, bureau, target_type, sent_date }
+ * @param {Object} [db] - Transaction client; a new transaction is used if omitted
+ * @returns {Promise<Object|null>} The round, or null if the dispute is not campaign-tracked
+ */
+async function recordRoundSent(dispute, db) {
+  if (dispute.target_type === 'furnisher' || !dispute.credit_item_id || !dispute.bureau) return null;
+  if (!db) return transaction((client) => recordRoundSent(dispute, client));
+
+  // The upsert locks the campaign row, so concurrent sends number rounds in turn
+  const campaignResult = await db.query(
+    `INSERT INTO dispute_campaigns (client_id, credit_item_id, bureau)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (credit_item_id, bureau) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+     RETURNING id`,
+    [dispute.client_id, dispute.credit_item_id, dispute.bureau]
+  );
+  const campaignId = campaignResult.rows[0].id;
+
+  const existing = await db.query(
+    `SELECT id, round_number, dispute_id, next_round_date FROM dispute_rounds
+     WHERE campaign_id = $1 ORDER BY round_number DESC`,
+    [campaignId]
+  );
+  const already = existing.rows.find((r) => r.dispute_id === dispute.id);
+  if (already) return already;
+
+  const roundNumber = (existing.rows[0]?.round_number || 0) + 1;
+  const sentDate = toDateString(dispute.sent_date || new Date());
+  const nextRoundDate = computeNextRoundDate(roundNumber, sentDate);
+
+  const roundResult = await db.query(
+    `INSERT INTO dispute_rounds (campaign_id, round_number, dispute_id, sent_date, next_round_date)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, campaign_id, round_number, dispute_id, sent_date, outcome, next_round_date`,
+    [campaignId, roundNumber, dispute.id, sentDate, nextRoundDate]
+  );
+
+  await db.query(
+    `UPDATE dispute_campaigns SET status = 'active', next_round_date = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2`,
+    [nextRoundDate, campaignId]
+  );
+
+  logger.info({ campaignId, disputeId: dispute.id, roundNumber }, 'Dispute round recorded');
+  return roundResult.rows[0];
+}
+
+/**
+ * Record the outcome of the round a dispute belongs to and move the
+ * campaign on: a deletion wins it, the final round exhausts it, anything
+ * else leaves the next round due on its scheduled date (or now, if the
+ * outcome arrived after that date).
+ * @param {string} disputeId
+ * @param {string} outcome - One of ROUND_OUTCOMES except 'pending'
+ * @param {string} outcomeDate - YYYY-MM-DD
+ * @param {Object} [db] - Transaction client; a new transaction is used if omitted
+ * @returns {Promise<Object|null>} The round, or null if the dispute has none
+ */
+async function recordRoundOutcome(disputeId, outcome, outcomeDate, db) {
+  if (!db) return transaction((client) => recordRoundOutcome(disputeId, outcome, outcomeDate, client));
+
+  const result = await db.query(
+    `UPDATE dispute_rounds SET outcome = $1, outcome_date = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE dispute_id = $3
+     RETURNING id, campaign_id, round_number, dispute_id, sent_date, outcome, outcome_date, next_round_date`,
+    [outcome, outcomeDate, disputeId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const round = result.rows[0];
+  let status = 'active';
+  if (outcome === 'deleted') status = 'won';
+  else if (round.round_number >= FINAL_ROUND) status = 'exhausted';
+
+  await db.query(
+    `UPDATE dispute_campaigns
+     SET status = $1,
+         next_round_date = CASE WHEN $1 = 'active' THEN GREATEST($2::date, $3::date) END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4`,
+    [status, round.next_round_date, outcomeDate, round.campaign_id]
+  );
+
+  logger.info({ campaignId: round.campaign_id, roundNumber: round.round_number, outcome, status }, 'Dispute round outcome recorded');
+  return round;
+}
+
+const CAMPAIGN_COLUMNS = `c.id, c.client_id, c.credit_item_id, c.bureau, c.status, c.next_round_date,
+       c.created_at, c.updated_at, ci.creditor_name, ci.account_number, ci.item_type`;
+
+/**
+ * Rounds of a campaign, in order, with their dispute's status and type.
+ * @param {string} campaignId
+ * @returns {Promise<Object[]>}
+ */
+async function getRounds(campaignId) {
+  const result = await query(
+    `SELECT r.id, r.round_number, r.dispute_id, r.sent_date, r.outcome, r.outcome_date, r.next_round_date,
+            d.dispute_type, d.status AS dispute_status
+     FROM dispute_rounds r
+     JOIN disputes d ON r.dispute_id = d.id
+     WHERE r.campaign_id = $1
+     ORDER BY r.round_number ASC`,
+    [campaignId]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a campaign with its rounds and derived state.
+ * @param {string} campaignId
+ * @returns {Promise<Object|null>}
+ */
+async function getCampaign(campaignId) {
+  const result = await query(
+    `SELECT ${CAMPAIGN_COLUMNS}
+     FROM dispute_campaigns c
+     JOIN credit_items ci ON c.credit_item_id = ci.id
+     WHERE c.id = $1`,
+    [campaignId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const rounds = await getRounds(campaignId);
+  return { ...result.rows[0], rounds, ...deriveCampaignState(rounds) };
+}
+
+/**
+ * Campaign state for a credit item at a bureau — what the strategy engine
+ * needs to pick the next round. An item that was never disputed there is
+ * at round 1 with no campaign.
+ * @param {string} creditItemId
+ * @param {string} bureau
+ * @returns {Promise<{campaign: Object|null, rounds: Object[], currentRound: number, inProgress: boolean, previousResult: string|null}>}
+ */
+async function getCampaignState(creditItemId, bureau) {
+  const result = await query(
+    `SELECT id, status, next_round_date FROM dispute_campaigns WHERE credit_item_id = $1 AND bureau = $2`,
+    [creditItemId, bureau]
+  );
+  if (result.rows.length === 0) {
+    return { campaign: null, rounds: [], ...deriveCampaignState([]) };
+  }
+
+  const campaign = result.rows[0];
+  const rounds = await getRounds(campaign.id);
+  return { campaign, rounds, ...deriveCampaignState(rounds) };
+}
+
+/**
+ * List a client's campaigns with their round counts, newest activity first.
+ * @param {string} clientId
+ * @returns {Promise<Object[]>}
+ */
+async function listCampaigns(clientId) {
+  const result = await query(
+    `SELECT ${CAMPAIGN_COLUMNS},
+            COUNT(r.id)::int AS rounds_sent,
+            MAX(r.round_number) AS latest_round
+     FROM dispute_campaigns c
+     JOIN credit_items ci ON c.credit_item_id = ci.id
+     LEFT JOIN dispute_rounds r ON r.campaign_id = c.id
+     WHERE c.client_id = $1
+     GROUP BY c.id, ci.id
+     ORDER BY c.updated_at DESC`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+/**
+ * Active campaigns whose next round is due on or before a date, across all
+ * clients, excluding those still waiting on the bureau.
+ * @param {string} [asOf] - YYYY-MM-DD, defaults to today
+ * @returns {Promise<Object[]>}
+ */
+async function listDueCampaigns(asOf) {
+  const result = await query(
+    `SELECT ${CAMPAIGN_COLUMNS}, u.first_name, u.last_name
+     FROM dispute_campaigns c
+     JOIN credit_items ci ON c.credit_item_id = ci.id
+     JOIN users u ON c.client_id = u.id
+     WHERE c.status = 'active' AND c.next_round_date <= COALESCE($1::date, CURRENT_DATE)
+       AND NOT EXISTS (
+         SELECT 1 FROM dispute_rounds r
+         WHERE r.campaign_id = c.id AND r.outcome = 'pending'
+           AND r.round_number = (SELECT MAX(round_number) FROM dispute_rounds WHERE campaign_id = c.id)
+       )
+     ORDER BY c.next_round_date ASC
+     LIMIT 200`,
+    [asOf || null]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ROUND_OUTCOMES,
+  FINAL_ROUND,
+  computeNextRoundDate,
+  deriveCampaignState,
+  recordRoundSent,
+  recordRoundOutcome,
+  getCampaign,
+  getCampaignState,
+  listCampaigns,
+  listDueCampaigns,
+};
@@ -0,0 +1,343 @@
+/**
+ * Dispute Deadline Engine (FCRA §611(a)(1))
+ *
+ * A bureau must finish its reinvestigation within 30 days of receiving a
+ * dispute, or 45 days when the consumer supplies additional relevant
+ * information during that period. Furnisher-direct disputes carry the same
+ * 30-day period under 12 CFR §1022.43(e). The period runs from confirmed
+ * delivery (clock_start_date, set by mail tracking) and from sent_date until
+ * delivery is confirmed. A Method of Verification request (§611(a)(7)) must
+ * be answered within 15 days, and an identity theft block (§605B(a)) applied
+ * within 4 business days (weekends are skipped; federal holidays are not
+ * tracked, which errs toward an earlier due date). This module computes due dates, finds overdue
+ * disputes, and builds the "failure to investigate" demand letter for them.
+ *
+ * @module utils/disputeDeadlines
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { formatFurnisherAddress } = require('./furnisherDispute');
+const { buildMergeContext, loadCompanyProfile, renderTemplate } = require('./letterTemplates');
+const { recordRoundOutcome } = require('./disputeCampaigns');
+
+/** Standard investigation period in days */
+const STANDARD_PERIOD_DAYS = 30;
+
+/** Extended period when the consumer supplied more information */
+const EXTENDED_PERIOD_DAYS = 45;
+
+/** Period for describing how a verified item was verified (§611(a)(7)) */
+const MOV_PERIOD_DAYS = 15;
+
+/** Business days to apply an identity theft block (§605B(a)) */
+const BLOCK_PERIOD_BUSINESS_DAYS = 4;
+
+/** Dispute statuses still waiting on the bureau or furnisher */
+const AWAITING_RESPONSE_STATUSES = ['sent', 'received', 'investigating'];
+
+/**
+ * SQL expression for a dispute's due date (alias `d` for disputes).
+ * @type {string}
+ */
+const DUE_DATE_SQL = `(COALESCE(d.clock_start_date, d.sent_date) + CASE
+  WHEN d.dispute_type = 'identity_theft_block' THEN
+    CASE EXTRACT(ISODOW FROM COALESCE(d.clock_start_date, d.sent_date))
+      WHEN 1 THEN 4 WHEN 6 THEN 5 WHEN 7 THEN 4 ELSE 6 END
+  WHEN d.dispute_type = 'method_of_verification' THEN ${MOV_PERIOD_DAYS}
+  WHEN d.additional_info_date IS NOT NULL THEN ${EXTENDED_PERIOD_DAYS}
+  ELSE ${STANDARD_PERIOD_DAYS} END)`;
+
+/** SQL condition for disputes still awaiting a response (alias `d`) */
+const AWAITING_SQL = `d.sent_date IS NOT NULL AND d.response_date IS NULL
+  AND d.status IN ('sent', 'received', 'investigating') AND d.deleted_at IS NULL`;
+
+/**
+ * Add business days (Monday to Friday) to a date.
+ * @param {string|Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+function addBusinessDays(date, days) {
+  const result = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    result.setUTCDate(result.getUTCDate() + 1);
+    const weekday = result.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) remaining -= 1;
+  }
+  return result;
+}
+
+/**
+ * Statutory period for a dispute, in business days for identity theft
+ * blocks and calendar days otherwise.
+ * @param {string|Date|null} [additionalInfoDate]
+ * @param {string} [disputeType]
+ * @returns {number}
+ */
+function getPeriodDays(additionalInfoDate = null, disputeType = null) {
+  if (disputeType === 'identity_theft_block') return BLOCK_PERIOD_BUSINESS_DAYS;
+  if (disputeType === 'method_of_verification') return MOV_PERIOD_DAYS;
+  return additionalInfoDate ? EXTENDED_PERIOD_DAYS : STANDARD_PERIOD_DAYS;
+}
+
+/**
+ * Compute the statutory due date for a dispute.
+ * @param {string|Date} startDate - Delivery date, or sent date while delivery is unconfirmed
+ * @param {string|Date|null} [additionalInfoDate]
+ * @param {string} [disputeType]
+ * @returns {string|null} YYYY-MM-DD, or null when not yet sent
+ */
+function computeDueDate(startDate, additionalInfoDate = null, disputeType = null) {
+  if (!startDate) return null;
+  if (disputeType === 'identity_theft_block') {
+    return toDateString(addBusinessDays(startDate, BLOCK_PERIOD_BUSINESS_DAYS));
+  }
+  const due = new Date(startDate);
+  due.setUTCDate(due.getUTCDate() + getPeriodDays(additionalInfoDate, disputeType));
+  return toDateString(due);
+}
+
+/**
+ * Deadline status for a single dispute row.
+ * @param {Object} dispute - Row with dispute_type, sent_date, clock_start_date, additional_info_date,
+ *   response_date, status
+ * @param {Date} [today]
+ * @returns {{ dueDate: string|null, periodDays: number, daysRemaining: number|null, overdue: boolean,
+ *   awaitingResponse: boolean, clockStart: 'delivered'|'sent'|null }}
+ */
+function getDeadlineStatus(dispute, today = new Date()) {
+  const periodDays = getPeriodDays(dispute.additional_info_date, dispute.dispute_type);
+  // Without a sent date the dispute has not gone out, whatever else is set
+  const startDate = dispute.sent_date ? (dispute.clock_start_date || dispute.sent_date) : null;
+  const dueDate = computeDueDate(startDate, dispute.additional_info_date, dispute.dispute_type);
+  const awaitingResponse = Boolean(dueDate)
+    && !dispute.response_date
+    && AWAITING_RESPONSE_STATUSES.includes(dispute.status);
+
+  if (!dueDate) {
+    return { dueDate: null, periodDays, daysRemaining: null, overdue: false, awaitingResponse: false, clockStart: null };
+  }
+
+  const startOfToday = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const daysRemaining = Math.round((Date.parse(dueDate) - startOfToday) / 86400000);
+
+  return {
+    dueDate,
+    periodDays,
+    daysRemaining,
+    overdue: awaitingResponse && daysRemaining < 0,
+    awaitingResponse,
+    clockStart: dispute.clock_start_date ? 'delivered' : 'sent',
+  };
+}
+
+/**
+ * List disputes past their statutory deadline, most overdue first.
+ * @param {Object} [options]
+ * @param {string} [options.clientId] - Limit to one client
+ * @param {number} [options.limit=100]
+ * @returns {Promise<Object[]>}
+ */
+async function listOverdueDisputes({ clientId, limit = 100 } = {}) {
+  const params = [limit];
+  let clientFilter = '';
+  if (clientId) {
+    params.push(clientId);
+    clientFilter = ` AND d.client_id = $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT d.id, d.client_id, d.credit_item_id, d.dispute_type, d.bureau, d.target_type,
+            d.status, d.sent_date, d.clock_start_date, d.additional_info_date, d.escalated_at,
+            ${DUE_DATE_SQL} AS due_date,
+            CURRENT_DATE - ${DUE_DATE_SQL} AS days_overdue,
+            ci.creditor_name, ci.account_number,
+            f.name AS furnisher_name,
+            u.first_name, u.last_name
+     FROM disputes d
+     LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
+     LEFT JOIN furnishers f ON d.furnisher_id = f.id
+     LEFT JOIN users u ON d.client_id = u.id
+     WHERE ${AWAITING_SQL} AND ${DUE_DATE_SQL} < CURRENT_DATE${clientFilter}
+     ORDER BY due_date ASC
+     LIMIT $1`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Count disputes past their statutory deadline.
+ * @returns {Promise<number>}
+ */
+async function countOverdueDisputes() {
+  const result = await query(
+    `SELECT COUNT(*) AS count FROM disputes d
+     WHERE ${AWAITING_SQL} AND ${DUE_DATE_SQL} < CURRENT_DATE`
+  );
+  return parseInt(result.rows[0].count);
+}
+
+/**
+ * Turn overdue dispute rows into dashboard alerts.
+ * @param {Object[]} overdue - Rows from listOverdueDisputes
+ * @returns {Object[]}
+ */
+function toOverdueAlerts(overdue) {
+  return overdue.map((d) => ({
+    type: 'dispute_overdue',
+    severity: d.escalated_at ? 'medium' : 'high',
+    disputeId: d.id,
+    clientId: d.client_id,
+    recipient: d.target_type === 'furnisher' ? d.furnisher_name : d.bureau,
+    creditorName: d.creditor_name,
+    dueDate: d.due_date,
+    daysOverdue: parseInt(d.days_overdue),
+    escalated: Boolean(d.escalated_at),
+    message: `No response from ${d.target_type === 'furnisher' ? d.furnisher_name : d.bureau} about ${d.creditor_name || 'a disputed item'} — ${d.days_overdue} day(s) past the statutory deadline`,
+  }));
+}
+
+/**
+ * List disputes whose deadline falls within the next `days` days.
+ * @param {number} [days=7]
+ * @returns {Promise<Object[]>}
+ */
+async function listUpcomingDeadlines(days = 7) {
+  const result = await query(
+    `SELECT d.id, d.client_id, d.bureau, d.target_type, d.sent_date, d.clock_start_date,
+            ${DUE_DATE_SQL} AS due_date,
+            ci.creditor_name
+     FROM disputes d
+     LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
+     WHERE ${AWAITING_SQL}
+       AND ${DUE_DATE_SQL} BETWEEN CURRENT_DATE AND CURRENT_DATE + $1::int
+     ORDER BY due_date ASC`,
+    [days]
+  );
+  return result.rows;
+}
+
+/**
+ * Template key of the "failure to investigate" letter for an overdue dispute.
+ * @param {Object} dispute - Dispute row with dispute_type and target_type
+ * @returns {string}
+ */
+function failureToInvestigateTemplateKey(dispute) {
+  if (dispute.target_type === 'furnisher') return 'escalation.furnisher';
+  if (dispute.dispute_type === 'method_of_verification') return 'escalation.method_of_verification';
+  if (dispute.dispute_type === 'identity_theft_block') return 'escalation.identity_theft_block';
+  return 'escalation.bureau';
+}
+
+/**
+ * Build the "failure to investigate within the statutory period" letter from
+ * the escalation.* template in effect today.
+ * @param {Object} client - Client name/address row
+ * @param {Object} dispute - Dispute row with creditor_name, account_number,
+ *   bureau/target_type and furnisher fields
+ * @returns {Promise<{content: string, templateVersionId: string, version: number}>}
+ */
+async function generateFailureToInvestigateLetter(client, dispute) {
+  const { dueDate, periodDays } = getDeadlineStatus(dispute);
+  const creditor = dispute.target_type === 'furnisher'
+    ? {
+      name: dispute.furnisher_name,
+      address: formatFurnisherAddress({
+        name: dispute.furnisher_name,
+        address_line1: dispute.furnisher_address_line1,
+        address_line2: dispute.furnisher_address_line2,
+        city: dispute.furnisher_city,
+        state: dispute.furnisher_state,
+        zip_code: dispute.furnisher_zip_code,
+      }),
+    }
+    : {};
+
+  return renderTemplate(failureToInvestigateTemplateKey(dispute), buildMergeContext({
+    client,
+    item: { creditor_name: dispute.creditor_name, account_number: dispute.account_number },
+    bureau: dispute.bureau,
+    companyProfile: await loadCompanyProfile(),
+    originalDispute: { ...dispute, due_date: dueDate, period_days: periodDays },
+    creditor,
+  }));
+}
+
+/**
+ * Load a dispute with the fields needed for the demand letter.
+ * @param {string} disputeId
+ * @returns {Promise<Object|null>}
+ */
+async function getDisputeForEscalation(disputeId) {
+  const result = await query(
+    `SELECT d.id, d.client_id, d.credit_item_id, d.dispute_type, d.bureau, d.target_type, d.furnisher_id,
+            d.status, d.sent_date, d.clock_start_date, d.additional_info_date, d.response_date,
+            d.escalated_at, d.escalation_dispute_id,
+            ci.creditor_name, ci.account_number,
+            f.name AS furnisher_name, f.address_line1 AS furnisher_address_line1,
+            f.address_line2 AS furnisher_address_line2, f.city AS furnisher_city,
+            f.state AS furnisher_state, f.zip_code AS furnisher_zip_code
+     FROM disputes d
+     LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
+     LEFT JOIN furnishers f ON d.furnisher_id = f.id
+     WHERE d.id = $1 AND d.deleted_at IS NULL`,
+    [disputeId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Save the demand letter as a new draft dispute, mark the overdue dispute
+ * as escalated and close its campaign round with no response.
+ * @param {Object} dispute - Row from getDisputeForEscalation
+ * @param {{content: string, templateVersionId: string}} letter - From generateFailureToInvestigateLetter
+ * @returns {Promise<Object>} The new draft dispute
+ */
+async function createEscalation(dispute, letter) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, target_type, furnisher_id, letter_content, template_version_id, status)
+       VALUES ($1, $2, 'other', $3, $4, $5, $6, $7, 'draft')
+       RETURNING id, client_id, credit_item_id, dispute_type, bureau, target_type, furnisher_id, letter_content, template_version_id, status, created_at`,
+      [dispute.client_id, dispute.credit_item_id, dispute.bureau, dispute.target_type, dispute.furnisher_id,
+        letter.content, letter.templateVersionId]
+    );
+
+    await client.query(
+      `UPDATE disputes SET escalated_at = CURRENT_TIMESTAMP, escalation_dispute_id = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [result.rows[0].id, dispute.id]
+    );
+
+    // The bureau never answered; its campaign round ends without a response
+    await recordRoundOutcome(dispute.id, 'no_response', toDateString(new Date()), client);
+
+    logger.info({ disputeId: dispute.id, escalationId: result.rows[0].id }, 'Overdue dispute escalated');
+    return result.rows[0];
+  });
+}
+
+module.exports = {
+  STANDARD_PERIOD_DAYS,
+  EXTENDED_PERIOD_DAYS,
+  MOV_PERIOD_DAYS,
+  BLOCK_PERIOD_BUSINESS_DAYS,
+  AWAITING_RESPONSE_STATUSES,
+  DUE_DATE_SQL,
+  AWAITING_SQL,
+  addBusinessDays,
+  getPeriodDays,
+  computeDueDate,
+  getDeadlineStatus,
+  listOverdueDisputes,
+  countOverdueDisputes,
+  toOverdueAlerts,
+  listUpcomingDeadlines,
+  generateFailureToInvestigateLetter,
+  getDisputeForEscalation,
+  createEscalation,
+};
@@ -0,0 +1,456 @@
+/**
+ * Dispute Packet Service
+ *
+ * Builds the mail-ready PDF for a dispute: a cover sheet addressed to the
+ * bureau (or furnisher), the letter, a highlighted copy of the disputed
+ * tradeline, and the client's ID and proof of address enclosures.
+ *
+ * Image enclosures are placed on their own page. PDF and Word uploads cannot
+ * be embedded by pdfkit, so they get a placeholder page telling staff to
+ * print and insert the original at that point in the packet.
+ *
+ * @module utils/disputePacket
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { BUREAU_STRATEGIES, AGENCY_STRATEGIES } = require('./disputeStrategy');
+const { formatAddress } = require('./letterTemplates');
+
+/** document_category values accepted as proof of identity */
+const ID_DOCUMENT_CATEGORIES = ['id', 'drivers_license', 'passport', 'state_id', 'military_id'];
+
+/** document_category values enclosed with every dispute */
+const ENCLOSURE_CATEGORIES = [...ID_DOCUMENT_CATEGORIES, 'proof_of_address'];
+
+/** Cover sheet labels for enclosures that are not proof of identity */
+const ENCLOSURE_LABELS = {
+  proof_of_address: 'Proof of address',
+  ftc_identity_theft_report: 'FTC Identity Theft Report',
+  police_report: 'Police report',
+};
+
+/** Furnisher address columns, aliased the way getRecipient reads them */
+const FURNISHER_ADDRESS_COLUMNS = `f.name AS furnisher_name, f.address_line1 AS furnisher_address_line1,
+            f.address_line2 AS furnisher_address_line2, f.city AS furnisher_city,
+            f.state AS furnisher_state, f.zip_code AS furnisher_zip_code`;
+
+const UPLOADS_DIR = path.resolve(path.join(__dirname, '../uploads'));
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+const HIGHLIGHT_COLOR = '#FFF176';
+
+const PAGE_OPTIONS = { size: 'LETTER', margin: 72 };
+
+const accountSuffix = (accountNumber) => String(accountNumber || '').replace(/[^0-9A-Za-z]/g, '').slice(-4);
+
+// ============================================================================
+// Sources
+// ============================================================================
+
+/**
+ * Find the disputed item in a normalized bureau report (see bureauService
+ * normalizeReport). Matches on the account number's last four characters
+ * when both sides have one, otherwise on the creditor name.
+ * @param {Object} reportData - credit_report_snapshots.report_data
+ * @param {Object} item - { creditor_name, account_number }
+ * @returns {Object|null} The tradeline as { creditor, accountNumber, balance, paymentHistory,
+ *   lastReported, fields: [label, value][] }
+ */
+function findTradeline(reportData, item) {
+  if (!reportData || !item?.creditor_name) return null;
+
+  const creditor = item.creditor_name.toLowerCase().trim();
+  const suffix = accountSuffix(item.account_number);
+  const matches = (name, accountNumber) => {
+    const otherSuffix = accountSuffix(accountNumber);
+    if (suffix && otherSuffix) return suffix === otherSuffix;
+    const other = String(name || '').toLowerCase().trim();
+    return other !== '' && (other.includes(creditor) || creditor.includes(other));
+  };
+
+  const account = (reportData.accounts || []).find((a) => matches(a.creditorName, a.accountNumber));
+  if (account) {
+    return {
+      creditor: account.creditorName,
+      accountNumber: account.accountNumber,
+      balance: account.balance ?? null,
+      paymentHistory: account.paymentHistory || null,
+      lastReported: account.lastReported || reportData.reportDate || null,
+      fields: [
+        ['Creditor', account.creditorName],
+        ['Account number', account.accountNumber],
+        ['Account type', account.accountType],
+        ['Balance', account.balance],
+        ['Payment status', account.paymentStatus],
+        ['Date opened', account.dateOpened],
+        ['Last reported', account.lastReported],
+      ],
+    };
+  }
+
+  const negative = (reportData.negativeItems || []).find((n) => matches(n.creditor, n.accountNumber));
+  if (negative) {
+    return {
+      creditor: negative.creditor,
+      accountNumber: negative.accountNumber,
+      balance: negative.balance ?? null,
+      paymentHistory: negative.paymentHistory || null,
+      lastReported: negative.dateReported || reportData.reportDate || null,
+      fields: [
+        ['Creditor', negative.creditor],
+        ['Account number', negative.accountNumber],
+        ['Item type', negative.type],
+        ['Balance', negative.balance],
+        ['Status', negative.status],
+        ['Date reported', negative.dateReported],
+      ],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * The tradeline as the bureau last reported it, falling back to the item as
+ * recorded in the client file when no snapshot has it.
+ * @param {Object} dispute - Row from loadPacket's dispute query
+ * @param {string|null} bureau
+ * @returns {Promise<Object|null>} { source, reportDate, fields }
+ */
+async function loadTradeline(dispute, bureau) {
+  if (!dispute.credit_item_id) return null;
+
+  if (BUREAU_STRATEGIES[bureau]) {
+    const snapshot = await query(
+      `SELECT report_date, report_data FROM credit_report_snapshots
+       WHERE client_id = $1 AND bureau = $2
+       ORDER BY report_date DESC, created_at DESC
+       LIMIT 1`,
+      [dispute.client_id, bureau]
+    );
+    const row = snapshot.rows[0];
+    const tradeline = row && findTradeline(row.report_data, dispute);
+    if (tradeline) {
+      return { source: 'bureau_report', reportDate: toDateString(row.report_date), fields: tradeline.fields };
+    }
+  }
+
+  return {
+    source: 'client_file',
+    reportDate: toDateString(dispute.date_reported),
+    fields: [
+      ['Creditor', dispute.creditor_name],
+      ['Account number', dispute.account_number],
+      ['Item type', dispute.item_type],
+      ['Balance', dispute.balance],
+      ['Status', dispute.item_status],
+      ['Date opened', toDateString(dispute.date_opened) || ''],
+      ['Date reported', toDateString(dispute.date_reported) || ''],
+    ],
+  };
+}
+
+/**
+ * The newest ID and the newest proof of address the client uploaded, plus
+ * the identity theft reports for a §605B block request.
+ * @param {string} clientId
+ * @param {string|null} [identityTheftCaseId]
+ * @returns {Promise<Object[]>} documents rows, ID first
+ */
+async function loadEnclosures(clientId, identityTheftCaseId = null) {
+  const result = await query(
+    `SELECT id, file_name, file_path, file_type, document_category
+     FROM documents
+     WHERE client_id = $1 AND deleted_at IS NULL AND document_category = ANY($2)
+     ORDER BY uploaded_at DESC`,
+    [clientId, ENCLOSURE_CATEGORIES]
+  );
+
+  const id = result.rows.find((d) => ID_DOCUMENT_CATEGORIES.includes(d.document_category));
+  const proofOfAddress = result.rows.find((d) => d.document_category === 'proof_of_address');
+  const enclosures = [id, proofOfAddress].filter(Boolean);
+
+  if (identityTheftCaseId) {
+    const reports = await query(
+      `SELECT doc.id, doc.file_name, doc.file_path, doc.file_type, doc.document_category
+       FROM identity_theft_cases c
+       JOIN documents doc ON doc.id IN (c.ftc_report_document_id, c.police_report_document_id)
+       WHERE c.id = $1 AND doc.deleted_at IS NULL
+       ORDER BY doc.document_category`,
+      [identityTheftCaseId]
+    );
+    enclosures.push(...reports.rows);
+  }
+  return enclosures;
+}
+
+/**
+ * Who a dispute is mailed to: the furnisher for direct disputes, otherwise
+ * the bureau's dispute address.
+ * @param {Object} dispute - Row with bureau, target_type and furnisher_* columns
+ * @returns {{ name: string, address: string, mailingTips?: string }}
+ */
+function getRecipient(dispute) {
+  if (dispute.target_type === 'furnisher') {
+    return {
+      name: dispute.furnisher_name,
+      address: formatAddress(
+        dispute.furnisher_address_line1, dispute.furnisher_address_line2,
+        dispute.furnisher_city, dispute.furnisher_state, dispute.furnisher_zip_code
+      ),
+    };
+  }
+
+  const bureau = dispute.bureau || dispute.item_bureau;
+  const bureauInfo = AGENCY_STRATEGIES[bureau];
+  return {
+    name: bureauInfo?.name || bureau,
+    address: bureauInfo?.address || '',
+    mailingTips: bureauInfo?.mailingTips,
+  };
+}
+
+/**
+ * Load everything that goes into a dispute's packet.
+ * @param {string} disputeId
+ * @returns {Promise<Object|null>} null if the dispute does not exist
+ */
+async function loadPacket(disputeId) {
+  const result = await query(
+    `SELECT d.id, d.client_id, d.credit_item_id, d.dispute_type, d.bureau, d.target_type,
+            d.letter_content, d.status, d.tracking_number, d.identity_theft_case_id,
+            ci.creditor_name, ci.account_number, ci.item_type, ci.balance, ci.status AS item_status,
+            ci.date_opened, ci.date_reported, ci.bureau AS item_bureau,
+            u.first_name, u.last_name,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code,
+            ${FURNISHER_ADDRESS_COLUMNS}
+     FROM disputes d
+     JOIN users u ON d.client_id = u.id
+     LEFT JOIN client_profiles cp ON cp.user_id = u.id
+     LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
+     LEFT JOIN furnishers f ON d.furnisher_id = f.id
+     WHERE d.id = $1 AND d.deleted_at IS NULL`,
+    [disputeId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const dispute = result.rows[0];
+  const bureau = dispute.bureau || dispute.item_bureau;
+  const recipient = getRecipient(dispute);
+
+  const [tradeline, enclosures] = await Promise.all([
+    loadTradeline(dispute, bureau),
+    loadEnclosures(dispute.client_id, dispute.identity_theft_case_id),
+  ]);
+
+  return {
+    dispute,
+    recipient,
+    sender: {
+      name: `${dispute.first_name} ${dispute.last_name}`.trim(),
+      address: formatAddress(dispute.address_line1, dispute.address_line2, dispute.city, dispute.state, dispute.zip_code),
+    },
+    tradeline,
+    enclosures,
+  };
+}
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Resolve an upload's path, refusing anything outside the uploads directory.
+ * @param {string} filePath
+ * @returns {string|null} null when outside uploads or missing on disk
+ */
+function resolveUpload(filePath) {
+  if (!filePath) return null;
+  const resolved = path.resolve(filePath);
+  if (!resolved.startsWith(UPLOADS_DIR) || !fs.existsSync(resolved)) return null;
+  return resolved;
+}
+
+const formatField = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  return String(value);
+};
+
+function renderCoverSheet(doc, packet) {
+  const { dispute, recipient, sender, enclosures, tradeline } = packet;
+  doc.addPage(PAGE_OPTIONS);
+
+  doc.font('Helvetica-Bold').fontSize(16).text('CERTIFIED MAIL — RETURN RECEIPT REQUESTED', { align: 'center' });
+  doc.moveDown(2);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('FROM:');
+  doc.font('Helvetica').text(sender.name);
+  if (sender.address) doc.text(sender.address);
+  doc.moveDown(1.5);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('TO:');
+  doc.font('Helvetica').fontSize(14).text(recipient.name);
+  if (recipient.address) doc.text(recipient.address);
+  doc.fontSize(11);
+  if (recipient.mailingTips) {
+    doc.moveDown(0.5).font('Helvetica-Oblique').fontSize(9).text(recipient.mailingTips).fontSize(11);
+  }
+  doc.moveDown(1.5);
+
+  doc.font('Helvetica-Bold').text('Dispute reference: ', { continued: true }).font('Helvetica').text(dispute.id);
+  if (dispute.creditor_name) {
+    doc.font('Helvetica-Bold').text('Account: ', { continued: true })
+      .font('Helvetica').text(`${dispute.creditor_name}${dispute.account_number ? ` (${dispute.account_number})` : ''}`);
+  }
+  doc.font('Helvetica-Bold').text('Tracking number: ', { continued: true })
+    .font('Helvetica').text(dispute.tracking_number || '______________________________');
+  doc.moveDown(1.5);
+
+  doc.font('Helvetica-Bold').text('Contents:');
+  doc.font('Helvetica').list([
+    'Dispute letter',
+    ...(tradeline ? ['Copy of disputed tradeline (highlighted)'] : []),
+    ...enclosures.map((e) => `${ENCLOSURE_LABELS[e.document_category] || 'Proof of identity'} — ${e.file_name}`),
+  ]);
+  if (!enclosures.some((e) => ID_DOCUMENT_CATEGORIES.includes(e.document_category))) {
+    doc.moveDown(0.5).font('Helvetica-Bold').fillColor('red').text('No proof of identity on file.').fillColor('black');
+  }
+  if (!enclosures.some((e) => e.document_category === 'proof_of_address')) {
+    doc.moveDown(0.5).font('Helvetica-Bold').fillColor('red').text('No proof of address on file.').fillColor('black');
+  }
+}
+
+function renderLetter(doc, packet) {
+  doc.addPage(PAGE_OPTIONS);
+  doc.font('Times-Roman').fontSize(11).text(packet.dispute.letter_content || '', { align: 'left' });
+}
+
+function renderTradeline(doc, packet) {
+  const { tradeline, recipient } = packet;
+  doc.addPage(PAGE_OPTIONS);
+
+  doc.font('Helvetica-Bold').fontSize(14).text('Copy of Disputed Tradeline');
+  doc.font('Helvetica').fontSize(10).text(
+    tradeline.source === 'bureau_report'
+      ? `As reported by ${recipient.name}${tradeline.reportDate ? ` on the report dated ${tradeline.reportDate}` : ''}`
+      : 'As recorded in the client file'
+  );
+  doc.moveDown(1.5);
+
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const labelWidth = 140;
+  const rowHeight = 20;
+
+  tradeline.fields.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.rect(left, y - 4, width, rowHeight).fill(HIGHLIGHT_COLOR);
+    doc.fillColor('black').font('Helvetica-Bold').fontSize(11).text(label, left + 6, y, { width: labelWidth });
+    doc.font('Helvetica').text(formatField(value), left + labelWidth, y, { width: width - labelWidth - 6 });
+    doc.x = left;
+    doc.y = y + rowHeight + 2;
+  });
+
+  doc.moveDown(1).font('Helvetica-Oblique').fontSize(10)
+    .text('The highlighted item is the subject of the enclosed dispute.', left);
+}
+
+function renderEnclosure(doc, enclosure) {
+  doc.addPage(PAGE_OPTIONS);
+  const label = `Enclosure: ${ENCLOSURE_LABELS[enclosure.document_category] || 'Proof of identity'}`;
+  doc.font('Helvetica-Bold').fontSize(12).text(label);
+  doc.moveDown(0.5);
+
+  const filePath = resolveUpload(enclosure.file_path);
+  const ext = path.extname(enclosure.file_name || enclosure.file_path || '').toLowerCase();
+
+  if (filePath && IMAGE_EXTENSIONS.includes(ext)) {
+    try {
+      const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+      const height = doc.page.height - doc.y - doc.page.margins.bottom;
+      doc.image(filePath, doc.page.margins.left, doc.y, { fit: [width, height], align: 'center' });
+      return;
+    } catch (err) {
+      logger.warn({ err: err.message, documentId: enclosure.id }, 'Could not embed enclosure image');
+    }
+  }
+
+  doc.font('Helvetica').fontSize(11).text(
+    filePath
+      ? `Print "${enclosure.file_name}" and insert it here.`
+      : `"${enclosure.file_name}" is missing from storage. Obtain a new copy from the client and insert it here.`
+  );
+}
+
+/**
+ * Append a dispute's packet to a PDF document. Batch mailings call this once
+ * per dispute on a shared document.
+ * @param {PDFDocument} doc - Created with autoFirstPage: false
+ * @param {Object} packet - From loadPacket
+ */
+function renderPacket(doc, packet) {
+  renderCoverSheet(doc, packet);
+  renderLetter(doc, packet);
+  if (packet.tradeline) renderTradeline(doc, packet);
+  packet.enclosures.forEach((enclosure) => renderEnclosure(doc, enclosure));
+}
+
+/**
+ * A new, empty PDF document ready for renderPacket.
+ * @param {string} title
+ * @returns {PDFDocument}
+ */
+function createPacketDocument(title) {
+  return new PDFDocument({ autoFirstPage: false, info: { Title: title } });
+}
+
+/**
+ * Finish a document and collect its bytes.
+ * @param {PDFDocument} doc
+ * @returns {Promise<Buffer>}
+ */
+function documentToBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+}
+
+/**
+ * Build the mail-ready PDF for a dispute.
+ * @param {string} disputeId
+ * @returns {Promise<{pdf: Buffer, packet: Object}|null>} null if the dispute does not exist
+ */
+async function buildDisputePacket(disputeId) {
+  const packet = await loadPacket(disputeId);
+  if (!packet) return null;
+
+  const doc = createPacketDocument(`Dispute ${disputeId}`);
+  renderPacket(doc, packet);
+  const pdf = await documentToBuffer(doc);
+
+  logger.info({ disputeId, enclosures: packet.enclosures.length, bytes: pdf.length }, 'Dispute packet built');
+  return { pdf, packet };
+}
+
+module.exports = {
+  ID_DOCUMENT_CATEGORIES,
+  ENCLOSURE_CATEGORIES,
+  FURNISHER_ADDRESS_COLUMNS,
+  findTradeline,
+  getRecipient,
+  loadPacket,
+  renderPacket,
+  createPacketDocument,
+  documentToBuffer,
+  buildDisputePacket,
+};
@@ -42,6 +42,16 @@ const STRATEGY_ROUNDS = {
   }
 };
 
+/**
+ * Where consumers order the free reports from the three nationwide bureaus
+ */
+const ANNUAL_CREDIT_REPORT = {
+  online: 'https://www.annualcreditreport.com',
+  phone: '877-322-8228',
+  mail: 'Annual Credit Report Request Service\nP.O. Box 105281\nAtlanta, GA 30348-5281',
+  notes: 'Free weekly reports from all three bureaus. Bureau reports for active clients come through the bureau integrations.'
+};
+
 /**
  * Bureau-specific strategies and known weaknesses
  */
@@ -62,7 +72,8 @@ const BUREAU_STRATEGIES = {
       'Reference Equifax\'s consent decree requirements for thorough investigations',
       'Send disputes via certified mail to create paper trail for potential litigation'
     ],
-    mailingTips: 'Send to P.O. Box 740256 for disputes. Include a copy of ID and proof of address.'
+    mailingTips: 'Send to P.O. Box 740256 for disputes. Include a copy of ID and proof of address.',
+    fileRequest: ANNUAL_CREDIT_REPORT
   },
   experian: {
     name: 'Experian',
@@ -80,7 +91,8 @@ const BUREAU_STRATEGIES = {
       'If they request more info, send via certified mail with tracking',
       'Reference Experian\'s duty under §611(a)(1)(A) to forward all relevant information'
     ],
-    mailingTips: 'Send to P.O. Box 4500 for disputes. Include "ATTENTION: Consumer Disputes Department".'
+    mailingTips: 'Send to P.O. Box 4500 for disputes. Include "ATTENTION: Consumer Disputes Department".',
+    fileRequest: ANNUAL_CREDIT_REPORT
   },
   transunion: {
     name: 'TransUnion',
@@ -98,10 +110,180 @@ const BUREAU_STRATEGIES = {
       'If disputing mixed file issues, demand manual file separation',
       'Reference TransUnion\'s obligation under §611(a)(6)(B)(iii) for unverifiable items'
     ],
-    mailingTips: 'Send to P.O. Box 2000 for disputes. Use certified mail with return receipt.'
+    mailingTips: 'Send to P.O. Box 2000 for disputes. Use certified mail with return receipt.',
+    fileRequest: ANNUAL_CREDIT_REPORT
   }
 };
 
+/**
+ * Specialty and secondary consumer reporting agencies. They are consumer
+ * reporting agencies under FCRA §603(f), so the §611 dispute duties apply,
+ * and the nationwide specialty agencies (§603(x)) must give a free file
+ * disclosure once a year under §612(a). Their files are not pulled through
+ * the bureau integrations, so a dispute usually starts with a file request.
+ */
+const SPECIALTY_AGENCY_STRATEGIES = {
+  chexsystems: {
+    name: 'ChexSystems',
+    reports: 'Checking and savings account closures, unpaid overdrafts and suspected fraud, used by banks to screen new accounts',
+    address: 'Chex Systems, Inc.\nAttn: Consumer Relations\n7805 Hudson Road, Suite 100\nWoodbury, MN 55125',
+    onlineDispute: 'https://www.chexsystems.com/web/chexsystems/consumerdebit/page/disputes/',
+    weaknesses: [
+      'Banks often report closures as "suspected fraud" for ordinary overdrafts — a reason code the bank cannot support',
+      'Records stay for five years even after the balance is paid, unless the bank asks for removal',
+      'Relies on the reporting bank\'s verification with little independent review'
+    ],
+    bestTactics: [
+      'Pay or settle the bank balance first and ask the bank in writing to request removal',
+      'Dispute the reason code specifically, not just the record',
+      'Request the file first so the dispute quotes the exact reason code and reporting bank',
+      'Ask the reporting bank directly under §623(a)(8) at the same time'
+    ],
+    mailingTips: 'Mail disputes to the Consumer Relations address with a copy of ID. Online and phone disputes are also accepted.',
+    fileRequest: {
+      online: 'https://www.chexsystems.com/web/chexsystems/consumerdebit/page/requestreports/consumerdisclosure/',
+      phone: '800-428-9623',
+      mail: 'Chex Systems, Inc.\nAttn: Consumer Relations\n7805 Hudson Road, Suite 100\nWoodbury, MN 55125',
+      notes: 'Free once every 12 months. Include full name, SSN, date of birth, current address and phone.'
+    }
+  },
+  early_warning: {
+    name: 'Early Warning Services',
+    reports: 'Bank account history, closures for cause and suspected fraud shared among member banks',
+    address: 'Early Warning Services, LLC\nAttn: Consumer Services Department\n5801 N. Pima Road\nScottsdale, AZ 85250',
+    onlineDispute: 'https://www.earlywarning.com/consumer-information',
+    weaknesses: [
+      'Member banks contribute data with little consumer-facing review',
+      'Closure and fraud flags are often reported without a supporting account record'
+    ],
+    bestTactics: [
+      'Request the file first — most clients do not know Early Warning has one',
+      'Dispute each contributing bank\'s record separately and name the bank',
+      'Demand the source of any fraud flag under §611(a)(6)(B)(iii)'
+    ],
+    mailingTips: 'Mail to the Consumer Services Department with a copy of ID and proof of address.',
+    fileRequest: {
+      online: 'https://www.earlywarning.com/consumer-information',
+      phone: '800-745-1096',
+      mail: 'Early Warning Services, LLC\nAttn: Consumer Services Department\n5801 N. Pima Road\nScottsdale, AZ 85250',
+      notes: 'Free once every 12 months. Request by phone, online form or mail.'
+    }
+  },
+  lexisnexis: {
+    name: 'LexisNexis Risk Solutions',
+    reports: 'Public records, insurance claims (C.L.U.E.), identity data and alternative credit data',
+    address: 'LexisNexis Consumer Center\nP.O. Box 105108\nAtlanta, GA 30348-5108',
+    onlineDispute: 'https://consumer.risk.lexisnexis.com/dispute',
+    weaknesses: [
+      'Public record data is collected by vendors and often mismatched to people with similar names',
+      'Bankruptcies, liens and judgments are sold on to the nationwide bureaus, so errors spread'
+    ],
+    bestTactics: [
+      'Dispute public records here as well as at the bureaus — it is a common source of bureau public record data',
+      'Demand the court and case number the record was matched from',
+      'For mixed files, send proof of identity and ask that the other person\'s records be separated'
+    ],
+    mailingTips: 'Mail to the Consumer Center P.O. Box with a copy of ID. Include any court documents.',
+    fileRequest: {
+      online: 'https://consumer.risk.lexisnexis.com/request',
+      phone: '888-497-0011',
+      mail: 'LexisNexis Consumer Center\nP.O. Box 105108\nAtlanta, GA 30348-5108',
+      notes: 'Free once every 12 months. The full file disclosure covers public records, insurance and identity data.'
+    }
+  },
+  innovis: {
+    name: 'Innovis',
+    reports: 'Credit accounts, used mostly for prescreening and identity verification',
+    address: 'Innovis Consumer Assistance\nP.O. Box 1689\nPittsburgh, PA 15230-1689',
+    onlineDispute: 'https://www.innovis.com/personal/disputes',
+    weaknesses: [
+      'Receives tradelines from many of the same furnishers as the big three but updates less often',
+      'Stale balances and statuses remain after the nationwide bureaus correct them'
+    ],
+    bestTactics: [
+      'Send proof of any correction already made at the nationwide bureaus',
+      'Dispute outdated balances and statuses as inaccurate under §607(b)'
+    ],
+    mailingTips: 'Mail to Innovis Consumer Assistance with a copy of ID and proof of address.',
+    fileRequest: {
+      online: 'https://www.innovis.com/personal/creditReport',
+      phone: '800-540-2505',
+      mail: 'Innovis Consumer Assistance\nP.O. Box 1689\nPittsburgh, PA 15230-1689',
+      notes: 'Free once every 12 months.'
+    }
+  },
+  sagestream: {
+    name: 'SageStream',
+    reports: 'Alternative credit data such as payday and installment lenders, used by subprime lenders',
+    address: 'SageStream, LLC\nConsumer Office\nP.O. Box 503793\nSan Diego, CA 92150',
+    onlineDispute: 'https://www.sagestreamllc.com/dispute/',
+    weaknesses: [
+      'Small agency with limited dispute staff — responses are often late',
+      'Frequently holds inquiries and accounts from identity theft that never reached the big three'
+    ],
+    bestTactics: [
+      'Track the 30-day deadline closely; a missed deadline means deletion under §611(a)(5)(A)',
+      'Check for identity theft inquiries and request a §605B block where they appear'
+    ],
+    mailingTips: 'Mail to the Consumer Office P.O. Box with a copy of ID and proof of address.',
+    fileRequest: {
+      online: 'https://www.sagestreamllc.com/consumer-report/',
+      phone: '888-395-0277',
+      mail: 'SageStream, LLC\nConsumer Office\nP.O. Box 503793\nSan Diego, CA 92150',
+      notes: 'Free once every 12 months. A security freeze can also be placed here.'
+    }
+  },
+  saferent: {
+    name: 'SafeRent Solutions',
+    reports: 'Tenant screening: eviction records, rental payment history and screening scores',
+    address: 'SafeRent Solutions, LLC\nAttn: Consumer Relations\n7300 Westmore Road, Suite 3\nRockville, MD 20850',
+    onlineDispute: 'https://saferentsolutions.com/consumers/',
+    weaknesses: [
+      'Eviction filings are reported without the outcome — dismissed and settled cases look like judgments',
+      'Name-only court record matches mix records between different people'
+    ],
+    bestTactics: [
+      'Send the court dismissal or satisfaction and dispute the record as incomplete under §607(b)',
+      'Dispute any eviction record older than seven years under §605(a)(2)',
+      'Ask for the landlord each report was sold to in the last year'
+    ],
+    mailingTips: 'Mail to Consumer Relations with a copy of ID and any court documents.',
+    fileRequest: {
+      online: 'https://saferentsolutions.com/consumers/',
+      phone: '888-333-2413',
+      mail: 'SafeRent Solutions, LLC\nAttn: Consumer Relations\n7300 Westmore Road, Suite 3\nRockville, MD 20850',
+      notes: 'Free once every 12 months, and after any adverse rental decision based on the report.'
+    }
+  },
+  realpage: {
+    name: 'RealPage',
+    reports: 'Tenant screening: criminal and eviction records and rental history for property managers',
+    address: 'RealPage, Inc.\nAttn: Consumer Relations\n2201 Lakeside Blvd.\nRichardson, TX 75082',
+    onlineDispute: 'https://www.realpage.com/consumer-help/',
+    weaknesses: [
+      'Criminal and eviction records are matched on name and date of birth alone',
+      'Sealed and expunged records continue to be reported'
+    ],
+    bestTactics: [
+      'Dispute sealed or expunged records with the court order attached',
+      'Dispute mismatched records with proof of identity and the other person\'s distinguishing details'
+    ],
+    mailingTips: 'Mail to Consumer Relations with a copy of ID and any court documents.',
+    fileRequest: {
+      online: 'https://www.realpage.com/consumer-help/',
+      phone: '866-934-1124',
+      mail: 'RealPage, Inc.\nAttn: Consumer Relations\n2201 Lakeside Blvd.\nRichardson, TX 75082',
+      notes: 'Free after an adverse rental decision, and once every 12 months on request.'
+    }
+  }
+};
+
+/**
+ * Every reporting agency disputes and items can target, keyed by the value
+ * stored in the bureau columns
+ */
+const AGENCY_STRATEGIES = { ...BUREAU_STRATEGIES, ...SPECIALTY_AGENCY_STRATEGIES };
+
 /**
  * Recommended strategies by item type
  */
@@ -272,6 +454,7 @@ function getRecommendedStrategy(itemType, currentRound = 1, previousResult = nul
   return {
     itemType: strategy.name,
     recommendedDisputeType,
+    primaryStrategy: strategy.primaryStrategy,
     alternativeStrategies: strategy.alternativeStrategies,
     round,
     estimatedScoreImpact: strategy.estimatedScoreImpact,
@@ -282,10 +465,10 @@ function getRecommendedStrategy(itemType, currentRound = 1, previousResult = nul
 }
 
 /**
- * Get bureau-specific strategy
+ * Get bureau-specific strategy (any reporting agency)
  */
 function getBureauStrategy(bureau) {
-  return BUREAU_STRATEGIES[bureau?.toLowerCase()] || null;
+  return AGENCY_STRATEGIES[bureau?.toLowerCase()] || null;
 }
 
 /**
@@ -297,33 +480,6 @@ function getCompleteStrategy(itemType, bureau, currentRound = 1, previousResult
   return strategy;
 }
 
-/**
- * Determine the current round based on existing disputes for an item
- */
-async function determineCurrentRound(pool, creditItemId, bureau) {
-  try {
-    const result = await pool.query(
-      `SELECT COUNT(*) as dispute_count, 
-              MAX(status) as last_status
-       FROM disputes 
-       WHERE credit_item_id = $1 AND bureau = $2`,
-      [creditItemId, bureau]
-    );
-
-    const count = parseInt(result.rows[0]?.dispute_count || 0);
-    const lastStatus = result.rows[0]?.last_status;
-
-    // Determine round based on previous dispute count
-    if (count === 0) return { round: 1, previousResult: null };
-    if (count === 1) return { round: 2, previousResult: lastStatus === 'resolved' ? 'resolved' : 'verified' };
-    if (count === 2) return { round: 3, previousResult: 'verified' };
-    return { round: 4, previousResult: 'verified' };
-  } catch (error) {
-    console.error('Error determining dispute round:', error.message);
-    return { round: 1, previousResult: null };
-  }
-}
-
 /**
  * Estimate score improvement if item is removed
  */
@@ -354,10 +510,11 @@ function estimateScoreImprovement(itemType, currentScore, totalNegativeItems) {
 module.exports = {
   STRATEGY_ROUNDS,
   BUREAU_STRATEGIES,
+  SPECIALTY_AGENCY_STRATEGIES,
+  AGENCY_STRATEGIES,
   ITEM_TYPE_STRATEGIES,
   getRecommendedStrategy,
   getBureauStrategy,
   getCompleteStrategy,
-  determineCurrentRound,
   estimateScoreImprovement
 };
@@ -0,0 +1,396 @@
+/**
+ * Duplicate and Re-aged Debt Detection
+ *
+ * When a debt is sold or placed for collection it often ends up on the same
+ * bureau file more than once: the original creditor's charge-off and one or
+ * more collectors' listings, each with a balance. Listings are grouped as the
+ * same debt on matching original-creditor remarks or creditor names, backed
+ * by a matching balance or date of first delinquency (DOFD). Only listings
+ * that still carry a balance count; a zeroed original-creditor listing is
+ * the lawful history of a sold debt. The most recently reported listing is
+ * taken as the current holder and the others are disputed as duplicates.
+ *
+ * Re-aging is a DOFD moved later, which stretches the §605 reporting period
+ * (§623(a)(5) fixes the DOFD). It is caught two ways: a tradeline whose DOFD
+ * in the latest snapshot is later than the earliest DOFD any snapshot or the
+ * credit item recorded, and a collector reporting a later DOFD than the
+ * original creditor's listing of the same debt.
+ *
+ * @module utils/duplicateDebt
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { nameSimilarity, NAME_MATCH_THRESHOLD } = require('./triMerge');
+const { renderDisputeLetter } = require('./letterTemplates');
+
+/** Item types that represent a debt */
+const DEBT_ITEM_TYPES = ['collection', 'charge_off', 'late_payment'];
+
+/** Balances within this share of the larger one, or within BALANCE_TOLERANCE_MIN, match */
+const BALANCE_TOLERANCE_PCT = 0.05;
+const BALANCE_TOLERANCE_MIN = 10;
+
+/** DOFDs this many days apart are the same date; further apart a later one is re-aged */
+const DOFD_TOLERANCE_DAYS = 31;
+
+/** Dispute statuses still waiting on an outcome */
+const OPEN_DISPUTE_STATUSES = ['draft', 'sent', 'received', 'investigating'];
+
+const DAY_MS = 86400000;
+
+const daysBetween = (from, to) => Math.round((new Date(to).getTime() - new Date(from).getTime()) / DAY_MS);
+
+/**
+ * Original creditor named in an item's remarks ("Original creditor: X").
+ * @param {Object} item - credit_items row
+ * @returns {string|null}
+ */
+function originalCreditorOf(item) {
+  const match = /original(?: creditor)?:\s*(?:original(?: creditor)?:\s*)?(.+)/i.exec(item.description || '');
+  return match ? match[1].split('\n')[0].trim() : null;
+}
+
+const similar = (a, b) => Boolean(a && b) && nameSimilarity(a, b) >= NAME_MATCH_THRESHOLD;
+
+/**
+ * Why two listings look like the same debt, or null when they do not.
+ * @param {Object} a - credit_items row
+ * @param {Object} b - credit_items row
+ * @returns {string[]|null} Matching signals
+ */
+function duplicateSignals(a, b) {
+  if (a.bureau !== b.bureau) return null;
+  const balanceA = Number(a.balance);
+  const balanceB = Number(b.balance);
+  if (!(balanceA > 0 && balanceB > 0)) return null;
+
+  const signals = [];
+  const originalA = originalCreditorOf(a);
+  const originalB = originalCreditorOf(b);
+  if (similar(originalA, b.creditor_name) || similar(originalB, a.creditor_name) || similar(originalA, originalB)) {
+    signals.push('original_creditor');
+  } else if (similar(a.creditor_name, b.creditor_name)) {
+    signals.push('same_creditor');
+  }
+
+  const tolerance = Math.max(BALANCE_TOLERANCE_MIN, Math.max(balanceA, balanceB) * BALANCE_TOLERANCE_PCT);
+  if (Math.abs(balanceA - balanceB) <= tolerance) signals.push('balance');
+
+  const dofdA = a.date_of_first_delinquency;
+  const dofdB = b.date_of_first_delinquency;
+  if (dofdA && dofdB && Math.abs(daysBetween(dofdA, dofdB)) <= DOFD_TOLERANCE_DAYS) signals.push('dofd');
+
+  // A related creditor needs a matching figure to back it up; unrelated names need both
+  const related = signals.includes('original_creditor') || signals.includes('same_creditor');
+  return (related ? signals.length > 1 : signals.length === 2) ? signals : null;
+}
+
+/**
+ * Group a client's listings that look like the same debt.
+ * @param {Object[]} items - credit_items rows
+ * @returns {Array<{ bureau: string, primary: Object, duplicates: Object[], signals: string[], reaged: Object[] }>}
+ */
+function findDuplicateGroups(items) {
+  const parent = items.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const signalsByRoot = new Map();
+
+  const pairs = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const signals = duplicateSignals(items[i], items[j]);
+      if (signals) {
+        parent[find(j)] = find(i);
+        pairs.push({ i, signals });
+      }
+    }
+  }
+  for (const { i, signals } of pairs) {
+    const root = find(i);
+    signalsByRoot.set(root, new Set([...(signalsByRoot.get(root) || []), ...signals]));
+  }
+
+  const members = new Map();
+  items.forEach((item, i) => {
+    if (!signalsByRoot.has(find(i))) return;
+    if (!members.has(find(i))) members.set(find(i), []);
+    members.get(find(i)).push(item);
+  });
+
+  return [...members.entries()].map(([root, group]) => {
+    // The most recently reported listing is the current holder; a collector
+    // wins a tie with the creditor it bought from
+    const ordered = [...group].sort((a, b) => (
+      (toDateString(b.date_reported) || '').localeCompare(toDateString(a.date_reported) || '')
+      || (b.item_type === 'collection') - (a.item_type === 'collection')
+    ));
+
+    // A collector's DOFD later than the original creditor's is re-aged
+    const earliest = group
+      .filter((item) => item.item_type !== 'collection' && item.date_of_first_delinquency)
+      .map((item) => toDateString(item.date_of_first_delinquency))
+      .sort()[0];
+    const reaged = [];
+    for (const item of group) {
+      if (!earliest || item.item_type !== 'collection' || !item.date_of_first_delinquency) continue;
+      const reported = toDateString(item.date_of_first_delinquency);
+      if (daysBetween(earliest, reported) > DOFD_TOLERANCE_DAYS) {
+        reaged.push({
+          creditItemId: item.id,
+          bureau: item.bureau,
+          creditorName: item.creditor_name,
+          accountNumber: item.account_number,
+          originalDofd: earliest,
+          reportedDofd: reported,
+          basis: 'original creditor',
+        });
+      }
+    }
+
+    return {
+      bureau: ordered[0].bureau,
+      primary: ordered[0],
+      duplicates: ordered.slice(1),
+      signals: [...signalsByRoot.get(root)],
+      reaged,
+    };
+  });
+}
+
+/**
+ * Tradelines whose latest reported DOFD is later than the earliest one on
+ * record for them.
+ * @param {Array<{ bureau: string, created_at: string, report_data: Object|string }>} snapshots - Oldest first
+ * @param {Object[]} [items] - credit_items rows; their stored DOFD counts as the earliest known
+ * @returns {Array<{ creditItemId: string|null, bureau: string, creditorName: string, accountNumber: string,
+ *   originalDofd: string, reportedDofd: string, firstSeen: string|null, reportedOn: string, basis: string }>}
+ */
+function findReagedTradelines(snapshots, items = []) {
+  const history = new Map();
+  const keyOf = (bureau, creditor, account) => `${bureau}|${creditor}|${account || ''}`;
+
+  for (const item of items) {
+    if (!item.date_of_first_delinquency) continue;
+    history.set(keyOf(item.bureau, item.creditor_name, item.account_number), {
+      bureau: item.bureau,
+      creditorName: item.creditor_name,
+      accountNumber: item.account_number || '',
+      earliest: toDateString(item.date_of_first_delinquency),
+      firstSeen: toDateString(item.created_at),
+      latest: null,
+      reportedOn: null,
+    });
+  }
+
+  for (const snapshot of snapshots) {
+    const report = typeof snapshot.report_data === 'string' ? JSON.parse(snapshot.report_data) : snapshot.report_data;
+    const tradelines = [
+      ...(report.negativeItems || []).map((n) => ({ creditorName: n.creditor, accountNumber: n.accountNumber, dofd: n.dateOfFirstDelinquency })),
+      ...(report.accounts || []).map((a) => ({ creditorName: a.creditorName, accountNumber: a.accountNumber, dofd: a.dateOfFirstDelinquency })),
+    ];
+    for (const t of tradelines) {
+      if (!t.dofd) continue;
+      const key = keyOf(snapshot.bureau, t.creditorName, t.accountNumber);
+      const dofd = toDateString(t.dofd);
+      const entry = history.get(key) || {
+        bureau: snapshot.bureau,
+        creditorName: t.creditorName,
+        accountNumber: t.accountNumber || '',
+        earliest: dofd,
+        firstSeen: toDateString(snapshot.created_at),
+      };
+      if (dofd < entry.earliest) {
+        entry.earliest = dofd;
+        entry.firstSeen = toDateString(snapshot.created_at);
+      }
+      entry.latest = dofd;
+      entry.reportedOn = toDateString(snapshot.created_at);
+      history.set(key, entry);
+    }
+  }
+
+  const reaged = [];
+  for (const entry of history.values()) {
+    if (!entry.latest || daysBetween(entry.earliest, entry.latest) <= DOFD_TOLERANCE_DAYS) continue;
+    const item = items.find((i) => i.bureau === entry.bureau
+      && i.creditor_name === entry.creditorName && (i.account_number || '') === entry.accountNumber);
+    reaged.push({
+      creditItemId: item?.id || null,
+      bureau: entry.bureau,
+      creditorName: entry.creditorName,
+      accountNumber: entry.accountNumber,
+      originalDofd: entry.earliest,
+      reportedDofd: entry.latest,
+      firstSeen: entry.firstSeen,
+      reportedOn: entry.reportedOn,
+      basis: 'snapshot history',
+    });
+  }
+  return reaged;
+}
+
+const describeListing = (item) => [
+  item.creditor_name,
+  item.account_number ? `account ${item.account_number}` : null,
+  `balance $${Number(item.balance).toFixed(2)}`,
+].filter(Boolean).join(', ');
+
+const describeReaging = (r) => `The date of first delinquency was reported as ${r.originalDofd} `
+  + `(${r.basis === 'original creditor' ? 'by the original creditor' : 'in an earlier report'}) and is now reported as ${r.reportedDofd}. `
+  + 'FCRA §623(a)(5) fixes that date; moving it later re-ages the debt and extends its reporting period.';
+
+/**
+ * A client's duplicate groups and re-aged listings. Flags the listings to
+ * dispute when they have no suggested dispute yet.
+ * @param {string} clientId
+ * @returns {Promise<{ duplicateGroups: Object[], reaged: Object[], newlyFlagged: number }>}
+ */
+async function getClientDuplicateReport(clientId) {
+  const itemsResult = await query(
+    `SELECT id, bureau, item_type, creditor_name, account_number, balance, status, date_opened, date_reported,
+            date_of_first_delinquency, description, suggested_dispute_type, created_at
+     FROM credit_items
+     WHERE client_id = $1 AND item_type = ANY($2) AND deleted_at IS NULL AND status NOT IN ('deleted', 'resolved')
+     ORDER BY created_at`,
+    [clientId, DEBT_ITEM_TYPES]
+  );
+  const snapshots = await query(
+    `SELECT bureau, created_at, report_data FROM credit_report_snapshots
+     WHERE client_id = $1 ORDER BY created_at`,
+    [clientId]
+  );
+
+  const items = itemsResult.rows;
+  const duplicateGroups = findDuplicateGroups(items);
+  const seen = new Set();
+  const reaged = [...duplicateGroups.flatMap((g) => g.reaged), ...findReagedTradelines(snapshots.rows, items)]
+    .filter((r) => !r.creditItemId || (!seen.has(r.creditItemId) && seen.add(r.creditItemId)));
+
+  const flags = new Map();
+  for (const group of duplicateGroups) {
+    for (const item of group.duplicates) {
+      flags.set(item.id, ['duplicate', `Same debt as ${describeListing(group.primary)}`]);
+    }
+  }
+  for (const r of reaged) {
+    if (r.creditItemId && !flags.has(r.creditItemId)) flags.set(r.creditItemId, ['inaccurate_info', describeReaging(r)]);
+  }
+
+  let newlyFlagged = 0;
+  for (const [id, [disputeType, reason]] of flags) {
+    const result = await query(
+      `UPDATE credit_items
+       SET suggested_dispute_type = $2, flag_reason = $3, flag_rule_id = NULL, flagged_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND suggested_dispute_type IS NULL`,
+      [id, disputeType, reason]
+    );
+    newlyFlagged += result.rowCount || 0;
+  }
+
+  return { duplicateGroups, reaged, newlyFlagged };
+}
+
+/**
+ * Draft bureau disputes for a client's duplicate and re-aged listings:
+ * `duplicate` for each listing beyond the current holder's (noting a
+ * re-aged DOFD when there is one), `inaccurate_info` for other re-aged
+ * listings. Listings with an open dispute of the same type are skipped.
+ * @param {string} clientId
+ * @param {Object} [options]
+ * @param {string[]} [options.itemIds] - Limit to these credit items
+ * @returns {Promise<Object[]|null>} Created disputes, or null if the client profile is missing
+ */
+async function generateDisputes(clientId, { itemIds } = {}) {
+  const { duplicateGroups, reaged } = await getClientDuplicateReport(clientId);
+  const reagedById = new Map(reaged.filter((r) => r.creditItemId).map((r) => [r.creditItemId, r]));
+
+  const targets = new Map();
+  for (const group of duplicateGroups) {
+    for (const item of group.duplicates) {
+      const reaging = reagedById.get(item.id);
+      const details = `Same debt as ${describeListing(group.primary)}.${reaging ? ` ${describeReaging(reaging)}` : ''}`;
+      targets.set(item.id, { disputeType: 'duplicate', additionalDetails: details });
+    }
+  }
+  for (const r of reaged) {
+    if (!r.creditItemId || targets.has(r.creditItemId)) continue;
+    targets.set(r.creditItemId, { disputeType: 'inaccurate_info', reason: describeReaging(r) });
+  }
+  for (const id of targets.keys()) {
+    if (itemIds && !itemIds.includes(id)) targets.delete(id);
+  }
+  if (targets.size === 0) return [];
+
+  const itemsResult = await query(
+    `SELECT id, bureau, item_type, creditor_name, account_number, balance, status, date_opened, date_reported,
+            date_of_first_delinquency, description
+     FROM credit_items WHERE id = ANY($1::uuid[])`,
+    [[...targets.keys()]]
+  );
+  const open = await query(
+    `SELECT credit_item_id, dispute_type FROM disputes
+     WHERE credit_item_id = ANY($1::uuid[]) AND status = ANY($2)`,
+    [[...targets.keys()], OPEN_DISPUTE_STATUSES]
+  );
+
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  if (clientResult.rows.length === 0) return null;
+
+  const letters = [];
+  for (const row of itemsResult.rows) {
+    const target = targets.get(row.id);
+    if (open.rows.some((d) => d.credit_item_id === row.id && d.dispute_type === target.disputeType)) continue;
+    const item = target.reason ? { ...row, description: target.reason } : row;
+    const letter = await renderDisputeLetter({
+      client: clientResult.rows[0],
+      item,
+      bureau: row.bureau,
+      disputeType: target.disputeType,
+      additionalDetails: target.additionalDetails,
+    });
+    letters.push({ item: row, disputeType: target.disputeType, letter });
+  }
+  if (letters.length === 0) return [];
+
+  return transaction(async (client) => {
+    const created = [];
+    for (const { item, disputeType, letter } of letters) {
+      const result = await client.query(
+        `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, target_type, letter_content,
+                               template_version_id, status)
+         VALUES ($1, $2, $3, $4, 'bureau', $5, $6, 'draft')
+         RETURNING id, client_id, credit_item_id, dispute_type, bureau, target_type, letter_content,
+                   template_version_id, status, created_at`,
+        [clientId, item.id, disputeType, item.bureau, letter.content, letter.templateVersionId]
+      );
+      await client.query(
+        `UPDATE credit_items SET status = 'disputing', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [item.id]
+      );
+      created.push(result.rows[0]);
+    }
+
+    logger.info({ clientId, disputes: created.length }, 'Duplicate and re-aged debt disputes generated');
+    return created;
+  });
+}
+
+module.exports = {
+  DEBT_ITEM_TYPES,
+  DOFD_TOLERANCE_DAYS,
+  originalCreditorOf,
+  duplicateSignals,
+  findDuplicateGroups,
+  findReagedTradelines,
+  getClientDuplicateReport,
+  generateDisputes,
+};
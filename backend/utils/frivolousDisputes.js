@@ -0,0 +1,198 @@
+/**
+ * Frivolous Dispute Protection
+ *
+ * A bureau may decline to investigate a dispute it considers frivolous or
+ * irrelevant, which includes one that repeats an earlier dispute without new
+ * information (FCRA §611(a)(3)). Before a bureau letter is saved it is
+ * compared with the letters already sent to that bureau about the same item.
+ * A near-identical letter is held back unless new evidence — a client
+ * document not yet sent with any dispute — is attached. Clients with
+ * many open disputes at one bureau are warned, since a burst of letters is
+ * what bureaus most often screen as frivolous.
+ *
+ * @module utils/frivolousDisputes
+ */
+
+const { query } = require('../config/database');
+
+/** Similarity at or above which a letter counts as a resubmission */
+const NEAR_DUPLICATE_THRESHOLD = 0.85;
+
+/** Similarity at or above which staff are warned the letter repeats an earlier one */
+const SIMILAR_LETTER_THRESHOLD = 0.6;
+
+/** Open disputes at one bureau within the window before the client is warned */
+const OPEN_DISPUTE_LIMIT = 5;
+const OPEN_DISPUTE_WINDOW_DAYS = 30;
+
+/** Dispute statuses still awaiting a bureau's answer */
+const OPEN_DISPUTE_STATUSES = ['draft', 'sent', 'received', 'investigating'];
+
+/** Words per shingle when comparing letters */
+const SHINGLE_SIZE = 3;
+
+/**
+ * Overlapping word sequences of a letter, ignoring case and punctuation.
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function shingles(text) {
+  const words = (text || '').toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+  const result = new Set();
+  if (words.length > 0 && words.length < SHINGLE_SIZE) result.add(words.join(' '));
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    result.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Textual similarity of two letters: the Jaccard index of their shingles.
+ * Reordered paragraphs still score high; new facts and arguments lower it.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} 0 (nothing shared) to 1 (same wording)
+ */
+function letterSimilarity(a, b) {
+  const left = shingles(a);
+  const right = shingles(b);
+  if (left.size === 0 || right.size === 0) return 0;
+
+  let shared = 0;
+  for (const shingle of left) if (right.has(shingle)) shared++;
+  return Math.round((shared / (left.size + right.size - shared)) * 1000) / 1000;
+}
+
+/**
+ * Letters already sent to a bureau about an item. Unsent drafts are left
+ * out: the bureau has not seen them.
+ * @param {string} creditItemId
+ * @param {string} bureau
+ * @returns {Promise<Object[]>}
+ */
+async function loadPriorLetters(creditItemId, bureau) {
+  const result = await query(
+    `SELECT id, dispute_type, status, sent_date, created_at, letter_content
+     FROM disputes
+     WHERE credit_item_id = $1 AND bureau = $2 AND target_type = 'bureau'
+       AND status <> 'draft' AND letter_content IS NOT NULL
+     ORDER BY created_at DESC`,
+    [creditItemId, bureau]
+  );
+  return result.rows;
+}
+
+/**
+ * The client's disputes at a bureau still open and created within the window.
+ * @param {string} clientId
+ * @param {string} bureau
+ * @returns {Promise<number>}
+ */
+async function countRecentOpenDisputes(clientId, bureau) {
+  const result = await query(
+    `SELECT COUNT(*)::int AS count
+     FROM disputes
+     WHERE client_id = $1 AND bureau = $2 AND status = ANY($3)
+       AND deleted_at IS NULL AND created_at >= CURRENT_DATE - $4::int`,
+    [clientId, bureau, OPEN_DISPUTE_STATUSES, OPEN_DISPUTE_WINDOW_DAYS]
+  );
+  return result.rows[0]?.count || 0;
+}
+
+/**
+ * The attached documents that count as new evidence: the client's own, and
+ * not yet sent with any dispute. A document links to one dispute only, so
+ * one already sent elsewhere is neither new nor free to attach.
+ * @param {string} clientId
+ * @param {string[]} documentIds
+ * @returns {Promise<string[]>}
+ */
+async function findNewEvidence(clientId, documentIds) {
+  const result = await query(
+    `SELECT id FROM documents
+     WHERE id = ANY($1::uuid[]) AND client_id = $2 AND dispute_id IS NULL`,
+    [documentIds, clientId]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Compare a bureau letter with the earlier ones for the same item and decide
+ * whether it may be saved.
+ * @param {Object} letter
+ * @param {string} letter.clientId
+ * @param {string} letter.creditItemId
+ * @param {string} letter.bureau
+ * @param {string} letter.content
+ * @param {string[]} [letter.evidenceDocumentIds]
+ * @returns {Promise<{ blocked: boolean, message: string|null, similarity: Object|null,
+ *   evidenceDocumentIds: string[], warnings: string[] }>} similarity is the closest
+ *   earlier letter ({ disputeId, score, sentDate }), null when there is none
+ */
+async function checkResubmission({ clientId, creditItemId, bureau, content, evidenceDocumentIds = [] }) {
+  const priors = await loadPriorLetters(creditItemId, bureau);
+  const openCount = await countRecentOpenDisputes(clientId, bureau);
+
+  let similarity = null;
+  for (const prior of priors) {
+    const score = letterSimilarity(content, prior.letter_content);
+    if (!similarity || score > similarity.score) {
+      similarity = { disputeId: prior.id, score, sentDate: prior.sent_date };
+    }
+  }
+
+  const evidence = evidenceDocumentIds.length > 0
+    ? await findNewEvidence(clientId, evidenceDocumentIds)
+    : [];
+
+  const nearDuplicate = !!similarity && similarity.score >= NEAR_DUPLICATE_THRESHOLD;
+  const blocked = nearDuplicate && evidence.length === 0;
+  const warnings = [];
+  if (nearDuplicate && !blocked) {
+    warnings.push('This letter repeats an earlier dispute; the bureau will weigh the new evidence attached to it');
+  } else if (!nearDuplicate && similarity && similarity.score >= SIMILAR_LETTER_THRESHOLD) {
+    warnings.push(`This letter is ${Math.round(similarity.score * 100)}% similar to an earlier dispute of this item; consider new facts or arguments`);
+  }
+  if (openCount >= OPEN_DISPUTE_LIMIT) {
+    warnings.push(`The client already has ${openCount} open disputes at ${bureau} from the last ${OPEN_DISPUTE_WINDOW_DAYS} days; more letters now may be treated as frivolous`);
+  }
+
+  return {
+    blocked,
+    message: blocked
+      ? `This letter is ${Math.round(similarity.score * 100)}% similar to an earlier dispute of this item at ${bureau} and may be rejected as frivolous (FCRA §611(a)(3)). Attach new evidence or change the letter.`
+      : null,
+    similarity,
+    evidenceDocumentIds: evidence,
+    warnings,
+  };
+}
+
+/**
+ * Link the evidence documents to the dispute they are sent with. Documents
+ * already linked to another dispute keep that link.
+ * @param {string} disputeId
+ * @param {string} clientId
+ * @param {string[]} documentIds
+ * @returns {Promise<void>}
+ */
+async function attachEvidence(disputeId, clientId, documentIds) {
+  if (documentIds.length === 0) return;
+  await query(
+    'UPDATE documents SET dispute_id = $1 WHERE id = ANY($2::uuid[]) AND client_id = $3 AND dispute_id IS NULL',
+    [disputeId, documentIds, clientId]
+  );
+}
+
+module.exports = {
+  NEAR_DUPLICATE_THRESHOLD,
+  SIMILAR_LETTER_THRESHOLD,
+  OPEN_DISPUTE_LIMIT,
+  OPEN_DISPUTE_WINDOW_DAYS,
+  letterSimilarity,
+  loadPriorLetters,
+  countRecentOpenDisputes,
+  findNewEvidence,
+  checkResubmission,
+  attachEvidence,
+};
@@ -0,0 +1,191 @@
+/**
+ * Furnisher Direct Dispute Service
+ *
+ * Direct disputes are sent to the data furnisher (original creditor or
+ * collector) instead of a credit bureau. Under FCRA §623(a)(8) and
+ * Regulation V (12 CFR §1022.43), the furnisher must investigate a direct
+ * dispute that identifies the account, states the specific information
+ * disputed, and explains the basis for the dispute.
+ *
+ * @module utils/furnisherDispute
+ */
+
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+const { renderDisputeLetter } = require('./letterTemplates');
+
+/**
+ * Format a furnisher's mailing address block for a letter.
+ * @param {Object} furnisher - Row from the furnishers table
+ * @returns {string}
+ */
+function formatFurnisherAddress(furnisher) {
+  const lines = [furnisher.name];
+  if (furnisher.address_line1) lines.push(furnisher.address_line1);
+  if (furnisher.address_line2) lines.push(furnisher.address_line2);
+  const cityLine = [furnisher.city, [furnisher.state, furnisher.zip_code].filter(Boolean).join(' ')]
+    .filter(Boolean)
+    .join(', ');
+  if (cityLine) lines.push(cityLine);
+  return lines.join('\n');
+}
+
+/**
+ * Render the direct dispute letter to a furnisher from the furnisher.* template
+ * in effect today.
+ * @param {string} disputeType - One of DISPUTE_TYPES
+ * @param {Object} client - Client name/address row
+ * @param {Object} item - Credit item row
+ * @param {Object} furnisher - Furnisher row
+ * @returns {Promise<{content: string, templateVersionId: string, version: number}>}
+ */
+async function renderFurnisherLetter(disputeType, client, item, furnisher) {
+  return renderDisputeLetter({
+    client,
+    item,
+    bureau: item.bureau === 'all' ? null : item.bureau,
+    disputeType,
+    targetType: 'furnisher',
+    creditor: { name: furnisher.name, address: formatFurnisherAddress(furnisher) },
+  });
+}
+
+// ============================================================================
+// Furnisher directory
+// ============================================================================
+
+const FURNISHER_COLUMNS = `id, name, furnisher_type, address_line1, address_line2, city, state,
+       zip_code, phone, email, notes, goodwill_address_line1, goodwill_address_line2, goodwill_city,
+       goodwill_state, goodwill_zip_code, created_at, updated_at`;
+
+/**
+ * Fetch an active furnisher by ID.
+ * @param {string} furnisherId
+ * @returns {Promise<Object|null>}
+ */
+async function getFurnisher(furnisherId) {
+  const result = await query(
+    `SELECT ${FURNISHER_COLUMNS} FROM furnishers WHERE id = $1 AND deleted_at IS NULL`,
+    [furnisherId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List furnishers, optionally filtered by a name search.
+ * @param {Object} [options]
+ * @param {string} [options.search] - Case-insensitive name fragment
+ * @param {string} [options.furnisherType]
+ * @returns {Promise<Object[]>}
+ */
+async function listFurnishers({ search, furnisherType } = {}) {
+  let where = 'WHERE deleted_at IS NULL';
+  const params = [];
+
+  if (search) {
+    params.push(`%${search}%`);
+    where += ` AND name ILIKE $${params.length}`;
+  }
+  if (furnisherType) {
+    params.push(furnisherType);
+    where += ` AND furnisher_type = $${params.length}`;
+  }
+
+  const result = await query(
+    `SELECT ${FURNISHER_COLUMNS} FROM furnishers ${where} ORDER BY name ASC LIMIT 200`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Create a furnisher directory entry.
+ * @param {Object} data - Validated furnisher fields (camelCase)
+ * @param {string} createdBy - User ID
+ * @returns {Promise<Object>}
+ */
+async function createFurnisher(data, createdBy) {
+  const result = await query(
+    `INSERT INTO furnishers
+     (name, furnisher_type, address_line1, address_line2, city, state, zip_code, phone, email, notes,
+      goodwill_address_line1, goodwill_address_line2, goodwill_city, goodwill_state, goodwill_zip_code, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     RETURNING ${FURNISHER_COLUMNS}`,
+    [
+      data.name,
+      data.furnisherType || 'original_creditor',
+      data.addressLine1 || null,
+      data.addressLine2 || null,
+      data.city || null,
+      data.state || null,
+      data.zipCode || null,
+      data.phone || null,
+      data.email || null,
+      data.notes || null,
+      data.goodwillAddressLine1 || null,
+      data.goodwillAddressLine2 || null,
+      data.goodwillCity || null,
+      data.goodwillState || null,
+      data.goodwillZipCode || null,
+      createdBy,
+    ]
+  );
+
+  logger.info({ furnisherId: result.rows[0].id, createdBy }, 'Furnisher created');
+  return result.rows[0];
+}
+
+/**
+ * Update a furnisher directory entry. Only provided fields are changed.
+ * @param {string} furnisherId
+ * @param {Object} data - Validated furnisher fields (camelCase)
+ * @returns {Promise<Object|null>}
+ */
+async function updateFurnisher(furnisherId, data) {
+  const columnMap = {
+    name: 'name',
+    furnisherType: 'furnisher_type',
+    addressLine1: 'address_line1',
+    addressLine2: 'address_line2',
+    city: 'city',
+    state: 'state',
+    zipCode: 'zip_code',
+    phone: 'phone',
+    email: 'email',
+    notes: 'notes',
+    goodwillAddressLine1: 'goodwill_address_line1',
+    goodwillAddressLine2: 'goodwill_address_line2',
+    goodwillCity: 'goodwill_city',
+    goodwillState: 'goodwill_state',
+    goodwillZipCode: 'goodwill_zip_code',
+  };
+
+  const updates = [];
+  const params = [];
+  for (const [field, column] of Object.entries(columnMap)) {
+    if (data[field] !== undefined) {
+      params.push(data[field]);
+      updates.push(`${column} = $${params.length}`);
+    }
+  }
+
+  if (updates.length === 0) return getFurnisher(furnisherId);
+
+  params.push(furnisherId);
+  const result = await query(
+    `UPDATE furnishers SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $${params.length} AND deleted_at IS NULL
+     RETURNING ${FURNISHER_COLUMNS}`,
+    params
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  formatFurnisherAddress,
+  renderFurnisherLetter,
+  getFurnisher,
+  listFurnishers,
+  createFurnisher,
+  updateFurnisher,
+};
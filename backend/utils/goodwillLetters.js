@@ -0,0 +1,299 @@
+/**
+ * Goodwill Letters
+ *
+ * A goodwill letter asks an original creditor to remove accurate late
+ * payments as a courtesy. It is not a dispute: nothing on the account is
+ * challenged, so it carries no investigation deadline and is tracked apart
+ * from dispute rounds. The letter is built from the account's payment
+ * history in the client's latest bureau report and the hardship story the
+ * client gives, and is mailed to the creditor's goodwill address when one
+ * is on file. Staff record whether the creditor granted, denied or never
+ * answered the request.
+ *
+ * @module utils/goodwillLetters
+ */
+
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { CREDIT_BUREAUS } = require('./validators');
+const { findTradeline } = require('./disputePacket');
+const { buildMergeContext, formatAddress, loadCompanyProfile, renderTemplate } = require('./letterTemplates');
+
+const GOODWILL_TEMPLATE_KEY = 'goodwill.letter';
+
+/** Answers a creditor can give to a goodwill request */
+const GOODWILL_OUTCOMES = ['granted', 'denied', 'no_reply'];
+
+/** Payment History Profile codes for a month paid as agreed */
+const ON_TIME_CODES = ['0', 'C'];
+
+/** Payment History Profile codes for a late month */
+const LATE_CODE_LABELS = {
+  1: '30 days late',
+  2: '60 days late',
+  3: '90 days late',
+  4: '120 days late',
+  5: '150 days late',
+  6: '180 days late',
+};
+
+const LETTER_COLUMNS = `id, client_id, credit_item_id, furnisher_id, hardship_story, payment_history, snapshot_id,
+  letter_content, template_version_id, status, sent_date, outcome_date, outcome_notes, created_by, created_at, updated_at`;
+
+const monthIndex = (date) => {
+  const match = /^(\d{4})-(\d{2})/.exec(date ? String(date) : '');
+  return match ? parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1 : null;
+};
+
+const monthName = (index) => new Date(Date.UTC(Math.floor(index / 12), index % 12, 1))
+  .toLocaleDateString('en-US', { year: 'numeric', month: 'long', timeZone: 'UTC' });
+
+/**
+ * Summarize a Payment History Profile for the letter. The profile is most
+ * recent first, starting at the last reported month; codes other than
+ * on-time and late (no data, collection, charge-off) are skipped.
+ * @param {string} history
+ * @param {string} [lastReported] - Month the first code refers to
+ * @returns {{ months: number, onTime: number, late: Array<{ month: string|null, status: string }>, text: string }|null}
+ *   null when the profile has no on-time or late months
+ */
+function summarizePaymentHistory(history, lastReported) {
+  const codes = String(history || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const latest = monthIndex(lastReported);
+
+  let onTime = 0;
+  const late = [];
+  for (let i = 0; i < codes.length; i++) {
+    if (ON_TIME_CODES.includes(codes[i])) onTime += 1;
+    else if (LATE_CODE_LABELS[codes[i]]) {
+      late.push({ month: latest === null ? null : monthName(latest - i), status: LATE_CODE_LABELS[codes[i]] });
+    }
+  }
+  const months = onTime + late.length;
+  if (months === 0) return null;
+
+  if (late.length === 0) {
+    return { months, onTime, late, text: `All ${months} reported months were paid on time.` };
+  }
+  const lines = late.reverse().map((l) => `- ${l.month || 'Month not reported'}: ${l.status}`);
+  return {
+    months,
+    onTime,
+    late,
+    text: `${onTime} of ${months} reported months were paid on time. The late payments were:\n${lines.join('\n')}`,
+  };
+}
+
+/**
+ * The account's payment history from the client's latest report at the
+ * bureau the item came from (the newest of the three for items reported
+ * by all bureaus). Falls back to the history the report analyzer wrote
+ * into the item description.
+ * @param {string} clientId
+ * @param {Object} item - credit_items row
+ * @returns {Promise<{ history: string|null, snapshotId: string|null, text: string|null }>}
+ */
+async function loadPaymentHistory(clientId, item) {
+  const bureaus = item.bureau === 'all' ? CREDIT_BUREAUS : [item.bureau];
+  const snapshots = await query(
+    `SELECT DISTINCT ON (bureau) id, bureau, report_date, report_data
+     FROM credit_report_snapshots
+     WHERE client_id = $1 AND bureau = ANY($2)
+     ORDER BY bureau, report_date DESC, created_at DESC`,
+    [clientId, bureaus]
+  );
+
+  const newestFirst = [...snapshots.rows].sort((a, b) => new Date(b.report_date) - new Date(a.report_date));
+  for (const snapshot of newestFirst) {
+    const report = typeof snapshot.report_data === 'string' ? JSON.parse(snapshot.report_data) : snapshot.report_data;
+    const tradeline = findTradeline(report, item);
+    const summary = tradeline && summarizePaymentHistory(
+      tradeline.paymentHistory, tradeline.lastReported || toDateString(snapshot.report_date)
+    );
+    if (summary) {
+      return { history: String(tradeline.paymentHistory).slice(0, 100), snapshotId: snapshot.id, text: summary.text };
+    }
+  }
+
+  const described = /Payment History:\s*(.+)/.exec(item.description || '');
+  const text = described && described[1].trim() !== 'N/A' ? described[1].trim() : null;
+  return { history: null, snapshotId: null, text };
+}
+
+/**
+ * Name and mailing address for a goodwill letter: the creditor's goodwill
+ * address when one is on file, otherwise its main address.
+ * @param {Object} furnisher - Row from the furnishers table
+ * @returns {{ name: string, address: string }}
+ */
+function goodwillRecipient(furnisher) {
+  const address = furnisher.goodwill_address_line1
+    ? formatAddress(
+      furnisher.goodwill_address_line1, furnisher.goodwill_address_line2,
+      furnisher.goodwill_city, furnisher.goodwill_state, furnisher.goodwill_zip_code
+    )
+    : formatAddress(furnisher.address_line1, furnisher.address_line2, furnisher.city, furnisher.state, furnisher.zip_code);
+  return { name: furnisher.name, address: [furnisher.name, address].filter(Boolean).join('\n') };
+}
+
+/**
+ * A credit item with the columns a goodwill letter needs.
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getCreditItem(id) {
+  const result = await query(
+    `SELECT id, client_id, creditor_name, account_number, item_type, bureau, balance, status, date_opened,
+            date_reported, date_of_first_delinquency, last_payment_date, debt_category, description
+     FROM credit_items WHERE id = $1 AND deleted_at IS NULL`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether an item already has a goodwill letter that is drafted or waiting
+ * on the creditor.
+ * @param {string} creditItemId
+ * @returns {Promise<boolean>}
+ */
+async function hasOpenLetter(creditItemId) {
+  const result = await query(
+    `SELECT id FROM goodwill_letters WHERE credit_item_id = $1 AND status IN ('draft', 'sent') LIMIT 1`,
+    [creditItemId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Draft a goodwill letter for an item.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {Object} params.item - credit_items row (see getCreditItem)
+ * @param {Object} params.furnisher - Row from the furnishers table
+ * @param {string} params.hardshipStory - In the client's words
+ * @param {string} params.createdBy - User ID
+ * @returns {Promise<Object|null>} The letter, or null if the client profile is missing
+ */
+async function createLetter({ clientId, item, furnisher, hardshipStory, createdBy }) {
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  if (clientResult.rows.length === 0) return null;
+
+  const paymentHistory = await loadPaymentHistory(clientId, item);
+  const letter = await renderTemplate(GOODWILL_TEMPLATE_KEY, buildMergeContext({
+    client: clientResult.rows[0],
+    item,
+    companyProfile: await loadCompanyProfile(),
+    creditor: goodwillRecipient(furnisher),
+    goodwill: { payment_history: paymentHistory.text, hardship: hardshipStory },
+  }));
+
+  const result = await query(
+    `INSERT INTO goodwill_letters
+     (client_id, credit_item_id, furnisher_id, hardship_story, payment_history, snapshot_id,
+      letter_content, template_version_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING ${LETTER_COLUMNS}`,
+    [
+      clientId, item.id, furnisher.id, hardshipStory, paymentHistory.history, paymentHistory.snapshotId,
+      letter.content, letter.templateVersionId, createdBy,
+    ]
+  );
+
+  logger.info({ clientId, letterId: result.rows[0].id, creditItemId: item.id }, 'Goodwill letter drafted');
+  return result.rows[0];
+}
+
+/**
+ * A client's goodwill letters, newest first, with a count by status.
+ * @param {string} clientId
+ * @returns {Promise<{ letters: Object[], summary: Object }>}
+ */
+async function getClientLetters(clientId) {
+  const result = await query(
+    `SELECT g.id, g.client_id, g.credit_item_id, g.furnisher_id, g.payment_history, g.status, g.sent_date,
+            g.outcome_date, g.outcome_notes, g.created_at, g.updated_at,
+            ci.creditor_name, ci.account_number, ci.bureau, f.name AS furnisher_name
+     FROM goodwill_letters g
+     JOIN credit_items ci ON g.credit_item_id = ci.id
+     JOIN furnishers f ON g.furnisher_id = f.id
+     WHERE g.client_id = $1
+     ORDER BY g.created_at DESC`,
+    [clientId]
+  );
+
+  const summary = { total: result.rows.length, draft: 0, sent: 0, granted: 0, denied: 0, no_reply: 0 };
+  for (const letter of result.rows) summary[letter.status] += 1;
+
+  return { letters: result.rows, summary };
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getLetter(id) {
+  const result = await query(`SELECT ${LETTER_COLUMNS} FROM goodwill_letters WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a drafted letter as mailed.
+ * @param {string} id
+ * @param {string} [sentDate] - Defaults to today
+ * @returns {Promise<Object|null>} null when the letter is not a draft
+ */
+async function markSent(id, sentDate) {
+  const result = await query(
+    `UPDATE goodwill_letters
+     SET status = 'sent', sent_date = COALESCE($2, CURRENT_DATE), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'draft'
+     RETURNING ${LETTER_COLUMNS}`,
+    [id, sentDate || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record the creditor's answer to a mailed letter.
+ * @param {string} id
+ * @param {Object} outcome
+ * @param {string} outcome.outcome - One of GOODWILL_OUTCOMES
+ * @param {string} [outcome.outcomeDate] - Defaults to today
+ * @param {string} [outcome.notes]
+ * @returns {Promise<Object|null>} null when the letter has not been sent
+ */
+async function recordOutcome(id, { outcome, outcomeDate, notes }) {
+  const result = await query(
+    `UPDATE goodwill_letters
+     SET status = $2, outcome_date = COALESCE($3, CURRENT_DATE), outcome_notes = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'sent'
+     RETURNING ${LETTER_COLUMNS}`,
+    [id, outcome, outcomeDate || null, notes || null]
+  );
+  if (result.rows[0]) logger.info({ letterId: id, outcome }, 'Goodwill letter outcome recorded');
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  GOODWILL_TEMPLATE_KEY,
+  GOODWILL_OUTCOMES,
+  summarizePaymentHistory,
+  loadPaymentHistory,
+  goodwillRecipient,
+  getCreditItem,
+  hasOpenLetter,
+  createLetter,
+  getClientLetters,
+  getLetter,
+  markSent,
+  recordOutcome,
+};
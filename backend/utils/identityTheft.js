@@ -0,0 +1,454 @@
+/**
+ * Identity Theft Block Service (FCRA §605B)
+ *
+ * A client with an FTC Identity Theft Report (and optionally a police report)
+ * gets an identity theft case. Staff pick the fraudulent tradelines and
+ * inquiries per bureau, and each bureau receives one §605B block request
+ * listing all of them — a dispute of type 'identity_theft_block' that the
+ * bureau must act on within 4 business days of receipt. The result is
+ * recorded per item. Fraud alerts and security freezes placed at each bureau
+ * are tracked alongside.
+ *
+ * @module utils/identityTheft
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { CREDIT_BUREAUS } = require('./validators');
+const { renderDisputeLetter } = require('./letterTemplates');
+
+const BLOCK_DISPUTE_TYPE = 'identity_theft_block';
+
+/**
+ * Result of blocking one item at one bureau
+ * @type {string[]}
+ */
+const BLOCK_ITEM_STATUSES = ['pending', 'requested', 'blocked', 'declined'];
+
+/**
+ * Protections a client can place at a bureau, with how long each lasts in
+ * years (FCRA §605A); freezes last until lifted (§605A(i)).
+ * @type {Object<string, number|null>}
+ */
+const PROTECTION_DURATIONS = {
+  initial_fraud_alert: 1,
+  extended_fraud_alert: 7,
+  active_duty_alert: 1,
+  security_freeze: null,
+};
+
+const PROTECTION_TYPES = Object.keys(PROTECTION_DURATIONS);
+
+const CASE_COLUMNS = `id, client_id, ftc_report_document_id, ftc_report_number, police_report_document_id,
+  police_report_number, police_department, status, created_by, created_at, updated_at`;
+
+const PROTECTION_COLUMNS = `id, client_id, case_id, bureau, protection_type, status, placed_date, expires_date,
+  lifted_date, confirmation_number, notes, recorded_by, created_at, updated_at`;
+
+/**
+ * Check that the report documents belong to the client and are filed under
+ * the right category.
+ * @param {string} clientId
+ * @param {Object} reports
+ * @param {string} reports.ftcReportDocumentId
+ * @param {string} [reports.policeReportDocumentId]
+ * @returns {Promise<string|null>} What is wrong, or null when both are usable
+ */
+async function checkReportDocuments(clientId, { ftcReportDocumentId, policeReportDocumentId }) {
+  const ids = [ftcReportDocumentId, policeReportDocumentId].filter(Boolean);
+  const result = await query(
+    `SELECT id, document_category FROM documents
+     WHERE id = ANY($1::uuid[]) AND client_id = $2 AND deleted_at IS NULL`,
+    [ids, clientId]
+  );
+  const byId = new Map(result.rows.map((row) => [row.id, row.document_category]));
+
+  if (byId.get(ftcReportDocumentId) !== 'ftc_identity_theft_report') {
+    return 'FTC report must be one of the client\'s documents uploaded as ftc_identity_theft_report';
+  }
+  if (policeReportDocumentId && byId.get(policeReportDocumentId) !== 'police_report') {
+    return 'Police report must be one of the client\'s documents uploaded as police_report';
+  }
+  return null;
+}
+
+/**
+ * Open a case for a client.
+ * @param {Object} params
+ * @returns {Promise<Object>}
+ */
+async function createCase({
+  clientId, ftcReportDocumentId, ftcReportNumber, policeReportDocumentId, policeReportNumber, policeDepartment, createdBy,
+}) {
+  const result = await query(
+    `INSERT INTO identity_theft_cases
+       (client_id, ftc_report_document_id, ftc_report_number, police_report_document_id,
+        police_report_number, police_department, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING ${CASE_COLUMNS}`,
+    [
+      clientId, ftcReportDocumentId, ftcReportNumber || null, policeReportDocumentId || null,
+      policeReportNumber || null, policeDepartment || null, createdBy,
+    ]
+  );
+  logger.info({ caseId: result.rows[0].id, clientId }, 'Identity theft case opened');
+  return result.rows[0];
+}
+
+/**
+ * A case with its selected items and block requests.
+ * @param {string} caseId
+ * @returns {Promise<Object|null>}
+ */
+async function getCase(caseId) {
+  const caseResult = await query(
+    `SELECT ${CASE_COLUMNS} FROM identity_theft_cases WHERE id = $1`,
+    [caseId]
+  );
+  if (caseResult.rows.length === 0) return null;
+
+  const [items, requests] = await Promise.all([
+    query(
+      `SELECT iti.id, iti.credit_item_id, iti.bureau, iti.dispute_id, iti.status, iti.result_date,
+              ci.item_type, ci.creditor_name, ci.account_number, ci.date_opened, ci.date_reported
+       FROM identity_theft_items iti
+       JOIN credit_items ci ON iti.credit_item_id = ci.id
+       WHERE iti.case_id = $1
+       ORDER BY iti.bureau, ci.item_type, ci.creditor_name`,
+      [caseId]
+    ),
+    query(
+      `SELECT id, dispute_type, bureau, status, sent_date, clock_start_date, response_date, tracking_number, created_at
+       FROM disputes
+       WHERE identity_theft_case_id = $1 AND deleted_at IS NULL
+       ORDER BY created_at ASC`,
+      [caseId]
+    ),
+  ]);
+
+  return { ...caseResult.rows[0], items: items.rows, blockRequests: requests.rows };
+}
+
+/**
+ * @param {string} clientId
+ * @returns {Promise<Object[]>}
+ */
+async function listCases(clientId) {
+  const result = await query(
+    `SELECT c.id, c.ftc_report_number, c.police_report_number, c.status, c.created_at,
+            COUNT(iti.id) AS item_count,
+            COUNT(iti.id) FILTER (WHERE iti.status = 'blocked') AS blocked_count
+     FROM identity_theft_cases c
+     LEFT JOIN identity_theft_items iti ON iti.case_id = c.id
+     WHERE c.client_id = $1
+     GROUP BY c.id
+     ORDER BY c.created_at DESC`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+/**
+ * The client's tradelines and inquiries that can be picked for blocking.
+ * @param {string} clientId
+ * @returns {Promise<Object[]>}
+ */
+async function listCandidates(clientId) {
+  const result = await query(
+    `SELECT id, item_type, creditor_name, account_number, bureau, balance, status, date_opened, date_reported
+     FROM credit_items
+     WHERE client_id = $1 AND deleted_at IS NULL AND status <> 'deleted'
+     ORDER BY item_type = 'inquiry', creditor_name`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+/**
+ * Resolve picked items to (item, bureau) pairs. An item reported by one
+ * bureau can only be blocked there; an item recorded for all bureaus
+ * defaults to all three.
+ * @param {Object[]} items - The client's credit_items rows
+ * @param {{ creditItemId: string, bureaus?: string[] }[]} selections
+ * @returns {{ pairs: { creditItemId: string, bureau: string }[], invalid: string[] }}
+ */
+function resolveSelections(items, selections) {
+  const byId = new Map(items.map((item) => [item.id, item]));
+  const pairs = [];
+  const invalid = [];
+
+  for (const { creditItemId, bureaus } of selections) {
+    const item = byId.get(creditItemId);
+    if (!item) {
+      invalid.push(`${creditItemId}: not one of the client's credit items`);
+      continue;
+    }
+    const reportedBy = item.bureau === 'all' ? CREDIT_BUREAUS : [item.bureau];
+    for (const bureau of bureaus || reportedBy) {
+      if (!reportedBy.includes(bureau)) {
+        invalid.push(`${item.creditor_name}: not reported by ${bureau}`);
+      } else {
+        pairs.push({ creditItemId, bureau });
+      }
+    }
+  }
+  return { pairs, invalid };
+}
+
+/**
+ * Add items to a case. Items already picked for a bureau are skipped.
+ * @param {Object} theftCase - Case row
+ * @param {{ creditItemId: string, bureaus?: string[] }[]} selections
+ * @returns {Promise<{ added: number, invalid: string[] }>} Nothing is added when any selection is invalid
+ */
+async function selectItems(theftCase, selections) {
+  const items = await query(
+    `SELECT id, creditor_name, bureau FROM credit_items
+     WHERE client_id = $1 AND id = ANY($2::uuid[]) AND deleted_at IS NULL`,
+    [theftCase.client_id, selections.map((s) => s.creditItemId)]
+  );
+  const { pairs, invalid } = resolveSelections(items.rows, selections);
+  if (invalid.length > 0) return { added: 0, invalid };
+
+  return transaction(async (client) => {
+    let added = 0;
+    for (const { creditItemId, bureau } of pairs) {
+      const result = await client.query(
+        `INSERT INTO identity_theft_items (case_id, credit_item_id, bureau)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (case_id, credit_item_id, bureau) DO NOTHING
+         RETURNING id`,
+        [theftCase.id, creditItemId, bureau]
+      );
+      added += result.rows.length;
+    }
+    return { added, invalid: [] };
+  });
+}
+
+/**
+ * Generate one §605B block request per bureau covering every picked item
+ * not yet in a request. Requests are saved as draft disputes.
+ * @param {Object} theftCase - Case row
+ * @returns {Promise<Object[]|null>} The new drafts (empty when nothing is
+ *   pending), or null if the client profile is missing
+ */
+async function generateBlockRequests(theftCase) {
+  const pending = await query(
+    `SELECT iti.id, iti.bureau, ci.item_type, ci.creditor_name, ci.account_number, ci.date_opened, ci.date_reported
+     FROM identity_theft_items iti
+     JOIN credit_items ci ON iti.credit_item_id = ci.id
+     WHERE iti.case_id = $1 AND iti.status = 'pending' AND iti.dispute_id IS NULL
+     ORDER BY iti.bureau, ci.item_type = 'inquiry', ci.creditor_name`,
+    [theftCase.id]
+  );
+  if (pending.rows.length === 0) return [];
+
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [theftCase.client_id]
+  );
+  if (clientResult.rows.length === 0) return null;
+
+  const byBureau = new Map();
+  for (const row of pending.rows) {
+    if (!byBureau.has(row.bureau)) byBureau.set(row.bureau, []);
+    byBureau.get(row.bureau).push(row);
+  }
+
+  const letters = [];
+  for (const [bureau, items] of byBureau) {
+    const letter = await renderDisputeLetter({
+      client: clientResult.rows[0],
+      bureau,
+      disputeType: BLOCK_DISPUTE_TYPE,
+      identityTheft: { ...theftCase, items },
+    });
+    letters.push({ bureau, items, letter });
+  }
+
+  return transaction(async (client) => {
+    const created = [];
+    for (const { bureau, items, letter } of letters) {
+      const result = await client.query(
+        `INSERT INTO disputes (client_id, dispute_type, bureau, target_type, letter_content, template_version_id,
+                               identity_theft_case_id, status)
+         VALUES ($1, '${BLOCK_DISPUTE_TYPE}', $2, 'bureau', $3, $4, $5, 'draft')
+         RETURNING id, client_id, dispute_type, bureau, target_type, letter_content, template_version_id,
+                   identity_theft_case_id, status, created_at`,
+        [theftCase.client_id, bureau, letter.content, letter.templateVersionId, theftCase.id]
+      );
+      const dispute = result.rows[0];
+
+      await client.query(
+        `UPDATE identity_theft_items SET dispute_id = $1, status = 'requested', updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($2::uuid[])`,
+        [dispute.id, items.map((item) => item.id)]
+      );
+      created.push({ ...dispute, itemCount: items.length });
+    }
+
+    logger.info({ caseId: theftCase.id, requests: created.length }, '§605B block requests generated');
+    return created;
+  });
+}
+
+/**
+ * Record whether the bureau blocked an item. A blocked item is marked
+ * deleted once every bureau it was picked for has blocked it, and a block
+ * request is resolved once all of its items have a result.
+ * @param {string} caseId
+ * @param {string} selectionId - identity_theft_items ID
+ * @param {Object} result
+ * @param {string} result.status - 'blocked' or 'declined'
+ * @param {string} [result.resultDate] - YYYY-MM-DD, defaults to today
+ * @returns {Promise<Object|null>} The updated selection, or null if it is not
+ *   part of the case or has no block request yet
+ */
+async function recordBlockResult(caseId, selectionId, { status, resultDate }) {
+  const date = resultDate || toDateString(new Date());
+
+  return transaction(async (client) => {
+    const updated = await client.query(
+      `UPDATE identity_theft_items SET status = $1, result_date = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 AND case_id = $4 AND dispute_id IS NOT NULL
+       RETURNING id, credit_item_id, bureau, dispute_id, status, result_date`,
+      [status, date, selectionId, caseId]
+    );
+    if (updated.rows.length === 0) return null;
+    const selection = updated.rows[0];
+
+    if (status === 'blocked') {
+      await client.query(
+        `UPDATE credit_items SET status = 'deleted', updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND NOT EXISTS (
+           SELECT 1 FROM identity_theft_items
+           WHERE credit_item_id = $1 AND case_id = $2 AND status <> 'blocked'
+         )`,
+        [selection.credit_item_id, caseId]
+      );
+    }
+
+    await client.query(
+      `UPDATE disputes SET status = 'resolved', response_date = COALESCE(response_date, $1),
+              updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND NOT EXISTS (
+         SELECT 1 FROM identity_theft_items WHERE dispute_id = $2 AND status = 'requested'
+       )`,
+      [date, selection.dispute_id]
+    );
+
+    return selection;
+  });
+}
+
+// ============================================================================
+// Fraud alerts and security freezes
+// ============================================================================
+
+/**
+ * Date a protection lapses on its own.
+ * @param {string} protectionType
+ * @param {string} placedDate - YYYY-MM-DD
+ * @returns {string|null} null for freezes
+ */
+function defaultExpiration(protectionType, placedDate) {
+  const years = PROTECTION_DURATIONS[protectionType];
+  if (!years) return null;
+  const expires = new Date(placedDate);
+  expires.setUTCFullYear(expires.getUTCFullYear() + years);
+  return toDateString(expires);
+}
+
+/**
+ * Record a fraud alert or freeze placed at a bureau.
+ * @param {Object} params
+ * @returns {Promise<Object>}
+ */
+async function addProtection({
+  clientId, caseId, bureau, protectionType, placedDate, expiresDate, confirmationNumber, notes, recordedBy,
+}) {
+  const result = await query(
+    `INSERT INTO bureau_protections
+       (client_id, case_id, bureau, protection_type, placed_date, expires_date, confirmation_number, notes, recorded_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING ${PROTECTION_COLUMNS}`,
+    [
+      clientId, caseId || null, bureau, protectionType, placedDate,
+      expiresDate || defaultExpiration(protectionType, placedDate),
+      confirmationNumber || null, notes || null, recordedBy,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * A client's protections, with whether each is in force today.
+ * @param {string} clientId
+ * @returns {Promise<Object[]>}
+ */
+async function listProtections(clientId) {
+  const result = await query(
+    `SELECT ${PROTECTION_COLUMNS},
+            (status = 'active' AND (expires_date IS NULL OR expires_date >= CURRENT_DATE)) AS in_force
+     FROM bureau_protections
+     WHERE client_id = $1
+     ORDER BY bureau, placed_date DESC`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+/**
+ * @param {string} protectionId
+ * @returns {Promise<Object|null>}
+ */
+async function getProtection(protectionId) {
+  const result = await query(
+    `SELECT ${PROTECTION_COLUMNS} FROM bureau_protections WHERE id = $1`,
+    [protectionId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record that a freeze or alert was lifted.
+ * @param {string} protectionId
+ * @param {string} liftedDate - YYYY-MM-DD
+ * @returns {Promise<Object|null>} null if it was already lifted
+ */
+async function liftProtection(protectionId, liftedDate) {
+  const result = await query(
+    `UPDATE bureau_protections SET status = 'lifted', lifted_date = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2 AND status = 'active'
+     RETURNING ${PROTECTION_COLUMNS}`,
+    [liftedDate, protectionId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  BLOCK_DISPUTE_TYPE,
+  BLOCK_ITEM_STATUSES,
+  PROTECTION_TYPES,
+  PROTECTION_DURATIONS,
+  checkReportDocuments,
+  createCase,
+  getCase,
+  listCases,
+  listCandidates,
+  resolveSelections,
+  selectItems,
+  generateBlockRequests,
+  recordBlockResult,
+  defaultExpiration,
+  addProtection,
+  listProtections,
+  getProtection,
+  liftProtection,
+};
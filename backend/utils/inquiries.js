@@ -0,0 +1,290 @@
+/**
+ * Unauthorized Hard Inquiries
+ *
+ * Every hard inquiry a report lists is tracked as a credit item of type
+ * 'inquiry' whose date_reported is the inquiry date. The client confirms or
+ * denies each one. A denied inquiry gets two letters: a demand to the
+ * inquiring creditor for proof of its permissible purpose (FCRA §604), and
+ * a dispute to the bureau (§611). Inquiries stay on a report for 2 years
+ * (see obsolescence.REPORTING_YEARS), so each one shows its purge date, and
+ * a later report that no longer lists it records the removal and resolves
+ * its open letters.
+ *
+ * @module utils/inquiries
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { PURGE_DATE_SQL } = require('./obsolescence');
+const { renderDisputeLetter } = require('./letterTemplates');
+const { renderFurnisherLetter } = require('./furnisherDispute');
+
+const INQUIRY_DISPUTE_TYPE = 'unauthorized_inquiry';
+
+/** What the client can say about an inquiry */
+const INQUIRY_RESPONSES = ['authorized', 'unauthorized'];
+
+/** Inquiries dropping off within this many days are flagged as expiring */
+const EXPIRING_WINDOW_DAYS = 90;
+
+const INQUIRY_COLUMNS = `ci.id, ci.client_id, ci.bureau, ci.creditor_name, ci.account_number, ci.item_type,
+  ci.date_reported, ci.status, ci.inquiry_response, ci.inquiry_reviewed_at, ci.removed_at, ci.created_at`;
+
+/**
+ * Hard inquiries from analyzer output ({ creditorName, inquiryDate, type })
+ * or a normalized bureau report ({ creditor, date, type }). An inquiry
+ * without a type is treated as hard; one without a creditor or a full date
+ * cannot be matched across reports and is skipped.
+ * @param {Object[]} inquiries
+ * @returns {Array<{ creditor: string, date: string }>}
+ */
+function hardInquiries(inquiries = []) {
+  const seen = new Set();
+  const result = [];
+  for (const inquiry of inquiries) {
+    if (inquiry.type && String(inquiry.type).toLowerCase() !== 'hard') continue;
+    const creditor = String(inquiry.creditor || inquiry.creditorName || '').trim();
+    const date = String(inquiry.date || inquiry.inquiryDate || '').slice(0, 10);
+    if (!creditor || !/^\d{4}-\d{2}-\d{2}$/.test(date)) continue;
+
+    const key = `${creditor.toUpperCase()}|${date}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push({ creditor, date });
+  }
+  return result;
+}
+
+/**
+ * Why an inquiry is no longer reported: it reached its purge date, it was
+ * disputed, or neither.
+ * @param {Object} inquiry - Row with removed_at and purge_date
+ * @param {Object[]} disputes - Its letters
+ * @returns {'aged_off'|'disputed'|'removed'|null}
+ */
+function removalReason(inquiry, disputes) {
+  if (!inquiry.removed_at) return null;
+  if (inquiry.purge_date && new Date(inquiry.removed_at) >= new Date(inquiry.purge_date)) return 'aged_off';
+  return disputes.length > 0 ? 'disputed' : 'removed';
+}
+
+// ============================================================================
+// Tracking
+// ============================================================================
+
+/**
+ * Record the hard inquiries one report lists for a bureau. New inquiries
+ * become credit items, an inquiry the report no longer lists is marked
+ * removed (and its open letters resolved), and one that comes back is
+ * reported again.
+ * @param {string} clientId
+ * @param {string} bureau
+ * @param {Object[]} inquiries - Analyzer or normalized-report inquiries
+ * @returns {Promise<{ recorded: number, added: number, removed: number, reinserted: number, resolvedDisputes: number }>}
+ */
+async function recordInquiries(clientId, bureau, inquiries) {
+  const hard = hardInquiries(inquiries);
+  let added = 0;
+  let reinserted = 0;
+
+  for (const inquiry of hard) {
+    const existing = await query(
+      `SELECT id, removed_at FROM credit_items
+       WHERE client_id = $1 AND bureau = $2 AND item_type = 'inquiry'
+         AND UPPER(creditor_name) = UPPER($3) AND date_reported = $4 AND deleted_at IS NULL`,
+      [clientId, bureau, inquiry.creditor, inquiry.date]
+    );
+
+    if (existing.rows.length === 0) {
+      await query(
+        `INSERT INTO credit_items (client_id, item_type, creditor_name, account_number, bureau, status, date_reported)
+         VALUES ($1, 'inquiry', $2, '', $3, 'identified', $4)`,
+        [clientId, inquiry.creditor, bureau, inquiry.date]
+      );
+      added += 1;
+    } else if (existing.rows[0].removed_at) {
+      await query(
+        `UPDATE credit_items SET removed_at = NULL, status = 'identified', updated_at = NOW() WHERE id = $1`,
+        [existing.rows[0].id]
+      );
+      reinserted += 1;
+    }
+  }
+
+  const removed = await query(
+    `UPDATE credit_items
+     SET status = 'deleted', removed_at = NOW(), updated_at = NOW()
+     WHERE client_id = $1 AND bureau = $2 AND item_type = 'inquiry' AND deleted_at IS NULL AND removed_at IS NULL
+       AND NOT (UPPER(creditor_name) || '|' || date_reported::text = ANY($3))
+     RETURNING id`,
+    [clientId, bureau, hard.map((i) => `${i.creditor.toUpperCase()}|${i.date}`)]
+  );
+
+  let resolvedDisputes = 0;
+  if (removed.rows.length > 0) {
+    const resolved = await query(
+      `UPDATE disputes
+       SET status = 'resolved', response_date = COALESCE(response_date, CURRENT_DATE), updated_at = CURRENT_TIMESTAMP
+       WHERE credit_item_id = ANY($1::uuid[]) AND dispute_type = '${INQUIRY_DISPUTE_TYPE}'
+         AND status NOT IN ('resolved', 'rejected')
+       RETURNING id`,
+      [removed.rows.map((r) => r.id)]
+    );
+    resolvedDisputes = resolved.rows.length;
+    logger.info({ clientId, bureau, removed: removed.rows.length, resolvedDisputes }, 'Hard inquiries removed');
+  }
+  if (reinserted > 0) {
+    logger.warn({ clientId, bureau, reinserted }, 'Removed hard inquiries reported again');
+  }
+
+  return { recorded: hard.length, added, removed: removed.rows.length, reinserted, resolvedDisputes };
+}
+
+/**
+ * A client's hard inquiries with their review, letters, purge date and removal.
+ * @param {string} clientId
+ * @returns {Promise<{ inquiries: Object[], summary: Object }>}
+ */
+async function getClientInquiries(clientId) {
+  const result = await query(
+    `SELECT ${INQUIRY_COLUMNS}, ${PURGE_DATE_SQL} AS purge_date, ${PURGE_DATE_SQL} - CURRENT_DATE AS days_remaining
+     FROM credit_items ci
+     WHERE ci.client_id = $1 AND ci.item_type = 'inquiry' AND ci.deleted_at IS NULL
+     ORDER BY ci.removed_at IS NOT NULL, ci.bureau, ci.date_reported DESC`,
+    [clientId]
+  );
+  const disputes = await query(
+    `SELECT id, credit_item_id, target_type, bureau, furnisher_id, status, sent_date, response_date, created_at
+     FROM disputes
+     WHERE client_id = $1 AND dispute_type = '${INQUIRY_DISPUTE_TYPE}' AND deleted_at IS NULL
+     ORDER BY created_at`,
+    [clientId]
+  );
+
+  const summary = { total: result.rows.length, active: 0, needsReview: 0, unauthorized: 0, disputed: 0, expiringSoon: 0, removed: 0 };
+  const inquiries = result.rows.map((row) => {
+    const letters = disputes.rows.filter((d) => d.credit_item_id === row.id);
+    const daysRemaining = row.days_remaining === null ? null : Number(row.days_remaining);
+    const inquiry = { ...row, days_remaining: daysRemaining, disputes: letters, removal_reason: removalReason(row, letters) };
+
+    if (row.removed_at) {
+      summary.removed += 1;
+      return inquiry;
+    }
+    summary.active += 1;
+    if (!row.inquiry_response) summary.needsReview += 1;
+    if (row.inquiry_response === 'unauthorized') summary.unauthorized += 1;
+    if (letters.length > 0) summary.disputed += 1;
+    if (daysRemaining !== null && daysRemaining <= EXPIRING_WINDOW_DAYS) summary.expiringSoon += 1;
+    return inquiry;
+  });
+
+  return { inquiries, summary };
+}
+
+/**
+ * Load one inquiry.
+ * @param {string} itemId
+ * @returns {Promise<Object|null>}
+ */
+async function getInquiry(itemId) {
+  const result = await query(
+    `SELECT ${INQUIRY_COLUMNS}, ${PURGE_DATE_SQL} AS purge_date
+     FROM credit_items ci
+     WHERE ci.id = $1 AND ci.item_type = 'inquiry' AND ci.deleted_at IS NULL`,
+    [itemId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Record whether the client authorized an inquiry.
+ * @param {string} itemId
+ * @param {'authorized'|'unauthorized'} response
+ * @returns {Promise<Object|null>} The updated inquiry, or null once it has been disputed or removed
+ */
+async function setInquiryResponse(itemId, response) {
+  const result = await query(
+    `UPDATE credit_items ci SET inquiry_response = $2, inquiry_reviewed_at = NOW(), updated_at = NOW()
+     WHERE ci.id = $1 AND ci.item_type = 'inquiry' AND ci.removed_at IS NULL AND ci.status <> 'disputing'
+     RETURNING ${INQUIRY_COLUMNS}`,
+    [itemId, response]
+  );
+  return result.rows[0] || null;
+}
+
+// ============================================================================
+// Letters
+// ============================================================================
+
+/**
+ * Why letters cannot be drafted for an inquiry yet, or null when they can.
+ * @param {Object} inquiry - From getInquiry
+ * @returns {string|null}
+ */
+function checkDisputable(inquiry) {
+  if (inquiry.removed_at) return 'This inquiry is no longer reported';
+  if (inquiry.inquiry_response !== 'unauthorized') return 'The client has not denied authorizing this inquiry';
+  if (inquiry.status === 'disputing') return 'This inquiry is already being disputed';
+  return null;
+}
+
+/**
+ * Draft the §604 permissible-purpose demand to the inquiring creditor and
+ * the dispute to the bureau, and mark the inquiry as disputing.
+ * @param {Object} inquiry - From getInquiry
+ * @param {Object} furnisher - The inquiring creditor (furnishers row)
+ * @returns {Promise<Object[]|null>} The creditor and bureau disputes, or null if the client profile is missing
+ */
+async function generateDisputes(inquiry, furnisher) {
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [inquiry.client_id]
+  );
+  if (clientResult.rows.length === 0) return null;
+  const client = clientResult.rows[0];
+
+  const creditorLetter = await renderFurnisherLetter(INQUIRY_DISPUTE_TYPE, client, inquiry, furnisher);
+  const bureauLetter = await renderDisputeLetter({ client, item: inquiry, bureau: inquiry.bureau, disputeType: INQUIRY_DISPUTE_TYPE });
+
+  return transaction(async (db) => {
+    const columns = 'id, client_id, credit_item_id, dispute_type, bureau, target_type, furnisher_id, letter_content, template_version_id, status, created_at';
+    const creditor = await db.query(
+      `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, target_type, furnisher_id, letter_content, template_version_id, status)
+       VALUES ($1, $2, '${INQUIRY_DISPUTE_TYPE}', $3, 'furnisher', $4, $5, $6, 'draft')
+       RETURNING ${columns}`,
+      [inquiry.client_id, inquiry.id, inquiry.bureau, furnisher.id, creditorLetter.content, creditorLetter.templateVersionId]
+    );
+    const bureau = await db.query(
+      `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, target_type, letter_content, template_version_id, status)
+       VALUES ($1, $2, '${INQUIRY_DISPUTE_TYPE}', $3, 'bureau', $4, $5, 'draft')
+       RETURNING ${columns}`,
+      [inquiry.client_id, inquiry.id, inquiry.bureau, bureauLetter.content, bureauLetter.templateVersionId]
+    );
+    await db.query(
+      `UPDATE credit_items SET status = 'disputing', updated_at = NOW() WHERE id = $1`,
+      [inquiry.id]
+    );
+
+    logger.info({ clientId: inquiry.client_id, itemId: inquiry.id }, 'Unauthorized inquiry letters generated');
+    return [creditor.rows[0], bureau.rows[0]];
+  });
+}
+
+module.exports = {
+  INQUIRY_DISPUTE_TYPE,
+  INQUIRY_RESPONSES,
+  EXPIRING_WINDOW_DAYS,
+  hardInquiries,
+  removalReason,
+  recordInquiries,
+  getClientInquiries,
+  getInquiry,
+  setInquiryResponse,
+  checkDisputable,
+  generateDisputes,
+};
@@ -0,0 +1,620 @@
+/**
+ * Letter Template Engine
+ *
+ * Dispute letters and AI prompts are rendered from templates stored in the
+ * database. Each template key (e.g. 'dispute.not_mine') has numbered
+ * versions with an effective date; the version in effect on a given day is
+ * the newest one whose effective date has arrived. The built-in text from
+ * utils/letterTemplateDefaults is saved as each template's first version by
+ * migration 029, so every rendered letter records a version id.
+ *
+ * Bodies use typed merge variables: {{group.field}}, with an optional
+ * fallback for empty values: {{item.account_number|N/A}}. Values are
+ * formatted by type (dates spelled out, balances as currency).
+ *
+ * @module utils/letterTemplates
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { DEFAULT_TEMPLATES, DISPUTE_TYPE_NAMES } = require('./letterTemplateDefaults');
+const { AGENCY_STRATEGIES, SPECIALTY_AGENCY_STRATEGIES, STRATEGY_ROUNDS } = require('./disputeStrategy');
+const { computePurgeDate } = require('./obsolescence');
+
+/**
+ * Merge variables available to every template, with their types
+ * @type {Object<string, Object<string, 'string'|'text'|'date'|'currency'|'number'>>}
+ */
+const TEMPLATE_VARIABLES = {
+  client: {
+    first_name: 'string',
+    last_name: 'string',
+    full_name: 'string',
+    address_line1: 'string',
+    address_line2: 'string',
+    city: 'string',
+    state: 'string',
+    zip_code: 'string',
+    address: 'text',
+    phone: 'string',
+    email: 'string',
+    date_of_birth: 'date',
+    ssn_last_4: 'string',
+  },
+  item: {
+    creditor_name: 'string',
+    account_number: 'string',
+    account_last4: 'string',
+    item_type: 'string',
+    balance: 'currency',
+    status: 'string',
+    date_opened: 'date',
+    date_reported: 'date',
+    date_of_first_delinquency: 'date',
+    purge_date: 'date',
+    description: 'text',
+  },
+  bureau: {
+    key: 'string',
+    name: 'string',
+    address: 'text',
+    file_request_address: 'text',
+    tactics: 'text',
+  },
+  round: {
+    number: 'number',
+    name: 'string',
+    description: 'text',
+    approach: 'text',
+  },
+  company_profile: {
+    company_name: 'string',
+    legal_name: 'string',
+    address: 'text',
+    phone: 'string',
+    email: 'string',
+    website: 'string',
+    support_phone: 'string',
+    support_email: 'string',
+  },
+  original_dispute: {
+    sent_date: 'date',
+    delivered_date: 'date',
+    response_date: 'date',
+    due_date: 'date',
+    period_days: 'number',
+  },
+  identity_theft: {
+    ftc_report_number: 'string',
+    police_report: 'string',
+    blocked_items: 'text',
+  },
+  personal_info: {
+    entries: 'text',
+  },
+  creditor: {
+    name: 'string',
+    address: 'text',
+  },
+  goodwill: {
+    payment_history: 'text',
+    hardship: 'text',
+  },
+  settlement: {
+    amount: 'currency',
+    reported_balance: 'currency',
+    payment_deadline: 'date',
+  },
+  debt_validation: {
+    sent_date: 'date',
+    outcome: 'text',
+  },
+  letter: {
+    date: 'date',
+    dispute_type: 'string',
+    dispute_type_label: 'string',
+    additional_details: 'text',
+  },
+};
+
+/** {{ group.field }} or {{ group.field|fallback }} */
+const MERGE_PATTERN = /\{\{\s*([^}|]*?)\s*(?:\|([^}]*))?\}\}/g;
+
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+const isTemplateKey = (key) => TEMPLATE_KEYS.includes(key);
+
+// ============================================================================
+// Rendering
+// ============================================================================
+
+/**
+ * Format a merge value for its declared type. Empty values become ''.
+ * @param {string} type
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(type, value) {
+  if (value === null || value === undefined || value === '') return '';
+
+  if (type === 'date') {
+    // Bare YYYY-MM-DD strings are calendar dates, not UTC instants
+    const d = typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+      ? new Date(`${value}T00:00:00`)
+      : new Date(value);
+    if (isNaN(d.getTime())) return String(value);
+    return d.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  }
+
+  if (type === 'currency') {
+    const amount = Number(value);
+    if (isNaN(amount)) return String(value);
+    return `$${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
+  return String(value);
+}
+
+/**
+ * List the merge variables a body references and which of them are unknown.
+ * @param {string} body
+ * @returns {{ variables: string[], unknown: string[] }}
+ */
+function inspectTemplate(body) {
+  const variables = new Set();
+  const unknown = new Set();
+
+  for (const [, name] of body.matchAll(MERGE_PATTERN)) {
+    const [group, field, ...rest] = name.split('.');
+    if (rest.length === 0 && TEMPLATE_VARIABLES[group]?.[field]) {
+      variables.add(name);
+    } else {
+      unknown.add(name);
+    }
+  }
+
+  return { variables: [...variables], unknown: [...unknown] };
+}
+
+/**
+ * Fill a template body from a merge context. Unknown variables render empty.
+ * @param {string} body
+ * @param {Object} context - Built by buildMergeContext
+ * @returns {string}
+ */
+function render(body, context) {
+  return body
+    .replace(MERGE_PATTERN, (token, name, fallback) => {
+      const [group, field] = name.split('.');
+      const type = TEMPLATE_VARIABLES[group]?.[field];
+      const value = type ? formatValue(type, context[group]?.[field]) : '';
+      return value || (fallback ?? '').trim();
+    })
+    .trim();
+}
+
+// ============================================================================
+// Merge context
+// ============================================================================
+
+const formatAddress = (line1, line2, city, state, zip) => {
+  const lines = [line1, line2].filter(Boolean);
+  const cityLine = [city, [state, zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  if (cityLine) lines.push(cityLine);
+  return lines.join('\n');
+};
+
+/**
+ * One line of a §605B block request: the account, or the inquiry and its date.
+ * @param {Object} item - credit_items row
+ * @returns {string}
+ */
+const describeBlockedItem = (item) => {
+  if (item.item_type === 'inquiry') {
+    const date = item.date_reported || item.date_opened;
+    return `- Inquiry by ${item.creditor_name}${date ? ` on ${formatValue('date', date)}` : ''}`;
+  }
+  const last4 = (item.account_number || '').replace(/[^0-9A-Za-z]/g, '').slice(-4);
+  return `- ${item.creditor_name}, account ending in ${last4 || 'N/A'}`;
+};
+
+const PERSONAL_INFO_LABELS = { name: 'Name', address: 'Address', employer: 'Employer', phone: 'Phone number' };
+
+/**
+ * One line of a personal-information cleanup letter.
+ * @param {Object} entry - personal_info_entries row
+ * @returns {string}
+ */
+const describePersonalInfoEntry = (entry) => `- ${PERSONAL_INFO_LABELS[entry.entry_type] || entry.entry_type}: ${entry.value}`;
+
+/**
+ * Build the typed merge context for a letter. Accepts client and item rows
+ * in either snake_case (database) or camelCase (analyzer output).
+ * @param {Object} sources
+ * @param {Object} sources.client
+ * @param {Object} [sources.item]
+ * @param {string} [sources.bureau]
+ * @param {number} [sources.round=1]
+ * @param {Object} [sources.companyProfile]
+ * @param {string} [sources.disputeType]
+ * @param {string} [sources.additionalDetails]
+ * @param {Object} [sources.originalDispute] - The dispute a follow-up letter
+ *   refers back to (sent_date, clock_start_date, response_date, and for an
+ *   overdue dispute its due_date and period_days)
+ * @param {Object} [sources.identityTheft] - §605B block details: ftc_report_number,
+ *   police_report_number, police_department and the items to block
+ * @param {Object} [sources.personalInfo] - Cleanup details: the entries to remove
+ * @param {Object} [sources.creditor] - Letters addressed to a creditor: name and
+ *   the address block to mail to
+ * @param {Object} [sources.goodwill] - Goodwill request: payment history summary
+ *   and the client's hardship story
+ * @param {Object} [sources.settlement] - Pay-for-delete terms: amount,
+ *   reported_balance and payment_deadline
+ * @param {Object} [sources.debtValidation] - Validation request a follow-up
+ *   dispute cites: sent_date and what the collector did (outcome)
+ * @param {Date} [sources.date]
+ * @returns {Object}
+ */
+function buildMergeContext({
+  client = {},
+  item = {},
+  bureau,
+  round = 1,
+  companyProfile = {},
+  disputeType,
+  additionalDetails,
+  originalDispute = {},
+  identityTheft = {},
+  personalInfo = {},
+  creditor = {},
+  goodwill = {},
+  settlement = {},
+  debtValidation = {},
+  date = new Date(),
+}) {
+  const firstName = client.first_name || client.firstName || '';
+  const lastName = client.last_name || client.lastName || '';
+  const accountNumber = item.account_number || item.accountNumber || '';
+  const bureauKey = (bureau || '').toLowerCase();
+  const bureauInfo = AGENCY_STRATEGIES[bureauKey];
+  const roundInfo = STRATEGY_ROUNDS[round] || STRATEGY_ROUNDS[1];
+
+  return {
+    client: {
+      first_name: firstName,
+      last_name: lastName,
+      full_name: `${firstName} ${lastName}`.trim(),
+      address_line1: client.address_line1 || client.address,
+      address_line2: client.address_line2,
+      city: client.city,
+      state: client.state,
+      zip_code: client.zip_code || client.zipCode,
+      address: formatAddress(
+        client.address_line1 || client.address, client.address_line2,
+        client.city, client.state, client.zip_code || client.zipCode
+      ),
+      phone: client.phone,
+      email: client.email,
+      date_of_birth: client.date_of_birth || client.dob,
+      ssn_last_4: client.ssn_last_4 || client.ssn_last_four,
+    },
+    item: {
+      creditor_name: item.creditor_name || item.creditorName,
+      account_number: accountNumber,
+      account_last4: accountNumber.replace(/[^0-9A-Za-z]/g, '').slice(-4),
+      item_type: item.item_type || item.accountType,
+      balance: item.balance,
+      status: item.status,
+      date_opened: item.date_opened || item.dateOpened,
+      date_reported: item.date_reported || item.dateReported,
+      date_of_first_delinquency: item.date_of_first_delinquency || item.dateOfFirstDelinquency,
+      purge_date: item.item_type ? computePurgeDate(item) : null,
+      description: item.description,
+    },
+    bureau: {
+      key: bureauKey,
+      name: bureauInfo?.name || (bureau ? bureau.charAt(0).toUpperCase() + bureau.slice(1) : ''),
+      address: bureauInfo?.address,
+      file_request_address: bureauInfo?.fileRequest?.mail,
+      tactics: bureauInfo?.bestTactics.map((tactic) => `- ${tactic}`).join('\n'),
+    },
+    round: {
+      number: roundInfo.id,
+      name: roundInfo.name,
+      description: roundInfo.description,
+      approach: roundInfo.approach,
+    },
+    company_profile: {
+      company_name: companyProfile.company_name,
+      legal_name: companyProfile.legal_name,
+      address: formatAddress(
+        companyProfile.address_street, companyProfile.address_suite,
+        companyProfile.address_city, companyProfile.address_state, companyProfile.address_zip
+      ),
+      phone: companyProfile.phone,
+      email: companyProfile.email,
+      website: companyProfile.website,
+      support_phone: companyProfile.support_phone,
+      support_email: companyProfile.support_email,
+    },
+    original_dispute: {
+      sent_date: originalDispute.sent_date,
+      delivered_date: originalDispute.clock_start_date,
+      response_date: originalDispute.response_date,
+      due_date: originalDispute.due_date,
+      period_days: originalDispute.period_days,
+    },
+    identity_theft: {
+      ftc_report_number: identityTheft.ftc_report_number,
+      police_report: [identityTheft.police_report_number, identityTheft.police_department].filter(Boolean).join(', '),
+      blocked_items: (identityTheft.items || []).map(describeBlockedItem).join('\n'),
+    },
+    personal_info: {
+      entries: (personalInfo.entries || []).map(describePersonalInfoEntry).join('\n'),
+    },
+    creditor: {
+      name: creditor.name,
+      address: creditor.address,
+    },
+    goodwill: {
+      payment_history: goodwill.payment_history,
+      hardship: goodwill.hardship,
+    },
+    settlement: {
+      amount: settlement.amount,
+      reported_balance: settlement.reported_balance,
+      payment_deadline: settlement.payment_deadline,
+    },
+    debt_validation: {
+      sent_date: debtValidation.sent_date,
+      outcome: debtValidation.outcome,
+    },
+    letter: {
+      date,
+      dispute_type: disputeType,
+      dispute_type_label: DISPUTE_TYPE_NAMES[disputeType] || disputeType,
+      additional_details: additionalDetails,
+    },
+  };
+}
+
+/**
+ * The company profile used for company_profile.* variables.
+ * @returns {Promise<Object>} Empty object when none is configured
+ */
+async function loadCompanyProfile() {
+  const result = await query(
+    `SELECT company_name, legal_name, address_street, address_suite, address_city, address_state,
+            address_zip, phone, email, website, support_phone, support_email
+     FROM company_profile ORDER BY created_at ASC LIMIT 1`
+  );
+  return result.rows[0] || {};
+}
+
+/**
+ * Client and credit item rows for previewing a template against real data.
+ * @param {string} clientId
+ * @param {string} [creditItemId]
+ * @returns {Promise<{client: Object, item: Object}|null>} null if the client
+ *   or item does not exist (or the item belongs to someone else)
+ */
+async function loadPreviewSources(clientId, creditItemId) {
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code,
+            cp.date_of_birth, cp.ssn_last_4
+     FROM users u
+     LEFT JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  if (clientResult.rows.length === 0) return null;
+
+  let item = {};
+  if (creditItemId) {
+    const itemResult = await query(
+      `SELECT creditor_name, account_number, item_type, balance, status, date_opened, date_reported,
+              date_of_first_delinquency, bankruptcy_chapter, description
+       FROM credit_items WHERE id = $1 AND client_id = $2 AND deleted_at IS NULL`,
+      [creditItemId, clientId]
+    );
+    if (itemResult.rows.length === 0) return null;
+    item = itemResult.rows[0];
+  }
+
+  return { client: clientResult.rows[0], item };
+}
+
+// ============================================================================
+// Versions
+// ============================================================================
+
+/**
+ * The version of a template in effect on a date. Every template has a saved
+ * version from migration 029 on, so a missing one is a deployment error, not
+ * a reason to fall back to the built-in text: the letter could not be traced
+ * to the text that produced it.
+ * @param {string} templateKey
+ * @param {Date|string} [asOf=today]
+ * @returns {Promise<{id: string, version: number, body: string, effective_date: string}>}
+ * @throws {Error} When no saved version is in effect
+ */
+async function getEffectiveVersion(templateKey, asOf = new Date()) {
+  const result = await query(
+    `SELECT v.id, v.version, v.body, v.effective_date
+     FROM letter_template_versions v
+     JOIN letter_templates t ON v.template_id = t.id
+     WHERE t.template_key = $1 AND v.effective_date <= $2
+     ORDER BY v.effective_date DESC, v.version DESC
+     LIMIT 1`,
+    [templateKey, toDateString(asOf)]
+  );
+
+  if (result.rows.length === 0) {
+    throw new Error(`No version of letter template ${templateKey} is in effect on ${toDateString(asOf)}; run the migrations`);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Render the version of a template in effect on a date.
+ * @param {string} templateKey
+ * @param {Object} context - Built by buildMergeContext
+ * @param {Date|string} [asOf=today]
+ * @returns {Promise<{content: string, templateVersionId: string, version: number}>}
+ */
+async function renderTemplate(templateKey, context, asOf) {
+  const version = await getEffectiveVersion(templateKey, asOf);
+  return {
+    content: render(version.body, context),
+    templateVersionId: version.id,
+    version: version.version,
+  };
+}
+
+/**
+ * Template key of the dispute letter for a dispute type and recipient.
+ * Direct disputes get the furnisher.* letters and specialty reporting
+ * agencies the dispute.agency.* letters.
+ * @param {string} disputeType
+ * @param {string} [bureau]
+ * @param {'bureau'|'furnisher'} [targetType='bureau']
+ * @returns {string}
+ */
+function disputeTemplateKey(disputeType, bureau, targetType = 'bureau') {
+  if (targetType === 'furnisher') {
+    return isTemplateKey(`furnisher.${disputeType}`) ? `furnisher.${disputeType}` : 'furnisher.other';
+  }
+  const family = SPECIALTY_AGENCY_STRATEGIES[(bureau || '').toLowerCase()] ? 'dispute.agency' : 'dispute';
+  return isTemplateKey(`${family}.${disputeType}`) ? `${family}.${disputeType}` : `${family}.inaccurate_info`;
+}
+
+/**
+ * Render the dispute letter for a dispute type.
+ * @param {Object} sources - See buildMergeContext; disputeType is required.
+ *   Direct disputes pass targetType 'furnisher' and the furnisher as creditor.
+ * @returns {Promise<{content: string, templateVersionId: string, version: number}>}
+ */
+async function renderDisputeLetter(sources) {
+  const templateKey = disputeTemplateKey(sources.disputeType, sources.bureau, sources.targetType);
+  const version = await getEffectiveVersion(templateKey);
+  const companyProfile = await loadCompanyProfile();
+
+  return {
+    content: render(version.body, buildMergeContext({ ...sources, companyProfile })),
+    templateVersionId: version.id,
+    version: version.version,
+  };
+}
+
+/**
+ * Every template key with its saved-version summary.
+ * @returns {Promise<Object[]>}
+ */
+async function listTemplates() {
+  const result = await query(
+    `SELECT t.template_key, t.updated_at, MAX(v.version) AS latest_version
+     FROM letter_templates t
+     LEFT JOIN letter_template_versions v ON v.template_id = t.id
+     GROUP BY t.id`
+  );
+  const saved = new Map(result.rows.map((row) => [row.template_key, row]));
+
+  return TEMPLATE_KEYS.map((key) => {
+    const { category, name, description } = DEFAULT_TEMPLATES[key];
+    const row = saved.get(key);
+    return {
+      key,
+      category,
+      name,
+      description,
+      latestVersion: row?.latest_version ?? 0,
+      updatedAt: row?.updated_at || null,
+    };
+  });
+}
+
+/**
+ * A template with its built-in text and all saved versions, newest first.
+ * @param {string} templateKey
+ * @returns {Promise<Object>}
+ */
+async function getTemplate(templateKey) {
+  const { category, name, description, body } = DEFAULT_TEMPLATES[templateKey];
+  const result = await query(
+    `SELECT v.id, v.version, v.body, v.variables, v.effective_date, v.notes, v.created_by, v.created_at
+     FROM letter_template_versions v
+     JOIN letter_templates t ON v.template_id = t.id
+     WHERE t.template_key = $1
+     ORDER BY v.version DESC`,
+    [templateKey]
+  );
+
+  return {
+    key: templateKey,
+    category,
+    name,
+    description,
+    defaultBody: body,
+    versions: result.rows,
+  };
+}
+
+/**
+ * Save a new version of a template. The template row is created on its
+ * first saved version; concurrent saves are serialized on that row.
+ * @param {string} templateKey
+ * @param {Object} data
+ * @param {string} data.body
+ * @param {string} [data.effectiveDate] - YYYY-MM-DD, defaults to today
+ * @param {string} [data.notes]
+ * @param {string} createdBy - User ID
+ * @returns {Promise<Object>} The new version row
+ */
+async function createVersion(templateKey, { body, effectiveDate, notes }, createdBy) {
+  const { category, name, description } = DEFAULT_TEMPLATES[templateKey];
+  const { variables } = inspectTemplate(body);
+
+  return transaction(async (client) => {
+    const templateResult = await client.query(
+      `INSERT INTO letter_templates (template_key, category, name, description, created_by)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (template_key) DO UPDATE SET updated_at = CURRENT_TIMESTAMP
+       RETURNING id`,
+      [templateKey, category, name, description, createdBy]
+    );
+    const templateId = templateResult.rows[0].id;
+
+    const versionResult = await client.query(
+      `INSERT INTO letter_template_versions (template_id, version, body, variables, effective_date, notes, created_by)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6
+       FROM letter_template_versions WHERE template_id = $1
+       RETURNING id, version, body, variables, effective_date, notes, created_at`,
+      [templateId, body, JSON.stringify(variables), effectiveDate || null, notes || null, createdBy]
+    );
+
+    logger.info({ templateKey, version: versionResult.rows[0].version }, 'Letter template version saved');
+    return versionResult.rows[0];
+  });
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  TEMPLATE_KEYS,
+  isTemplateKey,
+  formatValue,
+  formatAddress,
+  inspectTemplate,
+  render,
+  buildMergeContext,
+  loadCompanyProfile,
+  loadPreviewSources,
+  getEffectiveVersion,
+  renderTemplate,
+  disputeTemplateKey,
+  renderDisputeLetter,
+  listTemplates,
+  getTemplate,
+  createVersion,
+};
@@ -0,0 +1,447 @@
+/**
+ * Mail Run Service
+ *
+ * The daily print-and-mail batch. A run collects every draft dispute that is
+ * ready to mail across all clients, groups them by bureau, and produces one
+ * merged packet PDF, an address-label sheet and a CSV manifest. The disputes
+ * stay drafts until staff confirm the run went out; confirming marks them
+ * sent with the day's date and starts their campaign rounds.
+ *
+ * @module utils/mailRun
+ */
+
+const PDFDocument = require('pdfkit');
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { AGENCY_STRATEGIES } = require('./disputeStrategy');
+const { recordRoundSent } = require('./disputeCampaigns');
+const {
+  ID_DOCUMENT_CATEGORIES,
+  FURNISHER_ADDRESS_COLUMNS,
+  getRecipient,
+  loadPacket,
+  renderPacket,
+  createPacketDocument,
+  documentToBuffer,
+} = require('./disputePacket');
+
+/** Print order of the groups in a run: nationwide bureaus, specialty agencies, then furnishers */
+const GROUP_ORDER = [...Object.keys(AGENCY_STRATEGIES), 'furnisher'];
+
+/** Avery 5160 / 8160 address labels: 3 × 10 per letter sheet, in points */
+const LABEL_SHEET = {
+  columns: 3,
+  rows: 10,
+  width: 189,
+  height: 72,
+  top: 36,
+  left: 13.5,
+  columnPitch: 198,
+  padding: 9,
+};
+
+const MANIFEST_COLUMNS = [
+  ['position', 'Position'],
+  ['group', 'Group'],
+  ['dispute_id', 'Dispute ID'],
+  ['client_name', 'Client'],
+  ['creditor_name', 'Creditor'],
+  ['account_number', 'Account'],
+  ['dispute_type', 'Dispute Type'],
+  ['recipient_name', 'Recipient'],
+  ['recipient_address', 'Recipient Address'],
+  ['tracking_number', 'Tracking Number'],
+];
+
+const groupKeyOf = (dispute) => (dispute.target_type === 'furnisher' ? 'furnisher' : dispute.bureau);
+
+const groupLabel = (groupKey) => (groupKey === 'furnisher' ? 'Furnishers' : AGENCY_STRATEGIES[groupKey]?.name || groupKey);
+
+/**
+ * Shape a dispute row for run listings.
+ * @param {Object} row - Row with dispute, client, item and furnisher address columns
+ * @returns {Object}
+ */
+function toRunDispute(row) {
+  return {
+    id: row.id,
+    clientId: row.client_id,
+    clientName: `${row.first_name} ${row.last_name}`.trim(),
+    creditorName: row.creditor_name,
+    accountNumber: row.account_number,
+    disputeType: row.dispute_type,
+    bureau: row.bureau,
+    targetType: row.target_type,
+    groupKey: groupKeyOf(row),
+    trackingNumber: row.tracking_number || null,
+    recipient: getRecipient(row),
+  };
+}
+
+/**
+ * Group run disputes by bureau, in print order. Groups with no disputes are
+ * left out.
+ * @param {Object[]} disputes - From toRunDispute
+ * @returns {{ groupKey: string, label: string, disputes: Object[] }[]}
+ */
+function groupDisputes(disputes) {
+  return GROUP_ORDER
+    .map((groupKey) => ({
+      groupKey,
+      label: groupLabel(groupKey),
+      disputes: disputes.filter((d) => d.groupKey === groupKey),
+    }))
+    .filter((group) => group.disputes.length > 0);
+}
+
+/**
+ * Why a draft cannot be mailed yet. An empty list means it is ready.
+ * @param {Object} row - Row from the draft readiness query
+ * @returns {string[]}
+ */
+function readinessProblems(row) {
+  const problems = [];
+  if (!row.has_letter) problems.push('Letter is empty');
+  if (!row.has_address) problems.push('Client mailing address is incomplete');
+  if (!row.has_id) problems.push('No proof of identity on file');
+  if (!row.has_proof_of_address) problems.push('No proof of address on file');
+  if (!getRecipient(row).address) problems.push('Recipient has no mailing address');
+  if (row.in_pending_run) problems.push('Already in a pending mail run');
+  return problems;
+}
+
+// ============================================================================
+// Selection
+// ============================================================================
+
+/**
+ * Every draft dispute of an active client, split into those ready to mail
+ * and those that are not (with the reasons).
+ * @param {Object} [db] - Transaction client; defaults to the pool
+ * @returns {Promise<{ ready: Object[], notReady: Object[] }>}
+ */
+async function listReadyDisputes(db = { query }) {
+  const result = await db.query(
+    `SELECT d.id, d.client_id, d.dispute_type, d.bureau, d.target_type, d.tracking_number,
+            ci.creditor_name, ci.account_number,
+            u.first_name, u.last_name,
+            ${FURNISHER_ADDRESS_COLUMNS},
+            COALESCE(d.letter_content, '') <> '' AS has_letter,
+            (cp.address_line1 IS NOT NULL AND cp.city IS NOT NULL
+             AND cp.state IS NOT NULL AND cp.zip_code IS NOT NULL) AS has_address,
+            EXISTS (
+              SELECT 1 FROM documents doc
+              WHERE doc.client_id = d.client_id AND doc.deleted_at IS NULL AND doc.document_category = ANY($1)
+            ) AS has_id,
+            EXISTS (
+              SELECT 1 FROM documents doc
+              WHERE doc.client_id = d.client_id AND doc.deleted_at IS NULL AND doc.document_category = 'proof_of_address'
+            ) AS has_proof_of_address,
+            EXISTS (
+              SELECT 1 FROM mail_run_items i JOIN mail_runs r ON i.mail_run_id = r.id
+              WHERE i.dispute_id = d.id AND r.status = 'pending'
+            ) AS in_pending_run
+     FROM disputes d
+     JOIN users u ON d.client_id = u.id
+     LEFT JOIN client_profiles cp ON cp.user_id = u.id
+     LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
+     LEFT JOIN furnishers f ON d.furnisher_id = f.id
+     WHERE d.status = 'draft' AND d.deleted_at IS NULL AND u.status = 'active'
+     ORDER BY u.last_name, u.first_name, d.created_at`,
+    [ID_DOCUMENT_CATEGORIES]
+  );
+
+  const ready = [];
+  const notReady = [];
+  result.rows.forEach((row) => {
+    const problems = readinessProblems(row);
+    if (problems.length === 0) ready.push(toRunDispute(row));
+    else notReady.push({ ...toRunDispute(row), problems });
+  });
+
+  return { ready, notReady };
+}
+
+// ============================================================================
+// Runs
+// ============================================================================
+
+/**
+ * Create a pending run from the disputes that are ready now. The drafts are
+ * locked before readiness is checked, so two runs created at the same time
+ * cannot both take the same dispute: the second waits, then sees it is
+ * already in a pending run.
+ * @param {string} userId
+ * @param {string[]} [disputeIds] - Limit the run to these disputes
+ * @returns {Promise<Object|null>} The run, or null if nothing was ready
+ */
+async function createMailRun(userId, disputeIds) {
+  const created = await transaction(async (client) => {
+    await client.query(
+      `SELECT id FROM disputes
+       WHERE status = 'draft' AND deleted_at IS NULL AND ($1::uuid[] IS NULL OR id = ANY($1::uuid[]))
+       ORDER BY id
+       FOR UPDATE`,
+      [disputeIds || null]
+    );
+
+    // A new statement, so it sees items committed by a run that held the locks first
+    const { ready } = await listReadyDisputes(client);
+    const selected = disputeIds ? ready.filter((d) => disputeIds.includes(d.id)) : ready;
+    if (selected.length === 0) return null;
+
+    const ordered = groupDisputes(selected).flatMap((group) => group.disputes);
+    const runResult = await client.query(
+      `INSERT INTO mail_runs (created_by) VALUES ($1) RETURNING id`,
+      [userId]
+    );
+    const id = runResult.rows[0].id;
+
+    for (const [index, dispute] of ordered.entries()) {
+      await client.query(
+        `INSERT INTO mail_run_items (mail_run_id, dispute_id, group_key, position)
+         VALUES ($1, $2, $3, $4)`,
+        [id, dispute.id, dispute.groupKey, index + 1]
+      );
+    }
+    return { runId: id, count: ordered.length };
+  });
+  if (!created) return null;
+
+  logger.info({ runId: created.runId, disputes: created.count }, 'Mail run created');
+  return getMailRun(created.runId);
+}
+
+/**
+ * Get a run with its disputes in print order and grouped by bureau.
+ * @param {string} runId
+ * @returns {Promise<Object|null>}
+ */
+async function getMailRun(runId) {
+  const runResult = await query(
+    `SELECT id, status, created_by, confirmed_by, confirmed_at, sent_date, created_at, updated_at
+     FROM mail_runs WHERE id = $1`,
+    [runId]
+  );
+  if (runResult.rows.length === 0) return null;
+
+  const itemsResult = await query(
+    `SELECT i.position, i.mailed, d.id, d.client_id, d.dispute_type, d.bureau, d.target_type,
+            d.tracking_number, d.status AS dispute_status,
+            ci.creditor_name, ci.account_number,
+            u.first_name, u.last_name,
+            ${FURNISHER_ADDRESS_COLUMNS}
+     FROM mail_run_items i
+     JOIN disputes d ON i.dispute_id = d.id
+     JOIN users u ON d.client_id = u.id
+     LEFT JOIN credit_items ci ON d.credit_item_id = ci.id
+     LEFT JOIN furnishers f ON d.furnisher_id = f.id
+     WHERE i.mail_run_id = $1
+     ORDER BY i.position`,
+    [runId]
+  );
+
+  const items = itemsResult.rows.map((row) => ({
+    ...toRunDispute(row),
+    position: row.position,
+    mailed: row.mailed,
+    disputeStatus: row.dispute_status,
+  }));
+
+  return {
+    ...runResult.rows[0],
+    items,
+    groups: groupDisputes(items).map(({ groupKey, label, disputes }) => ({ groupKey, label, count: disputes.length })),
+  };
+}
+
+/**
+ * Recent runs with their dispute counts.
+ * @returns {Promise<Object[]>}
+ */
+async function listMailRuns() {
+  const result = await query(
+    `SELECT r.id, r.status, r.created_by, r.confirmed_at, r.sent_date, r.created_at,
+            COUNT(i.id)::int AS dispute_count
+     FROM mail_runs r
+     LEFT JOIN mail_run_items i ON i.mail_run_id = r.id
+     GROUP BY r.id
+     ORDER BY r.created_at DESC
+     LIMIT 50`
+  );
+  return result.rows;
+}
+
+/**
+ * Confirm a pending run was mailed: its disputes that are still drafts are
+ * marked sent today and recorded as campaign rounds. Disputes that stopped
+ * being drafts after the run was created are left alone and flagged as not
+ * mailed.
+ * @param {string} runId
+ * @param {string} userId
+ * @returns {Promise<{sentDate: string, sent: string[]}|null>} null if the run is not pending
+ */
+async function confirmMailRun(runId, userId) {
+  return transaction(async (client) => {
+    const runResult = await client.query(
+      `SELECT id FROM mail_runs WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+      [runId]
+    );
+    if (runResult.rows.length === 0) return null;
+
+    const sentDate = toDateString(new Date());
+    const sentResult = await client.query(
+      `UPDATE disputes d
+       SET status = 'sent', sent_date = $1, updated_at = CURRENT_TIMESTAMP
+       FROM mail_run_items i
+       WHERE i.mail_run_id = $2 AND i.dispute_id = d.id
+         AND d.status = 'draft' AND d.deleted_at IS NULL
+       RETURNING d.id, d.client_id, d.credit_item_id, d.bureau, d.target_type, d.sent_date`,
+      [sentDate, runId]
+    );
+
+    for (const dispute of sentResult.rows) {
+      await recordRoundSent(dispute, client);
+    }
+
+    const sent = sentResult.rows.map((d) => d.id);
+    await client.query(
+      `UPDATE mail_run_items SET mailed = (dispute_id = ANY($2)) WHERE mail_run_id = $1`,
+      [runId, sent]
+    );
+    await client.query(
+      `UPDATE mail_runs
+       SET status = 'confirmed', confirmed_by = $1, confirmed_at = CURRENT_TIMESTAMP,
+           sent_date = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [userId, sentDate, runId]
+    );
+
+    logger.info({ runId, sent: sent.length }, 'Mail run confirmed');
+    return { sentDate, sent };
+  });
+}
+
+/**
+ * Cancel a pending run. Its disputes become available to the next run.
+ * @param {string} runId
+ * @returns {Promise<Object|null>} null if the run is not pending
+ */
+async function cancelMailRun(runId) {
+  const result = await query(
+    `UPDATE mail_runs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'pending'
+     RETURNING id, status`,
+    [runId]
+  );
+  return result.rows[0] || null;
+}
+
+// ============================================================================
+// Output
+// ============================================================================
+
+/**
+ * All packets of a run in one PDF, with a divider page before each group.
+ * @param {Object} run - From getMailRun
+ * @returns {Promise<Buffer>}
+ */
+async function buildRunPdf(run) {
+  const doc = createPacketDocument(`Mail run ${run.id}`);
+
+  for (const group of groupDisputes(run.items)) {
+    doc.addPage({ size: 'LETTER', margin: 72 });
+    doc.font('Helvetica-Bold').fontSize(28).text(group.label.toUpperCase(), { align: 'center' });
+    doc.moveDown().font('Helvetica').fontSize(14)
+      .text(`${group.disputes.length} envelope${group.disputes.length === 1 ? '' : 's'}`, { align: 'center' });
+
+    for (const item of group.disputes) {
+      const packet = await loadPacket(item.id);
+      if (packet) renderPacket(doc, packet);
+    }
+  }
+
+  return documentToBuffer(doc);
+}
+
+/**
+ * Address labels for the run's envelopes, in print order. Each label carries
+ * the dispute reference so envelopes can be matched to packets.
+ * @param {Object} run - From getMailRun
+ * @returns {Promise<Buffer>} Resolves once the PDF stream has ended
+ */
+async function buildLabelSheet(run) {
+  const doc = new PDFDocument({ autoFirstPage: false, info: { Title: `Mail run ${run.id} labels` } });
+  const perPage = LABEL_SHEET.columns * LABEL_SHEET.rows;
+
+  run.items.forEach((item, index) => {
+    const slot = index % perPage;
+    if (slot === 0) doc.addPage({ size: 'LETTER', margin: 0 });
+
+    const x = LABEL_SHEET.left + (slot % LABEL_SHEET.columns) * LABEL_SHEET.columnPitch + LABEL_SHEET.padding;
+    const y = LABEL_SHEET.top + Math.floor(slot / LABEL_SHEET.columns) * LABEL_SHEET.height + LABEL_SHEET.padding;
+    const width = LABEL_SHEET.width - LABEL_SHEET.padding * 2;
+
+    doc.font('Helvetica-Bold').fontSize(9).text(item.recipient.name || '', x, y, { width, lineBreak: false });
+    doc.font('Helvetica').fontSize(9).text(item.recipient.address, x, doc.y, { width });
+    doc.font('Helvetica').fontSize(6).text(`Ref ${item.id.slice(0, 8)}`, x, y + LABEL_SHEET.height - LABEL_SHEET.padding * 2 - 4, { width, align: 'right' });
+  });
+
+  return documentToBuffer(doc);
+}
+
+/**
+ * Quote a CSV cell. Cells that a spreadsheet would treat as a formula are
+ * prefixed with an apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per envelope, in print order.
+ * @param {Object} run - From getMailRun
+ * @returns {string} CSV with a header row
+ */
+function buildManifestCsv(run) {
+  const rows = run.items.map((item) => ({
+    position: item.position,
+    group: groupLabel(item.groupKey),
+    dispute_id: item.id,
+    client_name: item.clientName,
+    creditor_name: item.creditorName,
+    account_number: item.accountNumber,
+    dispute_type: item.disputeType,
+    recipient_name: item.recipient.name,
+    recipient_address: (item.recipient.address || '').replace(/\n/g, ', '),
+    tracking_number: item.trackingNumber,
+  }));
+
+  const lines = [
+    MANIFEST_COLUMNS.map(([, header]) => csvCell(header)).join(','),
+    ...rows.map((row) => MANIFEST_COLUMNS.map(([key]) => csvCell(row[key])).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  GROUP_ORDER,
+  groupDisputes,
+  readinessProblems,
+  csvCell,
+  listReadyDisputes,
+  createMailRun,
+  getMailRun,
+  listMailRuns,
+  confirmMailRun,
+  cancelMailRun,
+  buildRunPdf,
+  buildLabelSheet,
+  buildManifestCsv,
+};
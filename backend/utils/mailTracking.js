@@ -0,0 +1,190 @@
+/**
+ * Certified Mail Tracking Service
+ *
+ * Stores carrier scan events for each mailed dispute and starts the FCRA
+ * investigation clock on confirmed delivery. The bureau's 30 days run from
+ * when it received the dispute, so the first `delivered` scan sets
+ * disputes.clock_start_date; the deadline engine falls back to sent_date
+ * only while delivery is unconfirmed.
+ *
+ * @module utils/mailTracking
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { getCarrierAdapter, defaultCarrier } = require('./carrierAdapters');
+
+/**
+ * Calendar date of a scan where it happened. Carrier timestamps carry the
+ * local UTC offset, so the date part of the string is the local date.
+ * @param {string|Date} eventTime
+ * @returns {string} YYYY-MM-DD
+ */
+function deliveryDate(eventTime) {
+  if (typeof eventTime === 'string' && /^\d{4}-\d{2}-\d{2}/.test(eventTime)) return eventTime.slice(0, 10);
+  return toDateString(eventTime);
+}
+
+const DISPUTE_TRACKING_COLUMNS = 'id, client_id, status, carrier, tracking_number, sent_date, clock_start_date';
+
+/**
+ * A dispute's tracking details and events, oldest first.
+ * @param {string} disputeId
+ * @returns {Promise<Object|null>}
+ */
+async function getTracking(disputeId) {
+  const result = await query(
+    `SELECT ${DISPUTE_TRACKING_COLUMNS} FROM disputes WHERE id = $1 AND deleted_at IS NULL`,
+    [disputeId]
+  );
+  if (result.rows.length === 0) return null;
+
+  const events = await query(
+    `SELECT id, carrier, tracking_number, event_type, event_time, location, description, source, created_at
+     FROM mail_tracking_events
+     WHERE dispute_id = $1
+     ORDER BY event_time ASC`,
+    [disputeId]
+  );
+  return { ...result.rows[0], events: events.rows };
+}
+
+/**
+ * Set the carrier and tracking number of a dispute.
+ * @param {string} disputeId
+ * @param {string} carrier - A registered adapter name
+ * @param {string} trackingNumber
+ * @returns {Promise<Object|null>}
+ */
+async function setTracking(disputeId, carrier, trackingNumber) {
+  const result = await query(
+    `UPDATE disputes SET carrier = $1, tracking_number = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3 AND deleted_at IS NULL
+     RETURNING ${DISPUTE_TRACKING_COLUMNS}`,
+    [carrier, trackingNumber, disputeId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Store events for a dispute, skipping scans already stored, and start the
+ * FCRA clock on the earliest delivery. A sent dispute moves to `received`.
+ * @param {Object} dispute - Row with DISPUTE_TRACKING_COLUMNS
+ * @param {Object[]} events - TrackingEvents
+ * @param {Object} [options]
+ * @param {string} [options.source='carrier'] - 'carrier' or 'manual'
+ * @param {string} [options.userId] - Staff member entering a manual event
+ * @returns {Promise<{ added: number, clockStartDate: string|null }>}
+ */
+async function saveEvents(dispute, events, { source = 'carrier', userId = null } = {}) {
+  return transaction(async (client) => {
+    let added = 0;
+    for (const event of events) {
+      const result = await client.query(
+        `INSERT INTO mail_tracking_events
+           (dispute_id, carrier, tracking_number, event_type, event_time, location, description, source, recorded_by, raw)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (dispute_id, tracking_number, event_type, event_time) DO NOTHING
+         RETURNING id`,
+        [
+          dispute.id, dispute.carrier || defaultCarrier(), dispute.tracking_number, event.eventType, event.eventTime,
+          event.location || null, event.description || null, source, userId,
+          event.raw ? JSON.stringify(event.raw) : null,
+        ]
+      );
+      added += result.rows.length;
+    }
+
+    let clockStartDate = dispute.clock_start_date || null;
+    const delivered = events
+      .filter((e) => e.eventType === 'delivered')
+      .sort((a, b) => Date.parse(a.eventTime) - Date.parse(b.eventTime))[0];
+
+    if (delivered && !clockStartDate) {
+      const update = await client.query(
+        `UPDATE disputes
+         SET clock_start_date = $1,
+             status = CASE WHEN status = 'sent' THEN 'received' ELSE status END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND clock_start_date IS NULL
+         RETURNING clock_start_date`,
+        [deliveryDate(delivered.eventTime), dispute.id]
+      );
+      if (update.rows.length > 0) {
+        clockStartDate = deliveryDate(delivered.eventTime);
+        logger.info({ disputeId: dispute.id, clockStartDate }, 'Dispute delivery confirmed — FCRA clock started');
+      }
+    }
+
+    return { added, clockStartDate };
+  });
+}
+
+/**
+ * Poll the dispute's carrier and store any new scans.
+ * @param {Object} dispute - Row with DISPUTE_TRACKING_COLUMNS and a tracking_number
+ * @returns {Promise<{ found: boolean, added: number, clockStartDate: string|null }>}
+ *   found is false when the carrier does not know the tracking number
+ */
+async function refreshTracking(dispute) {
+  const carrier = dispute.carrier || defaultCarrier();
+  const adapter = getCarrierAdapter(carrier);
+  if (!adapter) throw new Error(`No carrier adapter registered for "${carrier}"`);
+
+  const events = await adapter.track(dispute.tracking_number);
+  if (!events) return { found: false, added: 0, clockStartDate: dispute.clock_start_date || null };
+
+  const saved = await saveEvents({ ...dispute, carrier }, events);
+  return { found: true, ...saved };
+}
+
+/**
+ * Disputes with a tracking number whose delivery is not yet confirmed.
+ * @param {number} [limit=200]
+ * @returns {Promise<Object[]>}
+ */
+async function listInTransit(limit = 200) {
+  const result = await query(
+    `SELECT ${DISPUTE_TRACKING_COLUMNS} FROM disputes
+     WHERE tracking_number IS NOT NULL AND clock_start_date IS NULL
+       AND status = 'sent' AND deleted_at IS NULL
+     ORDER BY sent_date ASC NULLS LAST
+     LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Poll every in-transit dispute. Failures are logged per dispute so one bad
+ * tracking number does not stop the rest.
+ * @returns {Promise<{ checked: number, delivered: string[], failed: string[] }>}
+ */
+async function refreshInTransit() {
+  const disputes = await listInTransit();
+  const delivered = [];
+  const failed = [];
+
+  for (const dispute of disputes) {
+    try {
+      const result = await refreshTracking(dispute);
+      if (result.clockStartDate) delivered.push(dispute.id);
+    } catch (err) {
+      logger.error({ err: err.message, disputeId: dispute.id }, 'Tracking refresh failed');
+      failed.push(dispute.id);
+    }
+  }
+
+  return { checked: disputes.length, delivered, failed };
+}
+
+module.exports = {
+  deliveryDate,
+  getTracking,
+  setTracking,
+  saveEvents,
+  refreshTracking,
+  listInTransit,
+  refreshInTransit,
+};
@@ -0,0 +1,276 @@
+/**
+ * Medical Debt Reporting Policy
+ *
+ * Equifax, Experian and TransUnion do not report medical collection debt
+ * that has been paid (since July 1, 2022), that is under $500 (since April
+ * 11, 2023), or that became delinquent less than a year ago (since July 1,
+ * 2022). A medical collection in any of those states should not be on the
+ * file at all, so it is flagged for a `medical_debt` dispute, whose letter
+ * cites the policy and asks for deletion.
+ *
+ * Items are tagged medical from the analyzer's `accountType: medical` or a
+ * creditor or original-creditor name that reads as a healthcare provider.
+ * The policy applies to collection debt, so only collection, charge-off and
+ * unclassified items are checked against it.
+ *
+ * @module utils/medicalDebt
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { originalCreditorOf } = require('./duplicateDebt');
+const { renderDisputeLetter } = require('./letterTemplates');
+
+const MEDICAL_DISPUTE_TYPE = 'medical_debt';
+
+/** Item types the policy covers */
+const MEDICAL_ITEM_TYPES = ['collection', 'charge_off', 'other'];
+
+/** Medical collections with a balance under this are not reported */
+const MEDICAL_BALANCE_THRESHOLD = 500;
+
+/** Unpaid medical collections are not reported until this long after delinquency */
+const MEDICAL_WAITING_DAYS = 365;
+
+/** Words in a creditor name that mark a healthcare provider */
+const MEDICAL_NAME_PATTERN = new RegExp(
+  '\\b(MEDICAL|MED CTR|HOSPITALS?|HEALTH|HEALTHCARE|CLINICS?|PHYSICIANS?|SURGERY|SURGICAL|SURGEONS?|RADIOLOGY|'
+  + 'PATHOLOGY|ANESTHESIA|ANESTHESIOLOGY|EMERGENCY|AMBULANCE|EMS|DENTAL|DENTISTRY|ORTHOPEDICS?|ORTHOPAEDICS?|'
+  + 'PEDIATRICS?|LABORATORY|LABORATORIES|DIAGNOSTICS?|URGENT CARE|IMAGING|CARDIOLOGY|ONCOLOGY|DERMATOLOGY|'
+  + 'CHIROPRACTIC|PHARMACY|REHABILITATION|THERAPY|MEDICINE)\\b'
+);
+
+/** Dispute statuses still waiting on an outcome */
+const OPEN_DISPUTE_STATUSES = ['draft', 'sent', 'received', 'investigating'];
+
+const DAY_MS = 86400000;
+
+const money = (amount) => `$${Number(amount).toFixed(2)}`;
+
+const hasBalance = (item) => item.balance !== null && item.balance !== undefined && item.balance !== '';
+
+/**
+ * Whether a creditor name reads as a healthcare provider.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isMedicalName(name) {
+  const normalized = String(name || '').toUpperCase().replace(/[^A-Z0-9 ]/g, ' ');
+  return MEDICAL_NAME_PATTERN.test(normalized);
+}
+
+/**
+ * Whether an item is medical debt. Accepts credit_items rows and analyzer
+ * negative items.
+ * @param {Object} item
+ * @returns {boolean}
+ */
+function isMedicalItem(item) {
+  if (item.is_medical) return true;
+  if (String(item.accountType || item.account_type || '').toLowerCase() === 'medical') return true;
+  return isMedicalName(item.creditor_name || item.creditorName)
+    || isMedicalName(item.originalCreditor || originalCreditorOf(item));
+}
+
+/**
+ * The policy rules. `check` returns the explanation when a medical
+ * collection breaks the rule, otherwise null.
+ * @type {Array<{ id: string, title: string, check: function(Object, Date): string|null }>}
+ */
+const MEDICAL_POLICY_RULES = [
+  {
+    id: 'MED-001',
+    title: 'Paid medical collection',
+    check(item) {
+      if (!hasBalance(item) || Number(item.balance) !== 0) return null;
+      return 'The account shows a $0.00 balance. Paid medical collection debt is not reported (bureau medical debt policy, effective July 1, 2022).';
+    },
+  },
+  {
+    id: 'MED-002',
+    title: 'Medical collection under $500',
+    check(item) {
+      const balance = Number(item.balance);
+      if (!hasBalance(item) || !(balance > 0) || balance >= MEDICAL_BALANCE_THRESHOLD) return null;
+      return `The reported balance of ${money(balance)} is under $500. Medical collection debt under $500 is not reported (bureau medical debt policy, effective April 11, 2023).`;
+    },
+  },
+  {
+    id: 'MED-003',
+    title: 'Medical collection less than a year old',
+    check(item, today) {
+      const start = item.date_of_first_delinquency || item.date_opened;
+      if (!start || (hasBalance(item) && Number(item.balance) === 0)) return null;
+      const days = Math.floor((today.getTime() - new Date(start).getTime()) / DAY_MS);
+      if (days >= MEDICAL_WAITING_DAYS) return null;
+      return `The debt became delinquent on ${toDateString(start)}, less than a year ago. Unpaid medical collection debt is not reported until a year after it becomes delinquent (bureau medical debt policy, effective July 1, 2022).`;
+    },
+  },
+];
+
+/**
+ * Policy rules a medical item breaks.
+ * @param {Object} item - credit_items row
+ * @param {Date} [today]
+ * @returns {Array<{ ruleId: string, title: string, explanation: string }>}
+ */
+function checkItem(item, today = new Date()) {
+  if (!MEDICAL_ITEM_TYPES.includes(item.item_type) || !isMedicalItem(item)) return [];
+  const violations = [];
+  for (const rule of MEDICAL_POLICY_RULES) {
+    const explanation = rule.check(item, today);
+    if (explanation) violations.push({ ruleId: rule.id, title: rule.title, explanation });
+  }
+  return violations;
+}
+
+const ITEM_COLUMNS = `id, client_id, item_type, creditor_name, account_number, bureau, balance, status, date_opened,
+  date_reported, date_of_first_delinquency, description, is_medical, suggested_dispute_type, flag_reason, flag_rule_id`;
+
+/**
+ * Tag a client's medical items and flag the ones the policy excludes for a
+ * `medical_debt` dispute, unless they already have a suggestion.
+ * @param {string} clientId
+ * @param {Date} [today]
+ * @returns {Promise<{ tagged: number, flagged: number }>}
+ */
+async function flagMedicalItems(clientId, today = new Date()) {
+  const result = await query(
+    `SELECT ${ITEM_COLUMNS} FROM credit_items
+     WHERE client_id = $1 AND deleted_at IS NULL AND status NOT IN ('deleted', 'resolved')`,
+    [clientId]
+  );
+
+  let tagged = 0;
+  let flagged = 0;
+  for (const item of result.rows) {
+    if (!item.is_medical && isMedicalItem(item)) {
+      await query('UPDATE credit_items SET is_medical = true, updated_at = NOW() WHERE id = $1', [item.id]);
+      tagged += 1;
+    }
+
+    const violations = checkItem(item, today);
+    if (violations.length === 0) continue;
+    const update = await query(
+      `UPDATE credit_items
+       SET suggested_dispute_type = '${MEDICAL_DISPUTE_TYPE}', flag_reason = $2, flag_rule_id = $3, flagged_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND suggested_dispute_type IS NULL`,
+      [item.id, violations.map((v) => v.explanation).join(' '), violations[0].ruleId]
+    );
+    flagged += update.rowCount || 0;
+  }
+
+  if (tagged > 0 || flagged > 0) {
+    logger.info({ clientId, tagged, flagged }, 'Tagged medical debt and flagged policy violations');
+  }
+  return { tagged, flagged };
+}
+
+/**
+ * A client's medical items with the policy rules each one breaks. Tags and
+ * flags first.
+ * @param {string} clientId
+ * @returns {Promise<{ items: Object[], violating: number, newlyFlagged: number }>}
+ */
+async function getClientMedicalDebt(clientId) {
+  const today = new Date();
+  const { flagged } = await flagMedicalItems(clientId, today);
+
+  const result = await query(
+    `SELECT ${ITEM_COLUMNS} FROM credit_items
+     WHERE client_id = $1 AND is_medical AND deleted_at IS NULL
+     ORDER BY created_at`,
+    [clientId]
+  );
+  const items = result.rows.map((item) => ({ ...item, violations: checkItem(item, today) }));
+
+  return {
+    items,
+    violating: items.filter((item) => item.violations.length > 0).length,
+    newlyFlagged: flagged,
+  };
+}
+
+/**
+ * Draft `medical_debt` bureau disputes for a client's medical items that
+ * break the policy, listing each rule broken. Items with an open medical
+ * debt dispute are skipped.
+ * @param {string} clientId
+ * @param {Object} [options]
+ * @param {string[]} [options.itemIds] - Limit to these items
+ * @returns {Promise<Object[]|null>} Created disputes, or null if the client profile is missing
+ */
+async function generateDisputes(clientId, { itemIds } = {}) {
+  const { items } = await getClientMedicalDebt(clientId);
+  const targets = items.filter((item) => item.violations.length > 0
+    && !['deleted', 'resolved'].includes(item.status)
+    && (!itemIds || itemIds.includes(item.id)));
+  if (targets.length === 0) return [];
+
+  const open = await query(
+    `SELECT credit_item_id FROM disputes
+     WHERE credit_item_id = ANY($1::uuid[]) AND dispute_type = '${MEDICAL_DISPUTE_TYPE}' AND status = ANY($2)`,
+    [targets.map((item) => item.id), OPEN_DISPUTE_STATUSES]
+  );
+  const disputed = new Set(open.rows.map((d) => d.credit_item_id));
+
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  if (clientResult.rows.length === 0) return null;
+
+  const letters = [];
+  for (const item of targets) {
+    if (disputed.has(item.id)) continue;
+    const letter = await renderDisputeLetter({
+      client: clientResult.rows[0],
+      item,
+      bureau: item.bureau,
+      disputeType: MEDICAL_DISPUTE_TYPE,
+      additionalDetails: item.violations.map((v) => `- ${v.explanation}`).join('\n'),
+    });
+    letters.push({ item, letter });
+  }
+  if (letters.length === 0) return [];
+
+  return transaction(async (client) => {
+    const created = [];
+    for (const { item, letter } of letters) {
+      const result = await client.query(
+        `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, target_type, letter_content,
+                               template_version_id, status)
+         VALUES ($1, $2, '${MEDICAL_DISPUTE_TYPE}', $3, 'bureau', $4, $5, 'draft')
+         RETURNING id, client_id, credit_item_id, dispute_type, bureau, target_type, letter_content,
+                   template_version_id, status, created_at`,
+        [clientId, item.id, item.bureau, letter.content, letter.templateVersionId]
+      );
+      await client.query(
+        `UPDATE credit_items SET status = 'disputing', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [item.id]
+      );
+      created.push(result.rows[0]);
+    }
+
+    logger.info({ clientId, count: created.length }, 'Medical debt disputes generated');
+    return created;
+  });
+}
+
+module.exports = {
+  MEDICAL_DISPUTE_TYPE,
+  MEDICAL_ITEM_TYPES,
+  MEDICAL_BALANCE_THRESHOLD,
+  MEDICAL_POLICY_RULES,
+  isMedicalName,
+  isMedicalItem,
+  checkItem,
+  flagMedicalItems,
+  getClientMedicalDebt,
+  generateDisputes,
+};
@@ -0,0 +1,214 @@
+/**
+ * Method of Verification Service (FCRA §611(a)(7))
+ *
+ * When a bureau reports a disputed item as verified, the consumer may ask
+ * how it was verified. The bureau must describe its procedure, including the
+ * name, address and phone number of any furnisher it contacted, within 15
+ * days of the request. A MOV request is a dispute of type
+ * 'method_of_verification' that points back to the verified dispute through
+ * original_dispute_id, so it is mailed, tracked and escalated like any other
+ * dispute and becomes Round 2 of the item's campaign.
+ *
+ * @module utils/methodOfVerification
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { renderDisputeLetter } = require('./letterTemplates');
+const { recordRoundOutcome } = require('./disputeCampaigns');
+
+const MOV_DISPUTE_TYPE = 'method_of_verification';
+
+/** Strategy round a MOV request belongs to ("Verification Challenge") */
+const MOV_ROUND = 2;
+
+/**
+ * How the bureau says it verified the item
+ * @type {string[]}
+ */
+const VERIFICATION_METHODS = [
+  'automated',          // e-OSCAR ACDV answered by the furnisher, nothing more
+  'furnisher_contact',  // Bureau contacted the furnisher by phone or letter
+  'document_review',    // Furnisher supplied documents the bureau reviewed
+  'not_described',      // Bureau answered without describing a procedure
+  'other',
+];
+
+const ORIGINAL_COLUMNS = `id, client_id, credit_item_id, dispute_type, bureau, target_type, status,
+  sent_date, clock_start_date, response_date, response_text`;
+
+const MOV_COLUMNS = `id, client_id, credit_item_id, dispute_type, bureau, target_type, letter_content,
+  template_version_id, original_dispute_id, status, sent_date, clock_start_date, response_date, created_at`;
+
+/**
+ * Why a dispute cannot be followed by a MOV request.
+ * @param {Object} dispute - Row with ORIGINAL_COLUMNS
+ * @returns {string|null} null when a MOV request may be created
+ */
+function movIneligibilityReason(dispute) {
+  if (dispute.target_type !== 'bureau') return 'Method of verification requests are sent to credit bureaus only';
+  if (dispute.dispute_type === MOV_DISPUTE_TYPE) return 'Dispute is already a method of verification request';
+  if (dispute.status !== 'rejected') return 'Only disputes the bureau verified can be followed by a method of verification request';
+  if (!dispute.sent_date || !dispute.response_date) return 'Dispute needs its sent and response dates';
+  return null;
+}
+
+/**
+ * Whether the bureau's answer falls short of §611(a)(7): no procedure, an
+ * automated match only, or a furnisher contact without name, address and phone.
+ * Such answers support a Round 3 procedural dispute.
+ * @param {Object} response - verification_responses row
+ * @returns {boolean}
+ */
+function isDeficientResponse(response) {
+  if (['automated', 'not_described'].includes(response.method)) return true;
+  if (response.method === 'furnisher_contact') {
+    return !(response.furnisher_name && response.furnisher_address && response.furnisher_phone);
+  }
+  return false;
+}
+
+/**
+ * @param {string} disputeId
+ * @returns {Promise<Object|null>}
+ */
+async function getOriginalDispute(disputeId) {
+  const result = await query(
+    `SELECT ${ORIGINAL_COLUMNS} FROM disputes WHERE id = $1 AND deleted_at IS NULL`,
+    [disputeId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The newest MOV request for a verified dispute.
+ * @param {string} originalDisputeId
+ * @returns {Promise<Object|null>}
+ */
+async function getMovRequest(originalDisputeId) {
+  const result = await query(
+    `SELECT ${MOV_COLUMNS} FROM disputes
+     WHERE original_dispute_id = $1 AND dispute_type = '${MOV_DISPUTE_TYPE}' AND deleted_at IS NULL
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [originalDisputeId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * What the bureau said about how it verified, for a MOV request.
+ * @param {string} movDisputeId
+ * @returns {Promise<Object|null>}
+ */
+async function getVerificationResponse(movDisputeId) {
+  const result = await query(
+    `SELECT id, dispute_id, original_dispute_id, received_date, method, furnisher_name, furnisher_address,
+            furnisher_phone, documents_provided, procedure_description, recorded_by, created_at
+     FROM verification_responses WHERE dispute_id = $1`,
+    [movDisputeId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Render the MOV letter from the 'dispute.method_of_verification' template
+ * and save it as a draft dispute.
+ * @param {Object} original - Verified dispute from getOriginalDispute
+ * @returns {Promise<Object|null>} The draft, or null if the client profile or item is missing
+ */
+async function createMovRequest(original) {
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [original.client_id]
+  );
+  const itemResult = await query(
+    `SELECT creditor_name, account_number, item_type, balance, status, date_opened, date_reported, description
+     FROM credit_items WHERE id = $1`,
+    [original.credit_item_id]
+  );
+  if (clientResult.rows.length === 0 || itemResult.rows.length === 0) return null;
+
+  const letter = await renderDisputeLetter({
+    client: clientResult.rows[0],
+    item: itemResult.rows[0],
+    bureau: original.bureau,
+    round: MOV_ROUND,
+    disputeType: MOV_DISPUTE_TYPE,
+    originalDispute: original,
+  });
+
+  const result = await query(
+    `INSERT INTO disputes (client_id, credit_item_id, dispute_type, bureau, target_type, letter_content,
+                           template_version_id, original_dispute_id, status)
+     VALUES ($1, $2, '${MOV_DISPUTE_TYPE}', $3, 'bureau', $4, $5, $6, 'draft')
+     RETURNING ${MOV_COLUMNS}`,
+    [original.client_id, original.credit_item_id, original.bureau, letter.content, letter.templateVersionId, original.id]
+  );
+
+  logger.info({ disputeId: original.id, movDisputeId: result.rows[0].id }, 'Method of verification request created');
+  return result.rows[0];
+}
+
+/**
+ * Record the bureau's description of how it verified the item. The MOV
+ * request is resolved and its campaign round closes as verified — the item
+ * stays on the report whatever the answer says.
+ * @param {Object} movRequest - Row from getMovRequest
+ * @param {Object} data
+ * @param {string} data.receivedDate - YYYY-MM-DD
+ * @param {string} data.method - One of VERIFICATION_METHODS
+ * @param {string} [data.furnisherName]
+ * @param {string} [data.furnisherAddress]
+ * @param {string} [data.furnisherPhone]
+ * @param {string} [data.documentsProvided]
+ * @param {string} [data.procedureDescription]
+ * @param {string} userId - Staff member recording the response
+ * @returns {Promise<Object>} The response row with a `deficient` flag
+ */
+async function recordVerificationResponse(movRequest, data, userId) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO verification_responses
+         (dispute_id, original_dispute_id, received_date, method, furnisher_name, furnisher_address,
+          furnisher_phone, documents_provided, procedure_description, recorded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        movRequest.id, movRequest.original_dispute_id, data.receivedDate, data.method,
+        data.furnisherName || null, data.furnisherAddress || null, data.furnisherPhone || null,
+        data.documentsProvided || null, data.procedureDescription || null, userId,
+      ]
+    );
+
+    await client.query(
+      `UPDATE disputes
+       SET status = 'resolved', response_date = $1,
+           response_text = COALESCE($2, response_text), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [data.receivedDate, data.procedureDescription || null, movRequest.id]
+    );
+
+    await recordRoundOutcome(movRequest.id, 'verified', data.receivedDate, client);
+
+    const response = result.rows[0];
+    return { ...response, deficient: isDeficientResponse(response) };
+  });
+}
+
+module.exports = {
+  MOV_DISPUTE_TYPE,
+  MOV_ROUND,
+  VERIFICATION_METHODS,
+  movIneligibilityReason,
+  isDeficientResponse,
+  getOriginalDispute,
+  getMovRequest,
+  getVerificationResponse,
+  createMovRequest,
+  recordVerificationResponse,
+};
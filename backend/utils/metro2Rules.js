@@ -0,0 +1,205 @@
+/**
+ * Metro 2 Consistency Rules
+ *
+ * Furnishers report to the bureaus in the Metro 2 format, and the Credit
+ * Reporting Resource Guide (CRRG) sets out which field combinations are
+ * valid. A tradeline that breaks one of those rules cannot be accurate as
+ * reported, which makes it a strong §611 dispute. Each rule here checks one
+ * such combination on a normalized report (see bureauService.normalizeReport)
+ * and, when it fails, explains why and names the dispute type to use.
+ *
+ * Rules see only what the bureau API returns; a rule whose fields are
+ * missing from a tradeline does not fire. Nothing here touches the database.
+ *
+ * @module utils/metro2Rules
+ */
+
+const { nameSimilarity, NAME_MATCH_THRESHOLD } = require('./triMerge');
+
+/** Payment History Profile codes for 30 to 180+ days past due */
+const LATE_CODES = /[1-6]/;
+
+/** Balances closer than this are treated as equal */
+const BALANCE_TOLERANCE = 1;
+
+const ITEM_TYPES = ['late_payment', 'collection', 'charge_off', 'bankruptcy', 'foreclosure', 'repossession', 'inquiry', 'other'];
+
+const isChargeOff = (t) => t.type === 'charge_off' || /charge[\s_-]?off/i.test(t.status || '');
+const isCollection = (t) => t.type === 'collection' || /collection/i.test(t.status || '');
+const isLate = (t) => t.type === 'late_payment' || /late|delinquen|past[\s_-]?due|\b\d{2,3}[\s_-]?days?\b/i.test(t.status || '');
+const isSoldOrTransferred = (t) => /sold|transfer|purchased/i.test(t.status || '');
+
+const monthIndex = (date) => {
+  const match = /^(\d{4})-(\d{2})/.exec(date || '');
+  return match ? parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1 : null;
+};
+
+const monthLabel = (index) => `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+
+const money = (amount) => `$${Number(amount).toFixed(2)}`;
+
+/**
+ * Tradelines in a normalized report with the fields the rules read.
+ * @param {Object} report - Normalized report
+ * @returns {Object[]}
+ */
+function extractTradelines(report) {
+  const accounts = (report.accounts || []).map((a) => ({
+    source: 'account',
+    type: a.accountType || null,
+    creditorName: a.creditorName || '',
+    accountNumber: a.accountNumber || '',
+    balance: a.balance ?? null,
+    status: a.paymentStatus || null,
+    dateOpened: a.dateOpened || null,
+    dateClosed: a.dateClosed || null,
+    dateOfFirstDelinquency: a.dateOfFirstDelinquency || null,
+    lastReported: a.lastReported || report.reportDate || null,
+    paymentHistory: a.paymentHistory || null,
+    originalAmount: null,
+    originalCreditor: null,
+  }));
+  const negatives = (report.negativeItems || []).map((n) => ({
+    source: 'negative',
+    type: n.type || null,
+    creditorName: n.creditor || '',
+    accountNumber: n.accountNumber || '',
+    balance: n.balance ?? null,
+    status: n.status || null,
+    dateOpened: n.dateOpened || null,
+    dateClosed: null,
+    dateOfFirstDelinquency: n.dateOfFirstDelinquency || null,
+    lastReported: n.dateReported || null,
+    paymentHistory: null,
+    originalAmount: n.originalAmount ?? null,
+    originalCreditor: n.originalCreditor || null,
+  }));
+  return [...accounts, ...negatives];
+}
+
+/**
+ * The rule library. `check` returns the explanation when the tradeline
+ * breaks the rule, otherwise null.
+ * @type {Array<{ id: string, title: string, disputeType: string, check: function(Object, Object[]): string|null }>}
+ */
+const METRO2_RULES = [
+  {
+    id: 'M2-001',
+    title: 'Sold or transferred charge-off still shows a balance',
+    disputeType: 'inaccurate_info',
+    check(t, tradelines) {
+      if (!isChargeOff(t) || !(Number(t.balance) > 0)) return null;
+      const buyer = tradelines.find((other) => other !== t && isCollection(other) && other.originalCreditor
+        && nameSimilarity(other.originalCreditor, t.creditorName) >= NAME_MATCH_THRESHOLD);
+      if (!isSoldOrTransferred(t) && !buyer) return null;
+      const by = buyer ? ` ${buyer.creditorName} now reports it as a collection.` : '';
+      return `The charge-off was sold or transferred but ${t.creditorName} still reports a ${money(t.balance)} balance.${by} `
+        + 'Once an account is sold the original creditor must report a zero balance; otherwise the same debt is counted twice.';
+    },
+  },
+  {
+    id: 'M2-002',
+    title: 'Late payment reported after the closed date',
+    disputeType: 'inaccurate_info',
+    check(t) {
+      if (isChargeOff(t) || isCollection(t)) return null;
+      const closed = monthIndex(t.dateClosed);
+      const latest = monthIndex(t.lastReported);
+      if (closed === null || latest === null || !t.paymentHistory) return null;
+      // The Payment History Profile is most recent first, starting at the last reported month
+      const history = String(t.paymentHistory).toUpperCase().replace(/[^A-Z0-9]/g, '');
+      const lateMonths = [];
+      for (let i = 0; i < history.length && latest - i > closed; i++) {
+        if (LATE_CODES.test(history[i])) lateMonths.push(monthLabel(latest - i));
+      }
+      if (lateMonths.length === 0) return null;
+      return `The account was closed in ${monthLabel(closed)} but shows late payments for ${lateMonths.reverse().join(', ')}. `
+        + 'No payment was due on a closed account, so those months cannot be delinquent.';
+    },
+  },
+  {
+    id: 'M2-003',
+    title: 'Derogatory account without a date of first delinquency',
+    disputeType: 'inaccurate_info',
+    check(t) {
+      if (t.dateOfFirstDelinquency || !(isChargeOff(t) || isCollection(t) || isLate(t))) return null;
+      return 'The account is reported as delinquent, charged off or in collection without a Date of First Delinquency. '
+        + 'Metro 2 requires that date on every derogatory account, and without it the FCRA §605 reporting period cannot be verified.';
+    },
+  },
+  {
+    id: 'M2-004',
+    title: 'Collection balance above the original amount',
+    disputeType: 'inaccurate_info',
+    check(t) {
+      if (!isCollection(t) || !(Number(t.originalAmount) > 0)) return null;
+      if (Number(t.balance) - Number(t.originalAmount) < BALANCE_TOLERANCE) return null;
+      return `The collection reports a ${money(t.balance)} balance on an original amount of ${money(t.originalAmount)}. `
+        + 'Interest and fees added by a collector are only allowed when the original agreement or state law permits them (FDCPA §808(1)).';
+    },
+  },
+  {
+    id: 'M2-005',
+    title: 'Date of first delinquency before the account was opened',
+    disputeType: 'inaccurate_info',
+    check(t) {
+      // A collector's open date is the placement date, which follows the delinquency
+      if (isCollection(t) || !t.dateOfFirstDelinquency || !t.dateOpened) return null;
+      if (t.dateOfFirstDelinquency >= t.dateOpened) return null;
+      return `The Date of First Delinquency (${t.dateOfFirstDelinquency}) is before the account was opened (${t.dateOpened}). `
+        + 'An account cannot fall behind before it exists.';
+    },
+  },
+];
+
+/**
+ * Internal credit item type for a tradeline that breaks a rule.
+ * @param {Object} t
+ * @returns {string}
+ */
+function itemTypeFor(t) {
+  if (t.source === 'negative' && ITEM_TYPES.includes(t.type)) return t.type;
+  if (isChargeOff(t)) return 'charge_off';
+  if (isCollection(t)) return 'collection';
+  if (isLate(t) || (t.paymentHistory && LATE_CODES.test(t.paymentHistory))) return 'late_payment';
+  return 'other';
+}
+
+/**
+ * Run every rule against one bureau's report.
+ * @param {Object} report - Normalized report
+ * @param {string} [bureau] - Defaults to report.bureau
+ * @returns {Array<{ ruleId: string, title: string, explanation: string, disputeType: string, bureau: string,
+ *   creditorName: string, accountNumber: string, itemType: string, balance: number|null,
+ *   dateOpened: string|null, dateOfFirstDelinquency: string|null }>}
+ */
+function checkReport(report, bureau = report.bureau) {
+  const tradelines = extractTradelines(report);
+  const violations = [];
+  for (const t of tradelines) {
+    for (const rule of METRO2_RULES) {
+      const explanation = rule.check(t, tradelines);
+      if (!explanation) continue;
+      violations.push({
+        ruleId: rule.id,
+        title: rule.title,
+        explanation,
+        disputeType: rule.disputeType,
+        bureau,
+        creditorName: t.creditorName,
+        accountNumber: t.accountNumber,
+        itemType: itemTypeFor(t),
+        balance: t.balance,
+        dateOpened: t.dateOpened,
+        dateOfFirstDelinquency: t.dateOfFirstDelinquency,
+      });
+    }
+  }
+  return violations;
+}
+
+module.exports = {
+  METRO2_RULES,
+  extractTradelines,
+  checkReport,
+};
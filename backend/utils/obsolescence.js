@@ -0,0 +1,249 @@
+/**
+ * Obsolescence Calculator (FCRA §605)
+ *
+ * Most adverse information may be reported for 7 years. For collections and
+ * charge-offs §605(c)(1) starts the 7 years 180 days after the date of first
+ * delinquency (DOFD); late payments run from the DOFD itself. Re-aging or a
+ * sale to a new collector does not reset the DOFD. The nationwide bureaus
+ * usually delete collections and charge-offs 7 years after the DOFD, ahead of
+ * the statutory date; only the statutory date is used here, so an item is
+ * never flagged before the law requires its removal. Bankruptcies run from
+ * the filing date (date_opened): 10 years for
+ * Chapter 7 (and when the chapter is unknown), 7 years for Chapter 13 by
+ * bureau practice. Hard inquiries drop after 2 years, also by bureau
+ * practice. Items past their purge date are flagged for an 'outdated'
+ * dispute; items whose purge date is near show in a "falling off soon" list.
+ * The §605(b) exceptions (large credit, insurance and employment
+ * transactions) are not modelled.
+ *
+ * @module utils/obsolescence
+ */
+
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+
+/** Reporting periods in years */
+const REPORTING_YEARS = {
+  standard: 7,
+  bankruptcy: 10,
+  chapter13: 7,
+  inquiry: 2,
+};
+
+/** Days after the DOFD before a collection or charge-off's period begins (§605(c)(1)) */
+const DELINQUENCY_GRACE_DAYS = 180;
+
+/** Item types whose period starts after DELINQUENCY_GRACE_DAYS */
+const GRACE_PERIOD_TYPES = ['collection', 'charge_off'];
+
+/** Default look-ahead for the "falling off soon" list */
+const FALLING_OFF_WINDOW_DAYS = 180;
+
+/** Statuses past the point where an outdated dispute makes sense */
+const SETTLED_STATUSES = ['deleted', 'resolved'];
+
+/**
+ * SQL expression for an item's purge date (alias `ci` for credit_items).
+ * NULL when the start date is unknown.
+ * @type {string}
+ */
+const PURGE_DATE_SQL = `(CASE
+  WHEN ci.item_type = 'inquiry' THEN
+    COALESCE(ci.date_reported, ci.date_opened) + INTERVAL '${REPORTING_YEARS.inquiry} years'
+  WHEN ci.item_type = 'bankruptcy' THEN
+    ci.date_opened + CASE WHEN ci.bankruptcy_chapter = 13
+      THEN INTERVAL '${REPORTING_YEARS.chapter13} years' ELSE INTERVAL '${REPORTING_YEARS.bankruptcy} years' END
+  WHEN ci.item_type IN (${GRACE_PERIOD_TYPES.map((type) => `'${type}'`).join(', ')}) THEN
+    ci.date_of_first_delinquency + ${DELINQUENCY_GRACE_DAYS} + INTERVAL '${REPORTING_YEARS.standard} years'
+  ELSE ci.date_of_first_delinquency + INTERVAL '${REPORTING_YEARS.standard} years'
+END)::date`;
+
+/**
+ * Add whole years, clamping Feb 29 to Feb 28 as PostgreSQL does.
+ * @param {string|Date} date
+ * @param {number} years
+ * @returns {Date}
+ */
+function addYears(date, years) {
+  const start = new Date(date);
+  const year = start.getUTCFullYear() + years;
+  const month = start.getUTCMonth();
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay)));
+}
+
+/**
+ * Add whole days.
+ * @param {string|Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result;
+}
+
+/**
+ * Bankruptcy chapter named in free text ("Chapter 7 Bankruptcy - Discharged").
+ * @param {string} [text]
+ * @returns {number|null}
+ */
+function parseBankruptcyChapter(text) {
+  const match = /chapter\s*(7|11|12|13)\b/i.exec(text || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Where an item's reporting period starts and how long it lasts.
+ * @param {Object} item - credit_items row
+ * @returns {{ startDate: string|Date, years: number, basis: string }|null} null when the start date is unknown
+ */
+function getReportingPeriod(item) {
+  if (item.item_type === 'inquiry') {
+    const startDate = item.date_reported || item.date_opened;
+    return startDate ? { startDate, years: REPORTING_YEARS.inquiry, basis: 'inquiry date' } : null;
+  }
+  if (item.item_type === 'bankruptcy') {
+    if (!item.date_opened) return null;
+    const chapter13 = Number(item.bankruptcy_chapter) === 13;
+    return {
+      startDate: item.date_opened,
+      years: chapter13 ? REPORTING_YEARS.chapter13 : REPORTING_YEARS.bankruptcy,
+      basis: item.bankruptcy_chapter ? `Chapter ${item.bankruptcy_chapter} filing date` : 'bankruptcy filing date',
+    };
+  }
+  if (!item.date_of_first_delinquency) return null;
+  if (GRACE_PERIOD_TYPES.includes(item.item_type)) {
+    return {
+      startDate: addDays(item.date_of_first_delinquency, DELINQUENCY_GRACE_DAYS),
+      years: REPORTING_YEARS.standard,
+      basis: `${DELINQUENCY_GRACE_DAYS} days after the date of first delinquency`,
+    };
+  }
+  return { startDate: item.date_of_first_delinquency, years: REPORTING_YEARS.standard, basis: 'date of first delinquency' };
+}
+
+/**
+ * Compute the date an item must stop being reported.
+ * @param {Object} item - credit_items row
+ * @returns {string|null} YYYY-MM-DD, or null when the start date is unknown
+ */
+function computePurgeDate(item) {
+  const period = getReportingPeriod(item);
+  return period ? toDateString(addYears(period.startDate, period.years)) : null;
+}
+
+/**
+ * Obsolescence status for a single item.
+ * @param {Object} item - credit_items row
+ * @param {Date} [today]
+ * @returns {{ purgeDate: string|null, basis: string|null, years: number|null,
+ *   daysRemaining: number|null, obsolete: boolean }}
+ */
+function getObsolescence(item, today = new Date()) {
+  const period = getReportingPeriod(item);
+  if (!period) return { purgeDate: null, basis: null, years: null, daysRemaining: null, obsolete: false };
+
+  const purgeDate = toDateString(addYears(period.startDate, period.years));
+  const todayUtc = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const daysRemaining = Math.round((new Date(purgeDate).getTime() - todayUtc) / 86400000);
+
+  return { purgeDate, basis: period.basis, years: period.years, daysRemaining, obsolete: daysRemaining <= 0 };
+}
+
+/**
+ * Flag a client's items that are past their purge date for an 'outdated'
+ * dispute. Items already flagged, deleted or resolved are left alone.
+ * @param {string} clientId
+ * @returns {Promise<Object[]>} Newly flagged items
+ */
+async function flagObsoleteItems(clientId) {
+  const result = await query(
+    `UPDATE credit_items ci
+     SET suggested_dispute_type = 'outdated',
+         flag_reason = 'Past the FCRA §605 reporting period (purge date ' || TO_CHAR(${PURGE_DATE_SQL}, 'YYYY-MM-DD') || ')',
+         flag_rule_id = NULL,
+         flagged_at = NOW(),
+         updated_at = NOW()
+     WHERE ci.client_id = $1 AND ci.deleted_at IS NULL
+       AND ci.status <> ALL($2)
+       AND ci.suggested_dispute_type IS DISTINCT FROM 'outdated'
+       AND ${PURGE_DATE_SQL} <= CURRENT_DATE
+     RETURNING ci.id, ci.creditor_name, ci.item_type, ci.bureau, ci.flag_reason`,
+    [clientId, SETTLED_STATUSES]
+  );
+
+  if (result.rows.length > 0) {
+    logger.info({ clientId, count: result.rows.length }, 'Flagged obsolete credit items for outdated disputes');
+  }
+  return result.rows;
+}
+
+const ITEM_COLUMNS = `ci.id, ci.client_id, ci.item_type, ci.creditor_name, ci.account_number, ci.bureau,
+  ci.balance, ci.status, ci.date_opened, ci.date_reported, ci.date_of_first_delinquency,
+  ci.bankruptcy_chapter, ci.suggested_dispute_type, ci.flagged_at`;
+
+/**
+ * A client's obsolescence picture. Flags newly obsolete items first.
+ * @param {string} clientId
+ * @param {number} [windowDays]
+ * @returns {Promise<{ obsolete: Object[], fallingOffSoon: Object[], missingStartDate: Object[], newlyFlagged: number }>}
+ */
+async function getClientObsolescence(clientId, windowDays = FALLING_OFF_WINDOW_DAYS) {
+  const flagged = await flagObsoleteItems(clientId);
+
+  const result = await query(
+    `SELECT ${ITEM_COLUMNS}
+     FROM credit_items ci
+     WHERE ci.client_id = $1 AND ci.deleted_at IS NULL AND ci.status <> ALL($2)
+     ORDER BY ci.created_at`,
+    [clientId, SETTLED_STATUSES]
+  );
+
+  const today = new Date();
+  const report = { obsolete: [], fallingOffSoon: [], missingStartDate: [], newlyFlagged: flagged.length };
+  for (const item of result.rows) {
+    const obsolescence = getObsolescence(item, today);
+    const entry = { ...item, ...obsolescence };
+    if (!obsolescence.purgeDate) report.missingStartDate.push(entry);
+    else if (obsolescence.obsolete) report.obsolete.push(entry);
+    else if (obsolescence.daysRemaining <= windowDays) report.fallingOffSoon.push(entry);
+  }
+  report.fallingOffSoon.sort((a, b) => a.daysRemaining - b.daysRemaining);
+  return report;
+}
+
+/**
+ * Items across all clients that drop off within the window, soonest first.
+ * @param {number} [windowDays]
+ * @returns {Promise<Object[]>}
+ */
+async function listFallingOffSoon(windowDays = FALLING_OFF_WINDOW_DAYS) {
+  const result = await query(
+    `SELECT ${ITEM_COLUMNS}, ${PURGE_DATE_SQL} AS purge_date,
+            u.first_name AS client_first_name, u.last_name AS client_last_name
+     FROM credit_items ci
+     JOIN users u ON u.id = ci.client_id
+     WHERE ci.deleted_at IS NULL AND ci.status <> ALL($2)
+       AND ${PURGE_DATE_SQL} BETWEEN CURRENT_DATE + 1 AND CURRENT_DATE + $1::int
+     ORDER BY purge_date, u.last_name`,
+    [windowDays, SETTLED_STATUSES]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  REPORTING_YEARS,
+  DELINQUENCY_GRACE_DAYS,
+  FALLING_OFF_WINDOW_DAYS,
+  PURGE_DATE_SQL,
+  addYears,
+  parseBankruptcyChapter,
+  computePurgeDate,
+  getObsolescence,
+  flagObsoleteItems,
+  getClientObsolescence,
+  listFallingOffSoon,
+};
@@ -0,0 +1,220 @@
+/**
+ * Dispute Outcome Analytics
+ *
+ * Deletion rates measured from our own dispute history rather than the
+ * hand-written figures in ITEM_TYPE_STRATEGIES. Each bureau dispute that was
+ * sent is a round of a dispute campaign (utils/disputeCampaigns); once its
+ * outcome is recorded it counts as decided, and it counts as a deletion when
+ * the outcome is 'deleted'. Pending rounds and unsent drafts are left out.
+ * Rates from fewer than MIN_SAMPLE decided rounds are reported but marked
+ * insufficient and never used to rank dispute types.
+ *
+ * @module utils/outcomeAnalytics
+ */
+
+const { query } = require('../config/database');
+
+/** Decided rounds a rate needs before it is used to rank dispute types */
+const MIN_SAMPLE = 5;
+
+/** Creditors listed in the analytics, most disputed first */
+const CREDITOR_LIMIT = 20;
+
+/**
+ * Deletion rate for a group of decided rounds.
+ * @param {number} decided
+ * @param {number} deleted
+ * @returns {{ decided: number, deleted: number, deletionRate: number|null, sufficient: boolean }}
+ */
+function deletionRate(decided, deleted) {
+  return {
+    decided,
+    deleted,
+    deletionRate: decided > 0 ? Math.round((deleted / decided) * 1000) / 1000 : null,
+    sufficient: decided >= MIN_SAMPLE,
+  };
+}
+
+const normalizeCreditor = (name) => (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Total outcome rows by one dimension, most decided rounds first.
+ * @param {Object[]} rows - { decided, deleted } plus the dimension columns
+ * @param {function(Object): (string|number|null)} keyOf
+ * @param {function(Object): Object} [labelOf] - Extra fields taken from the first row of each group
+ * @returns {Object[]} { key, ...labels, decided, deleted, deletionRate, sufficient }
+ */
+function tally(rows, keyOf, labelOf = () => ({})) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = keyOf(row);
+    if (key === null || key === undefined || key === '') continue;
+    const group = groups.get(key) || { key, ...labelOf(row), decided: 0, deleted: 0 };
+    group.decided += Number(row.decided);
+    group.deleted += Number(row.deleted);
+    groups.set(key, group);
+  }
+  return [...groups.values()]
+    .map(({ decided, deleted, ...group }) => ({ ...group, ...deletionRate(decided, deleted) }))
+    .sort((a, b) => b.decided - a.decided);
+}
+
+/**
+ * Deletion rates by item type, bureau, dispute type, round and creditor.
+ * @param {Object[]} rows - Decided round counts from loadOutcomeCounts
+ * @returns {{ overall: Object, byItemType: Object[], byBureau: Object[], byDisputeType: Object[],
+ *   byRound: Object[], byCreditor: Object[] }}
+ */
+function summarizeOutcomes(rows) {
+  const decided = rows.reduce((sum, row) => sum + Number(row.decided), 0);
+  const deleted = rows.reduce((sum, row) => sum + Number(row.deleted), 0);
+
+  return {
+    overall: deletionRate(decided, deleted),
+    byItemType: tally(rows, (row) => row.item_type),
+    byBureau: tally(rows, (row) => row.bureau),
+    byDisputeType: tally(rows, (row) => row.dispute_type),
+    byRound: tally(rows, (row) => Number(row.round_number)).sort((a, b) => a.key - b.key),
+    byCreditor: tally(rows, (row) => normalizeCreditor(row.creditor_name), (row) => ({ creditorName: row.creditor_name.trim() }))
+      .slice(0, CREDITOR_LIMIT),
+  };
+}
+
+/**
+ * Dispute types a strategy allows for its item: its primary strategy, its
+ * alternatives and its current recommendation.
+ * @param {Object} strategy - From getCompleteStrategy
+ * @returns {string[]}
+ */
+function candidateDisputeTypes(strategy) {
+  return [...new Set([
+    strategy.primaryStrategy,
+    ...(strategy.alternativeStrategies || []),
+    strategy.recommendedDisputeType,
+  ].filter(Boolean))];
+}
+
+/**
+ * Rank dispute types by observed deletion rate for the narrowest scope with
+ * enough data: the same bureau and round, then the same bureau, then all
+ * bureaus and rounds. When disputeTypes is given, other types are dropped
+ * before the scope is chosen, so data for a type the item cannot use never
+ * stops the widening.
+ * @param {Object[]} rows - Decided round counts for one item type
+ * @param {{ bureau?: string, round?: number, disputeTypes?: string[] }} scope
+ * @returns {{ basis: 'bureau_round'|'bureau'|'all', ranking: Object[] }} ranking
+ *   lists sufficient samples by deletion rate, then insufficient ones
+ */
+function rankDisputeTypes(rows, { bureau, round, disputeTypes } = {}) {
+  const candidates = disputeTypes ? rows.filter((row) => disputeTypes.includes(row.dispute_type)) : rows;
+  const scopes = [
+    { basis: 'bureau_round', match: (row) => row.bureau === bureau && Number(row.round_number) === round },
+    { basis: 'bureau', match: (row) => row.bureau === bureau },
+    { basis: 'all', match: () => true },
+  ];
+
+  let result;
+  for (const { basis, match } of scopes) {
+    const ranking = tally(candidates.filter(match), (row) => row.dispute_type)
+      .map(({ key, ...rate }) => ({ disputeType: key, ...rate }))
+      .sort((a, b) => (b.sufficient - a.sufficient) || (b.deletionRate - a.deletionRate) || (b.decided - a.decided));
+    result = { basis, ranking };
+    if (ranking.some((entry) => entry.sufficient)) break;
+  }
+  return result;
+}
+
+/**
+ * Decided round counts grouped by item type, bureau, dispute type, round and creditor.
+ * @param {{ itemType?: string, bureau?: string, since?: string }} [filters] - since
+ *   limits to outcomes recorded on or after a YYYY-MM-DD date
+ * @returns {Promise<Object[]>}
+ */
+async function loadOutcomeCounts({ itemType, bureau, since } = {}) {
+  const conditions = ["r.outcome <> 'pending'", 'd.deleted_at IS NULL'];
+  const params = [];
+  if (itemType) {
+    params.push(itemType);
+    conditions.push(`ci.item_type = $${params.length}`);
+  }
+  if (bureau) {
+    params.push(bureau);
+    conditions.push(`c.bureau = $${params.length}`);
+  }
+  if (since) {
+    params.push(since);
+    conditions.push(`r.outcome_date >= $${params.length}`);
+  }
+
+  const result = await query(
+    `SELECT ci.item_type, c.bureau, d.dispute_type, r.round_number, ci.creditor_name,
+            COUNT(*)::int AS decided,
+            COUNT(*) FILTER (WHERE r.outcome = 'deleted')::int AS deleted
+     FROM dispute_rounds r
+     JOIN dispute_campaigns c ON c.id = r.campaign_id
+     JOIN disputes d ON d.id = r.dispute_id
+     JOIN credit_items ci ON ci.id = c.credit_item_id
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY ci.item_type, c.bureau, d.dispute_type, r.round_number, ci.creditor_name`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Deletion rates across all clients' decided dispute rounds.
+ * @param {{ itemType?: string, bureau?: string, since?: string }} [filters]
+ * @returns {Promise<Object>} See summarizeOutcomes, with minSample
+ */
+async function getOutcomeAnalytics(filters = {}) {
+  const rows = await loadOutcomeCounts(filters);
+  return { minSample: MIN_SAMPLE, ...summarizeOutcomes(rows) };
+}
+
+/**
+ * Dispute types ranked by observed success for an item type.
+ * @param {string} itemType
+ * @param {string} bureau
+ * @param {number} round
+ * @param {string[]} [disputeTypes] - Rank only these, e.g. from candidateDisputeTypes
+ * @returns {Promise<{ basis: string, ranking: Object[] }>}
+ */
+async function getDisputeTypeRanking(itemType, bureau, round, disputeTypes) {
+  const rows = await loadOutcomeCounts({ itemType });
+  return rankDisputeTypes(rows, { bureau, round, disputeTypes });
+}
+
+/**
+ * Replace a strategy's recommended dispute type with the best observed one.
+ * Only the dispute types the strategy allows for the item type compete: its
+ * primary strategy, its alternatives and its current recommendation. Keeps
+ * the hand-written recommendation when none of them has enough data.
+ * @param {Object} strategy - From getCompleteStrategy
+ * @param {{ basis: string, ranking: Object[] }} observed - From getDisputeTypeRanking
+ * @returns {Object} The strategy with rankedBy and observedRanking, limited to those dispute types
+ */
+function applyObservedRanking(strategy, { basis, ranking }) {
+  const candidates = new Set(candidateDisputeTypes(strategy));
+  const applicable = ranking.filter((entry) => candidates.has(entry.disputeType));
+  const best = applicable.find((entry) => entry.sufficient);
+  if (!best) return { ...strategy, rankedBy: 'primaryStrategy', observedRanking: applicable };
+  return {
+    ...strategy,
+    recommendedDisputeType: best.disputeType,
+    rankedBy: 'observed',
+    rankingBasis: basis,
+    observedRanking: applicable,
+  };
+}
+
+module.exports = {
+  MIN_SAMPLE,
+  deletionRate,
+  summarizeOutcomes,
+  candidateDisputeTypes,
+  rankDisputeTypes,
+  loadOutcomeCounts,
+  getOutcomeAnalytics,
+  getDisputeTypeRanking,
+  applyObservedRanking,
+};
@@ -0,0 +1,450 @@
+/**
+ * Personal Information Cleanup
+ *
+ * Bureaus keep every name, address, employer and phone number furnishers
+ * have sent with an account. Entries that do not belong to the client are a
+ * common sign of a mixed file or identity theft, and they let other people's
+ * accounts match the client's file. Each report (an uploaded report run
+ * through creditReportAnalyzer, or a bureau pull) records what it lists; the
+ * entries are compared against the verified client_profiles and
+ * client_addresses data, the client marks the ones they do not recognize,
+ * and each bureau receives one 'personal_info' dispute listing them. Later
+ * reports show whether each entry was removed.
+ *
+ * @module utils/personalInfo
+ */
+
+const { query, transaction } = require('../config/database');
+const { logger } = require('./logger');
+const { nameSimilarity, normalizeCreditorName, NAME_MATCH_THRESHOLD } = require('./triMerge');
+const { renderDisputeLetter } = require('./letterTemplates');
+
+const PERSONAL_INFO_DISPUTE_TYPE = 'personal_info';
+
+const ENTRY_TYPES = ['name', 'address', 'employer', 'phone'];
+
+/** What the client can say about an entry */
+const CLIENT_RESPONSES = ['recognized', 'unknown'];
+
+/** personalInfo keys that carry each entry type; a report without them says nothing about that type */
+const ENTRY_SOURCES = {
+  name: ['fullName', 'nameVariations'],
+  address: ['currentAddress', 'previousAddresses'],
+  employer: ['employers'],
+  phone: ['phone', 'phones'],
+};
+
+const STREET_ABBREVIATIONS = {
+  STREET: 'ST', AVENUE: 'AVE', ROAD: 'RD', DRIVE: 'DR', BOULEVARD: 'BLVD', LANE: 'LN', COURT: 'CT',
+  PLACE: 'PL', CIRCLE: 'CIR', HIGHWAY: 'HWY', PARKWAY: 'PKWY', TERRACE: 'TER', APARTMENT: 'APT',
+  UNIT: 'APT', SUITE: 'STE', NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+};
+
+const ENTRY_COLUMNS = `id, client_id, bureau, entry_type, value, match_key, verified, client_response, status,
+  dispute_id, first_seen_at, last_seen_at, removed_at`;
+
+/**
+ * Validate that the name in the credit report matches the registered client
+ * @param {string} registeredFirstName - Client's registered first name
+ * @param {string} registeredLastName - Client's registered last name
+ * @param {string} reportFullName - Full name extracted from credit report
+ * @returns {Object} Validation result
+ */
+function validateClientName(registeredFirstName, registeredLastName, reportFullName) {
+  if (!registeredFirstName || !registeredLastName || !reportFullName) {
+    return {
+      isValid: false,
+      reason: 'Missing name information for comparison',
+      registeredName: `${registeredFirstName || ''} ${registeredLastName || ''}`.trim(),
+      reportName: reportFullName || ''
+    };
+  }
+
+  const registeredFull = `${registeredFirstName} ${registeredLastName}`.toUpperCase().trim();
+  const reportUpper = reportFullName.toUpperCase().trim();
+
+  // Check for exact match
+  if (reportUpper.includes(registeredFull) || registeredFull.includes(reportUpper)) {
+    return {
+      isValid: true,
+      matchType: 'exact',
+      registeredName: registeredFull,
+      reportName: reportFullName
+    };
+  }
+
+  // Check if first and last names appear anywhere in the report name
+  const firstNameMatch = reportUpper.includes(registeredFirstName.toUpperCase());
+  const lastNameMatch = reportUpper.includes(registeredLastName.toUpperCase());
+
+  if (firstNameMatch && lastNameMatch) {
+    return {
+      isValid: true,
+      matchType: 'partial',
+      registeredName: registeredFull,
+      reportName: reportFullName,
+      note: 'Names match but may be in different order or include middle name'
+    };
+  }
+
+  // Name mismatch - requires admin review
+  return {
+    isValid: false,
+    matchType: 'mismatch',
+    reason: 'Name in credit report does not match registered client name',
+    registeredName: registeredFull,
+    reportName: reportFullName,
+    requiresAdminReview: true
+  };
+}
+
+// ============================================================================
+// Normalization
+// ============================================================================
+
+const normalizeText = (text) => String(text || '').toUpperCase().replace(/[^A-Z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const normalizeStreet = (street) => normalizeText(String(street || '').replace(/#/g, ' APT '))
+  .split(' ')
+  .map((word) => STREET_ABBREVIATIONS[word] || word)
+  .join(' ');
+
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const zip5 = (zip) => String(zip || '').replace(/\D/g, '').slice(0, 5);
+
+/**
+ * Match key for an address: normalized street plus ZIP, or city and state without one.
+ * @param {{ street?: string, city?: string, state?: string, zipCode?: string }} address
+ * @returns {string}
+ */
+function addressKey(address) {
+  const street = normalizeStreet(address.street);
+  const zip = zip5(address.zipCode);
+  return `${street}|${zip || `${normalizeText(address.city)} ${normalizeText(address.state)}`}`;
+}
+
+const formatAddress = (a) => [a.street, a.city, [a.state, a.zipCode].filter(Boolean).join(' ')]
+  .filter(Boolean).join(', ');
+
+/**
+ * Entries listed in analyzer personalInfo output, with the entry types the
+ * report carries at all.
+ * @param {Object} personalInfo - creditReportAnalyzer personalInfo shape
+ * @returns {{ entries: Array<{ entryType: string, value: string, matchKey: string, address?: Object }>, types: string[] }}
+ */
+function extractEntries(personalInfo = {}) {
+  const entries = [];
+  const add = (entryType, value, matchKey, extra = {}) => {
+    if (!value || !matchKey || matchKey === '|') return;
+    if (entries.some((e) => e.entryType === entryType && e.matchKey === matchKey)) return;
+    entries.push({ entryType, value: String(value).trim(), matchKey: matchKey.slice(0, 255), ...extra });
+  };
+
+  for (const name of [personalInfo.fullName, ...(personalInfo.nameVariations || [])]) {
+    add('name', name, normalizeText(name));
+  }
+  for (const address of [personalInfo.currentAddress, ...(personalInfo.previousAddresses || [])]) {
+    if (address?.street) add('address', formatAddress(address), addressKey(address), { address });
+  }
+  for (const employer of personalInfo.employers || []) {
+    add('employer', employer, normalizeCreditorName(employer));
+  }
+  for (const phone of [personalInfo.phone, ...(personalInfo.phones || [])]) {
+    add('phone', phone, normalizePhone(phone));
+  }
+
+  const types = ENTRY_TYPES.filter((type) => ENTRY_SOURCES[type].some((key) => personalInfo[key] !== undefined));
+  return { entries, types };
+}
+
+/**
+ * The consumer section of a normalized bureau report in personalInfo shape.
+ * Bureau APIs return names and addresses only.
+ * @param {Object} consumer - normalizedReport.consumer
+ * @returns {Object}
+ */
+function consumerToPersonalInfo(consumer = {}) {
+  const addresses = (consumer.addresses || []).map((a) => ({
+    street: a.line1, city: a.city, state: a.state, zipCode: a.zipCode, type: a.type,
+  }));
+  const fullName = [consumer.firstName, consumer.lastName].filter(Boolean).join(' ');
+  const current = addresses.find((a) => a.type === 'current') || addresses[0];
+
+  // Leave out what the report is missing so it does not count as removed
+  const personalInfo = {};
+  if (fullName) personalInfo.fullName = fullName;
+  if (current) {
+    personalInfo.currentAddress = current;
+    personalInfo.previousAddresses = addresses.filter((a) => a !== current);
+  }
+  return personalInfo;
+}
+
+// ============================================================================
+// Verified data
+// ============================================================================
+
+/**
+ * The client's verified identity: profile name, addresses on file, phones
+ * and employer.
+ * @param {string} clientId
+ * @returns {Promise<{ firstName: string, lastName: string, addressKeys: string[], streets: string[], phones: string[], employer: string|null }>}
+ */
+async function loadVerifiedData(clientId) {
+  const profile = await query(
+    `SELECT COALESCE(cp.first_name, u.first_name) AS first_name, COALESCE(cp.last_name, u.last_name) AS last_name,
+            u.phone, cp.phone_primary, cp.phone_alternate, cp.employer_name,
+            cp.address_line1, cp.city, cp.state, cp.zip_code
+     FROM users u
+     LEFT JOIN client_profiles cp ON cp.user_id = u.id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  const addresses = await query(
+    `SELECT street1, street2, city, state, zip_code FROM client_addresses WHERE client_id = $1`,
+    [clientId]
+  );
+
+  const row = profile.rows[0] || {};
+  const known = [
+    { street: row.address_line1, city: row.city, state: row.state, zipCode: row.zip_code },
+    ...addresses.rows.map((a) => ({ street: a.street1, city: a.city, state: a.state, zipCode: a.zip_code })),
+  ].filter((a) => a.street);
+
+  return {
+    firstName: row.first_name,
+    lastName: row.last_name,
+    addressKeys: known.map(addressKey),
+    streets: known.map((a) => `${normalizeStreet(a.street)}|${normalizeText(a.city)}`),
+    phones: [row.phone, row.phone_primary, row.phone_alternate].map(normalizePhone).filter(Boolean),
+    employer: row.employer_name || null,
+  };
+}
+
+/**
+ * Whether an entry matches the client's verified data.
+ * @param {Object} entry - From extractEntries
+ * @param {Object} verified - From loadVerifiedData
+ * @returns {boolean}
+ */
+function isVerified(entry, verified) {
+  switch (entry.entryType) {
+    case 'name':
+      return validateClientName(verified.firstName, verified.lastName, entry.value).isValid;
+    case 'address':
+      // A report without the ZIP still matches on street and city
+      return verified.addressKeys.includes(entry.matchKey)
+        || verified.streets.includes(`${normalizeStreet(entry.address.street)}|${normalizeText(entry.address.city)}`);
+    case 'phone':
+      return verified.phones.includes(entry.matchKey);
+    case 'employer':
+      return Boolean(verified.employer) && nameSimilarity(verified.employer, entry.value) >= NAME_MATCH_THRESHOLD;
+    default:
+      return false;
+  }
+}
+
+// ============================================================================
+// Tracking
+// ============================================================================
+
+/**
+ * Record the personal information one report lists for a bureau. Entries it
+ * no longer lists are marked removed (only for entry types the report
+ * carries), an entry that reappears is reported again, and cleanup letters
+ * whose entries are all gone are resolved.
+ * @param {string} clientId
+ * @param {string} bureau
+ * @param {Object} personalInfo - creditReportAnalyzer personalInfo shape
+ * @returns {Promise<{ recorded: number, unverified: number, removed: number, resolvedDisputes: number }>}
+ */
+async function recordPersonalInfo(clientId, bureau, personalInfo) {
+  const { entries, types } = extractEntries(personalInfo);
+  if (types.length === 0) return { recorded: 0, unverified: 0, removed: 0, resolvedDisputes: 0 };
+  const verified = await loadVerifiedData(clientId);
+
+  let unverified = 0;
+  for (const entry of entries) {
+    const matches = isVerified(entry, verified);
+    if (!matches) unverified += 1;
+    await query(
+      `INSERT INTO personal_info_entries (client_id, bureau, entry_type, value, match_key, verified)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (client_id, bureau, entry_type, match_key) DO UPDATE
+       SET value = EXCLUDED.value, verified = EXCLUDED.verified, last_seen_at = CURRENT_TIMESTAMP,
+           status = CASE WHEN personal_info_entries.status = 'removed' THEN 'reported' ELSE personal_info_entries.status END,
+           removed_at = NULL, updated_at = CURRENT_TIMESTAMP`,
+      [clientId, bureau, entry.entryType, entry.value, entry.matchKey, matches]
+    );
+  }
+
+  const removed = await query(
+    `UPDATE personal_info_entries
+     SET status = 'removed', removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE client_id = $1 AND bureau = $2 AND entry_type = ANY($3) AND status <> 'removed'
+       AND NOT (entry_type || ':' || match_key = ANY($4))
+     RETURNING id, dispute_id`,
+    [clientId, bureau, types, entries.map((e) => `${e.entryType}:${e.matchKey}`)]
+  );
+
+  let resolvedDisputes = 0;
+  const disputeIds = [...new Set(removed.rows.map((r) => r.dispute_id).filter(Boolean))];
+  if (disputeIds.length > 0) {
+    const resolved = await query(
+      `UPDATE disputes d
+       SET status = 'resolved', response_date = COALESCE(response_date, CURRENT_DATE), updated_at = CURRENT_TIMESTAMP
+       WHERE d.id = ANY($1::uuid[]) AND d.status NOT IN ('resolved', 'rejected')
+         AND NOT EXISTS (
+           SELECT 1 FROM personal_info_entries e WHERE e.dispute_id = d.id AND e.status <> 'removed'
+         )
+       RETURNING d.id`,
+      [disputeIds]
+    );
+    resolvedDisputes = resolved.rows.length;
+  }
+
+  if (removed.rows.length > 0) {
+    logger.info({ clientId, bureau, removed: removed.rows.length, resolvedDisputes }, 'Personal information entries removed');
+  }
+  return { recorded: entries.length, unverified, removed: removed.rows.length, resolvedDisputes };
+}
+
+/**
+ * A client's personal information entries by bureau.
+ * @param {string} clientId
+ * @returns {Promise<{ bureaus: Object<string, Object[]>, summary: Object }>}
+ */
+async function getClientPersonalInfo(clientId) {
+  const result = await query(
+    `SELECT ${ENTRY_COLUMNS} FROM personal_info_entries
+     WHERE client_id = $1
+     ORDER BY bureau, entry_type, first_seen_at`,
+    [clientId]
+  );
+
+  const bureaus = {};
+  const summary = { total: result.rows.length, unverified: 0, needsReview: 0, unknown: 0, disputed: 0, removed: 0 };
+  for (const entry of result.rows) {
+    (bureaus[entry.bureau] = bureaus[entry.bureau] || []).push(entry);
+    if (entry.status === 'removed') summary.removed += 1;
+    else if (entry.status === 'disputed') summary.disputed += 1;
+    if (entry.status === 'removed') continue;
+    if (!entry.verified) summary.unverified += 1;
+    if (!entry.verified && !entry.client_response) summary.needsReview += 1;
+    if (entry.client_response === 'unknown' && entry.status === 'reported') summary.unknown += 1;
+  }
+  return { bureaus, summary };
+}
+
+/**
+ * Load one entry.
+ * @param {string} entryId
+ * @returns {Promise<Object|null>}
+ */
+async function getEntry(entryId) {
+  const result = await query(`SELECT ${ENTRY_COLUMNS} FROM personal_info_entries WHERE id = $1`, [entryId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Record whether the client recognizes an entry.
+ * @param {string} entryId
+ * @param {'recognized'|'unknown'} response
+ * @returns {Promise<Object|null>} The updated entry, or null once it has been disputed or removed
+ */
+async function setClientResponse(entryId, response) {
+  const result = await query(
+    `UPDATE personal_info_entries SET client_response = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'reported'
+     RETURNING ${ENTRY_COLUMNS}`,
+    [entryId, response]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Draft one cleanup letter per bureau listing the entries the client does
+ * not recognize. Entries already on a letter are skipped until they are
+ * reported again.
+ * @param {string} clientId
+ * @param {string[]} [bureaus] - Limit to these bureaus
+ * @returns {Promise<Object[]|null>} Created disputes, or null if the client profile is missing
+ */
+async function generateDisputes(clientId, bureaus) {
+  const pending = await query(
+    `SELECT ${ENTRY_COLUMNS} FROM personal_info_entries
+     WHERE client_id = $1 AND client_response = 'unknown' AND status = 'reported'
+       AND ($2::text[] IS NULL OR bureau = ANY($2))
+     ORDER BY bureau, entry_type, first_seen_at`,
+    [clientId, bureaus && bureaus.length ? bureaus : null]
+  );
+  if (pending.rows.length === 0) return [];
+
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [clientId]
+  );
+  if (clientResult.rows.length === 0) return null;
+
+  const byBureau = new Map();
+  for (const row of pending.rows) {
+    if (!byBureau.has(row.bureau)) byBureau.set(row.bureau, []);
+    byBureau.get(row.bureau).push(row);
+  }
+
+  const letters = [];
+  for (const [bureau, entries] of byBureau) {
+    const letter = await renderDisputeLetter({
+      client: clientResult.rows[0],
+      bureau,
+      disputeType: PERSONAL_INFO_DISPUTE_TYPE,
+      personalInfo: { entries },
+    });
+    letters.push({ bureau, entries, letter });
+  }
+
+  return transaction(async (client) => {
+    const created = [];
+    for (const { bureau, entries, letter } of letters) {
+      const result = await client.query(
+        `INSERT INTO disputes (client_id, dispute_type, bureau, target_type, letter_content, template_version_id, status)
+         VALUES ($1, '${PERSONAL_INFO_DISPUTE_TYPE}', $2, 'bureau', $3, $4, 'draft')
+         RETURNING id, client_id, dispute_type, bureau, target_type, letter_content, template_version_id, status, created_at`,
+        [clientId, bureau, letter.content, letter.templateVersionId]
+      );
+      const dispute = result.rows[0];
+
+      await client.query(
+        `UPDATE personal_info_entries SET dispute_id = $1, status = 'disputed', updated_at = CURRENT_TIMESTAMP
+         WHERE id = ANY($2::uuid[])`,
+        [dispute.id, entries.map((entry) => entry.id)]
+      );
+      created.push({ ...dispute, entryCount: entries.length });
+    }
+
+    logger.info({ clientId, letters: created.length }, 'Personal information cleanup letters generated');
+    return created;
+  });
+}
+
+module.exports = {
+  PERSONAL_INFO_DISPUTE_TYPE,
+  ENTRY_TYPES,
+  CLIENT_RESPONSES,
+  validateClientName,
+  addressKey,
+  extractEntries,
+  consumerToPersonalInfo,
+  loadVerifiedData,
+  isVerified,
+  recordPersonalInfo,
+  getClientPersonalInfo,
+  getEntry,
+  setClientResponse,
+  generateDisputes,
+};
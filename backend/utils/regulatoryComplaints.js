@@ -0,0 +1,421 @@
+/**
+ * Regulatory Complaint Service (Round 4)
+ *
+ * Builds CFPB and state Attorney General complaint packages from the full
+ * dispute history of a credit item at one bureau: every letter mailed, its
+ * sent, delivery and response dates, the outcome, and the response documents
+ * on file. A package can be saved as a complaint record, marked filed with
+ * the portal's confirmation number, and followed until the company replies.
+ * Companies answer CFPB complaints within 15 days (an "in progress" reply
+ * extends that to 60 days from filing); state AG offices usually forward a
+ * complaint and ask for a reply within 30.
+ *
+ * @module utils/regulatoryComplaints
+ */
+
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { AGENCY_STRATEGIES } = require('./disputeStrategy');
+const { DISPUTE_TYPE_NAMES } = require('./letterTemplateDefaults');
+const { isDeficientResponse } = require('./methodOfVerification');
+
+/** @type {string[]} */
+const COMPLAINT_AGENCIES = ['cfpb', 'state_ag'];
+
+/**
+ * Replies a company can give, as listed on the CFPB portal
+ * @type {string[]}
+ */
+const COMPANY_RESPONSE_TYPES = [
+  'closed_with_explanation',
+  'closed_with_monetary_relief',
+  'closed_with_non_monetary_relief',
+  'in_progress',
+  'administrative_response',
+];
+
+/** Days the company has to reply once a complaint is filed */
+const COMPANY_RESPONSE_DAYS = { cfpb: 15, state_ag: 30 };
+
+/** Days from filing for the final reply after an "in progress" reply */
+const FINAL_RESPONSE_DAYS = 60;
+
+const OUTCOME_LABELS = {
+  deleted: 'deleted',
+  updated: 'updated',
+  resolved: 'resolved',
+  verified: 'verified as accurate with no correction',
+  no_response: 'no response within the statutory period',
+  pending: 'awaiting a response',
+};
+
+const COMPLAINT_COLUMNS = `id, client_id, credit_item_id, bureau, agency, state, company_name, narrative, package,
+  status, filed_date, confirmation_number, response_due_date, company_response_date, company_response_type,
+  company_response_text, created_by, created_at, updated_at`;
+
+const formatLongDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC',
+});
+
+/**
+ * Result of one dispute: its campaign round outcome when recorded, else
+ * what its status implies.
+ * @param {Object} dispute - History row
+ * @returns {string} A key of OUTCOME_LABELS
+ */
+function disputeOutcome(dispute) {
+  if (dispute.round_outcome && dispute.round_outcome !== 'pending') return dispute.round_outcome;
+  if (dispute.escalated_at) return 'no_response';
+  if (dispute.status === 'rejected') return 'verified';
+  if (dispute.status === 'resolved') return 'resolved';
+  return 'pending';
+}
+
+/**
+ * Everything a complaint about one item at one bureau draws on. Furnisher
+ * disputes about the item are included; they are part of the same history.
+ * @param {string} creditItemId
+ * @param {string} bureau
+ * @returns {Promise<{item: Object, client: Object, disputes: Object[], attachments: Object[], complaints: Object[]}|null>}
+ *   null when the item does not exist
+ */
+async function getDisputeHistory(creditItemId, bureau) {
+  const itemResult = await query(
+    `SELECT ci.id, ci.client_id, ci.creditor_name, ci.account_number, ci.item_type, ci.balance, ci.status,
+            u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code
+     FROM credit_items ci
+     JOIN users u ON ci.client_id = u.id
+     LEFT JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE ci.id = $1 AND ci.deleted_at IS NULL`,
+    [creditItemId]
+  );
+  if (itemResult.rows.length === 0) return null;
+  const { first_name, last_name, email, phone, address_line1, address_line2, city, state, zip_code, ...item } = itemResult.rows[0];
+
+  const disputeResult = await query(
+    `SELECT d.id, d.dispute_type, d.bureau, d.target_type, d.status, d.sent_date, d.clock_start_date,
+            d.response_date, d.response_text, d.tracking_number, d.escalated_at, d.original_dispute_id,
+            f.name AS furnisher_name,
+            r.round_number, r.outcome AS round_outcome,
+            vr.method AS verification_method, vr.furnisher_name AS verification_furnisher_name,
+            vr.furnisher_address AS verification_furnisher_address, vr.furnisher_phone AS verification_furnisher_phone
+     FROM disputes d
+     LEFT JOIN furnishers f ON d.furnisher_id = f.id
+     LEFT JOIN dispute_rounds r ON r.dispute_id = d.id
+     LEFT JOIN verification_responses vr ON vr.dispute_id = d.id
+     WHERE d.credit_item_id = $1 AND d.deleted_at IS NULL AND d.sent_date IS NOT NULL
+       AND (d.target_type = 'furnisher' OR d.bureau = $2)
+     ORDER BY d.sent_date ASC, d.created_at ASC`,
+    [creditItemId, bureau]
+  );
+  const disputes = disputeResult.rows.map((d) => ({ ...d, outcome: disputeOutcome(d) }));
+  const disputeIds = disputes.map((d) => d.id);
+
+  const attachmentResult = disputeIds.length === 0 ? { rows: [] } : await query(
+    `SELECT doc.id AS document_id, doc.file_name, doc.document_category, doc.dispute_id, doc.uploaded_at
+     FROM documents doc
+     WHERE doc.dispute_id = ANY($1::uuid[])
+     UNION
+     SELECT doc.id, doc.file_name, doc.document_category, (o->>'disputeId')::uuid, doc.uploaded_at
+     FROM bureau_responses br
+     JOIN documents doc ON br.document_id = doc.id
+     CROSS JOIN LATERAL jsonb_array_elements(br.confirmed_outcomes) o
+     WHERE br.status = 'confirmed' AND o->>'disputeId' = ANY($1::text[])
+     ORDER BY uploaded_at ASC`,
+    [disputeIds]
+  );
+
+  const complaintResult = await query(
+    `SELECT id, agency, status, filed_date, confirmation_number, company_response_date, company_response_type
+     FROM regulatory_complaints
+     WHERE credit_item_id = $1 AND bureau = $2
+     ORDER BY created_at ASC`,
+    [creditItemId, bureau]
+  );
+
+  return {
+    item,
+    client: { first_name, last_name, email, phone, address_line1, address_line2, city, state, zip_code },
+    disputes,
+    attachments: attachmentResult.rows,
+    complaints: complaintResult.rows,
+  };
+}
+
+/**
+ * One line of the dispute history, e.g. "March 2, 2026 — Round 1: Not Mine
+ * dispute mailed to Experian, delivered March 5, 2026. Result: deleted."
+ * @param {Object} dispute - History row with `outcome`
+ * @param {string} companyName
+ * @returns {string}
+ */
+function describeDispute(dispute, companyName) {
+  const recipient = dispute.target_type === 'furnisher' ? dispute.furnisher_name : companyName;
+  const letter = dispute.dispute_type === 'method_of_verification'
+    ? 'Method of verification request (FCRA §611(a)(7))'
+    : `${DISPUTE_TYPE_NAMES[dispute.dispute_type] || 'Dispute'} dispute`;
+  const round = dispute.round_number ? `Round ${dispute.round_number}: ` : '';
+  const delivered = dispute.clock_start_date ? `, delivered ${formatLongDate(dispute.clock_start_date)}` : '';
+  const tracking = dispute.tracking_number ? ` (certified mail ${dispute.tracking_number})` : '';
+  const responded = dispute.response_date && dispute.outcome !== 'no_response'
+    ? ` on ${formatLongDate(dispute.response_date)}`
+    : '';
+
+  return `${formatLongDate(dispute.sent_date)} — ${round}${letter} mailed to ${recipient}${delivered}${tracking}. `
+    + `Result: ${OUTCOME_LABELS[dispute.outcome]}${responded}.`;
+}
+
+/**
+ * The complaint narrative, written in the client's voice as both portals expect.
+ * @param {Object} history - From getDisputeHistory
+ * @param {string} companyName
+ * @returns {string}
+ */
+function buildNarrative(history, companyName) {
+  const { item, disputes } = history;
+  const last4 = (item.account_number || '').replace(/[^0-9A-Za-z]/g, '').slice(-4);
+  const account = `the ${item.creditor_name} account${last4 ? ` ending in ${last4}` : ''}`;
+  const bureauDisputes = disputes.filter((d) => d.target_type === 'bureau');
+
+  const problems = [];
+  if (disputes.some((d) => d.outcome === 'no_response')) {
+    problems.push(`${companyName} did not complete its investigation within the time required by FCRA §611(a)(1).`);
+  }
+  if (bureauDisputes.some((d) => d.outcome === 'verified')) {
+    problems.push(`${companyName} reported the account as verified without a reasonable reinvestigation of the errors I identified, as FCRA §611(a) requires.`);
+  }
+  const movRequests = bureauDisputes.filter((d) => d.dispute_type === 'method_of_verification');
+  if (movRequests.some((d) => d.outcome === 'no_response' || (d.verification_method && isDeficientResponse({
+    method: d.verification_method,
+    furnisher_name: d.verification_furnisher_name,
+    furnisher_address: d.verification_furnisher_address,
+    furnisher_phone: d.verification_furnisher_phone,
+  })))) {
+    problems.push(`When I asked how the account was verified, ${companyName} did not describe its procedure or the furnisher it contacted, as FCRA §611(a)(7) requires.`);
+  }
+  if (item.status !== 'deleted') {
+    problems.push('The inaccurate information is still on my credit report.');
+  }
+
+  return [
+    `I am filing this complaint about how ${companyName} handled my disputes of ${account}. `
+      + `I have disputed this account ${disputes.length} time(s) since ${formatLongDate(disputes[0].sent_date)}.`,
+    `Dispute history:\n${disputes.map((d, i) => `${i + 1}. ${describeDispute(d, companyName)}`).join('\n')}`,
+    problems.join(' '),
+    'Copies of my dispute letters and the responses I received are attached.',
+  ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * CFPB portal fields and the matching state Attorney General complaint.
+ * @param {Object} history - From getDisputeHistory, with at least one mailed dispute
+ * @param {string} bureau
+ * @returns {{ cfpb: Object, stateAg: Object }}
+ */
+function buildComplaintPackage(history, bureau) {
+  const { item, client, disputes, attachments, complaints } = history;
+  const bureauInfo = AGENCY_STRATEGIES[bureau];
+  const companyName = bureauInfo?.name || bureau;
+  const last4 = (item.account_number || '').replace(/[^0-9A-Za-z]/g, '').slice(-4);
+  const narrative = buildNarrative(history, companyName);
+
+  const consumer = {
+    name: `${client.first_name || ''} ${client.last_name || ''}`.trim(),
+    addressLine1: client.address_line1 || null,
+    addressLine2: client.address_line2 || null,
+    city: client.city || null,
+    state: client.state || null,
+    zipCode: client.zip_code || null,
+    email: client.email || null,
+    phone: client.phone || null,
+  };
+  const desiredResolution = `Delete the ${item.creditor_name} account${last4 ? ` ending in ${last4}` : ''} from my ${companyName} credit file, `
+    + 'send me an updated copy of my credit report, and describe the procedure used to verify the account.';
+  const attachmentList = attachments.map((a) => ({
+    documentId: a.document_id,
+    fileName: a.file_name,
+    disputeId: a.dispute_id,
+    description: a.document_category === 'response' ? 'Response received' : 'Dispute correspondence',
+  }));
+  const cfpbFiled = complaints.some((c) => c.agency === 'cfpb' && c.status !== 'draft');
+
+  return {
+    cfpb: {
+      product: 'Credit reporting or other personal consumer reports',
+      subProduct: 'Credit reporting',
+      issue: "Problem with a company's investigation into an existing problem",
+      subIssue: disputes.some((d) => d.outcome === 'no_response')
+        ? 'Investigation took more than 30 days'
+        : 'Their investigation did not fix an error on your report',
+      company: companyName,
+      previouslyContactedCompany: true,
+      whatHappened: narrative,
+      desiredResolution,
+      consumer,
+      attachments: attachmentList,
+      disputeIds: disputes.map((d) => d.id),
+    },
+    stateAg: {
+      agency: client.state ? `Attorney General of ${client.state}` : 'State Attorney General',
+      state: client.state || null,
+      businessName: companyName,
+      businessAddress: bureauInfo?.address || null,
+      complaintSummary: 'Failure to reasonably investigate disputed credit report information (FCRA §611)',
+      complaintDetails: narrative,
+      desiredResolution,
+      previouslyContactedBusiness: true,
+      otherAgenciesContacted: cfpbFiled ? ['Consumer Financial Protection Bureau'] : [],
+      consumer,
+      attachments: attachmentList,
+      disputeIds: disputes.map((d) => d.id),
+    },
+  };
+}
+
+/**
+ * Save a generated package as a draft complaint.
+ * @param {Object} params
+ * @param {Object} params.history - From getDisputeHistory
+ * @param {string} params.bureau
+ * @param {string} params.agency - One of COMPLAINT_AGENCIES
+ * @param {string} params.createdBy - User ID
+ * @returns {Promise<Object>}
+ */
+async function createComplaint({ history, bureau, agency, createdBy }) {
+  const packages = buildComplaintPackage(history, bureau);
+  const pkg = agency === 'cfpb' ? packages.cfpb : packages.stateAg;
+  const companyName = agency === 'cfpb' ? pkg.company : pkg.businessName;
+  const narrative = agency === 'cfpb' ? pkg.whatHappened : pkg.complaintDetails;
+
+  const result = await query(
+    `INSERT INTO regulatory_complaints
+       (client_id, credit_item_id, bureau, agency, state, company_name, narrative, package, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING ${COMPLAINT_COLUMNS}`,
+    [
+      history.item.client_id, history.item.id, bureau, agency,
+      agency === 'state_ag' ? history.client.state || null : null,
+      companyName, narrative, JSON.stringify(pkg), createdBy,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * @param {string} complaintId
+ * @returns {Promise<Object|null>}
+ */
+async function getComplaint(complaintId) {
+  const result = await query(
+    `SELECT ${COMPLAINT_COLUMNS} FROM regulatory_complaints WHERE id = $1`,
+    [complaintId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * A client's complaints, newest first, flagging replies that are overdue.
+ * @param {string} clientId
+ * @returns {Promise<Object[]>}
+ */
+async function listComplaints(clientId) {
+  const result = await query(
+    `SELECT c.id, c.credit_item_id, c.bureau, c.agency, c.state, c.company_name, c.status, c.filed_date,
+            c.confirmation_number, c.response_due_date, c.company_response_date, c.company_response_type,
+            c.created_at, ci.creditor_name,
+            (c.status = 'filed' AND c.response_due_date < CURRENT_DATE) AS response_overdue
+     FROM regulatory_complaints c
+     LEFT JOIN credit_items ci ON c.credit_item_id = ci.id
+     WHERE c.client_id = $1
+     ORDER BY c.created_at DESC`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+/**
+ * Filed complaints still waiting on the company, oldest due date first.
+ * @returns {Promise<Object[]>}
+ */
+async function listAwaitingResponse() {
+  const result = await query(
+    `SELECT c.id, c.client_id, c.bureau, c.agency, c.company_name, c.filed_date, c.confirmation_number,
+            c.response_due_date, ci.creditor_name, u.first_name, u.last_name,
+            (c.response_due_date < CURRENT_DATE) AS response_overdue
+     FROM regulatory_complaints c
+     LEFT JOIN credit_items ci ON c.credit_item_id = ci.id
+     LEFT JOIN users u ON c.client_id = u.id
+     WHERE c.status = 'filed'
+     ORDER BY c.response_due_date ASC`
+  );
+  return result.rows;
+}
+
+/**
+ * Record that a draft complaint was submitted and start the reply window.
+ * @param {Object} complaint - Draft complaint row
+ * @param {Object} filing
+ * @param {string} filing.filedDate - YYYY-MM-DD
+ * @param {string} [filing.confirmationNumber] - Portal complaint number
+ * @returns {Promise<Object|null>} null if the complaint is no longer a draft
+ */
+async function markFiled(complaint, { filedDate, confirmationNumber }) {
+  const due = new Date(filedDate);
+  due.setUTCDate(due.getUTCDate() + COMPANY_RESPONSE_DAYS[complaint.agency]);
+
+  const result = await query(
+    `UPDATE regulatory_complaints
+     SET status = 'filed', filed_date = $1, confirmation_number = $2, response_due_date = $3,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 AND status = 'draft'
+     RETURNING ${COMPLAINT_COLUMNS}`,
+    [filedDate, confirmationNumber || null, toDateString(due), complaint.id]
+  );
+  if (result.rows.length === 0) return null;
+
+  logger.info({ complaintId: complaint.id, agency: complaint.agency }, 'Regulatory complaint filed');
+  return result.rows[0];
+}
+
+/**
+ * Record the company's reply to a filed complaint. An "in progress" reply
+ * keeps the complaint open until the final reply is due.
+ * @param {Object} complaint - Filed complaint row
+ * @param {Object} reply
+ * @param {string} reply.responseDate - YYYY-MM-DD
+ * @param {string} reply.responseType - One of COMPANY_RESPONSE_TYPES
+ * @param {string} [reply.responseText]
+ * @returns {Promise<Object|null>} null if the complaint is not awaiting a reply
+ */
+async function recordCompanyResponse(complaint, { responseDate, responseType, responseText }) {
+  const result = await query(
+    `UPDATE regulatory_complaints
+     SET status = CASE WHEN $2 = 'in_progress' THEN 'filed' ELSE 'responded' END,
+         response_due_date = CASE WHEN $2 = 'in_progress' THEN filed_date + $5::int ELSE response_due_date END,
+         company_response_date = $1, company_response_type = $2,
+         company_response_text = $3, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4 AND status = 'filed'
+     RETURNING ${COMPLAINT_COLUMNS}`,
+    [responseDate, responseType, responseText || null, complaint.id, FINAL_RESPONSE_DAYS]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  COMPLAINT_AGENCIES,
+  COMPANY_RESPONSE_TYPES,
+  COMPANY_RESPONSE_DAYS,
+  FINAL_RESPONSE_DAYS,
+  disputeOutcome,
+  getDisputeHistory,
+  buildNarrative,
+  buildComplaintPackage,
+  createComplaint,
+  getComplaint,
+  listComplaints,
+  listAwaitingResponse,
+  markFiled,
+  recordCompanyResponse,
+};
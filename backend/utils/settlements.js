@@ -0,0 +1,404 @@
+/**
+ * Settlement Negotiations
+ *
+ * Tracks a negotiation with a collector over one collection or charge-off:
+ * each offer and counteroffer, the pay-for-delete agreement letter, the
+ * payment, and whether the account is actually gone from the next report
+ * each bureau sends after the payment. The settled amount is compared with
+ * the balance the item was reported at when the negotiation opened.
+ *
+ * Status moves negotiating → agreed → paid → deleted | not_deleted; a
+ * negotiation that goes nowhere is abandoned. A not_deleted negotiation is
+ * checked again on every later report, since collectors sometimes take a
+ * reporting cycle or two to send the deletion.
+ *
+ * @module utils/settlements
+ */
+
+const { query } = require('../config/database');
+const { logger } = require('./logger');
+const { toDateString } = require('./dates');
+const { CREDIT_BUREAUS } = require('./validators');
+const { findTradeline } = require('./disputePacket');
+const { formatFurnisherAddress } = require('./furnisherDispute');
+const { buildMergeContext, loadCompanyProfile, renderTemplate } = require('./letterTemplates');
+
+const PAY_FOR_DELETE_TEMPLATE_KEY = 'settlement.pay_for_delete';
+
+/** Item types a collector negotiates */
+const SETTLEMENT_ITEM_TYPES = ['collection', 'charge_off'];
+
+/** Who can make an offer */
+const OFFER_PARTIES = ['client', 'creditor'];
+
+/** Statuses still in negotiation or awaiting the deletion */
+const OPEN_STATUSES = ['negotiating', 'agreed', 'paid', 'not_deleted'];
+
+/** Statuses whose deletion is checked against new reports */
+const UNVERIFIED_STATUSES = ['paid', 'not_deleted'];
+
+const NEGOTIATION_COLUMNS = `id, client_id, credit_item_id, furnisher_id, reported_balance, status, agreed_amount,
+  payment_deadline, agreement_date, letter_content, template_version_id, payment_date, verification_details,
+  verification_checked_at, deletion_confirmed_at, notes, created_by, created_at, updated_at`;
+
+const ITEM_COLUMNS = `id, client_id, creditor_name, account_number, item_type, bureau, balance, status, date_opened,
+  date_reported, date_of_first_delinquency, last_payment_date, debt_category, description`;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Compare a settled amount with the reported balance.
+ * @param {number|string|null} reportedBalance
+ * @param {number|string|null} settledAmount
+ * @returns {{ reportedBalance: number, settledAmount: number, savings: number, settledPercent: number }|null}
+ *   null until both amounts are known
+ */
+function compareToBalance(reportedBalance, settledAmount) {
+  if (reportedBalance === null || reportedBalance === undefined || settledAmount === null || settledAmount === undefined) {
+    return null;
+  }
+  const balance = Number(reportedBalance);
+  const amount = Number(settledAmount);
+  return {
+    reportedBalance: balance,
+    settledAmount: amount,
+    savings: roundMoney(balance - amount),
+    settledPercent: balance > 0 ? Math.round((amount / balance) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * Whether each bureau that reported the item has dropped it since the
+ * payment. Only reports dated after the payment count.
+ * @param {Object} item - credit_items row
+ * @param {Array<{ id: string, bureau: string, report_date: string|Date, report_data: Object|string }>} snapshots -
+ *   The latest snapshot per bureau
+ * @param {string|Date} paymentDate
+ * @returns {{ result: 'deleted'|'not_deleted'|null, bureaus: Object[] }} result is null while a
+ *   bureau has not reported since the payment
+ */
+function checkDeletion(item, snapshots, paymentDate) {
+  const paid = toDateString(paymentDate);
+  const bureaus = (item.bureau === 'all' ? CREDIT_BUREAUS : [item.bureau]).map((bureau) => {
+    const snapshot = snapshots.find((s) => s.bureau === bureau);
+    const reportDate = snapshot ? toDateString(snapshot.report_date) : null;
+    if (!snapshot || reportDate <= paid) return { bureau, status: 'awaiting_report', reportDate };
+
+    const report = typeof snapshot.report_data === 'string' ? JSON.parse(snapshot.report_data) : snapshot.report_data;
+    const tradeline = findTradeline(report, item);
+    if (!tradeline) return { bureau, status: 'deleted', reportDate, snapshotId: snapshot.id };
+    return { bureau, status: 'still_reported', reportDate, snapshotId: snapshot.id, balance: tradeline.balance };
+  });
+
+  let result = null;
+  if (bureaus.some((b) => b.status === 'still_reported')) result = 'not_deleted';
+  else if (bureaus.every((b) => b.status === 'deleted')) result = 'deleted';
+  return { result, bureaus };
+}
+
+/**
+ * A credit item with the columns a negotiation needs.
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getCreditItem(id) {
+  const result = await query(`SELECT ${ITEM_COLUMNS} FROM credit_items WHERE id = $1 AND deleted_at IS NULL`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether an item already has a negotiation that has not closed.
+ * @param {string} creditItemId
+ * @returns {Promise<boolean>}
+ */
+async function hasOpenNegotiation(creditItemId) {
+  const result = await query(
+    'SELECT id FROM settlement_negotiations WHERE credit_item_id = $1 AND status = ANY($2) LIMIT 1',
+    [creditItemId, OPEN_STATUSES]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Open a negotiation on an item at its current balance.
+ * @param {Object} params
+ * @param {string} params.clientId
+ * @param {Object} params.item - credit_items row
+ * @param {string} params.furnisherId - The collector
+ * @param {string} [params.notes]
+ * @param {string} params.createdBy - User ID
+ * @returns {Promise<Object>}
+ */
+async function openNegotiation({ clientId, item, furnisherId, notes, createdBy }) {
+  const result = await query(
+    `INSERT INTO settlement_negotiations (client_id, credit_item_id, furnisher_id, reported_balance, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING ${NEGOTIATION_COLUMNS}`,
+    [clientId, item.id, furnisherId, item.balance ?? null, notes || null, createdBy]
+  );
+  logger.info({ clientId, negotiationId: result.rows[0].id, creditItemId: item.id }, 'Settlement negotiation opened');
+  return withOffers(result.rows[0], []);
+}
+
+/**
+ * Offers on negotiations, oldest first, grouped by negotiation.
+ * @param {string[]} negotiationIds
+ * @returns {Promise<Map<string, Object[]>>}
+ */
+async function loadOffers(negotiationIds) {
+  const byNegotiation = new Map(negotiationIds.map((id) => [id, []]));
+  if (negotiationIds.length === 0) return byNegotiation;
+
+  const result = await query(
+    `SELECT id, negotiation_id, amount, offered_by, offer_date, notes, created_at
+     FROM settlement_offers
+     WHERE negotiation_id = ANY($1::uuid[])
+     ORDER BY offer_date, created_at`,
+    [negotiationIds]
+  );
+  for (const offer of result.rows) byNegotiation.get(offer.negotiation_id)?.push(offer);
+  return byNegotiation;
+}
+
+/**
+ * Add the offers and the balance comparison to a negotiation row. Before an
+ * agreement, the latest offer is compared with the balance.
+ * @param {Object} negotiation
+ * @param {Object[]} offers
+ * @returns {Object}
+ */
+function withOffers(negotiation, offers) {
+  const latest = offers[offers.length - 1];
+  return {
+    ...negotiation,
+    offers,
+    comparison: compareToBalance(negotiation.reported_balance, negotiation.agreed_amount ?? latest?.amount ?? null),
+  };
+}
+
+/**
+ * A negotiation with its offers.
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getNegotiation(id) {
+  const result = await query(`SELECT ${NEGOTIATION_COLUMNS} FROM settlement_negotiations WHERE id = $1`, [id]);
+  if (result.rows.length === 0) return null;
+  const offers = await loadOffers([id]);
+  return withOffers(result.rows[0], offers.get(id));
+}
+
+/**
+ * A client's negotiations, newest first, with totals across the settled ones.
+ * @param {string} clientId
+ * @returns {Promise<{ negotiations: Object[], summary: Object }>}
+ */
+async function getClientNegotiations(clientId) {
+  const result = await query(
+    `SELECT n.id, n.client_id, n.credit_item_id, n.furnisher_id, n.reported_balance, n.status, n.agreed_amount,
+            n.payment_deadline, n.agreement_date, n.payment_date, n.verification_details,
+            n.verification_checked_at, n.deletion_confirmed_at, n.notes, n.created_at, n.updated_at,
+            ci.creditor_name, ci.account_number, ci.bureau, f.name AS furnisher_name
+     FROM settlement_negotiations n
+     JOIN credit_items ci ON n.credit_item_id = ci.id
+     JOIN furnishers f ON n.furnisher_id = f.id
+     WHERE n.client_id = $1
+     ORDER BY n.created_at DESC`,
+    [clientId]
+  );
+  const offers = await loadOffers(result.rows.map((n) => n.id));
+  const negotiations = result.rows.map((n) => withOffers(n, offers.get(n.id)));
+
+  const settled = negotiations.filter((n) => ['paid', 'deleted', 'not_deleted'].includes(n.status) && n.comparison);
+  return {
+    negotiations,
+    summary: {
+      total: negotiations.length,
+      open: negotiations.filter((n) => ['negotiating', 'agreed'].includes(n.status)).length,
+      awaitingDeletion: negotiations.filter((n) => UNVERIFIED_STATUSES.includes(n.status)).length,
+      deleted: negotiations.filter((n) => n.status === 'deleted').length,
+      notDeleted: negotiations.filter((n) => n.status === 'not_deleted').length,
+      totalReported: roundMoney(settled.reduce((sum, n) => sum + n.comparison.reportedBalance, 0)),
+      totalSettled: roundMoney(settled.reduce((sum, n) => sum + n.comparison.settledAmount, 0)),
+    },
+  };
+}
+
+/**
+ * Record an offer or counteroffer.
+ * @param {string} negotiationId
+ * @param {Object} offer
+ * @param {number} offer.amount
+ * @param {string} offer.offeredBy - One of OFFER_PARTIES
+ * @param {string} [offer.offerDate] - Defaults to today
+ * @param {string} [offer.notes]
+ * @param {string} createdBy - User ID
+ * @returns {Promise<Object>}
+ */
+async function addOffer(negotiationId, { amount, offeredBy, offerDate, notes }, createdBy) {
+  const result = await query(
+    `INSERT INTO settlement_offers (negotiation_id, amount, offered_by, offer_date, notes, created_by)
+     VALUES ($1, $2, $3, COALESCE($4, CURRENT_DATE), $5, $6)
+     RETURNING id, negotiation_id, amount, offered_by, offer_date, notes, created_at`,
+    [negotiationId, amount, offeredBy, offerDate || null, notes || null, createdBy]
+  );
+  await query('UPDATE settlement_negotiations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [negotiationId]);
+  return result.rows[0];
+}
+
+/**
+ * Settle on an amount and draft the pay-for-delete agreement letter.
+ * @param {Object} negotiation - From getNegotiation
+ * @param {Object} params
+ * @param {Object} params.item - credit_items row
+ * @param {Object} params.furnisher - Row from the furnishers table
+ * @param {number} params.amount
+ * @param {string} [params.paymentDeadline]
+ * @returns {Promise<Object|null>} The updated negotiation, or null if the client profile is missing
+ */
+async function createAgreement(negotiation, { item, furnisher, amount, paymentDeadline }) {
+  const clientResult = await query(
+    `SELECT u.first_name, u.last_name, u.email, u.phone,
+            cp.address_line1, cp.address_line2, cp.city, cp.state, cp.zip_code, cp.ssn_last_4, cp.date_of_birth
+     FROM users u
+     JOIN client_profiles cp ON u.id = cp.user_id
+     WHERE u.id = $1`,
+    [negotiation.client_id]
+  );
+  if (clientResult.rows.length === 0) return null;
+
+  const letter = await renderTemplate(PAY_FOR_DELETE_TEMPLATE_KEY, buildMergeContext({
+    client: clientResult.rows[0],
+    item,
+    companyProfile: await loadCompanyProfile(),
+    creditor: { name: furnisher.name, address: formatFurnisherAddress(furnisher) },
+    settlement: {
+      amount,
+      reported_balance: negotiation.reported_balance ?? item.balance,
+      payment_deadline: paymentDeadline,
+    },
+  }));
+
+  const result = await query(
+    `UPDATE settlement_negotiations
+     SET status = 'agreed', agreed_amount = $2, payment_deadline = $3, agreement_date = CURRENT_DATE,
+         letter_content = $4, template_version_id = $5, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'negotiating'
+     RETURNING ${NEGOTIATION_COLUMNS}`,
+    [negotiation.id, amount, paymentDeadline || null, letter.content, letter.templateVersionId]
+  );
+  if (result.rows.length === 0) return null;
+
+  logger.info({ negotiationId: negotiation.id, amount }, 'Pay-for-delete agreement drafted');
+  return withOffers(result.rows[0], negotiation.offers);
+}
+
+/**
+ * Record the client's payment under the agreement.
+ * @param {string} id
+ * @param {string} [paymentDate] - Defaults to today
+ * @returns {Promise<Object|null>} null when there is no agreement awaiting payment
+ */
+async function recordPayment(id, paymentDate) {
+  const result = await query(
+    `UPDATE settlement_negotiations
+     SET status = 'paid', payment_date = COALESCE($2, CURRENT_DATE), updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'agreed'
+     RETURNING ${NEGOTIATION_COLUMNS}`,
+    [id, paymentDate || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Close a negotiation that did not reach a payment.
+ * @param {string} id
+ * @returns {Promise<Object|null>} null once the client has paid
+ */
+async function abandonNegotiation(id) {
+  const result = await query(
+    `UPDATE settlement_negotiations
+     SET status = 'abandoned', updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status IN ('negotiating', 'agreed')
+     RETURNING ${NEGOTIATION_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Check a paid negotiation against the latest report from each bureau that
+ * reported the item. A confirmed deletion also marks the item deleted.
+ * @param {Object} negotiation - Row with id, client_id, credit_item_id, payment_date
+ * @returns {Promise<{ result: string|null, bureaus: Object[] }>}
+ */
+async function verifyDeletion(negotiation) {
+  const itemResult = await query(`SELECT ${ITEM_COLUMNS} FROM credit_items WHERE id = $1`, [negotiation.credit_item_id]);
+  const item = itemResult.rows[0];
+  const bureaus = item.bureau === 'all' ? CREDIT_BUREAUS : [item.bureau];
+  const snapshots = await query(
+    `SELECT DISTINCT ON (bureau) id, bureau, report_date, report_data
+     FROM credit_report_snapshots
+     WHERE client_id = $1 AND bureau = ANY($2)
+     ORDER BY bureau, report_date DESC, created_at DESC`,
+    [negotiation.client_id, bureaus]
+  );
+
+  const check = checkDeletion(item, snapshots.rows, negotiation.payment_date);
+  await query(
+    `UPDATE settlement_negotiations
+     SET status = COALESCE($2, status), verification_details = $3, verification_checked_at = NOW(),
+         deletion_confirmed_at = CASE WHEN $2 = 'deleted' THEN NOW() ELSE deletion_confirmed_at END,
+         updated_at = NOW()
+     WHERE id = $1`,
+    [negotiation.id, check.result, JSON.stringify(check.bureaus)]
+  );
+  if (check.result === 'deleted') {
+    await query(`UPDATE credit_items SET status = 'deleted', updated_at = NOW() WHERE id = $1`, [item.id]);
+  }
+
+  logger.info({ negotiationId: negotiation.id, result: check.result }, 'Pay-for-delete deletion checked');
+  return check;
+}
+
+/**
+ * Check every paid negotiation for a client against the latest reports.
+ * Run after a bureau pull.
+ * @param {string} clientId
+ * @returns {Promise<{ checked: number, deleted: number, notDeleted: number }>}
+ */
+async function verifyPaidNegotiations(clientId) {
+  const result = await query(
+    `SELECT id, client_id, credit_item_id, payment_date FROM settlement_negotiations
+     WHERE client_id = $1 AND status = ANY($2)`,
+    [clientId, UNVERIFIED_STATUSES]
+  );
+
+  const totals = { checked: 0, deleted: 0, notDeleted: 0 };
+  for (const negotiation of result.rows) {
+    const { result: outcome } = await verifyDeletion(negotiation);
+    totals.checked += 1;
+    if (outcome === 'deleted') totals.deleted += 1;
+    if (outcome === 'not_deleted') totals.notDeleted += 1;
+  }
+  return totals;
+}
+
+module.exports = {
+  PAY_FOR_DELETE_TEMPLATE_KEY,
+  SETTLEMENT_ITEM_TYPES,
+  OFFER_PARTIES,
+  compareToBalance,
+  checkDeletion,
+  getCreditItem,
+  hasOpenNegotiation,
+  openNegotiation,
+  getNegotiation,
+  getClientNegotiations,
+  addOffer,
+  createAgreement,
+  recordPayment,
+  abandonNegotiation,
+  verifyDeletion,
+  verifyPaidNegotiations,
+};
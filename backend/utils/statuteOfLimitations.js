@@ -0,0 +1,262 @@
+/**
+ * Statute of Limitations Engine
+ *
+ * A collector may not sue on a debt once the state limitations period has
+ * run. The period depends on the consumer's state and on the kind of debt
+ * (written contract, open account such as a credit card, or promissory
+ * note) and runs from the last payment, or from the first delinquency when
+ * the last payment date is unknown. When the kind of debt is not recorded
+ * the longest of the three periods is used, so an item is never shown as
+ * time-barred too early.
+ *
+ * A time-barred debt can still be reported until its §605 purge date, and in
+ * many states a payment or a written acknowledgment of the debt restarts the
+ * period. Letters that could do that are held until staff acknowledge the
+ * risk. Borrowing statutes, choice-of-law clauses and tolling are not
+ * modelled; the dataset is a guide, not legal advice.
+ *
+ * @module utils/statuteOfLimitations
+ */
+
+const { query } = require('../config/database');
+const { toDateString } = require('./dates');
+const { addYears } = require('./obsolescence');
+
+/**
+ * Limitations periods in years by state
+ * @type {Object<string, { written: number, open: number, promissory: number }>}
+ */
+const STATUTE_OF_LIMITATIONS = {
+  AL: { written: 6, open: 3, promissory: 6 },
+  AK: { written: 3, open: 3, promissory: 3 },
+  AZ: { written: 6, open: 3, promissory: 6 },
+  AR: { written: 5, open: 3, promissory: 5 },
+  CA: { written: 4, open: 4, promissory: 4 },
+  CO: { written: 6, open: 6, promissory: 6 },
+  CT: { written: 6, open: 6, promissory: 6 },
+  DE: { written: 3, open: 4, promissory: 6 },
+  DC: { written: 3, open: 3, promissory: 3 },
+  FL: { written: 5, open: 4, promissory: 5 },
+  GA: { written: 6, open: 4, promissory: 6 },
+  HI: { written: 6, open: 6, promissory: 6 },
+  ID: { written: 5, open: 4, promissory: 5 },
+  IL: { written: 10, open: 5, promissory: 10 },
+  IN: { written: 10, open: 6, promissory: 10 },
+  IA: { written: 10, open: 5, promissory: 5 },
+  KS: { written: 5, open: 3, promissory: 5 },
+  // 10 years for written contracts signed after July 15, 2014
+  KY: { written: 10, open: 5, promissory: 15 },
+  LA: { written: 10, open: 3, promissory: 5 },
+  ME: { written: 6, open: 6, promissory: 6 },
+  MD: { written: 3, open: 3, promissory: 6 },
+  MA: { written: 6, open: 6, promissory: 6 },
+  MI: { written: 6, open: 6, promissory: 6 },
+  MN: { written: 6, open: 6, promissory: 6 },
+  MS: { written: 3, open: 3, promissory: 3 },
+  MO: { written: 10, open: 5, promissory: 10 },
+  MT: { written: 8, open: 5, promissory: 8 },
+  NE: { written: 5, open: 4, promissory: 5 },
+  NV: { written: 6, open: 4, promissory: 3 },
+  NH: { written: 3, open: 3, promissory: 6 },
+  NJ: { written: 6, open: 6, promissory: 6 },
+  NM: { written: 6, open: 4, promissory: 6 },
+  // Consumer Credit Fairness Act: 3 years for consumer credit transactions
+  NY: { written: 3, open: 3, promissory: 3 },
+  NC: { written: 3, open: 3, promissory: 5 },
+  ND: { written: 6, open: 6, promissory: 6 },
+  OH: { written: 6, open: 6, promissory: 6 },
+  OK: { written: 5, open: 3, promissory: 5 },
+  OR: { written: 6, open: 6, promissory: 6 },
+  PA: { written: 4, open: 4, promissory: 4 },
+  RI: { written: 10, open: 10, promissory: 10 },
+  SC: { written: 3, open: 3, promissory: 3 },
+  SD: { written: 6, open: 6, promissory: 6 },
+  TN: { written: 6, open: 6, promissory: 6 },
+  TX: { written: 4, open: 4, promissory: 4 },
+  UT: { written: 6, open: 4, promissory: 6 },
+  VT: { written: 6, open: 6, promissory: 5 },
+  VA: { written: 5, open: 3, promissory: 6 },
+  WA: { written: 6, open: 3, promissory: 6 },
+  WV: { written: 10, open: 5, promissory: 6 },
+  WI: { written: 6, open: 6, promissory: 10 },
+  WY: { written: 10, open: 8, promissory: 10 },
+};
+
+const DEBT_CATEGORIES = ['written', 'open', 'promissory'];
+
+/** Item types a collector could sue on */
+const SOL_ITEM_TYPES = ['collection', 'charge_off'];
+
+/**
+ * Letters that can restart the limitations period, keyed by
+ * `<target_type>:<letter type>` (a dispute type, or goodwill and
+ * pay_for_delete for creditor letters), with the reason shown to staff.
+ * @type {Object<string, string>}
+ */
+const CLOCK_RESTART_LETTERS = {
+  'furnisher:paid': 'This letter tells the collector the debt was paid, which can be read as a written acknowledgment of the debt',
+  'furnisher:goodwill': 'A goodwill letter accepts responsibility for the account, which can be read as a written acknowledgment of the debt',
+  'furnisher:pay_for_delete': 'A pay-for-delete agreement offers to pay the debt, which can be read as a written promise to pay it',
+};
+
+/** Roles that may generate a letter despite the clock restart risk */
+const SOL_OVERRIDE_ROLES = ['admin', 'staff'];
+
+/**
+ * Limitations period for a state and kind of debt.
+ * @param {string} state - Two-letter code
+ * @param {string|null} [category] - 'written' | 'open' | 'promissory'; null for the longest
+ * @returns {{ years: number, category: string, categoryAssumed: boolean }|null} null for unknown states
+ */
+function getLimitationsPeriod(state, category = null) {
+  const periods = STATUTE_OF_LIMITATIONS[(state || '').toUpperCase()];
+  if (!periods) return null;
+  if (DEBT_CATEGORIES.includes(category)) {
+    return { years: periods[category], category, categoryAssumed: false };
+  }
+  const longest = DEBT_CATEGORIES.reduce((a, b) => (periods[b] > periods[a] ? b : a));
+  return { years: periods[longest], category: longest, categoryAssumed: true };
+}
+
+/**
+ * Statute of limitations status for one item.
+ * @param {Object} item - credit_items row
+ * @param {string|null} state - Client's two-letter state
+ * @param {Date} [today]
+ * @returns {{ status: 'time_barred'|'collectable'|'unknown'|'not_applicable', reason?: string, state?: string,
+ *   years?: number, category?: string, categoryAssumed?: boolean, startDate?: string, startBasis?: string,
+ *   expiresDate?: string, daysRemaining?: number }}
+ */
+function getSolStatus(item, state, today = new Date()) {
+  if (!SOL_ITEM_TYPES.includes(item.item_type)) {
+    return { status: 'not_applicable', reason: 'Only collections and charge-offs are checked' };
+  }
+  const period = getLimitationsPeriod(state, item.debt_category);
+  if (!period) return { status: 'unknown', reason: state ? `No limitations data for ${state}` : 'Client state is unknown' };
+
+  const startDate = item.last_payment_date || item.date_of_first_delinquency;
+  if (!startDate) {
+    return { status: 'unknown', reason: 'Last payment date and date of first delinquency are both unknown', state, ...period };
+  }
+
+  const expiresDate = toDateString(addYears(startDate, period.years));
+  const todayUtc = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  const daysRemaining = Math.round((new Date(expiresDate).getTime() - todayUtc) / 86400000);
+
+  return {
+    status: daysRemaining <= 0 ? 'time_barred' : 'collectable',
+    state: state.toUpperCase(),
+    ...period,
+    startDate: toDateString(new Date(startDate)),
+    startBasis: item.last_payment_date ? 'last payment' : 'date of first delinquency',
+    expiresDate,
+    daysRemaining,
+  };
+}
+
+/**
+ * The client's state: the current address on file, else the profile state.
+ * @param {string} clientId
+ * @returns {Promise<string|null>}
+ */
+async function getClientState(clientId) {
+  const result = await query(
+    `SELECT COALESCE(
+       (SELECT ca.state FROM client_addresses ca
+        WHERE ca.client_id = $1 AND ca.address_type = 'current'
+        ORDER BY ca.created_at DESC LIMIT 1),
+       (SELECT cp.state FROM client_profiles cp WHERE cp.user_id = $1)
+     ) AS state`,
+    [clientId]
+  );
+  return result.rows[0]?.state || null;
+}
+
+/**
+ * Statute of limitations status for each of a client's collections and charge-offs.
+ * @param {string} clientId
+ * @returns {Promise<{ state: string|null, periods: Object|null, items: Object[] }>}
+ */
+async function getClientSolReport(clientId) {
+  const state = await getClientState(clientId);
+  const result = await query(
+    `SELECT id, item_type, creditor_name, account_number, bureau, balance, status,
+            last_payment_date, date_of_first_delinquency, debt_category
+     FROM credit_items
+     WHERE client_id = $1 AND item_type = ANY($2) AND deleted_at IS NULL AND status <> 'deleted'
+     ORDER BY created_at`,
+    [clientId, SOL_ITEM_TYPES]
+  );
+
+  const today = new Date();
+  return {
+    state,
+    periods: STATUTE_OF_LIMITATIONS[(state || '').toUpperCase()] || null,
+    items: result.rows.map((item) => ({ ...item, sol: getSolStatus(item, state, today) })),
+  };
+}
+
+/**
+ * Whether a letter could restart the limitations period on an item, and
+ * the item's current status. Only queries when the letter and item type
+ * carry that risk.
+ * @param {Object} item - credit_items row with item_type, last_payment_date,
+ *   date_of_first_delinquency, debt_category
+ * @param {string} clientId
+ * @param {{ disputeType: string, targetType?: string }} letter
+ * @returns {Promise<{ warning: string, summary: string, reason: string, sol: Object }|null>}
+ *   summary describes the risk; warning adds how staff confirm it
+ */
+async function checkClockRestartRisk(item, clientId, { disputeType, targetType = 'bureau' }) {
+  const reason = CLOCK_RESTART_LETTERS[`${targetType}:${disputeType}`];
+  if (!reason || !SOL_ITEM_TYPES.includes(item.item_type)) return null;
+
+  const sol = getSolStatus(item, await getClientState(clientId));
+  let standing;
+  if (sol.status === 'time_barred') standing = `the debt has been time-barred in ${sol.state} since ${sol.expiresDate}`;
+  else if (sol.status === 'collectable') standing = `the ${sol.state} limitations period runs until ${sol.expiresDate}`;
+  else standing = `the limitations status is unknown (${sol.reason})`;
+
+  const summary = `${reason} and could restart the statute of limitations; ${standing}.`;
+  return {
+    warning: `${summary} Confirm with acknowledgeSolRisk to generate it anyway.`,
+    summary,
+    reason,
+    sol,
+  };
+}
+
+/**
+ * Whether a letter with a clock restart risk is held back. Staff may confirm
+ * the risk with acknowledgeSolRisk; a client's confirmation is ignored, so
+ * the letter waits until staff have seen the warning.
+ * @param {Object|null} risk - From checkClockRestartRisk
+ * @param {{ role: string }} user
+ * @param {boolean} [acknowledged]
+ * @returns {{ message: string, details: Object }|null} The 409 to send, or
+ *   null when the letter may be generated
+ */
+function clockRestartHold(risk, user, acknowledged = false) {
+  if (!risk) return null;
+  const staff = SOL_OVERRIDE_ROLES.includes(user.role);
+  if (staff && acknowledged) return null;
+  return {
+    message: staff
+      ? risk.warning
+      : `${risk.summary} Our staff must review it before it is generated.`,
+    details: { reason: risk.reason, sol: risk.sol, staffReviewRequired: !staff },
+  };
+}
+
+module.exports = {
+  STATUTE_OF_LIMITATIONS,
+  DEBT_CATEGORIES,
+  SOL_ITEM_TYPES,
+  CLOCK_RESTART_LETTERS,
+  getLimitationsPeriod,
+  getSolStatus,
+  getClientState,
+  getClientSolReport,
+  checkClockRestartRisk,
+  clockRestartHold,
+};
@@ -0,0 +1,286 @@
+/**
+ * Tri-Merge Tradeline Matcher
+ *
+ * Links the same account across the latest Experian, Equifax and TransUnion
+ * snapshots and lays its balance, status, DOFD, opened date and payment
+ * history side by side. Accounts are matched on a fuzzy creditor name
+ * (bureaus abbreviate and suffix names differently), the unmasked account
+ * number suffix and the opened date. Any field the bureaus disagree on is a
+ * dispute candidate: at most one of them can be accurate, so every bureau
+ * reporting the account is asked to verify it (FCRA §611, §623(a)(1)(A)).
+ *
+ * Works on normalized reports (see bureauService.normalizeReport); nothing
+ * here touches the database.
+ *
+ * @module utils/triMerge
+ */
+
+const BUREAUS = ['experian', 'equifax', 'transunion'];
+
+/** Name similarity needed on its own, or with a matching account suffix */
+const NAME_MATCH_THRESHOLD = 0.8;
+const NAME_WITH_SUFFIX_THRESHOLD = 0.5;
+
+/** Opened dates this many months apart still count as the same account */
+const OPENED_TOLERANCE_MONTHS = 1;
+
+/** Balances closer than this are treated as equal */
+const BALANCE_TOLERANCE = 1;
+
+/** Words that carry no identity in a creditor name */
+const NAME_NOISE = new Set([
+  'THE', 'OF', 'AND', 'BANK', 'NA', 'N', 'A', 'INC', 'LLC', 'CORP', 'CORPORATION', 'CO', 'COMPANY',
+  'FINANCIAL', 'FINANCE', 'SERVICES', 'SVCS', 'SVC', 'CARD', 'CARDS', 'USA', 'US', 'NATIONAL', 'ASSOCIATION',
+]);
+
+const FIELD_LABELS = {
+  balance: 'balance',
+  status: 'status',
+  dateOfFirstDelinquency: 'date of first delinquency',
+  dateOpened: 'date opened',
+  paymentHistory: 'payment history',
+};
+
+/**
+ * Creditor name reduced to its identifying words.
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCreditorName(name) {
+  const words = String(name || '')
+    .toUpperCase()
+    .replace(/&/g, ' AND ')
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const meaningful = words.filter((w) => !NAME_NOISE.has(w));
+  return (meaningful.length > 0 ? meaningful : words).join(' ');
+}
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+/**
+ * Dice coefficient of two creditor names after normalization, from 0 to 1.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+  const left = normalizeCreditorName(a);
+  const right = normalizeCreditorName(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftGrams = bigrams(left);
+  const rightGrams = bigrams(right);
+  if (leftGrams.length === 0 || rightGrams.length === 0) return 0;
+
+  const counts = new Map();
+  for (const gram of leftGrams) counts.set(gram, (counts.get(gram) || 0) + 1);
+  let shared = 0;
+  for (const gram of rightGrams) {
+    const count = counts.get(gram);
+    if (count) {
+      shared += 1;
+      counts.set(gram, count - 1);
+    }
+  }
+  return (2 * shared) / (leftGrams.length + rightGrams.length);
+}
+
+/**
+ * Last four unmasked characters of an account number ("****1234", "XXXX1234").
+ * @param {string} accountNumber
+ * @returns {string|null}
+ */
+function accountSuffix(accountNumber) {
+  const visible = String(accountNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^X+/, '');
+  return visible.length >= 4 ? visible.slice(-4) : null;
+}
+
+const monthIndex = (date) => {
+  const match = /^(\d{4})-(\d{2})/.exec(date || '');
+  return match ? parseInt(match[1], 10) * 12 + parseInt(match[2], 10) - 1 : null;
+};
+
+/**
+ * Tradelines in a normalized report: open and closed accounts plus
+ * collections and other negative items.
+ * @param {Object} report - Normalized report
+ * @param {string} bureau
+ * @returns {Object[]}
+ */
+function extractTradelines(report, bureau) {
+  const accounts = (report.accounts || []).map((a) => ({
+    bureau,
+    creditorName: a.creditorName || '',
+    accountNumber: a.accountNumber || '',
+    accountType: a.accountType || null,
+    balance: a.balance ?? null,
+    status: a.paymentStatus || null,
+    dateOpened: a.dateOpened || null,
+    dateOfFirstDelinquency: a.dateOfFirstDelinquency || null,
+    paymentHistory: a.paymentHistory || null,
+  }));
+  const negatives = (report.negativeItems || []).map((n) => ({
+    bureau,
+    creditorName: n.creditor || '',
+    accountNumber: n.accountNumber || '',
+    accountType: n.type || null,
+    balance: n.balance ?? null,
+    status: n.status || null,
+    dateOpened: n.dateOpened || n.dateFiled || null,
+    dateOfFirstDelinquency: n.dateOfFirstDelinquency || null,
+    paymentHistory: n.paymentHistory || null,
+  }));
+  return [...accounts, ...negatives].map((t) => ({ ...t, accountSuffix: accountSuffix(t.accountNumber) }));
+}
+
+/**
+ * How strongly two tradelines look like the same account; 0 when they are not.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function matchScore(a, b) {
+  const name = nameSimilarity(a.creditorName, b.creditorName);
+  const suffixKnown = a.accountSuffix && b.accountSuffix;
+  if (suffixKnown && a.accountSuffix !== b.accountSuffix) return 0;
+
+  const openedA = monthIndex(a.dateOpened);
+  const openedB = monthIndex(b.dateOpened);
+  const openedKnown = openedA !== null && openedB !== null;
+  const openedAgrees = openedKnown && Math.abs(openedA - openedB) <= OPENED_TOLERANCE_MONTHS;
+  // A different opened date only rules out a match the account number cannot confirm
+  if (openedKnown && !openedAgrees && !suffixKnown) return 0;
+
+  if (suffixKnown ? name < NAME_WITH_SUFFIX_THRESHOLD : name < NAME_MATCH_THRESHOLD) return 0;
+  return name + (suffixKnown ? 1 : 0) + (openedAgrees ? 0.5 : 0);
+}
+
+/**
+ * Group tradelines from each bureau into accounts; each group holds at most
+ * one tradeline per bureau.
+ * @param {Object<string, Object[]>} tradelinesByBureau
+ * @returns {Array<Object<string, Object>>}
+ */
+function matchTradelines(tradelinesByBureau) {
+  const groups = [];
+  for (const bureau of BUREAUS) {
+    for (const tradeline of tradelinesByBureau[bureau] || []) {
+      let best = null;
+      let bestScore = 0;
+      for (const group of groups) {
+        if (group[bureau]) continue;
+        const score = Math.max(...Object.values(group).map((member) => matchScore(member, tradeline)));
+        if (score > bestScore) {
+          best = group;
+          bestScore = score;
+        }
+      }
+      if (best) best[bureau] = tradeline;
+      else groups.push({ [bureau]: tradeline });
+    }
+  }
+  return groups;
+}
+
+const normalizeStatus = (status) => String(status).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+const normalizeHistory = (history) => String(history).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Fields the bureaus disagree on for one account. Payment histories are
+ * compared over the months every bureau reports (most recent first).
+ * @param {Object<string, Object>} group
+ * @returns {Array<{ field: string, values: Object<string, *>, description: string }>}
+ */
+function findMismatches(group) {
+  const reporting = BUREAUS.filter((b) => group[b]);
+  const mismatches = [];
+
+  for (const field of Object.keys(FIELD_LABELS)) {
+    const present = reporting.filter((b) => group[b][field] !== null && group[b][field] !== '');
+    if (present.length < 2) continue;
+
+    let differs;
+    if (field === 'balance') {
+      const amounts = present.map((b) => Number(group[b].balance));
+      differs = Math.max(...amounts) - Math.min(...amounts) >= BALANCE_TOLERANCE;
+    } else if (field === 'status') {
+      differs = new Set(present.map((b) => normalizeStatus(group[b].status))).size > 1;
+    } else if (field === 'dateOpened') {
+      differs = new Set(present.map((b) => monthIndex(group[b].dateOpened))).size > 1;
+    } else if (field === 'paymentHistory') {
+      const histories = present.map((b) => normalizeHistory(group[b].paymentHistory));
+      const months = Math.min(...histories.map((h) => h.length));
+      differs = months > 0 && new Set(histories.map((h) => h.slice(0, months))).size > 1;
+    } else {
+      differs = new Set(present.map((b) => group[b][field])).size > 1;
+    }
+    if (!differs) continue;
+
+    const values = Object.fromEntries(present.map((b) => [b, group[b][field]]));
+    mismatches.push({
+      field,
+      values,
+      description: `Bureaus report different ${FIELD_LABELS[field]}: ${present.map((b) => `${b} ${values[b]}`).join(', ')}`,
+    });
+  }
+  return mismatches;
+}
+
+/**
+ * Tri-merge matrix for the latest snapshot from each bureau.
+ * @param {Object<string, Object>} reportsByBureau - Normalized report per bureau
+ * @returns {{ bureaus: string[], accounts: Object[], disputeCandidates: Object[] }}
+ */
+function buildTriMerge(reportsByBureau) {
+  const bureaus = BUREAUS.filter((b) => reportsByBureau[b]);
+  const tradelines = Object.fromEntries(bureaus.map((b) => [b, extractTradelines(reportsByBureau[b], b)]));
+  const groups = matchTradelines(tradelines);
+
+  const accounts = groups.map((group, index) => {
+    const members = bureaus.filter((b) => group[b]);
+    const first = group[members[0]];
+    const mismatches = findMismatches(group);
+    return {
+      key: `${normalizeCreditorName(first.creditorName).replace(/\s+/g, '_')}_${first.accountSuffix || index}`,
+      creditorName: first.creditorName,
+      accountSuffix: members.map((b) => group[b].accountSuffix).find(Boolean) || null,
+      reportedBy: members,
+      missingFrom: bureaus.filter((b) => !group[b]),
+      bureaus: Object.fromEntries(bureaus.map((b) => [b, group[b] || null])),
+      mismatches,
+      disputeCandidate: mismatches.length > 0,
+    };
+  });
+
+  const disputeCandidates = accounts.flatMap((account) => account.mismatches.map((mismatch) => ({
+    accountKey: account.key,
+    creditorName: account.creditorName,
+    accountSuffix: account.accountSuffix,
+    field: mismatch.field,
+    bureaus: Object.keys(mismatch.values),
+    disputeType: 'inaccurate_info',
+    reason: mismatch.description,
+  })));
+
+  return { bureaus, accounts, disputeCandidates };
+}
+
+module.exports = {
+  NAME_MATCH_THRESHOLD,
+  normalizeCreditorName,
+  nameSimilarity,
+  accountSuffix,
+  extractTradelines,
+  matchScore,
+  matchTradelines,
+  findMismatches,
+  buildTriMerge,
+};
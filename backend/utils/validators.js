@@ -6,6 +6,7 @@
  */
 
 const { body, param, query } = require('express-validator');
+const { SPECIALTY_AGENCY_STRATEGIES, AGENCY_STRATEGIES } = require('./disputeStrategy');
 
 // ============================================
 // Constants - Enum Values
@@ -41,6 +42,24 @@ const CREDIT_BUREAUS = ['experian', 'equifax', 'transunion'];
  */
 const CREDIT_BUREAUS_WITH_ALL = [...CREDIT_BUREAUS, 'all'];
 
+/**
+ * Agencias de reporte especializadas (ver SPECIALTY_AGENCY_STRATEGIES)
+ * @type {string[]}
+ */
+const SPECIALTY_AGENCIES = Object.keys(SPECIALTY_AGENCY_STRATEGIES);
+
+/**
+ * Todas las agencias a las que se puede disputar (claves de AGENCY_STRATEGIES)
+ * @type {string[]}
+ */
+const REPORTING_AGENCIES = Object.keys(AGENCY_STRATEGIES);
+
+/**
+ * Agencias de reporte incluyendo 'all'
+ * @type {string[]}
+ */
+const REPORTING_AGENCIES_WITH_ALL = [...REPORTING_AGENCIES, 'all'];
+
 /**
  * Tipos de items de crédito válidos
  * @type {string[]}
@@ -74,11 +93,26 @@ const DISPUTE_TYPES = ['not_mine', 'paid', 'inaccurate_info', 'outdated', 'dupli
  */
 const DISPUTE_STATUSES = ['draft', 'sent', 'received', 'investigating', 'resolved', 'rejected'];
 
+/**
+ * Destinatarios de disputa válidos (bureau o furnisher directo, FCRA §623(a)(8))
+ * @type {string[]}
+ */
+const DISPUTE_TARGET_TYPES = ['bureau', 'furnisher'];
+
+/**
+ * Tipos de furnisher válidos
+ * @type {string[]}
+ */
+const FURNISHER_TYPES = ['original_creditor', 'collection_agency', 'debt_buyer', 'servicer'];
+
 /**
  * Categorías de documentos válidas
  * @type {string[]}
  */
-const DOCUMENT_CATEGORIES = ['id', 'proof_of_address', 'credit_report', 'dispute_letter', 'response', 'other'];
+const DOCUMENT_CATEGORIES = [
+  'id', 'proof_of_address', 'credit_report', 'dispute_letter', 'response',
+  'ftc_identity_theft_report', 'police_report', 'other',
+];
 
 /**
  * Estados de pago válidos
@@ -239,10 +273,12 @@ const validateCreditScore = () =>
 /**
  * Validador de bureau de crédito
  * @param {boolean} [allowAll=false] - Si se permite el valor 'all'
+ * @param {boolean} [allowAgencies=false] - Si se permiten agencias especializadas
  * @returns {import('express-validator').ValidationChain}
  */
-const validateBureau = (allowAll = false) => {
-  const validValues = allowAll ? CREDIT_BUREAUS_WITH_ALL : CREDIT_BUREAUS;
+const validateBureau = (allowAll = false, allowAgencies = false) => {
+  const bureaus = allowAgencies ? REPORTING_AGENCIES : CREDIT_BUREAUS;
+  const validValues = allowAll ? [...bureaus, 'all'] : bureaus;
   return body('bureau')
     .trim()
     .notEmpty()
@@ -418,10 +454,20 @@ const addCreditItemValidation = [
     .withMessage('Nombre del acreedor es requerido')
     .isLength({ max: 255 }),
   body('accountNumber').optional().trim().isLength({ max: 100 }),
-  validateBureau(true),
+  validateBureau(true, true),
   body('balance').optional().isFloat({ min: 0 }),
   validateDate('dateOpened', false),
   validateDate('dateReported', false),
+  validateDate('dateOfFirstDelinquency', false),
+  body('bankruptcyChapter')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn([7, 11, 12, 13])
+    .withMessage('Capítulo de bancarrota debe ser 7, 11, 12 o 13'),
+  validateDate('lastPaymentDate', false),
+  body('debtCategory')
+    .optional({ nullable: true, checkFalsy: true })
+    .isIn(['written', 'open', 'promissory'])
+    .withMessage('Tipo de deuda debe ser written, open o promissory'),
   body('description').optional().trim().isLength({ max: 2000 }),
 ];
 
@@ -433,8 +479,32 @@ const createDisputeValidation = [
   validateUUID('clientId', 'body'),
   body('creditItemId').optional().matches(PATTERNS.uuid),
   validateDisputeType(),
-  validateBureau(false),
+  body('targetType')
+    .optional()
+    .trim()
+    .toLowerCase()
+    .isIn(DISPUTE_TARGET_TYPES)
+    .withMessage(`Destinatario debe ser uno de: ${DISPUTE_TARGET_TYPES.join(', ')}`),
+  body('bureau')
+    .if(body('targetType').not().equals('furnisher'))
+    .trim()
+    .notEmpty()
+    .withMessage('Bureau es requerido')
+    .toLowerCase()
+    .isIn(REPORTING_AGENCIES)
+    .withMessage(`Bureau debe ser uno de: ${REPORTING_AGENCIES.join(', ')}`),
+  body('bureau').optional({ values: 'falsy' }).trim().toLowerCase().isIn(REPORTING_AGENCIES),
+  body('furnisherId')
+    .if(body('targetType').equals('furnisher'))
+    .matches(PATTERNS.uuid)
+    .withMessage('Furnisher es requerido para disputas directas'),
   body('customContent').optional().trim().isLength({ max: 10000 }),
+  body('evidenceDocumentIds')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Evidencia debe ser una lista de hasta 20 documentos'),
+  body('evidenceDocumentIds.*').matches(PATTERNS.uuid).withMessage('ID de documento inválido'),
+  body('acknowledgeSolRisk').optional().isBoolean().toBoolean(),
 ];
 
 /**
@@ -469,10 +539,15 @@ module.exports = {
   SUBSCRIPTION_STATUSES,
   CREDIT_BUREAUS,
   CREDIT_BUREAUS_WITH_ALL,
+  SPECIALTY_AGENCIES,
+  REPORTING_AGENCIES,
+  REPORTING_AGENCIES_WITH_ALL,
   CREDIT_ITEM_TYPES,
   CREDIT_ITEM_STATUSES,
   DISPUTE_TYPES,
   DISPUTE_STATUSES,
+  DISPUTE_TARGET_TYPES,
+  FURNISHER_TYPES,
   DOCUMENT_CATEGORIES,
   PAYMENT_STATUSES,
   ALLOWED_FILE_TYPES,